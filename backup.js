@@ -0,0 +1,455 @@
+/**
+ * Joey Kaye Handmades - Backups
+ *
+ * Snapshots the configured database (the same one the server uses, see
+ * storage.js) into BACKUP_DIR. Each snapshot is a folder with one JSON file per
+ * collection and a manifest.json holding record counts and SHA-256 checksums.
+ *
+ *   node backup.js create [--note "before price changes"]
+ *   node backup.js list
+ *   node backup.js verify [snapshot]
+ *   node backup.js diff <snapshot> [snapshot|current]
+ *   node backup.js restore <snapshot> [--collection <name>] --yes
+ *   node backup.js prune [--dry-run]
+ *
+ * Commands that take a snapshot name also accept "latest". Restoring first takes
+ * a "pre-restore" snapshot of the current data, so a restore can be undone. A
+ * whole-snapshot restore leaves the audit log alone so it still shows what
+ * happened, and the user accounts alone so removed accounts and changed
+ * passwords don't come back; restore either on its own with --collection.
+ *
+ * `prune` keeps the newest snapshot from each of the last BACKUP_KEEP_DAILY days,
+ * BACKUP_KEEP_WEEKLY weeks and BACKUP_KEEP_MONTHLY months (7, 4 and 12 by
+ * default) and deletes the rest. Manual and pre-restore snapshots are also kept
+ * until they are BACKUP_KEEP_DAILY days old. `create --auto` (what auto-backup.js
+ * runs) prunes after each snapshot.
+ *
+ * Photo files in MEDIA_DIR are not copied: they never change once written, so
+ * back that folder up as ordinary files. With STORAGE_DRIVER=file, stop the
+ * server before restoring - it keeps collections in memory and would write its
+ * own copy back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BSON } = require('mongodb');
+require('dotenv').config();
+const { openStorage, closeStorage, storageOptionsFromEnv, describeStorage } = require('./storage');
+
+const STORAGE_OPTIONS = storageOptionsFromEnv();
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(__dirname, 'backups'));
+// `migrations` travels with the data so a restored snapshot is migrated again if it's older
+const BACKUP_COLLECTIONS = ['inventory', 'customers', 'sales', 'gallery', 'ideas', 'invoices', 'purchaseOrders', 'stockMovements', 'settings', 'locations', 'colors', 'media', 'audit', 'migrations', 'users'];
+// Only restored when asked for with --collection
+const SEPARATELY_RESTORED_COLLECTIONS = ['audit', 'users'];
+const SNAPSHOT_PREFIX = 'snapshot-';
+
+function retentionFromEnv(env = process.env) {
+    const count = (value, fallback) => {
+        const number = parseInt(value, 10);
+        return Number.isInteger(number) && number >= 0 ? number : fallback;
+    };
+    return {
+        daily: count(env.BACKUP_KEEP_DAILY, 7),
+        weekly: count(env.BACKUP_KEEP_WEEKLY, 4),
+        monthly: count(env.BACKUP_KEEP_MONTHLY, 12)
+    };
+}
+
+// Extended JSON keeps MongoDB types (ObjectId, Date) so a restore puts back
+// exactly what was there
+function serialize(docs) {
+    return BSON.EJSON.stringify(docs, undefined, 2, { relaxed: true });
+}
+
+function deserialize(text) {
+    return BSON.EJSON.parse(text, { relaxed: true });
+}
+
+function sha256(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+// ===== SNAPSHOTS =====
+
+// Snapshots with a manifest, newest first. Folders from the old auto-backup
+// script have no manifest and are left alone.
+function listSnapshots() {
+    if (!fs.existsSync(BACKUP_DIR)) return [];
+    return fs.readdirSync(BACKUP_DIR)
+        .filter(name => name.startsWith(SNAPSHOT_PREFIX))
+        .map(name => {
+            const dir = path.join(BACKUP_DIR, name);
+            try {
+                const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+                return { name, dir, manifest };
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.manifest.createdAt.localeCompare(a.manifest.createdAt));
+}
+
+function findSnapshot(name) {
+    const snapshots = listSnapshots();
+    const snapshot = name === 'latest' ? snapshots[0] : snapshots.find(candidate => candidate.name === name);
+    if (!snapshot) {
+        throw new Error(name === 'latest' ? `No snapshots in ${BACKUP_DIR}` : `Snapshot not found: ${name}`);
+    }
+    return snapshot;
+}
+
+async function createSnapshot(db, { type = 'manual', note = '' } = {}) {
+    const createdAt = new Date().toISOString();
+    const name = `${SNAPSHOT_PREFIX}${createdAt.replace(/[:.]/g, '-')}`;
+    const dir = path.join(BACKUP_DIR, name);
+    const partialDir = `${dir}.partial`;
+    fs.mkdirSync(partialDir, { recursive: true });
+
+    const manifest = {
+        version: 1,
+        createdAt,
+        type,
+        note,
+        storage: describeStorage(STORAGE_OPTIONS),
+        collections: {}
+    };
+    for (const collection of BACKUP_COLLECTIONS) {
+        const docs = await db.collection(collection).find({}).toArray();
+        const contents = serialize(docs);
+        fs.writeFileSync(path.join(partialDir, `${collection}.json`), contents);
+        manifest.collections[collection] = { count: docs.length, sha256: sha256(contents) };
+    }
+    fs.writeFileSync(path.join(partialDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    // The snapshot only appears under its real name once every file is written
+    fs.renameSync(partialDir, dir);
+    return { name, dir, manifest };
+}
+
+// Returns a list of problems - empty when every file matches its checksum and count
+function verifySnapshot(snapshot) {
+    const problems = [];
+    Object.entries(snapshot.manifest.collections).forEach(([collection, expected]) => {
+        const filePath = path.join(snapshot.dir, `${collection}.json`);
+        if (!fs.existsSync(filePath)) {
+            problems.push(`${collection}: file missing`);
+            return;
+        }
+        const contents = fs.readFileSync(filePath, 'utf8');
+        if (sha256(contents) !== expected.sha256) {
+            problems.push(`${collection}: checksum mismatch`);
+            return;
+        }
+        try {
+            const docs = deserialize(contents);
+            if (!Array.isArray(docs) || docs.length !== expected.count) {
+                problems.push(`${collection}: expected ${expected.count} records`);
+            }
+        } catch (error) {
+            problems.push(`${collection}: ${error.message}`);
+        }
+    });
+    return problems;
+}
+
+function readSnapshotCollection(snapshot, collection) {
+    if (!snapshot.manifest.collections[collection]) {
+        throw new Error(`${snapshot.name} has no ${collection} collection`);
+    }
+    return deserialize(fs.readFileSync(path.join(snapshot.dir, `${collection}.json`), 'utf8'));
+}
+
+// Replace the given collections with the snapshot's copy. Takes a pre-restore
+// snapshot first and returns it.
+async function restoreSnapshot(db, snapshot, collections) {
+    const problems = verifySnapshot(snapshot);
+    if (problems.length > 0) {
+        throw new Error(`${snapshot.name} failed verification: ${problems.join('; ')}`);
+    }
+    const safety = await createSnapshot(db, { type: 'pre-restore', note: `Before restoring ${snapshot.name}` });
+    for (const collection of collections) {
+        const docs = readSnapshotCollection(snapshot, collection);
+        const records = db.collection(collection);
+        await records.deleteMany({});
+        if (docs.length > 0) {
+            await records.insertMany(docs);
+        }
+    }
+    return safety;
+}
+
+// ===== DIFF =====
+
+function recordKey(doc) {
+    return String(doc.id || doc._id);
+}
+
+function recordName(doc) {
+    return doc.name || doc.title || doc.itemName || doc.customer || doc.username || doc.description || '';
+}
+
+function changedFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(fields).filter(field =>
+        field !== '_id' && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+function diffRecords(beforeDocs, afterDocs) {
+    const before = new Map(beforeDocs.map(doc => [recordKey(doc), doc]));
+    const after = new Map(afterDocs.map(doc => [recordKey(doc), doc]));
+    const diff = { added: [], removed: [], changed: [] };
+    after.forEach((doc, key) => {
+        if (!before.has(key)) {
+            diff.added.push(doc);
+        } else {
+            const fields = changedFields(before.get(key), doc);
+            if (fields.length > 0) diff.changed.push({ doc, fields });
+        }
+    });
+    before.forEach((doc, key) => {
+        if (!after.has(key)) diff.removed.push(doc);
+    });
+    return diff;
+}
+
+// A snapshot's collections, or the live database's for "current"
+async function loadCollections(db, name) {
+    const collections = {};
+    if (name === 'current') {
+        for (const collection of BACKUP_COLLECTIONS) {
+            collections[collection] = await db.collection(collection).find({}).toArray();
+        }
+        return { label: 'current data', collections };
+    }
+    const snapshot = findSnapshot(name);
+    Object.keys(snapshot.manifest.collections).forEach(collection => {
+        collections[collection] = readSnapshotCollection(snapshot, collection);
+    });
+    return { label: snapshot.name, collections };
+}
+
+// ===== RETENTION =====
+
+// ISO 8601 week, e.g. 2025-W42 (weeks start on Monday)
+function isoWeek(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7)); // The week's Thursday decides its year
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const RETENTION_PERIODS = {
+    daily: date => date.toISOString().slice(0, 10),
+    weekly: isoWeek,
+    monthly: date => date.toISOString().slice(0, 7)
+};
+
+// Splits snapshots (newest first) into those the policy keeps and those it
+// doesn't. Each tier keeps the newest snapshot of its most recent periods, and
+// the newest snapshot overall is always kept. Snapshots someone took on purpose
+// (manual, pre-restore) aren't collapsed into their day while they're recent.
+function applyRetention(snapshots, retention, now = new Date()) {
+    const keep = new Set(snapshots.length > 0 ? [snapshots[0].name] : []);
+    const recentSince = now.getTime() - retention.daily * 24 * 60 * 60 * 1000;
+    snapshots.forEach(snapshot => {
+        if (snapshot.manifest.type !== 'auto' && Date.parse(snapshot.manifest.createdAt) >= recentSince) {
+            keep.add(snapshot.name);
+        }
+    });
+    Object.entries(RETENTION_PERIODS).forEach(([tier, periodOf]) => {
+        const periods = new Set();
+        snapshots.forEach(snapshot => {
+            const period = periodOf(new Date(snapshot.manifest.createdAt));
+            if (!periods.has(period) && periods.size < retention[tier]) {
+                periods.add(period);
+                keep.add(snapshot.name);
+            }
+        });
+    });
+    return {
+        kept: snapshots.filter(snapshot => keep.has(snapshot.name)),
+        removed: snapshots.filter(snapshot => !keep.has(snapshot.name))
+    };
+}
+
+function pruneSnapshots({ dryRun = false, retention = retentionFromEnv() } = {}) {
+    const { kept, removed } = applyRetention(listSnapshots(), retention);
+    if (!dryRun) {
+        removed.forEach(snapshot => fs.rmSync(snapshot.dir, { recursive: true, force: true }));
+    }
+    return { kept, removed };
+}
+
+// ===== COMMAND LINE =====
+
+function parseArgs(args) {
+    const options = { positional: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--collection' || arg === '--note') {
+            options[arg.slice(2)] = args[++i];
+        } else if (arg.startsWith('--')) {
+            options[arg.slice(2)] = true;
+        } else {
+            options.positional.push(arg);
+        }
+    }
+    return options;
+}
+
+function formatCounts(manifest) {
+    return Object.entries(manifest.collections)
+        .filter(([, info]) => info.count > 0)
+        .map(([collection, info]) => `${info.count} ${collection}`)
+        .join(', ') || 'empty';
+}
+
+const COMMANDS = {
+    async create(db, options) {
+        const snapshot = await createSnapshot(db, { type: options.auto ? 'auto' : 'manual', note: options.note || '' });
+        console.log(`✅ Backup created: ${snapshot.dir}`);
+        console.log(`📊 ${formatCounts(snapshot.manifest)}`);
+        if (options.auto) {
+            const { removed } = pruneSnapshots();
+            removed.forEach(old => console.log(`🧹 Removed: ${old.name}`));
+        }
+        return 0;
+    },
+
+    async list() {
+        const snapshots = listSnapshots();
+        if (snapshots.length === 0) {
+            console.log(`No snapshots in ${BACKUP_DIR}`);
+        }
+        snapshots.forEach(({ name, manifest }) => {
+            const note = manifest.note ? ` - ${manifest.note}` : '';
+            console.log(`${name}  [${manifest.type}]  ${formatCounts(manifest)}${note}`);
+        });
+        return 0;
+    },
+
+    async verify(db, options) {
+        const snapshots = options.positional[0] ? [findSnapshot(options.positional[0])] : listSnapshots();
+        let failed = 0;
+        snapshots.forEach(snapshot => {
+            const problems = verifySnapshot(snapshot);
+            if (problems.length === 0) {
+                console.log(`✅ ${snapshot.name}`);
+            } else {
+                failed++;
+                console.log(`❌ ${snapshot.name}: ${problems.join('; ')}`);
+            }
+        });
+        return failed > 0 ? 1 : 0;
+    },
+
+    async diff(db, options) {
+        const [fromName, toName = 'current'] = options.positional;
+        if (!fromName) {
+            throw new Error('Usage: node backup.js diff <snapshot> [snapshot|current]');
+        }
+        const from = await loadCollections(db, fromName);
+        const to = await loadCollections(db, toName);
+        console.log(`🔍 Changes from ${from.label} to ${to.label}`);
+
+        const collections = new Set([...Object.keys(from.collections), ...Object.keys(to.collections)]);
+        let total = 0;
+        collections.forEach(collection => {
+            const { added, removed, changed } = diffRecords(from.collections[collection] || [], to.collections[collection] || []);
+            if (added.length + removed.length + changed.length === 0) return;
+            total += added.length + removed.length + changed.length;
+            console.log(`\n${collection}: +${added.length} added, -${removed.length} removed, ~${changed.length} changed`);
+            const lines = [
+                ...added.map(doc => `   + ${recordKey(doc)} ${recordName(doc)}`),
+                ...removed.map(doc => `   - ${recordKey(doc)} ${recordName(doc)}`),
+                ...changed.map(({ doc, fields }) => `   ~ ${recordKey(doc)} ${recordName(doc)} (${fields.join(', ')})`)
+            ];
+            lines.slice(0, 20).forEach(line => console.log(line));
+            if (lines.length > 20) {
+                console.log(`   ... and ${lines.length - 20} more`);
+            }
+        });
+        if (total === 0) {
+            console.log('No differences');
+        }
+        return 0;
+    },
+
+    async restore(db, options) {
+        const [name] = options.positional;
+        if (!name) {
+            throw new Error('Usage: node backup.js restore <snapshot> [--collection <name>] --yes');
+        }
+        const snapshot = findSnapshot(name);
+        const collections = options.collection
+            ? [options.collection]
+            : Object.keys(snapshot.manifest.collections).filter(collection => !SEPARATELY_RESTORED_COLLECTIONS.includes(collection));
+        const missing = collections.filter(collection => !snapshot.manifest.collections[collection]);
+        if (missing.length > 0) {
+            throw new Error(`${snapshot.name} has no ${missing.join(', ')} collection`);
+        }
+
+        if (!options.yes) {
+            console.log(`⚠️ This replaces ${collections.join(', ')} in ${describeStorage(STORAGE_OPTIONS)} with ${snapshot.name}.`);
+            console.log('   Run again with --yes to go ahead.');
+            return 1;
+        }
+        const safety = await restoreSnapshot(db, snapshot, collections);
+        console.log(`💾 Current data saved first as ${safety.name}`);
+        console.log(`✅ Restored ${collections.join(', ')} from ${snapshot.name}`);
+        return 0;
+    },
+
+    async prune(db, options) {
+        const { kept, removed } = pruneSnapshots({ dryRun: !!options['dry-run'] });
+        removed.forEach(snapshot => console.log(`🧹 ${options['dry-run'] ? 'Would remove' : 'Removed'}: ${snapshot.name}`));
+        console.log(`✅ Keeping ${kept.length} snapshot(s)`);
+        return 0;
+    }
+};
+
+// Commands that only read BACKUP_DIR don't need a database connection
+const OFFLINE_COMMANDS = ['list', 'verify', 'prune'];
+
+async function runCli(args) {
+    const [command, ...rest] = args;
+    const options = parseArgs(rest);
+    if (!COMMANDS[command]) {
+        console.log('Usage: node backup.js <create|list|verify|diff|restore|prune> (see backup.js for options)');
+        return 1;
+    }
+    if (options.collection && !BACKUP_COLLECTIONS.includes(options.collection)) {
+        console.error(`❌ Unknown collection "${options.collection}" (expected one of: ${BACKUP_COLLECTIONS.join(', ')})`);
+        return 1;
+    }
+
+    let db = null;
+    try {
+        if (!OFFLINE_COMMANDS.includes(command)) {
+            db = await openStorage(STORAGE_OPTIONS);
+            console.log(`✅ Connected to ${describeStorage(STORAGE_OPTIONS)}`);
+        }
+        return await COMMANDS[command](db, options);
+    } catch (error) {
+        console.error(`❌ ${command} failed: ${error.message}`);
+        return 1;
+    } finally {
+        await closeStorage(db);
+    }
+}
+
+if (require.main === module) {
+    runCli(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+    runCli,
+    createSnapshot,
+    verifySnapshot,
+    restoreSnapshot,
+    applyRetention
+};
@@ -0,0 +1,61 @@
+// Rebuilds the browser libraries in vendor/ from their npm packages (pinned in
+// devDependencies), minified and headed with their copyright and license. The
+// output is committed so the app can be served as static files without a build
+// step; run this after changing either version.
+//
+//   npm install && npm run vendor
+
+const fs = require('fs');
+const path = require('path');
+const { minify } = require('terser');
+
+const VENDOR_DIR = path.join(__dirname, 'vendor');
+
+// Each library's source file in its package, and where its minified copy goes.
+// qrcode-generator only states its license in the source header, so its
+// LICENSE file in vendor/ is kept by hand rather than copied.
+const LIBRARIES = [
+    {
+        name: 'qrcode-generator',
+        source: 'qrcode.js',
+        output: 'qrcode.min.js',
+        notice: 'QR Code Generator for JavaScript | Copyright (c) 2009 Kazuhiko Arase | MIT License'
+    },
+    {
+        name: 'jsqr',
+        source: 'dist/jsQR.js',
+        output: 'jsQR.min.js',
+        notice: 'jsQR | Apache License 2.0',
+        license: 'LICENSE'
+    }
+];
+
+async function buildLibrary(library) {
+    const packageDir = path.dirname(require.resolve(`${library.name}/package.json`));
+    const { version } = require(path.join(packageDir, 'package.json'));
+    const outputDir = path.join(VENDOR_DIR, library.name);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const source = fs.readFileSync(path.join(packageDir, library.source), 'utf8');
+    const result = await minify(source, {
+        format: { preamble: `/*! ${library.name} ${version} | ${library.notice} | see LICENSE */` }
+    });
+    fs.writeFileSync(path.join(outputDir, library.output), `${result.code}\n`);
+    if (library.license) {
+        fs.copyFileSync(path.join(packageDir, library.license), path.join(outputDir, 'LICENSE'));
+    }
+    console.log(`✅ ${library.name} ${version} → vendor/${library.name}/${library.output}`);
+}
+
+async function buildVendor() {
+    for (const library of LIBRARIES) {
+        await buildLibrary(library);
+    }
+}
+
+if (require.main === module) {
+    buildVendor().catch(error => {
+        console.error(`❌ Vendor build failed: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,181 @@
+/**
+ * Joey Kaye Handmades - Media storage
+ *
+ * Photos are kept as files in MEDIA_DIR instead of base64 inside records.
+ * Each file is named by the SHA-256 of its contents, so uploading the same
+ * photo twice stores it once, and gets a JPEG thumbnail beside it. Records
+ * only carry the `mediaId`; the `media` collection holds each file's type,
+ * size and dimensions.
+ *
+ *   MEDIA_DIR/<id>            original upload
+ *   MEDIA_DIR/<id>-thumb.jpg  thumbnail for cards and grids
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 400;
+const MEDIA_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+// Formats we store, by what sharp detects in the file (not what the client claims).
+// SVG is left out on purpose: it can carry script and we serve files back as is.
+const MEDIA_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    heif: 'image/heic',
+    tiff: 'image/tiff'
+};
+
+class MediaError extends Error {}
+
+function mediaPath(mediaDir, id, variant = 'original') {
+    if (!MEDIA_ID_PATTERN.test(id)) {
+        throw new MediaError('Invalid media id');
+    }
+    return path.join(mediaDir, variant === 'thumb' ? `${id}-thumb.jpg` : id);
+}
+
+// Create mediaDir if needed and check a file can be written there. Throws with
+// what to do about it when not - on Vercel, for one, the app's folder is read-only.
+function ensureMediaDirWritable(mediaDir) {
+    const probePath = path.join(mediaDir, `.write-check-${process.pid}`);
+    try {
+        fs.mkdirSync(mediaDir, { recursive: true });
+        fs.writeFileSync(probePath, '');
+        fs.unlinkSync(probePath);
+    } catch (error) {
+        throw new Error(`Photos can't be saved in ${mediaDir} (${error.code || error.message}). ` +
+            'Set MEDIA_DIR to a folder on persistent storage that this server can write to.');
+    }
+}
+
+// Write to a temp file and rename, so a half-written file never has the final name
+async function writeFileOnce(filePath, contents) {
+    if (fs.existsSync(filePath)) return;
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, filePath);
+}
+
+// Store an image and return its `media` record. Throws MediaError when the
+// upload isn't an image we accept.
+async function storeImage(db, mediaDir, buffer, uploadedBy = null) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        throw new MediaError('No image data received');
+    }
+    if (buffer.length > MAX_MEDIA_BYTES) {
+        throw new MediaError('Image must be 10MB or smaller');
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new MediaError('File is not a readable image');
+    }
+    const mimeType = MEDIA_TYPES[metadata.format];
+    if (!mimeType) {
+        throw new MediaError(`Unsupported image format: ${metadata.format}`);
+    }
+
+    const id = crypto.createHash('sha256').update(buffer).digest('hex');
+    const media = db.collection('media');
+    const existing = await media.findOne({ id });
+
+    await fs.promises.mkdir(mediaDir, { recursive: true });
+    const thumbPath = mediaPath(mediaDir, id, 'thumb');
+    if (!fs.existsSync(thumbPath)) {
+        let thumbnail;
+        try {
+            thumbnail = await sharp(buffer)
+                .rotate() // Respect the camera's EXIF orientation
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+        } catch (error) {
+            throw new MediaError('File is not a readable image');
+        }
+        await writeFileOnce(thumbPath, thumbnail);
+    }
+    await writeFileOnce(mediaPath(mediaDir, id), buffer);
+
+    if (existing) {
+        return existing;
+    }
+    const record = {
+        id,
+        mimeType,
+        size: buffer.length,
+        width: metadata.width,
+        height: metadata.height,
+        uploadedBy,
+        createdAt: new Date().toISOString()
+    };
+    await media.insertOne(record);
+    return record;
+}
+
+function parseDataUrl(value) {
+    const match = typeof value === 'string' && /^data:image\/[\w.+-]+;base64,/.exec(value);
+    if (!match) return null;
+    return Buffer.from(value.slice(match[0].length), 'base64');
+}
+
+// Move embedded base64 images out of a record into media storage. Gallery and
+// idea photos live in `imageData` (ideas sometimes `imageUrl`), inventory
+// photos in `photo.dataUrl` with a copy in `imageData`. Each becomes a
+// `mediaId` (`photo.mediaId` for the photo object). Changes the record in place
+// and returns true if anything was extracted.
+async function extractEmbeddedMedia(db, mediaDir, record, uploadedBy = null) {
+    let changed = false;
+
+    // An embedded image is newer than any mediaId the record already had
+    if (record.photo && typeof record.photo === 'object') {
+        const buffer = parseDataUrl(record.photo.dataUrl);
+        if (buffer) {
+            const media = await storeImage(db, mediaDir, buffer, uploadedBy);
+            const { dataUrl, ...photo } = record.photo;
+            record.photo = { ...photo, mediaId: media.id };
+            record.mediaId = media.id;
+            changed = true;
+        }
+    }
+
+    for (const field of ['imageUrl', 'imageData']) {
+        const buffer = parseDataUrl(record[field]);
+        if (buffer) {
+            const media = await storeImage(db, mediaDir, buffer, uploadedBy);
+            record.mediaId = media.id;
+            delete record[field];
+            changed = true;
+        }
+    }
+
+    return changed;
+}
+
+// Matches records that still carry an embedded image
+const EMBEDDED_MEDIA_QUERY = {
+    $or: [
+        { imageData: { $regex: '^data:image/' } },
+        { imageUrl: { $regex: '^data:image/' } },
+        { 'photo.dataUrl': { $regex: '^data:image/' } }
+    ]
+};
+
+module.exports = {
+    MAX_MEDIA_BYTES,
+    MEDIA_ID_PATTERN,
+    EMBEDDED_MEDIA_QUERY,
+    MediaError,
+    mediaPath,
+    ensureMediaDirWritable,
+    storeImage,
+    extractEmbeddedMedia
+};
@@ -0,0 +1,86 @@
+// One-time migration: move photos embedded in records (base64 data URLs) into
+// media storage, leaving a mediaId on each record. Safe to run more than once -
+// records without embedded images are skipped.
+//
+//   npm run migrate:media              migrate the configured storage
+//   npm run migrate:media -- --dry-run only count what would change
+//
+// Uses the same STORAGE_DRIVER / DATA_DIR / MEDIA_DIR / MONGODB_URI settings as
+// the server. Each record gets a new revision so open browsers pick up the change.
+
+const path = require('path');
+require('dotenv').config();
+const { openStorage, closeStorage, storageOptionsFromEnv, describeStorage } = require('./storage');
+const { EMBEDDED_MEDIA_QUERY, ensureMediaDirWritable, extractEmbeddedMedia } = require('./media');
+
+const STORAGE_OPTIONS = storageOptionsFromEnv();
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || path.join(STORAGE_OPTIONS.dataDir, 'media'));
+
+// Collections whose records can carry photos
+const MEDIA_COLLECTIONS = ['inventory', 'gallery', 'ideas'];
+
+async function migrateCollection(db, name, dryRun) {
+    const records = db.collection(name);
+    const docs = await records.find(EMBEDDED_MEDIA_QUERY).toArray();
+    let migrated = 0;
+    let skipped = 0;
+
+    for (const doc of docs) {
+        if (dryRun) {
+            migrated++;
+            continue;
+        }
+        try {
+            const record = { ...doc };
+            await extractEmbeddedMedia(db, MEDIA_DIR, record);
+            record.revision = (doc.revision || 0) + 1;
+            record.updatedAt = new Date().toISOString();
+            // Only replace the version we read, in case the app saved it meanwhile
+            const result = await records.replaceOne(
+                { _id: doc._id, revision: doc.revision === undefined ? null : doc.revision },
+                record
+            );
+            if (result.matchedCount === 0) {
+                console.warn(`⚠️ ${name} ${doc.id || doc._id} changed during migration - run again to pick it up`);
+                skipped++;
+            } else {
+                migrated++;
+            }
+        } catch (error) {
+            console.error(`❌ ${name} ${doc.id || doc._id}: ${error.message}`);
+            skipped++;
+        }
+    }
+
+    return { migrated, skipped };
+}
+
+async function migrateMedia() {
+    const dryRun = process.argv.includes('--dry-run');
+    if (!dryRun) {
+        ensureMediaDirWritable(MEDIA_DIR);
+    }
+    const db = await openStorage(STORAGE_OPTIONS);
+    console.log(`✅ Connected to ${describeStorage(STORAGE_OPTIONS)}`);
+    console.log(`🖼️ Media directory: ${MEDIA_DIR}${dryRun ? ' (dry run)' : ''}`);
+
+    let failures = 0;
+    for (const name of MEDIA_COLLECTIONS) {
+        const { migrated, skipped } = await migrateCollection(db, name, dryRun);
+        failures += skipped;
+        console.log(`   - ${name}: ${migrated} record(s) ${dryRun ? 'to migrate' : 'migrated'}${skipped ? `, ${skipped} skipped` : ''}`);
+    }
+
+    await closeStorage(db);
+    return failures;
+}
+
+migrateMedia()
+    .then(failures => {
+        console.log(failures ? '⚠️ Migration finished with skipped records' : '✅ Media migration complete');
+        process.exit(failures ? 1 : 0);
+    })
+    .catch(error => {
+        console.error('❌ Media migration failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,247 @@
+/**
+ * Joey Kaye Handmades - Data migrations
+ *
+ * Changes to the shape of stored records are numbered migrations in
+ * migrations/ (listed in migrations/index.js). Each one looks like:
+ *
+ *   module.exports = {
+ *       version: 2,                   // unique and increasing, matches the file number
+ *       collection: 'sales',
+ *       description: 'What it changes',
+ *       async prepare(db) {},         // optional: load anything migrate() needs
+ *       migrate(record, context, collection) {}   // change the record in place, return true if changed
+ *   };
+ *
+ * A migration that changes several collections lists them as
+ * `collections: ['inventory', 'sales']` instead; it is applied to each in turn.
+ *
+ * The `migrations` collection holds one document per collection with its schema
+ * version (the highest migration applied to it) and a log of the runs. The
+ * server applies pending migrations when it starts, unless MIGRATE_ON_START=false;
+ * the CLI does the same on demand:
+ *
+ *   node migrate.js status
+ *   node migrate.js up [--dry-run]
+ *
+ * migrate() must leave an already migrated record alone, so an interrupted run
+ * can simply be repeated. Changed records get a new revision so open browsers
+ * pick them up. With STORAGE_DRIVER=file, stop the server before running the
+ * CLI - it keeps collections in memory and would write its own copy back.
+ */
+
+require('dotenv').config();
+const { openStorage, closeStorage, storageOptionsFromEnv, describeStorage } = require('./storage');
+const MIGRATIONS = require('./migrations');
+
+const STORAGE_OPTIONS = storageOptionsFromEnv();
+// How many changed records a dry run prints per migration
+const DRY_RUN_EXAMPLES = 10;
+
+function checkMigrationList(migrations) {
+    migrations.forEach((migration, index) => {
+        const previous = migrations[index - 1];
+        if (!Number.isInteger(migration.version) || (previous && migration.version <= previous.version)) {
+            throw new Error(`Migration versions must be whole numbers in increasing order (at ${migration.version})`);
+        }
+        if (migrationCollections(migration).length === 0 || typeof migration.migrate !== 'function') {
+            throw new Error(`Migration ${migration.version} needs a collection and a migrate() function`);
+        }
+    });
+}
+
+function migrationCollections(migration) {
+    return migration.collections || (migration.collection ? [migration.collection] : []);
+}
+
+function migrationLabel(migration, collection) {
+    return `${String(migration.version).padStart(3, '0')} ${collection}: ${migration.description}`;
+}
+
+// One entry per migration and collection it applies to, in version order
+function migrationSteps() {
+    return MIGRATIONS.flatMap(migration => migrationCollections(migration).map(collection => ({ migration, collection })));
+}
+
+async function getSchemaVersions(db) {
+    const states = await db.collection('migrations').find({}).toArray();
+    return Object.fromEntries(states.map(state => [state.collection, state.version]));
+}
+
+async function recordSchemaVersion(db, migration, collection, changed) {
+    const migrations = db.collection('migrations');
+    const entry = {
+        version: migration.version,
+        description: migration.description,
+        changed,
+        appliedAt: new Date().toISOString()
+    };
+    const state = await migrations.findOne({ collection });
+    if (state) {
+        await migrations.updateOne(
+            { collection },
+            { $set: { version: migration.version, applied: [...(state.applied || []), entry] } }
+        );
+    } else {
+        await migrations.insertOne({ collection, version: migration.version, applied: [entry] });
+    }
+}
+
+function formatValue(value) {
+    if (value === undefined) return '(none)';
+    const text = JSON.stringify(value);
+    return text.length > 60 ? text.slice(0, 60) + '…' : text;
+}
+
+function describeChanges(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(fields)
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => `${field}: ${formatValue(before[field])} → ${formatValue(after[field])}`)
+        .join(', ');
+}
+
+// Runs one migration over one collection. In a dry run the changes go to
+// `workingCopy` (the collection's records as earlier migrations left them)
+// instead of the database.
+async function applyMigration(db, migration, collection, { dryRun, workingCopy, context, log }) {
+    const records = db.collection(collection);
+    const docs = workingCopy || await records.find({}).toArray();
+    let changed = 0;
+    let skipped = 0;
+
+    for (const doc of docs) {
+        const record = structuredClone(doc);
+        if (!migration.migrate(record, context, collection)) {
+            continue;
+        }
+        changed++;
+        if (dryRun) {
+            if (changed <= DRY_RUN_EXAMPLES) {
+                log(`     ${collection} ${doc.id || doc._id}: ${describeChanges(doc, record)}`);
+            }
+            Object.assign(doc, record);
+            continue;
+        }
+        record.revision = (doc.revision || 0) + 1;
+        record.updatedAt = new Date().toISOString();
+        // Only replace the version we read, in case the app saved it meanwhile.
+        // Records in hand-written data files may have no _id yet.
+        const identity = doc._id !== undefined ? { _id: doc._id } : { id: doc.id };
+        const result = await records.replaceOne(
+            { ...identity, revision: doc.revision === undefined ? null : doc.revision },
+            record
+        );
+        if (result.matchedCount === 0) {
+            log(`⚠️ ${collection} ${doc.id || doc._id} changed during the migration - it will be retried`);
+            changed--;
+            skipped++;
+        }
+    }
+    if (dryRun && changed > DRY_RUN_EXAMPLES) {
+        log(`     … and ${changed - DRY_RUN_EXAMPLES} more`);
+    }
+    return { changed, skipped };
+}
+
+// Applies every migration newer than its collection's schema version. A
+// migration that couldn't finish is left pending (with the later ones for the
+// same collection) so the next run picks it up. Returns the number left pending.
+async function runMigrations(db, { dryRun = false, log = console.log } = {}) {
+    checkMigrationList(MIGRATIONS);
+    const versions = await getSchemaVersions(db);
+    const pending = migrationSteps().filter(({ migration, collection }) => migration.version > (versions[collection] || 0));
+    if (pending.length === 0) {
+        log('✅ Data is up to date, no migrations to run');
+    }
+    const blocked = new Set();
+    const workingCopies = {};
+    const contexts = new Map();
+    let left = 0;
+
+    for (const { migration, collection } of pending) {
+        if (blocked.has(collection)) {
+            left++;
+            continue;
+        }
+        if (dryRun && !workingCopies[collection]) {
+            workingCopies[collection] = await db.collection(collection).find({}).toArray();
+        }
+        if (dryRun) {
+            log(`🔍 ${migrationLabel(migration, collection)}`);
+        }
+        // prepare() runs once per migration, before its first collection
+        if (migration.prepare && !contexts.has(migration)) {
+            contexts.set(migration, await migration.prepare(db));
+        }
+        const { changed, skipped } = await applyMigration(db, migration, collection, {
+            dryRun,
+            workingCopy: workingCopies[collection],
+            context: contexts.get(migration),
+            log
+        });
+        if (dryRun) {
+            log(`     ${changed} record(s) would change`);
+        } else if (skipped > 0) {
+            log(`⚠️ ${migrationLabel(migration, collection)} - ${changed} record(s) changed, ${skipped} left for the next run`);
+            blocked.add(collection);
+            left++;
+        } else {
+            await recordSchemaVersion(db, migration, collection, changed);
+            log(`✅ ${migrationLabel(migration, collection)} - ${changed} record(s) changed`);
+        }
+    }
+    return left;
+}
+
+// ===== CLI =====
+
+const COMMANDS = {
+    async status(db) {
+        checkMigrationList(MIGRATIONS);
+        const versions = await getSchemaVersions(db);
+        migrationSteps().forEach(({ migration, collection }) => {
+            const applied = migration.version <= (versions[collection] || 0);
+            console.log(`${applied ? '✅' : '⏳'} ${migrationLabel(migration, collection)}`);
+        });
+        return 0;
+    },
+
+    async up(db, args) {
+        const dryRun = args.includes('--dry-run');
+        const left = await runMigrations(db, { dryRun });
+        if (dryRun) {
+            console.log('🔍 Dry run - nothing was changed');
+        }
+        return left > 0 ? 1 : 0;
+    }
+};
+
+async function runCli(args) {
+    const [command, ...rest] = args;
+    if (!COMMANDS[command]) {
+        console.log('Usage: node migrate.js <status|up> [--dry-run]');
+        return 1;
+    }
+
+    let db = null;
+    try {
+        db = await openStorage(STORAGE_OPTIONS);
+        console.log(`✅ Connected to ${describeStorage(STORAGE_OPTIONS)}`);
+        return await COMMANDS[command](db, rest);
+    } catch (error) {
+        console.error(`❌ ${command} failed: ${error.message}`);
+        return 1;
+    } finally {
+        await closeStorage(db);
+    }
+}
+
+if (require.main === module) {
+    runCli(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+    runCli,
+    runMigrations,
+    getSchemaVersions
+};
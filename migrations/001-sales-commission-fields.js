@@ -0,0 +1,25 @@
+// Sales recorded before commissions were tracked have no commission fields.
+// Fill in the missing ones as "no commission": the seller kept the full price.
+// (Replaces updateExistingSalesWithCommission(), which did this in the browser.)
+
+module.exports = {
+    version: 1,
+    collection: 'sales',
+    description: 'Back-fill commission fields on sales recorded before commissions',
+
+    migrate(sale) {
+        let changed = false;
+        const defaults = {
+            commission: 0,
+            commissionAmount: 0,
+            netAmount: sale.salePrice || sale.price || 0
+        };
+        Object.entries(defaults).forEach(([field, value]) => {
+            if (sale[field] === undefined) {
+                sale[field] = value;
+                changed = true;
+            }
+        });
+        return changed;
+    }
+};
@@ -0,0 +1,21 @@
+// Records saved before the app gave every record an `id` only have MongoDB's
+// _id; the server has been answering with String(_id) for them. Store that as
+// the record's id so links from other records (customerId, itemId) have
+// something stable to point at. Records in hand-written data files may have
+// neither, and get a new id.
+
+const crypto = require('crypto');
+
+module.exports = {
+    version: 2,
+    collections: ['inventory', 'customers', 'sales', 'gallery', 'ideas', 'invoices'],
+    description: 'Give every record a stored id',
+
+    migrate(record) {
+        if (record.id) {
+            return false;
+        }
+        record.id = record._id === undefined ? crypto.randomUUID() : String(record._id);
+        return true;
+    }
+};
@@ -0,0 +1,78 @@
+// Projects, sales and invoices named their customer as free text, and sales
+// pointed at the item they sold by `itemIndex` - its position in the inventory
+// list, which shifts whenever an item is deleted. Link them by id instead:
+//   customer  -> customerId, when exactly one customer has that name (ignoring
+//                case and spaces); the name stays on the record for display,
+//                spelled the way the customer record spells it
+//   itemIndex -> itemId, when the item at that position (or else the only item
+//                with the sale's itemName) has the sale's itemName
+// Records that can't be matched keep their text and are simply left unlinked.
+
+function nameKey(name) {
+    return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+function recordId(doc) {
+    return doc.id || String(doc._id);
+}
+
+// Maps each name to the one record carrying it; names used twice map to null
+function uniqueNames(docs) {
+    const names = new Map();
+    docs.forEach(doc => {
+        const key = nameKey(doc.name);
+        if (key) {
+            names.set(key, names.has(key) ? null : doc);
+        }
+    });
+    return names;
+}
+
+function findSoldItem(sale, context) {
+    const key = nameKey(sale.itemName);
+    if (!key) {
+        return null;
+    }
+    const atIndex = context.inventory[sale.itemIndex];
+    if (atIndex && nameKey(atIndex.name) === key) {
+        return recordId(atIndex);
+    }
+    const item = context.items.get(key);
+    return item ? recordId(item) : null;
+}
+
+module.exports = {
+    version: 3,
+    collections: ['inventory', 'sales', 'invoices'],
+    description: 'Link customers by customerId and sold items by itemId',
+
+    async prepare(db) {
+        const customers = await db.collection('customers').find({}).toArray();
+        // The browser numbered items in the order the server listed them
+        const inventory = await db.collection('inventory').find({}).toArray();
+        return {
+            customers: uniqueNames(customers),
+            inventory,
+            items: uniqueNames(inventory)
+        };
+    },
+
+    migrate(record, context, collection) {
+        let changed = false;
+        const customer = !record.customerId && context.customers.get(nameKey(record.customer));
+        if (customer) {
+            record.customerId = recordId(customer);
+            record.customer = customer.name;
+            changed = true;
+        }
+        if (collection === 'sales' && record.itemIndex !== undefined) {
+            const itemId = record.itemId || findSoldItem(record, context);
+            if (itemId) {
+                record.itemId = itemId;
+            }
+            delete record.itemIndex;
+            changed = true;
+        }
+        return changed;
+    }
+};
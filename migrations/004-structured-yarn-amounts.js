@@ -0,0 +1,38 @@
+// Projects recorded their yarn as free text in `yarnAmount` ("3 skeins, 200g"),
+// which can't be totalled or compared with stock. Split it into `yarnQuantity`
+// and `yarnUnit` (see units.js), taking the first "<number> <unit>" in the
+// text. When the text says more than that, or has no unit we know, it is kept
+// at the end of the notes as "Yarn amount: ..." so nothing is lost.
+
+const Units = require('../units');
+
+function keepInNotes(record, text) {
+    const line = `Yarn amount: ${text}`;
+    record.notes = record.notes ? `${record.notes}\n${line}` : line;
+}
+
+module.exports = {
+    version: 4,
+    collection: 'inventory',
+    description: 'Split the free-text yarn amount into yarnQuantity and yarnUnit',
+
+    migrate(record) {
+        if (record.yarnAmount === undefined) {
+            return false;
+        }
+        const text = String(record.yarnAmount || '').trim();
+        const found = Units.parseQuantities(text);
+        if (found.length > 0 && record.yarnQuantity === undefined) {
+            record.yarnQuantity = found[0].quantity;
+            record.yarnUnit = found[0].unit;
+        }
+        // "3 skeins" needs nothing more; "3 skeins, 200g" or "about 2 balls" do
+        const rest = text.replace(/\d+(?:[.,]\d+)?\s*[a-z]+\b/i, '');
+        const fullyParsed = found.length === 1 && /^[\s.,;]*$/.test(rest);
+        if (text && !fullyParsed) {
+            keepInNotes(record, text);
+        }
+        delete record.yarnAmount;
+        return true;
+    }
+};
@@ -0,0 +1,48 @@
+// Supplies are now valued from the cost of the stock that came in, so each
+// incoming stock movement records its `unitCost`. Movements written before that
+// get one here:
+//   purchase -> what the purchase order's receipt for that supply cost
+//   opening, adjustment and anything else coming in -> the supply's price
+// Returns to stock are left alone; they are valued at what the project took out.
+
+function recordId(doc) {
+    return doc.id || String(doc._id);
+}
+
+function receiptCost(order, movement) {
+    const receipts = (order && Array.isArray(order.receipts) ? order.receipts : [])
+        .filter(receipt => receipt.itemId === movement.itemId && receipt.unitCost !== undefined);
+    const receipt = receipts.find(r => r.quantity === movement.delta) || receipts[0];
+    return receipt ? parseFloat(receipt.unitCost) : NaN;
+}
+
+module.exports = {
+    version: 5,
+    collection: 'stockMovements',
+    description: 'Record the unit cost of stock coming in',
+
+    async prepare(db) {
+        const inventory = await db.collection('inventory').find({}).toArray();
+        const purchaseOrders = await db.collection('purchaseOrders').find({}).toArray();
+        return {
+            supplies: new Map(inventory.map(doc => [recordId(doc), doc])),
+            purchaseOrders: new Map(purchaseOrders.map(doc => [recordId(doc), doc]))
+        };
+    },
+
+    migrate(record, context) {
+        if (!(record.delta > 0) || record.unitCost !== undefined || record.reason === 'return') {
+            return false;
+        }
+        let unitCost = NaN;
+        if (record.reason === 'purchase' && record.linkedCollection === 'purchaseOrders') {
+            unitCost = receiptCost(context.purchaseOrders.get(record.linkedId), record);
+        }
+        if (Number.isNaN(unitCost)) {
+            const supply = context.supplies.get(record.itemId);
+            unitCost = parseFloat(supply && supply.price) || 0;
+        }
+        record.unitCost = unitCost;
+        return true;
+    }
+};
@@ -0,0 +1,10 @@
+// Every migration, in order. Listed by hand rather than read from the folder so
+// bundlers (Vercel) see the requires and ship the files.
+
+module.exports = [
+    require('./001-sales-commission-fields'),
+    require('./002-record-ids'),
+    require('./003-customer-and-item-links'),
+    require('./004-structured-yarn-amounts'),
+    require('./005-stock-movement-costs')
+];
@@ -0,0 +1,371 @@
+/**
+ * Joey Kaye Handmades - Record schemas
+ *
+ * Declares the fields each collection accepts. The server rejects writes that
+ * don't match (400 with one message per field) and the browser loads this same
+ * file so forms can show those messages next to the inputs before saving.
+ *
+ * Only declared fields are checked; anything else on a record is kept as is.
+ *
+ * Field rules:
+ *   type       string | number | date | email | color | image | media | array | object
+ *   required   must be present and not blank
+ *   unless     field name - not required when the record has that field
+ *   min/max    number range
+ *   maxLength  string length
+ *   values     allowed values
+ *   items      for arrays: the rules each entry's fields must meet
+ */
+
+const RecordSchemas = (() => {
+    const text = (label, options = {}) => ({ type: 'string', label, maxLength: 2000, ...options });
+    const amount = (label, options = {}) => ({ type: 'number', label, min: 0, ...options });
+    const date = label => ({ type: 'date', label });
+    const media = label => ({ type: 'media', label });
+    // The id of a record in another collection (customerId, itemId)
+    const link = (label, options = {}) => text(label, { maxLength: 100, ...options });
+    // Units of measure (units.js); no unit means counted in items
+    const unit = (label, options = {}) => text(label, { values: ['skein', 'spool', 'g', 'oz', 'yd', 'm'], ...options });
+
+    // Supplies and projects share the inventory collection
+    const itemFields = {
+        name: text('Name', { maxLength: 200 }),
+        description: text('Description', { required: true, maxLength: 500 }),
+        quantity: amount('Quantity'),
+        price: amount('Price'),
+        totalValue: amount('Total value'),
+        status: text('Status', { maxLength: 50 }),
+        priority: text('Priority', { values: ['low', 'medium', 'high', 'urgent'] }),
+        dueDate: date('Due date'),
+        dateAdded: date('Date added'),
+        notes: text('Notes', { maxLength: 5000 }),
+        location: text('Location', { maxLength: 200 }),
+        patternLink: text('Pattern link', { maxLength: 1000 }),
+        imageData: { type: 'image', label: 'Photo' },
+        mediaId: media('Photo'),
+        photo: { type: 'object', label: 'Photo' }
+    };
+
+    const SCHEMAS = {
+        inventoryItem: {
+            ...itemFields,
+            type: text('Type', { values: ['inventory'] }),
+            category: text('Category', { maxLength: 100 }),
+            supplier: text('Supplier', { maxLength: 200 }),
+            reorderPoint: amount('Reorder point'),
+            // Quantity, price and reorder point are all in this unit
+            unit: unit('Unit'),
+            // What one skein or spool of the supply weighs or measures
+            packageSizes: {
+                type: 'array',
+                label: 'Skein or spool size',
+                items: {
+                    quantity: amount('Size', { required: true }),
+                    unit: unit('Size unit', { required: true, values: ['g', 'oz', 'yd', 'm'] })
+                }
+            },
+            // The catalog color the supply is, and the dye lot of this stock
+            colorId: link('Color'),
+            dyeLot: text('Dye lot', { maxLength: 50 }),
+            // How much of the quantity is at each storage location; the rest is unassigned
+            locationStock: {
+                type: 'array',
+                label: 'Stock by location',
+                items: {
+                    locationId: link('Location', { required: true }),
+                    quantity: amount('Quantity', { required: true })
+                }
+            }
+        },
+        project: {
+            ...itemFields,
+            type: text('Type', { required: true, values: ['project'] }),
+            customer: text('Customer', { maxLength: 200 }),
+            customerId: link('Customer'),
+            yarnColor: text('Yarn color', { maxLength: 200 }),
+            // Picked from the color catalog; yarnColor keeps its label for display
+            colorId: link('Yarn color'),
+            yarnQuantity: amount('Yarn amount'),
+            yarnUnit: unit('Yarn unit'),
+            invoicedDate: date('Invoiced date'),
+            // Supplies the project uses; taken out of stock when it's completed
+            materials: {
+                type: 'array',
+                label: 'Materials',
+                items: {
+                    itemId: link('Supply', { required: true }),
+                    // In `unit`, or the supply's own unit when it has none
+                    quantity: amount('Quantity', { required: true }),
+                    unit: unit('Unit'),
+                    // What completing the project took, in the supply's unit
+                    usedQuantity: amount('Quantity used')
+                }
+            },
+            materialsUsedAt: date('Materials used'),
+            // Time worked on the project, costed at the business hourly rate
+            timeLog: {
+                type: 'array',
+                label: 'Time log',
+                items: {
+                    date: { type: 'date', label: 'Date', required: true },
+                    hours: amount('Hours', { required: true }),
+                    note: text('Note', { maxLength: 200 })
+                }
+            }
+        },
+        customers: {
+            name: text('Name', { required: true, maxLength: 200 }),
+            contact: text('Contact', { maxLength: 500 }),
+            email: { type: 'email', label: 'Email' },
+            location: text('Location', { maxLength: 200 }),
+            status: text('Status', { maxLength: 50 }),
+            dateAdded: date('Date added')
+        },
+        sales: {
+            itemName: text('Item', { maxLength: 200 }),
+            itemId: link('Item'),
+            customer: text('Customer', { maxLength: 200 }),
+            customerId: link('Customer'),
+            listedPrice: amount('Listed price'),
+            salePrice: amount('Sale price'),
+            commission: amount('Commission', { max: 100 }),
+            commissionAmount: amount('Commission amount'),
+            netAmount: { type: 'number', label: 'Net amount' },
+            discount: { type: 'number', label: 'Discount' },
+            discountPercent: { type: 'number', label: 'Discount percent' },
+            dateSold: date('Date sold'),
+            saleType: text('Sale type', { values: ['inventory', 'custom', 'general'] }),
+            saleChannel: text('Sale channel', { values: ['shop', 'individual'] }),
+            description: text('Description'),
+            notes: text('Notes', { maxLength: 5000 })
+        },
+        gallery: {
+            title: text('Title', { maxLength: 200 }),
+            description: text('Description'),
+            status: text('Status', { maxLength: 50 }),
+            imageData: { type: 'image', label: 'Photo', required: true, unless: 'mediaId' },
+            mediaId: media('Photo'),
+            dateAdded: date('Date added')
+        },
+        ideas: {
+            title: text('Title', { required: true, maxLength: 200 }),
+            description: text('Description', { maxLength: 5000 }),
+            category: text('Category', { maxLength: 100 }),
+            status: text('Status', { values: ['new', 'in-progress', 'completed', 'archived'] }),
+            priority: text('Priority', { values: ['low', 'medium', 'high'] }),
+            source: text('Source', { maxLength: 1000 }),
+            notes: text('Notes', { maxLength: 5000 }),
+            imageData: { type: 'image', label: 'Image' },
+            mediaId: media('Image'),
+            dateAdded: date('Date added')
+        },
+        invoices: {
+            customer: text('Customer', { required: true, maxLength: 200 }),
+            customerId: link('Customer'),
+            date: { type: 'date', label: 'Invoice date', required: true },
+            notes: text('Notes', { maxLength: 5000 }),
+            sales: { type: 'array', label: 'Sales', required: true, minItems: 1 },
+            total: amount('Total', { required: true }),
+            status: text('Status', { values: ['pending', 'paid', 'cancelled'] }),
+            createdAt: date('Created')
+        },
+        purchaseOrders: {
+            supplier: text('Supplier', { required: true, maxLength: 200 }),
+            status: text('Status', { values: ['draft', 'ordered', 'partially-received', 'received'] }),
+            orderDate: date('Order date'),
+            expectedDate: date('Expected date'),
+            notes: text('Notes', { maxLength: 5000 }),
+            // One line per supply, at the cost we expect to pay
+            lines: {
+                type: 'array',
+                label: 'Order lines',
+                required: true,
+                minItems: 1,
+                items: {
+                    itemId: link('Supply', { required: true }),
+                    quantity: amount('Quantity', { required: true }),
+                    unitCost: amount('Expected unit cost'),
+                    receivedQuantity: amount('Quantity received')
+                }
+            },
+            // One entry per line delivered, at what it actually cost
+            receipts: {
+                type: 'array',
+                label: 'Receipts',
+                items: {
+                    itemId: link('Supply', { required: true }),
+                    quantity: amount('Quantity', { required: true }),
+                    unitCost: amount('Unit cost', { required: true }),
+                    receivedAt: { type: 'date', label: 'Received', required: true }
+                }
+            },
+            dateAdded: date('Date added')
+        },
+        // The stock ledger: one entry per change to a supply's quantity
+        stockMovements: {
+            itemId: link('Supply', { required: true }),
+            delta: { type: 'number', label: 'Change', required: true },
+            quantityAfter: { type: 'number', label: 'Quantity after' },
+            reason: text('Reason', { required: true, values: ['opening', 'purchase', 'consumed', 'adjustment', 'waste', 'return', 'transfer', 'stocktake'] }),
+            linkedCollection: text('Linked record type', { maxLength: 50 }),
+            linkedId: link('Linked record'),
+            note: text('Note', { maxLength: 500 }),
+            user: text('User', { maxLength: 100 }),
+            // The storage location the stock came into or left (none: unassigned)
+            locationId: link('Location'),
+            // What stock coming in cost per unit (purchases, opening balances)
+            unitCost: amount('Unit cost'),
+            // Set when the supply switched unit: earlier quantities times this are in the new unit
+            unitFactor: amount('Unit conversion'),
+            createdAt: { type: 'date', label: 'Date', required: true }
+        },
+        // Where supplies are kept: studio shelves, a travel kit, a consignment shop...
+        locations: {
+            name: text('Name', { required: true, maxLength: 100 }),
+            kind: text('Kind', { values: ['studio', 'kit', 'consignment', 'storage', 'other'] }),
+            notes: text('Notes', { maxLength: 1000 }),
+            dateAdded: date('Date added')
+        },
+        // The color catalog: one entry per brand's color, e.g. DMC 336 Navy Blue
+        colors: {
+            brand: text('Brand', { required: true, maxLength: 100 }),
+            code: text('Color code', { required: true, maxLength: 50 }),
+            name: text('Color name', { maxLength: 100 }),
+            hex: { type: 'color', label: 'Swatch' },
+            // The same color in other brands, from an imported cross-reference chart
+            equivalents: {
+                type: 'array',
+                label: 'Equivalent colors',
+                items: {
+                    brand: text('Brand', { required: true, maxLength: 100 }),
+                    code: text('Color code', { required: true, maxLength: 50 })
+                }
+            },
+            dateAdded: date('Date added')
+        },
+        // One record with id 'business'
+        settings: {
+            costingMethod: text('Costing method', { values: ['average', 'fifo'] }),
+            // What an hour of work is worth, and the overhead (rent, power,
+            // equipment) spread over each hour worked
+            hourlyRate: amount('Hourly rate'),
+            overheadRate: amount('Overhead per hour')
+        }
+    };
+
+    function getSchema(collection, record) {
+        if (collection === 'inventory') {
+            return record && record.type === 'project' ? SCHEMAS.project : SCHEMAS.inventoryItem;
+        }
+        return SCHEMAS[collection] || null;
+    }
+
+    function isBlank(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    // Form inputs hand us numbers as strings, so numeric strings count as numbers
+    function toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && value.trim() !== '') return Number(value);
+        return NaN;
+    }
+
+    // Returns an error message, or null if the value is fine
+    function checkField(rule, value, record) {
+        const label = rule.label;
+        if (isBlank(value)) {
+            const required = rule.required && !(rule.unless && !isBlank(record[rule.unless]));
+            return required ? `${label} is required` : null;
+        }
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string') return `${label} must be text`;
+                if (rule.maxLength && value.length > rule.maxLength) {
+                    return `${label} must be ${rule.maxLength} characters or fewer`;
+                }
+                break;
+            case 'number': {
+                const number = toNumber(value);
+                if (!Number.isFinite(number)) return `${label} must be a number`;
+                if (rule.min !== undefined && number < rule.min) return `${label} must be at least ${rule.min}`;
+                if (rule.max !== undefined && number > rule.max) return `${label} must be at most ${rule.max}`;
+                break;
+            }
+            case 'date':
+                if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return `${label} must be a valid date`;
+                break;
+            case 'email':
+                if (typeof value !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+                    return `${label} must be a valid email address`;
+                }
+                break;
+            case 'color':
+                // Swatch color as #rrggbb
+                if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+                    return `${label} must be a color like #1f3a5f`;
+                }
+                break;
+            case 'image':
+                // Embedded data URL or a link to a stored file
+                if (typeof value !== 'string' || !/^(data:image\/|https?:\/\/|\/)/.test(value)) {
+                    return `${label} must be an image`;
+                }
+                break;
+            case 'media':
+                // Id returned by /api/media (SHA-256 of the file)
+                if (typeof value !== 'string' || !/^[a-f0-9]{64}$/.test(value)) {
+                    return `${label} is not a stored image`;
+                }
+                break;
+            case 'array':
+                if (!Array.isArray(value)) return `${label} must be a list`;
+                if (rule.minItems && value.length < rule.minItems) return `${label} must have at least ${rule.minItems} entry`;
+                if (rule.items) {
+                    for (let i = 0; i < value.length; i++) {
+                        const entry = value[i];
+                        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+                            return `${label} entry ${i + 1} is not valid`;
+                        }
+                        for (const [field, entryRule] of Object.entries(rule.items)) {
+                            const message = checkField(entryRule, entry[field], entry);
+                            if (message) return `${label} entry ${i + 1}: ${message}`;
+                        }
+                    }
+                }
+                break;
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) return `${label} is not valid`;
+                break;
+        }
+
+        if (rule.values && !rule.values.includes(value)) {
+            return `${label} must be one of: ${rule.values.join(', ')}`;
+        }
+        return null;
+    }
+
+    // Check a record against its collection's schema. Returns { field: message }
+    // for every field that failed - an empty object means the record is valid.
+    function validateRecord(collection, record) {
+        const schema = getSchema(collection, record);
+        const errors = {};
+        if (!schema) {
+            return errors;
+        }
+        Object.entries(schema).forEach(([field, rule]) => {
+            const message = checkField(rule, record[field], record);
+            if (message) {
+                errors[field] = message;
+            }
+        });
+        return errors;
+    }
+
+    return { SCHEMAS, getSchema, validateRecord };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordSchemas;
+}
@@ -5,6 +5,11 @@ let sales = [];
 let gallery = [];
 let invoices = [];
 let ideas = [];
+let purchaseOrders = [];
+let stockMovements = [];
+let settings = [];
+let locations = [];
+let colors = [];
 
 // Performance optimization settings
 const PERFORMANCE_CONFIG = {
@@ -209,7 +214,7 @@ function changePageSize(tab, newSize) {
     updatePaginationControls(tab);
 }
 
-function updatePaginationControls(tab) {
+function updatePaginationControls(tab, queryTotal) {
     const paginationInfo = document.getElementById(`${tab}PaginationInfo`);
     const firstBtn = document.getElementById(`${tab}FirstPage`);
     const prevBtn = document.getElementById(`${tab}PrevPage`);
@@ -225,7 +230,9 @@ function updatePaginationControls(tab) {
     
     // Get the actual total count from the data
     let actualTotal = 0;
-    if (tab === 'projects') {
+    if (queryTotal !== undefined) {
+        actualTotal = queryTotal;
+    } else if (tab === 'projects') {
         actualTotal = inventory.filter(item => item.type === 'project' || !item.type).length;
     } else if (tab === 'inventory') {
         actualTotal = inventory.filter(item => item.type === 'inventory').length;
@@ -264,8 +271,199 @@ function updatePaginationControls(tab) {
     }
 }
 
+// ===== SERVER LIST QUERIES =====
+// The projects, WIP and completed tabs ask the server which records to show (filtered,
+// one page at a time, only the fields each tab displays) instead of filtering the whole
+// collection. Offline or logged out the same query is run in memory instead.
+
+const listQueryState = {};
+const MAX_LIST_PAGE_SIZE = 500; // The server's MAX_PAGE_SIZE
+
+// Same filters and search fields as the server's buildListQuery
+const LIST_FILTER_FIELDS = ['status', 'type', 'customer', 'customerId', 'itemId', 'location', 'locationId', 'priority', 'supplier', 'reason'];
+const LIST_SEARCH_FIELDS = {
+    inventory: ['name', 'description', 'notes', 'customer', 'tags', 'supplier']
+};
+const LIST_DATE_FIELDS = {
+    inventory: 'dateAdded'
+};
+
+async function fetchRecordPage(collection, params = {}) {
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        [].concat(value)
+            .filter(item => item !== undefined && item !== null && item !== '')
+            .forEach(item => search.append(key, item));
+    });
+    const response = await fetch(`/api/${collection}?${search}`, { credentials: 'include' });
+    if (response.status === 401) {
+        promptForLogin();
+    }
+    if (!response.ok) {
+        const error = new Error(`Failed to query ${collection}: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+    const records = await response.json();
+    const total = response.headers.get('X-Total-Count');
+    return {
+        records,
+        total: total === null ? records.length : Number(total),
+        nextCursor: response.headers.get('X-Next-Cursor')
+    };
+}
+
+// Fetch page `page` of a paginated list. Cursors are remembered per tab, and pages
+// further ahead than we've seen are reached by skipping over ids only, at most
+// MAX_LIST_PAGE_SIZE at a time.
+async function fetchListPage(tab, collection, params, page, pageSize) {
+    const key = JSON.stringify({ collection, params, pageSize });
+    if (!listQueryState[tab] || listQueryState[tab].key !== key) {
+        listQueryState[tab] = { key, cursors: [null] }; // cursors[n] starts page n + 1
+    }
+    const { cursors } = listQueryState[tab];
+    
+    const known = Math.min(page, cursors.length);
+    if (known < page && cursors[known - 1] !== undefined) {
+        let cursor = cursors[known - 1];
+        let remaining = (page - known) * pageSize;
+        while (remaining > 0 && cursor !== undefined) {
+            const limit = Math.min(remaining, MAX_LIST_PAGE_SIZE);
+            const skipped = await fetchRecordPage(collection, { ...params, fields: 'id', limit, cursor });
+            cursor = skipped.nextCursor || undefined;
+            remaining -= limit;
+        }
+        cursors[page - 1] = cursor;
+    }
+    
+    const result = await fetchRecordPage(collection, { ...params, limit: pageSize, cursor: cursors[page - 1] });
+    if (result.nextCursor) {
+        cursors[page] = result.nextCursor;
+    }
+    return result;
+}
+
+// A record this device holds wins over the server's row: it may carry an edit that
+// hasn't reached the server yet. Other rows keep just the fields the list asked for.
+// Records deleted here are left out.
+function withLocalCopies(records) {
+    const held = new Map(inventory.map(item => [item.id, item]));
+    return records
+        .filter(record => {
+            const pending = latestOutboxEntry('inventory', record.id);
+            return !(pending && pending.action === 'delete');
+        })
+        .map(record => held.get(record.id) || record);
+}
+
+// Add records fetched from the server to the ones held in memory, as the copies the
+// server last acknowledged. A held record with an unsaved edit (or a newer revision
+// from live sync) is kept. Returns the held records.
+function holdRecords(collection, records) {
+    const held = getDataCollections()[collection];
+    const synced = syncedRecords[collection] || new Map();
+    syncedRecords[collection] = synced;
+    const indexes = new Map(held.map((record, index) => [record.id, index]));
+    
+    return records.map(record => {
+        const index = indexes.get(record.id);
+        if (hasPendingEdit(collection, record.id) ||
+            (index !== undefined && (held[index].revision || 0) > (record.revision || 0))) {
+            return index === undefined ? null : held[index];
+        }
+        if (index === undefined) {
+            indexes.set(record.id, held.push(record) - 1);
+        } else {
+            held[index] = record;
+        }
+        synced.set(record.id, JSON.stringify(record));
+        return record;
+    }).filter(Boolean);
+}
+
+// The full record with this id, fetched when only its list row has been seen.
+// Null when there's no such record, or it isn't held and can't be fetched.
+async function loadRecord(collection, id) {
+    const held = getDataCollections()[collection].find(record => record.id === id);
+    if (held || !canQueryServer()) {
+        return held || null;
+    }
+    try {
+        const response = await fetch(`/api/${collection}/${encodeURIComponent(id)}`, { credentials: 'include' });
+        if (response.status === 401) {
+            promptForLogin();
+        }
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load ${collection} ${id}: ${response.status} ${response.statusText}`);
+        }
+        return holdRecords(collection, [await response.json()])[0] || null;
+    } catch (error) {
+        logError('Load record', error);
+        showNotification('Could not load this record from the server', 'error');
+        return null;
+    }
+}
+
+// Cards pass a record id, or (older ones) an index into inventory. Resolves to the
+// index of the held record, fetching it first if need be, or -1.
+async function inventoryIndex(itemIdOrIndex) {
+    if (typeof itemIdOrIndex === 'string' || typeof itemIdOrIndex === 'number' && itemIdOrIndex > 1000) {
+        return inventory.indexOf(await loadRecord('inventory', itemIdOrIndex));
+    }
+    const index = parseInt(itemIdOrIndex);
+    return index >= 0 && index < inventory.length ? index : -1;
+}
+
+// Does `record` match list query `params` the way the server's buildListQuery would?
+function matchesListQuery(collection, record, params) {
+    const values = value => [].concat(value).filter(item => item !== undefined && item !== null && item !== '');
+    const fieldValues = field => [].concat(record[field]);
+    
+    const filtered = LIST_FILTER_FIELDS.every(field => {
+        const wanted = values(params[field]);
+        return wanted.length === 0 || fieldValues(field).some(value => wanted.includes(value));
+    });
+    if (!filtered) return false;
+    
+    if (params.tag) {
+        const tag = String(params.tag).toLowerCase();
+        const tags = Array.isArray(record.tags) ? record.tags : String(record.tags || '').split(',');
+        if (!tags.some(item => String(item).trim().toLowerCase() === tag)) return false;
+    }
+    
+    if (params.q) {
+        const search = String(params.q).toLowerCase();
+        const found = LIST_SEARCH_FIELDS[collection].some(field => fieldValues(field)
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(search)));
+        if (!found) return false;
+    }
+    
+    if (params.from || params.to) {
+        const value = record[params.dateField || LIST_DATE_FIELDS[collection]];
+        if (value === undefined || value === null || value === '') return false;
+        if (params.from && String(value) < params.from) return false;
+        if (params.to) {
+            // A plain YYYY-MM-DD covers the whole day
+            if (/^\d{4}-\d{2}-\d{2}$/.test(params.to) ? String(value).slice(0, 10) > params.to : String(value) > params.to) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+// While a save is in flight the server is behind our copy, so filter locally until it lands
+function canQueryServer() {
+    return isAuthenticated && navigator.onLine !== false && !window.isSaving && !window.isModifying;
+}
+
 // Load Projects as Cards
-function loadProjectsCards() {
+let projectsQueryId = 0;
+
+async function loadProjectsCards() {
     console.log('🎯 loadProjectsCards() called');
     const container = document.getElementById('projectsCards');
     if (!container) {
@@ -273,33 +471,61 @@ function loadProjectsCards() {
         return;
     }
     
+    const searchTerm = document.getElementById('searchItems')?.value.trim() || '';
+    const statusFilter = document.getElementById('statusFilter')?.value || '';
+    const customerFilter = document.getElementById('customerFilter')?.value || '';
+    const locationFilter = document.getElementById('locationFilter')?.value || '';
+    const queryId = ++projectsQueryId;
+    
+    const params = {
+        type: 'project',
+        status: statusFilter,
+        customer: customerFilter,
+        location: locationFilter,
+        q: searchTerm
+    };
+    
+    let projects;
+    let totalProjects;
+    try {
+        if (!canQueryServer()) {
+            throw new Error('Not connected');
+        }
+        const page = await fetchListPage('projects', 'inventory', {
+            ...params,
+            fields: 'description,name,status,customer,dueDate,quantity,price'
+        }, currentPage, currentPageSize);
+        if (queryId !== projectsQueryId) {
+            return; // A newer load has started
+        }
+        projects = withLocalCopies(page.records);
+        totalProjects = page.total;
+    } catch (error) {
+        console.log('📦 Filtering projects locally:', error.message);
+        const matching = inventory.filter(item => matchesListQuery('inventory', item, params));
+        const pagination = PerformanceManager.paginateData(matching, currentPage, currentPageSize);
+        projects = pagination.data;
+        totalProjects = pagination.totalItems;
+    }
+    
+    totalPages = Math.max(1, Math.ceil(totalProjects / currentPageSize));
+    updatePaginationControls('projects', totalProjects);
+    const projectsPagination = document.getElementById('projectsPagination');
+    if (projectsPagination) {
+        projectsPagination.style.display = totalProjects > currentPageSize ? '' : 'none';
+    }
+    
     console.log('🧹 Clearing projectsCards container');
     container.innerHTML = '';
     
-    // Filter projects only and apply current filters
-    const projects = inventory.filter(item => {
-        if (item.type !== 'project') return false;
-        
-        // Apply current filters
-        const searchTerm = document.getElementById('searchItems')?.value.toLowerCase() || '';
-        const statusFilter = document.getElementById('statusFilter')?.value || '';
-        const customerFilter = document.getElementById('customerFilter')?.value || '';
-        const locationFilter = document.getElementById('locationFilter')?.value || '';
-        
-        return (!searchTerm || item.description?.toLowerCase().includes(searchTerm)) &&
-               (!statusFilter || item.status === statusFilter) &&
-               (!customerFilter || item.customer === customerFilter) &&
-               (!locationFilter || item.location === locationFilter);
-    });
-    
     if (projects.length === 0) {
         container.innerHTML = '<div class="no-data">No projects found. <a href="#" onclick="openAddProjectModal()">Add your first project</a></div>';
         return;
     }
     
     projects.forEach((project, index) => {
-        // Find the actual inventory index for this project
-        const actualIndex = inventory.findIndex(item => item === project);
+        // Cards pass the id: a project only listed so far is fetched when it's opened
+        const projectId = SecurityManager.escapeHtml(String(project.id));
         
         const card = document.createElement('div');
         card.className = 'project-card';
@@ -334,13 +560,13 @@ function loadProjectsCards() {
                 ` : ''}
             </div>
             <div class="project-card-actions">
-                <button class="btn btn-outline btn-sm" onclick="editItem(${actualIndex})" title="Edit Project">
+                <button class="btn btn-outline btn-sm" data-item-id="${projectId}" onclick="editItem(this.dataset.itemId)" title="Edit Project">
                     <i class="fas fa-edit"></i> Edit
                 </button>
-                <button class="btn btn-outline btn-sm" onclick="copyItem(${actualIndex})" title="Copy Project">
+                <button class="btn btn-outline btn-sm" data-item-id="${projectId}" onclick="copyItem(this.dataset.itemId)" title="Copy Project">
                     <i class="fas fa-copy"></i> Copy
                 </button>
-                <button class="btn btn-danger btn-sm" onclick="deleteItem(${actualIndex})" title="Delete Project">
+                <button class="btn btn-danger btn-sm" data-item-id="${projectId}" onclick="deleteItem(this.dataset.itemId)" title="Delete Project">
                     <i class="fas fa-trash"></i> Delete
                 </button>
             </div>
@@ -395,12 +621,18 @@ function loadInventoryCards() {
             <div class="project-card-details">
                 <div class="project-card-detail">
                     <span class="project-card-detail-label">Quantity:</span>
-                    <span class="project-card-detail-value">${item.quantity || 0}</span>
+                    <span class="project-card-detail-value">${formatStockQuantity(parseFloat(item.quantity) || 0, item)}</span>
+                </div>
+                ${(item.locationStock || []).length > 0 ? `
+                <div class="project-card-detail">
+                    <span class="project-card-detail-label">Where:</span>
+                    <span class="project-card-detail-value">${supplyLocationStock(item).map(entry => SecurityManager.escapeHtml(`${locationName(entry.locationId)}: ${formatStockQuantity(entry.quantity, item)}`)).join(', ')}</span>
                 </div>
+                ` : ''}
                 ${item.price ? `
                 <div class="project-card-detail">
                     <span class="project-card-detail-label">Price:</span>
-                    <span class="project-card-detail-value">$${(item.price || 0).toFixed(2)}</span>
+                    <span class="project-card-detail-value">$${(item.price || 0).toFixed(2)}${item.unit ? ` per ${Units.unitLabel(item.unit, 1)}` : ''}</span>
                 </div>
                 ` : ''}
                 ${item.notes ? `
@@ -414,6 +646,14 @@ function loadInventoryCards() {
                 <button class="btn btn-outline btn-sm" onclick="editItem(${actualIndex})" title="Edit Item">
                     <i class="fas fa-edit"></i> Edit
                 </button>
+                ${item.id ? `
+                <button class="btn btn-outline btn-sm" data-item-id="${SecurityManager.escapeHtml(item.id)}" onclick="openStockHistory(this.dataset.itemId)" title="Stock History">
+                    <i class="fas fa-history"></i> History
+                </button>
+                <button class="btn btn-outline btn-sm" data-item-id="${SecurityManager.escapeHtml(item.id)}" onclick="openTransferStock(this.dataset.itemId)" title="Move to another location">
+                    <i class="fas fa-exchange-alt"></i> Move
+                </button>
+                ` : ''}
                 <button class="btn btn-danger btn-sm" onclick="deleteItem(${actualIndex})" title="Delete Item">
                     <i class="fas fa-trash"></i> Delete
                 </button>
@@ -441,7 +681,7 @@ function loadCustomersCards() {
         card.className = 'customer-card';
         
         // Calculate customer statistics
-        const customerProjects = inventory.filter(item => item.customer === customer.name);
+        const customerProjects = inventory.filter(item => belongsToCustomer(item, customer));
         const totalOrders = customerProjects.length;
         const totalSpent = customerProjects.reduce((sum, item) => {
             const price = parseFloat(item.price) || 0;
@@ -644,10 +884,11 @@ function loadInventoryTableWithPagination() {
             `;
         }
         
-        const yarnInfoDisplay = (item.yarnColor || item.yarnAmount) ? 
+        const yarnAmount = yarnAmountLabel(item);
+        const yarnInfoDisplay = (item.yarnColor || yarnAmount) ? 
             `<div class="yarn-meta">
-                ${item.yarnColor ? `<span class="yarn-color"><i class="fas fa-palette"></i> ${item.yarnColor}</span>` : ''}
-                ${item.yarnAmount ? `<span class="yarn-amount"><i class="fas fa-weight"></i> ${item.yarnAmount}</span>` : ''}
+                ${item.yarnColor ? `<span class="yarn-color">${colorSwatchHtml(item.colorId) || '<i class="fas fa-palette"></i>'} ${SecurityManager.escapeHtml(item.yarnColor)}</span>` : ''}
+                ${yarnAmount ? `<span class="yarn-amount"><i class="fas fa-weight"></i> ${SecurityManager.escapeHtml(yarnAmount)}</span>` : ''}
             </div>` : '';
         
         row.innerHTML = `
@@ -704,7 +945,7 @@ function loadInventoryItemsTableWithPagination() {
             return (!searchTerm || item.description?.toLowerCase().includes(searchTerm)) &&
                    (!statusFilter || item.status === statusFilter) &&
                    (!categoryFilter || item.category === categoryFilter) &&
-                   (!locationFilter || item.location === locationFilter);
+                   (!locationFilter || locationQuantity(item, locationFilter) > 0);
         });
         
         PerformanceManager.setCachedData(cacheKey, data);
@@ -1536,7 +1777,6 @@ class DataManager {
         this.backupFrequency = 24 * 60 * 60 * 1000; // 24 hours
         this.maxBackups = 30;
         this.dataVersion = 1;
-        this.changeHistory = [];
         this.initializeDataManagement();
     }
     
@@ -1567,7 +1807,12 @@ class DataManager {
                 sales: [...sales],
                 gallery: [...gallery],
                 invoices: [...invoices],
-                ideas: [...ideas]
+                ideas: [...ideas],
+                purchaseOrders: [...purchaseOrders],
+                stockMovements: [...stockMovements],
+                settings: [...settings],
+                locations: [...locations],
+                colors: [...colors]
             },
             metadata: {
                 totalItems: inventory.length + customers.length + sales.length + gallery.length + invoices.length + ideas.length,
@@ -1625,6 +1870,10 @@ class DataManager {
     }
     
     restoreBackup(backupKey) {
+        if (!requirePermission('data:manage', 'restore backups')) {
+            return false;
+        }
+        
         const backupData = localStorage.getItem(backupKey);
         if (!backupData) {
             showNotification('Backup not found!', 'error');
@@ -1650,6 +1899,12 @@ class DataManager {
             gallery = [...backup.data.gallery];
             invoices = [...backup.data.invoices];
             ideas = [...backup.data.ideas];
+            // Backups made before purchase orders existed don't have them
+            purchaseOrders = [...(backup.data.purchaseOrders || [])];
+            stockMovements = [...(backup.data.stockMovements || [])];
+            settings = [...(backup.data.settings || [])];
+            locations = [...(backup.data.locations || [])];
+            colors = [...(backup.data.colors || [])];
             
             // Save restored data
             this.saveData();
@@ -1694,28 +1949,6 @@ class DataManager {
         };
     }
     
-    trackChange(action, itemType, itemId, oldValue, newValue) {
-        const change = {
-            timestamp: new Date().toISOString(),
-            action: action,
-            itemType: itemType,
-            itemId: itemId,
-            oldValue: oldValue,
-            newValue: newValue,
-            user: 'current_user' // Could be enhanced with actual user tracking
-        };
-        
-        this.changeHistory.push(change);
-        
-        // Keep only last 1000 changes
-        if (this.changeHistory.length > 1000) {
-            this.changeHistory = this.changeHistory.slice(-1000);
-        }
-        
-        // Save change history
-        localStorage.setItem('change_history', JSON.stringify(this.changeHistory));
-    }
-    
     setupDataIntegrityChecks() {
         // Run integrity checks periodically
         setInterval(() => {
@@ -1741,17 +1974,14 @@ class DataManager {
             issues.push(`Duplicate IDs found: ${duplicateIds.join(', ')}`);
         }
         
-        // Check for missing required fields
-        inventory.forEach((item, index) => {
-            if (!item.description || !item.status) {
-                issues.push(`Inventory item ${index} missing required fields`);
-            }
-        });
-        
-        customers.forEach((customer, index) => {
-            if (!customer.name || !customer.email) {
-                issues.push(`Customer ${index} missing required fields`);
-            }
+        // Check every record against the schemas the server enforces (schemas.js)
+        Object.entries(getDataCollections()).forEach(([name, records]) => {
+            records.forEach((record, index) => {
+                const invalidFields = Object.keys(RecordSchemas.validateRecord(name, record));
+                if (invalidFields.length > 0) {
+                    issues.push(`${name} record ${index} has invalid fields: ${invalidFields.join(', ')}`);
+                }
+            });
         });
         
         if (issues.length > 0) {
@@ -1859,8 +2089,7 @@ class DataManager {
             ideas: ideas.length,
             totalItems: inventory.length + customers.length + sales.length + gallery.length + invoices.length + ideas.length,
             lastBackup: this.getLastBackupTime(),
-            dataSize: this.calculateDataSize(),
-            changeHistory: this.changeHistory.length
+            dataSize: this.calculateDataSize()
         };
     }
     
@@ -1921,7 +2150,7 @@ class DataManager {
     
     exportAllData() {
         const allData = {
-            inventory, customers, sales, gallery, invoices, ideas,
+            inventory, customers, sales, gallery, invoices, ideas, purchaseOrders, stockMovements, settings, locations, colors,
             metadata: {
                 exportDate: new Date().toISOString(),
                 version: this.dataVersion,
@@ -1933,6 +2162,10 @@ class DataManager {
     }
     
     importData(file) {
+        if (!requirePermission('data:manage', 'import data')) {
+            return;
+        }
+        
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
@@ -1953,6 +2186,11 @@ class DataManager {
                 gallery = [...importedData.gallery];
                 invoices = [...importedData.invoices];
                 ideas = [...importedData.ideas];
+                purchaseOrders = [...(importedData.purchaseOrders || [])];
+                stockMovements = [...(importedData.stockMovements || [])];
+                settings = [...(importedData.settings || [])];
+                locations = [...(importedData.locations || [])];
+                colors = [...(importedData.colors || [])];
                 
                 // Save imported data
                 this.saveData();
@@ -2618,6 +2856,8 @@ class DesktopManager {
         this.fileSystemAccess = null;
         this.notificationPermission = null;
         this.systemIntegration = null;
+        // Supplies already reported as low, so each is only announced once
+        this.lowStockNotified = new Set();
         this.initializeDesktopFeatures();
     }
     
@@ -2734,8 +2974,8 @@ class DesktopManager {
                     <i class="fas fa-bell"></i>
                 </div>
                 <div class="notification-text">
-                    <div class="notification-title">${title}</div>
-                    <div class="notification-body">${options.body || ''}</div>
+                    <div class="notification-title">${SecurityManager.escapeHtml(title)}</div>
+                    <div class="notification-body">${SecurityManager.escapeHtml(options.body || '')}</div>
                 </div>
                 <button class="notification-close" onclick="this.parentElement.parentElement.remove()">
                     <i class="fas fa-times"></i>
@@ -3168,6 +3408,25 @@ class DesktopManager {
             });
         }
     }
+    
+    checkLowStock() {
+        const lowStock = findLowStockSupplies();
+        const newlyLow = lowStock.filter(({ supply }) => !this.lowStockNotified.has(supply.id));
+        // Forget restocked supplies so they're announced again next time they run low
+        this.lowStockNotified = new Set(lowStock.map(({ supply }) => supply.id));
+        
+        if (newlyLow.length > 0) {
+            const names = newlyLow.map(({ supply }) => supplyLabel(supply));
+            this.showNotification('Low Stock', {
+                body: `Time to reorder: ${names.join(', ')}`,
+                tag: 'low-stock',
+                onclick: () => {
+                    window.focus();
+                    switchTab('reports').then(generateShoppingListReport);
+                }
+            });
+        }
+    }
 }
 
 // Initialize desktop manager
@@ -3987,8 +4246,14 @@ function isLocalhost() {
 
 // Function to change password (you can call this from browser console)
 // Note: Password is now managed server-side
-function changePassword(newPassword) {
-    console.log('Password changes must be made server-side in server.js or environment variables');
+async function changePassword(currentPassword, newPassword) {
+    const response = await fetch('/api/auth/change-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ currentPassword, newPassword })
+    });
+    return response.json();
 }
 
 function logout() {
@@ -4022,7 +4287,15 @@ function hideChangePasswordModal() {
     if (successDiv) successDiv.style.display = 'none';
 }
 
-function handleChangePassword(event) {
+function showChangePasswordError(message) {
+    const errorText = document.getElementById('changePasswordErrorText');
+    const errorDiv = document.getElementById('changePasswordError');
+    
+    if (errorText) errorText.textContent = message;
+    if (errorDiv) errorDiv.style.display = 'block';
+}
+
+async function handleChangePassword(event) {
     event.preventDefault();
     const currentPassword = document.getElementById('currentPassword').value;
     const newPassword = document.getElementById('newPassword').value;
@@ -4032,32 +4305,30 @@ function handleChangePassword(event) {
     document.getElementById('changePasswordError').style.display = 'none';
     document.getElementById('changePasswordSuccess').style.display = 'none';
     
-    // Validate current password - now handled server-side
-    console.log('Password validation is now handled server-side');
-    // Note: Password validation is now handled server-side, so we skip client-side validation
-    
-    // Validate new password
-    if (newPassword.length < 4) {
-        const errorText = document.getElementById('changePasswordErrorText');
-        const errorDiv = document.getElementById('changePasswordError');
-        
-        if (errorText) errorText.textContent = 'New password must be at least 4 characters long.';
-        if (errorDiv) errorDiv.style.display = 'block';
+    // Validate new password (the server enforces the same rule)
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        showChangePasswordError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
         return;
     }
     
     // Validate password confirmation
     if (newPassword !== confirmPassword) {
-        const errorText = document.getElementById('changePasswordErrorText');
-        const errorDiv = document.getElementById('changePasswordError');
-        
-        if (errorText) errorText.textContent = 'New passwords do not match.';
-        if (errorDiv) errorDiv.style.display = 'block';
+        showChangePasswordError('New passwords do not match.');
+        return;
+    }
+    
+    try {
+        const data = await changePassword(currentPassword, newPassword);
+        if (!data.success) {
+            showChangePasswordError(data.message || 'Password change failed. Please try again.');
+            return;
+        }
+    } catch (error) {
+        console.error('Change password error:', error);
+        showChangePasswordError('Password change failed. Please try again.');
         return;
     }
     
-    // Change password - now handled server-side
-    console.log('Password changes must be made server-side');
     document.getElementById('changePasswordSuccess').style.display = 'block';
     
     // Hide success message after 2 seconds and close modal
@@ -4248,11 +4519,16 @@ function handleInvoiceGeneration(event) {
         createdAt: new Date().toISOString()
     };
     
+    if (!validateFormRecord('invoiceForm', 'invoices', invoice)) {
+        return;
+    }
+    
     // Add to invoices array
     invoices.push(invoice);
     
-    // Save to localStorage
+    // Save to localStorage and the server
     saveInvoicesToLocalStorage();
+    saveData();
     
     // Close modal
     closeModal('invoiceModal');
@@ -4693,6 +4969,7 @@ function cleanupInvalidInvoices() {
         invoices.length = 0; // Clear the array
         invoices.push(...validInvoices); // Add back only valid invoices
         saveInvoicesToLocalStorage();
+        saveData();
         console.log(`Cleaned up ${removedCount} invalid invoices`);
         showNotification(`Cleaned up ${removedCount} invalid invoices containing shop sales`, 'success');
     } else {
@@ -4764,6 +5041,13 @@ function loadInvoicesFromLocalStorage() {
     }
 }
 
+// Stored invoices without a revision were never saved to the server
+function getLocalOnlyInvoices() {
+    const stored = JSON.parse(localStorage.getItem('embroideryInvoices') || '[]');
+    const serverIds = new Set(invoices.map(invoice => invoice.id));
+    return stored.filter(invoice => invoice.revision === undefined && !serverIds.has(invoice.id));
+}
+
 // Password visibility toggle function
 function togglePassword(inputId) {
     const input = document.getElementById(inputId);
@@ -4832,6 +5116,29 @@ const API_BASE = '';
 let isAuthenticated = false;
 let authEnabled = false;
 let currentUsername = null;
+let setupRequired = false;
+let currentRole = null;
+let currentPermissions = [];
+const MIN_PASSWORD_LENGTH = 8;
+
+// Tabs that need more than a login; the server enforces the same permissions on its routes
+const TAB_PERMISSIONS = {
+    reports: 'reports:view',
+    data: 'data:manage'
+};
+
+function hasPermission(permission) {
+    return currentPermissions.includes(permission);
+}
+
+// Returns true if the current role allows the operation, otherwise tells the user why not
+function requirePermission(permission, operationName = 'do that') {
+    if (hasPermission(permission)) {
+        return true;
+    }
+    showNotification(`Your account (${currentRole || 'guest'}) is not allowed to ${operationName}`, 'error');
+    return false;
+}
 
 // Check auth status with server
 async function checkAuthStatus() {
@@ -4845,8 +5152,14 @@ async function checkAuthStatus() {
         isAuthenticated = data.authenticated;
         authEnabled = data.authEnabled;
         currentUsername = data.username;
-        console.log('🔍 Setting auth state from server:', { isAuthenticated, authEnabled, currentUsername });
+        currentRole = data.role || null;
+        currentPermissions = data.permissions || [];
+        setupRequired = !!data.setupRequired;
+        console.log('🔍 Setting auth state from server:', { isAuthenticated, authEnabled, currentUsername, setupRequired });
         updateAuthUI();
+        if (!isAuthenticated) {
+            promptForLogin();
+        }
         return { authenticated: isAuthenticated, authEnabled: authEnabled };
     } catch (error) {
         console.error('Failed to check auth status:', error);
@@ -4863,11 +5176,22 @@ function updateAuthUI() {
     if (authEnabled && isAuthenticated && currentUsername) {
         console.log('✅ Showing authenticated UI');
         authContainer.style.display = 'flex';
-        authUsernameSpan.textContent = currentUsername;
+        authUsernameSpan.textContent = currentRole ? `${currentUsername} (${currentRole})` : currentUsername;
     } else {
         console.log('❌ Hiding authenticated UI');
         authContainer.style.display = 'none';
     }
+    
+    // Hide tabs the current role can't open
+    Object.entries(TAB_PERMISSIONS).forEach(([tabName, permission]) => {
+        const navButton = document.querySelector(`.nav-btn[data-tab="${tabName}"]`);
+        if (navButton) {
+            navButton.style.display = hasPermission(permission) ? '' : 'none';
+        }
+    });
+    
+    // Read-only accounts get no add/edit/delete controls
+    document.body.classList.toggle('read-only-role', isAuthenticated && !hasPermission('records:write'));
 }
 
 // Check if user is authenticated (for operations)
@@ -4895,6 +5219,23 @@ async function requireAuthentication(operationName = 'this action') {
     return true;
 }
 
+// Ask for the owner setup on a fresh install, otherwise for a login
+function promptForLogin() {
+    if (setupRequired) {
+        showSetupModal();
+    } else {
+        showAuthModal();
+    }
+}
+
+// Reload everything once a session exists
+async function onAuthenticated() {
+    // Fetch the role and permissions that came with the new session
+    await checkAuthStatus();
+    lastAPILoad = 0;
+    await loadDataFromAPI();
+}
+
 // Show login modal
 function showAuthModal() {
     document.getElementById('authModal').style.display = 'block';
@@ -4938,11 +5279,8 @@ async function handleAuthSubmit(event) {
         
         if (data.success) {
             console.log('✅ Login successful, setting authentication state');
-            isAuthenticated = true;
-            currentUsername = data.username;
-            console.log('🔐 Authentication state:', { isAuthenticated, currentUsername, authEnabled });
             hideAuthModal();
-            updateAuthUI();
+            await onAuthenticated();
             showNotification('Login successful!', 'success');
             
             // Switch to the requested tab if any
@@ -4966,6 +5304,62 @@ async function handleAuthSubmit(event) {
     }
 }
 
+// Show first-run setup modal
+function showSetupModal() {
+    document.getElementById('setupModal').style.display = 'block';
+    document.getElementById('setupUsername').focus();
+}
+
+function hideSetupModal() {
+    document.getElementById('setupModal').style.display = 'none';
+    document.getElementById('setupForm').reset();
+    document.getElementById('setupError').style.display = 'none';
+}
+
+function showSetupError(message) {
+    document.getElementById('setupErrorText').textContent = message;
+    document.getElementById('setupError').style.display = 'block';
+}
+
+// Handle first-run setup form submission
+async function handleSetupSubmit(event) {
+    event.preventDefault();
+    const username = document.getElementById('setupUsername').value.trim();
+    const password = document.getElementById('setupPassword').value;
+    const confirmPassword = document.getElementById('setupConfirmPassword').value;
+    
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        showSetupError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+        return;
+    }
+    if (password !== confirmPassword) {
+        showSetupError('Passwords do not match.');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/setup', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showSetupError(data.message || 'Setup failed. Please try again.');
+            return;
+        }
+        
+        hideSetupModal();
+        await onAuthenticated();
+        showNotification('Owner account created!', 'success');
+    } catch (error) {
+        console.error('Setup error:', error);
+        showSetupError('Setup failed. Please try again.');
+    }
+}
+
 // Handle logout
 async function logout() {
     try {
@@ -4979,11 +5373,13 @@ async function logout() {
         if (data.success) {
             isAuthenticated = false;
             currentUsername = null;
+            currentRole = null;
+            currentPermissions = [];
+            stopLiveSync();
+            await clearMediaCache();
             updateAuthUI();
             showNotification('Logged out successfully', 'success');
-            
-            // Optionally reload to clear any cached data
-            // window.location.reload();
+            showAuthModal();
         }
     } catch (error) {
         console.error('Logout error:', error);
@@ -4991,62 +5387,279 @@ async function logout() {
     }
 }
 
-async function requireAuth(tabName) {
-    // Require auth for completed items, sales, reports, and data management
-    const protectedTabs = ['completed', 'sales', 'reports', 'data'];
+// ===== USER ACCOUNTS =====
+// Owners add helpers and viewers from the Data Management tab
+
+async function loadUserAccounts() {
+    const list = document.getElementById('userAccountsList');
+    if (!list || !hasPermission('users:manage')) return;
     
-    if (protectedTabs.includes(tabName)) {
-        const isAuth = await checkAuthentication();
-        if (!isAuth) {
-            sessionStorage.setItem('requestedTab', tabName);
-            showNotification(`You must be logged in to access ${tabName}`, 'error');
-            showAuthModal();
-            return false;
+    try {
+        const response = await fetch('/api/users', { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Server responded with status: ${response.status}`);
         }
+        const users = await response.json();
+        
+        list.innerHTML = users.map(user => `
+            <div class="backup-item">
+                <div class="backup-info">
+                    <h5>${SecurityManager.escapeHtml(user.username)}</h5>
+                    <p>Added ${new Date(user.createdAt).toLocaleDateString()}</p>
+                </div>
+                <div class="backup-actions">
+                    <select data-user-id="${SecurityManager.escapeHtml(user.id)}" onchange="changeUserRole(this.dataset.userId, this.value)" ${user.username === currentUsername ? 'disabled title="You can\'t change your own role"' : ''}>
+                        ${['owner', 'helper', 'viewer'].map(role => `
+                            <option value="${role}" ${user.role === role ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                        `).join('')}
+                    </select>
+                    <button class="btn btn-danger" data-user-id="${SecurityManager.escapeHtml(user.id)}" data-username="${SecurityManager.escapeHtml(user.username)}" onclick="removeUserAccount(this.dataset.userId, this.dataset.username)" ${user.username === currentUsername ? 'disabled' : ''} title="Remove account">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        logError('Loading user accounts', error);
+        list.innerHTML = '<p class="text-muted">Could not load user accounts.</p>';
     }
-    return true;
-}
-
-// Force cache busting on page load
-if (window.performance && window.performance.navigation.type === 1) {
-    // Page was refreshed, force reload of resources
-    console.log('🔄 Page refreshed - forcing cache bust');
 }
 
-// Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('🚀 Embroidery Inventory Manager Initialized');
+async function handleAddUser(event) {
+    event.preventDefault();
+    const username = document.getElementById('newUserUsername').value.trim();
+    const password = document.getElementById('newUserPassword').value;
+    const role = document.getElementById('newUserRole').value;
     
-    // Remove any existing install banners or sales notifications
-    const existingBanner = document.querySelector('.install-banner');
-    if (existingBanner) {
-        existingBanner.remove();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        showNotification(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, 'error');
+        return;
     }
     
-    // Aggressively prevent PWA install banner
-    window.addEventListener('beforeinstallprompt', function(e) {
-        console.log('🚫 PWA install prompt prevented');
-        e.preventDefault();
-        e.stopImmediatePropagation();
-        return false;
-    });
-    
-    // Remove any PWA-related elements
-    const pwaElements = document.querySelectorAll('[data-pwa], .pwa-banner, .install-prompt');
-    pwaElements.forEach(el => el.remove());
-    
-    // Hide bulk actions container on page load
-    const bulkContainer = document.getElementById('bulkActionsContainer');
-    if (bulkContainer) {
-        bulkContainer.style.display = 'none';
-        console.log('🚫 Bulk actions container hidden on page load');
+    try {
+        const response = await fetch('/api/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ username, password, role })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showNotification(data.error || 'Failed to add user', 'error');
+            return;
+        }
+        
+        document.getElementById('addUserForm').reset();
+        showNotification(`Added ${data.role} account "${data.username}"`, 'success');
+        loadUserAccounts();
+    } catch (error) {
+        logError('Adding user account', error);
+        showNotification('Failed to add user', 'error');
     }
-    
-    // Hide projects pagination on page load - not needed
-    const projectsPagination = document.getElementById('projectsPagination');
-    if (projectsPagination) {
-        projectsPagination.style.display = 'none';
-        console.log('🚫 Projects pagination hidden on page load');
+}
+
+async function changeUserRole(userId, role) {
+    try {
+        const response = await fetch(`/api/users/${encodeURIComponent(userId)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ role })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showNotification(data.error || 'Failed to change role', 'error');
+        } else {
+            showNotification(`${data.username} is now a ${data.role}`, 'success');
+        }
+    } catch (error) {
+        logError('Changing user role', error);
+        showNotification('Failed to change role', 'error');
+    }
+    loadUserAccounts();
+}
+
+function removeUserAccount(userId, username) {
+    showConfirmModal(
+        'Remove User',
+        `Remove the account "${username}"? They will be logged out immediately.`,
+        async () => {
+            try {
+                const response = await fetch(`/api/users/${encodeURIComponent(userId)}`, {
+                    method: 'DELETE',
+                    credentials: 'include'
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    showNotification(data.error || 'Failed to remove user', 'error');
+                } else {
+                    showNotification(`Removed ${username}`, 'success');
+                }
+            } catch (error) {
+                logError('Removing user account', error);
+                showNotification('Failed to remove user', 'error');
+            }
+            loadUserAccounts();
+        }
+    );
+}
+
+// ===== CHANGE HISTORY =====
+// The server logs every record change (GET /api/audit); owners can filter it
+// by collection, kind of change, user, record and field
+
+const HISTORY_COLLECTION_LABELS = {
+    inventory: 'Project/item',
+    customers: 'Customer',
+    sales: 'Sale',
+    gallery: 'Photo',
+    ideas: 'Idea',
+    invoices: 'Invoice',
+    purchaseOrders: 'Purchase order',
+    stockMovements: 'Stock movement',
+    settings: 'Settings',
+    locations: 'Location',
+    colors: 'Color'
+};
+const HISTORY_ACTION_LABELS = { create: 'Added', update: 'Changed', delete: 'Deleted' };
+
+let changeHistoryCursor = null;
+let changeHistoryQueryId = 0;
+
+function formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function renderHistoryEntry(entry) {
+    const what = `${HISTORY_ACTION_LABELS[entry.action] || entry.action} ${(HISTORY_COLLECTION_LABELS[entry.collection] || entry.collection).toLowerCase()}`;
+    const changes = entry.action === 'update'
+        ? entry.changes.map(change => `${change.field}: ${formatHistoryValue(change.from)} → ${formatHistoryValue(change.to)}`).join('; ')
+        : '';
+    return `
+        <div class="history-item">
+            <div>
+                <div class="history-action">${SecurityManager.escapeHtml(what)}: ${SecurityManager.escapeHtml(entry.recordLabel || entry.recordId)}</div>
+                ${changes ? `<div class="history-details">${SecurityManager.escapeHtml(changes)}</div>` : ''}
+            </div>
+            <div class="history-time">
+                ${SecurityManager.escapeHtml(entry.username)}<br>
+                ${new Date(entry.timestamp).toLocaleString()}
+            </div>
+        </div>
+    `;
+}
+
+// Loads the first page for the current filters, or the next page with `more`
+async function loadChangeHistory(more = false) {
+    const list = document.getElementById('changeHistoryList');
+    const moreButton = document.getElementById('changeHistoryMore');
+    if (!list || !hasPermission('data:manage')) return;
+    
+    const params = new URLSearchParams({ limit: '50' });
+    [
+        ['collection', 'historyCollectionFilter'],
+        ['action', 'historyActionFilter'],
+        ['user', 'historyUserFilter'],
+        ['field', 'historyFieldFilter'],
+        ['q', 'historySearch']
+    ].forEach(([param, inputId]) => {
+        const value = (document.getElementById(inputId)?.value || '').trim();
+        if (value) params.set(param, value);
+    });
+    if (more && changeHistoryCursor) {
+        params.set('cursor', changeHistoryCursor);
+    }
+    
+    const queryId = ++changeHistoryQueryId;
+    try {
+        const response = await fetch(`/api/audit?${params}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Server responded with status: ${response.status}`);
+        }
+        const entries = await response.json();
+        if (queryId !== changeHistoryQueryId) return;
+        
+        changeHistoryCursor = response.headers.get('X-Next-Cursor');
+        const html = entries.map(renderHistoryEntry).join('');
+        if (more) {
+            list.insertAdjacentHTML('beforeend', html);
+        } else {
+            list.innerHTML = html || '<p class="text-muted">No changes match these filters.</p>';
+        }
+        if (moreButton) {
+            moreButton.style.display = changeHistoryCursor ? '' : 'none';
+        }
+    } catch (error) {
+        logError('Loading change history', error);
+        if (!more) {
+            list.innerHTML = '<p class="text-muted">Could not load change history.</p>';
+        }
+    }
+}
+
+async function requireAuth(tabName) {
+    // Require auth for completed items, sales, reports, and data management
+    const protectedTabs = ['completed', 'sales', 'reports', 'data'];
+    
+    if (protectedTabs.includes(tabName)) {
+        const isAuth = await checkAuthentication();
+        if (!isAuth) {
+            sessionStorage.setItem('requestedTab', tabName);
+            showNotification(`You must be logged in to access ${tabName}`, 'error');
+            showAuthModal();
+            return false;
+        }
+    }
+    
+    const permission = TAB_PERMISSIONS[tabName];
+    if (permission && !requirePermission(permission, `open ${tabName}`)) {
+        return false;
+    }
+    return true;
+}
+
+// Force cache busting on page load
+if (window.performance && window.performance.navigation.type === 1) {
+    // Page was refreshed, force reload of resources
+    console.log('🔄 Page refreshed - forcing cache bust');
+}
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('🚀 Embroidery Inventory Manager Initialized');
+    
+    // Remove any existing install banners or sales notifications
+    const existingBanner = document.querySelector('.install-banner');
+    if (existingBanner) {
+        existingBanner.remove();
+    }
+    
+    // Aggressively prevent PWA install banner
+    window.addEventListener('beforeinstallprompt', function(e) {
+        console.log('🚫 PWA install prompt prevented');
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        return false;
+    });
+    
+    // Remove any PWA-related elements
+    const pwaElements = document.querySelectorAll('[data-pwa], .pwa-banner, .install-prompt');
+    pwaElements.forEach(el => el.remove());
+    
+    // Hide bulk actions container on page load
+    const bulkContainer = document.getElementById('bulkActionsContainer');
+    if (bulkContainer) {
+        bulkContainer.style.display = 'none';
+        console.log('🚫 Bulk actions container hidden on page load');
+    }
+    
+    // Hide projects pagination on page load - loadProjectsCards() shows it when there's more than one page
+    const projectsPagination = document.getElementById('projectsPagination');
+    if (projectsPagination) {
+        projectsPagination.style.display = 'none';
+        console.log('🚫 Projects pagination hidden on page load');
     }
     
     // Hide inventory pagination on page load - not needed
@@ -5056,20 +5669,9 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log('🚫 Inventory pagination hidden on page load');
     }
     
-    // Remove any existing sales notifications
-    const existingNotifications = document.querySelectorAll('.notification');
-    existingNotifications.forEach(notification => {
-        if (notification.textContent.includes('All sales already have commission data')) {
-            notification.remove();
-        }
-    });
-    
     initializeApp();
     updateVersionDisplay();
-    loadDataFromAPI().then(() => {
-        // Update existing sales with commission fields after data is loaded (notifications disabled)
-        // updateExistingSalesWithCommission();
-    });
+    loadDataFromAPI();
     updateLocationFilters();
     updateCustomerFilters();
     
@@ -5079,6 +5681,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize photo functionality and mobile features
     setupPhotoPreviews();
     registerServiceWorker();
+    setupOfflineSync();
     setupMobileFeatures();
     setupMobileModalEnhancements();
     setupMobileGalleryUpload();
@@ -5170,6 +5773,9 @@ function initializeApp() {
     const editProjectForm = document.getElementById('editProjectForm');
     if (editProjectForm) {
         editProjectForm.addEventListener('submit', handleEditProject);
+        // The project's costing follows what's typed into the form
+        editProjectForm.addEventListener('input', updateProjectCosting);
+        editProjectForm.addEventListener('change', updateProjectCosting);
         console.log('Edit project form event listener added');
     }
     
@@ -5265,6 +5871,18 @@ function initializeApp() {
     const invoiceForm = document.getElementById('invoiceForm');
     if (invoiceForm) invoiceForm.addEventListener('submit', handleInvoiceGeneration);
     
+    const purchaseOrderForm = document.getElementById('purchaseOrderForm');
+    if (purchaseOrderForm) purchaseOrderForm.addEventListener('submit', handlePurchaseOrderSubmit);
+    
+    const addLocationForm = document.getElementById('addLocationForm');
+    if (addLocationForm) addLocationForm.addEventListener('submit', handleAddLocation);
+    
+    const transferStockForm = document.getElementById('transferStockForm');
+    if (transferStockForm) transferStockForm.addEventListener('submit', handleTransferStock);
+    
+    const colorForm = document.getElementById('colorForm');
+    if (colorForm) colorForm.addEventListener('submit', handleColorSubmit);
+    
     // Load invoices from localStorage
     loadInvoicesFromLocalStorage();
     
@@ -5378,23 +5996,9 @@ async function editItem(itemIdOrIndex) {
     
     console.log('📦 editItem called with ID/Index:', itemIdOrIndex); // Debug log
     
-    let item;
-    let actualIndex;
-    
     // Handle both ID and index parameters
-    if (typeof itemIdOrIndex === 'string' || typeof itemIdOrIndex === 'number' && itemIdOrIndex > 1000) {
-        // It's an ID (string or large number)
-        actualIndex = inventory.findIndex(i => i.id === itemIdOrIndex);
-        if (actualIndex >= 0) {
-            item = inventory[actualIndex];
-        }
-    } else {
-        // It's an index (small number)
-        actualIndex = parseInt(itemIdOrIndex);
-        if (actualIndex >= 0 && actualIndex < inventory.length) {
-            item = inventory[actualIndex];
-        }
-    }
+    const actualIndex = await inventoryIndex(itemIdOrIndex);
+    const item = inventory[actualIndex];
     
     if (!item) {
         console.error('Item not found with parameter:', itemIdOrIndex);
@@ -5421,7 +6025,7 @@ async function editItem(itemIdOrIndex) {
     setElementValue(`${fieldPrefix}Index`, actualIndex);
     setElementValue(`${fieldPrefix}Description`, item.description || item.name || '');
     setElementValue(`${fieldPrefix}Location`, item.location || '');
-    setElementValue(`${fieldPrefix}Quantity`, item.quantity || 1);
+    setElementValue(`${fieldPrefix}Quantity`, item.quantity ?? 1);
     setElementValue(`${fieldPrefix}Price`, item.price || 0);
     setElementValue(`${fieldPrefix}Type`, item.type || 'project');
     setElementValue(`${fieldPrefix}Status`, item.status || 'completed');
@@ -5484,6 +6088,10 @@ async function editItem(itemIdOrIndex) {
     // NOW set the customer value (this will override the dropdown population)
     setElementValue(`${fieldPrefix}Customer`, item.customer || '');
     
+    if (itemType !== 'inventory') {
+        renderMaterialsEditor('editProjectMaterials', item.materials);
+    }
+    
     // Calculate and set total value
     calculateEditTotalValue();
     
@@ -5505,9 +6113,9 @@ async function editItem(itemIdOrIndex) {
     }
     
     // Show image section for projects and inventory items with images
-    if (item.type === 'project' || !item.type || (item.imageData || item.photo?.dataUrl)) {
-        if (item.imageData || item.photo?.dataUrl) {
-            const imageData = item.imageData || item.photo?.dataUrl;
+    if (item.type === 'project' || !item.type || getImageSource(item)) {
+        if (getImageSource(item)) {
+            const imageData = getImageSource(item);
             if (imageData && imageData.trim() !== '' && imageData !== 'undefined') {
                 if (imageDisplay && imageSection) {
                     imageDisplay.src = imageData;
@@ -5537,10 +6145,15 @@ async function editItem(itemIdOrIndex) {
 }
 
 // Dedicated function for editing Work in Progress items
-function editWIPItem(index) {
-    console.log('🔧 editWIPItem called with index:', index);
+async function editWIPItem(itemIdOrIndex) {
+    console.log('🔧 editWIPItem called with ID/Index:', itemIdOrIndex);
     
+    const index = await inventoryIndex(itemIdOrIndex);
     const item = inventory[index];
+    if (!item) {
+        showNotification('Item not found', 'error');
+        return;
+    }
     console.log('📝 WIP Item to edit:', item);
     console.log('📝 Item type:', item.type);
     
@@ -5564,11 +6177,20 @@ function editInventoryItem(index) {
     // Populate the inventory edit form
     document.getElementById('editInventoryIndex').value = index;
     document.getElementById('editInventoryDescription').value = item.description || item.name || '';
-    document.getElementById('editInventoryQuantity').value = item.quantity || 1;
+    document.getElementById('editInventoryQuantity').value = item.quantity ?? 1;
     // Category and location fields removed - skip them
     document.getElementById('editInventoryPrice').value = item.price || 0;
+    // Once the supply has a stock history its cost comes from what the stock cost
+    const costed = Boolean(item.id) && stockMovements.some(movement => movement.itemId === item.id);
+    document.getElementById('editInventoryPrice').readOnly = costed;
+    document.getElementById('editInventoryPriceHelp').style.display = costed ? '' : 'none';
     document.getElementById('editInventorySupplier').value = item.supplier || '';
     document.getElementById('editInventoryReorderPoint').value = item.reorderPoint || 0;
+    document.getElementById('editInventoryUnit').value = item.unit || '';
+    fillPackageSizes('editInventory', item);
+    fillLocationSelect(document.getElementById('editInventoryStockLocation'), (supplyLocationStock(item)[0] || {}).locationId);
+    setSwatchPicker('editInventoryColor', item.colorId);
+    document.getElementById('editInventoryDyeLot').value = item.dyeLot || '';
     document.getElementById('editInventoryStatus').value = item.status || 'available';
     document.getElementById('editInventoryNotes').value = item.notes || '';
     
@@ -5591,6 +6213,8 @@ function editProject(index) {
     document.getElementById('editProjectIndex').value = index;
     document.getElementById('editProjectDescription').value = item.description || item.name || '';
     document.getElementById('editProjectQuantity').value = item.quantity || 1;
+    document.getElementById('editProjectPrice').value = item.price || '';
+    calculateEditTotalValue();
     // document.getElementById('editProjectCategory').value = item.category || ''; // Field removed
     document.getElementById('editProjectStatus').value = item.status || 'pending';
     document.getElementById('editProjectDueDate').value = item.dueDate || '';
@@ -5598,6 +6222,10 @@ function editProject(index) {
     document.getElementById('editProjectTags').value = item.tags || '';
     document.getElementById('editProjectPatternLink').value = item.patternLink || '';
     document.getElementById('editProjectNotes').value = item.notes || '';
+    setSwatchPicker('editProjectYarnColor', item.colorId, item.yarnColor || '');
+    renderMaterialsEditor('editProjectMaterials', item.materials);
+    renderTimeLogEditor('editProjectTimeLog', item.timeLog);
+    updateProjectCosting();
     
     // Populate customer dropdown
     if (customers.length > 0) {
@@ -5647,22 +6275,43 @@ async function handleEditProject(e) {
         return;
     }
     
-    // Update the project
-    inventory[index] = {
+    const previousStatus = inventory[index].status;
+    const quantity = parseInt(getElementValue('editProjectQuantity')) || 1;
+    const price = parseFloat(getElementValue('editProjectPrice')) || 0;
+    const updatedProject = {
         ...inventory[index],
         description: description,
-        quantity: parseInt(getElementValue('editProjectQuantity')) || 1,
+        quantity: quantity,
+        price: price,
+        totalValue: quantity * price,
         category: '', // Field removed
         status: getElementValue('editProjectStatus'),
+        materials: readMaterialsEditor('editProjectMaterials'),
+        timeLog: readTimeLogEditor('editProjectTimeLog'),
         customer: getElementValue('editProjectCustomer'),
         dueDate: getElementValue('editProjectDueDate'),
         priority: getElementValue('editProjectPriority'),
         tags: getElementValue('editProjectTags'),
         patternLink: getElementValue('editProjectPatternLink'),
+        yarnColor: getElementValue('editProjectYarnColor'),
+        colorId: getElementValue('editProjectYarnColorId'),
         notes: getElementValue('editProjectNotes'),
         type: 'project'
     };
     
+    if (!validateFormRecord('editProjectForm', 'inventory', updatedProject)) {
+        return;
+    }
+    
+    // Bring supply stock in line with the new materials and status
+    const { materials, status } = updatedProject;
+    updatedProject.materials = inventory[index].materials;
+    setProjectMaterials(updatedProject, materials);
+    const statusWarning = setProjectStatus(updatedProject, status, previousStatus);
+    
+    // Update the project
+    inventory[index] = updatedProject;
+    
     // Save data
     await saveData();
     
@@ -5671,6 +6320,9 @@ async function handleEditProject(e) {
     
     // Close modal
     closeModal('editProjectModal');
+    if (statusWarning) {
+        showNotification(statusWarning, 'warning');
+    }
     
     console.log('Project updated successfully');
 }
@@ -5699,21 +6351,56 @@ async function handleEditInventory(e) {
         return;
     }
     
-    // Update the inventory item
-    inventory[index] = {
+    // Stock can run down to 0 (projects use it up) and come in fractions
+    const quantity = parseFloat(getElementValue('editInventoryQuantity'));
+    const updatedItem = {
         ...inventory[index],
         description: description,
-        quantity: parseInt(getElementValue('editInventoryQuantity')) || 1,
+        quantity: Number.isNaN(quantity) ? 0 : quantity,
         category: '',
         price: parseFloat(getElementValue('editInventoryPrice')) || 0,
         location: '',
         supplier: getElementValue('editInventorySupplier'),
-        reorderPoint: parseInt(getElementValue('editInventoryReorderPoint')) || 0,
+        reorderPoint: parseFloat(getElementValue('editInventoryReorderPoint')) || 0,
+        unit: getElementValue('editInventoryUnit'),
+        packageSizes: readPackageSizes('editInventory'),
+        colorId: getElementValue('editInventoryColorId'),
+        dyeLot: getElementValue('editInventoryDyeLot').trim(),
         status: getElementValue('editInventoryStatus'),
         notes: getElementValue('editInventoryNotes'),
         type: 'inventory'
     };
     
+    if (!validateFormRecord('editInventoryForm', 'inventory', updatedItem)) {
+        return;
+    }
+    
+    // Switching unit without touching the quantity converts the stock, reorder
+    // point and cost to the new unit (when the skein or spool size says how)
+    const previous = inventory[index];
+    const previousQuantity = parseFloat(previous.quantity) || 0;
+    let stockNote = getElementValue('editInventoryQuantityNote').trim();
+    let unitFactor = null;
+    if ((previous.unit || '') !== updatedItem.unit && updatedItem.quantity === previousQuantity) {
+        const factor = Units.convertQuantity(1, previous.unit, updatedItem.unit, updatedItem);
+        if (factor) {
+            unitFactor = factor;
+            updatedItem.quantity = Math.round(previousQuantity * factor * 1000) / 1000;
+            updatedItem.reorderPoint = Math.round(updatedItem.reorderPoint * factor * 1000) / 1000;
+            updatedItem.price = Math.round(updatedItem.price / factor * 10000) / 10000;
+            stockNote = stockNote || `Unit changed from ${Units.unitLabel(previous.unit) || 'items'} to ${Units.unitLabel(updatedItem.unit) || 'items'}`;
+        }
+    }
+    updatedItem.totalValue = updatedItem.quantity * updatedItem.price;
+    
+    // Update the inventory item
+    inventory[index] = updatedItem;
+    recordStockMovement(updatedItem, updatedItem.quantity - previousQuantity, getElementValue('editInventoryQuantityReason') || 'adjustment', {
+        note: stockNote,
+        unitFactor,
+        locationId: getElementValue('editInventoryStockLocation')
+    });
+    
     // Save data
     await saveData();
     
@@ -5755,11 +6442,7 @@ async function handleEditCompletedItem(e) {
         return;
     }
     
-    // Store expanded customer groups before reload
-    const expandedCustomers = getCurrentlyExpandedCustomerGroups();
-    
-    // Update the item
-    inventory[index] = {
+    const updatedItem = {
         ...inventory[index],
         description: description.trim(),
         quantity: parseInt(getElementValue('editCompletedItemQuantity')) || 1,
@@ -5769,9 +6452,20 @@ async function handleEditCompletedItem(e) {
         status: 'completed', // Always set to completed
         // Preserve existing image data
         photo: inventory[index].photo,
-        imageData: inventory[index].imageData
+        imageData: inventory[index].imageData,
+        mediaId: inventory[index].mediaId
     };
     
+    if (!validateFormRecord('editCompletedItemForm', 'inventory', updatedItem)) {
+        return;
+    }
+    
+    // Store expanded customer groups before reload
+    const expandedCustomers = getCurrentlyExpandedCustomerGroups();
+    
+    // Update the item
+    inventory[index] = updatedItem;
+    
     console.log('Completed item updated:', inventory[index]);
     
     await saveData();
@@ -5824,6 +6518,10 @@ async function handleAddCompletedItem(e) {
     
     console.log('New completed item:', newItem);
     
+    if (!validateFormRecord('addCompletedItemForm', 'inventory', newItem)) {
+        return;
+    }
+    
     // Add to inventory
     inventory.push(newItem);
     
@@ -5877,6 +6575,7 @@ async function handleEditItem(e) {
     
     // Store expanded customer groups before updating
     const expandedCustomers = getCurrentlyExpandedCustomerGroups();
+    const previousQuantity = parseFloat(inventory[index].quantity) || 0;
     
     // Update the item (preserve existing image data)
     inventory[index] = {
@@ -5900,10 +6599,14 @@ async function handleEditItem(e) {
         patternLink: getElementValue('editItemPatternLink'),
         // Preserve existing image data
         photo: inventory[index].photo,
-        imageData: inventory[index].imageData
+        imageData: inventory[index].imageData,
+        mediaId: inventory[index].mediaId
     };
     
     console.log('Item updated:', inventory[index]); // Debug log
+    if (inventory[index].type === 'inventory') {
+        recordStockMovement(inventory[index], quantity - previousQuantity, 'adjustment');
+    }
     
     await saveData();
     loadInventoryTable(); // Projects table
@@ -5941,22 +6644,129 @@ function initializeConnectionStatus() {
 }
 
 async function checkConnectionStatus() {
-    const statusElement = document.getElementById('connectionStatus');
     try {
-        const response = await fetch('/api/inventory');
-        if (response.ok) {
-            statusElement.innerHTML = '<i class="fas fa-circle"></i> Connected';
-            statusElement.className = 'status-indicator connected';
-        } else {
+        const response = await fetch('/health');
+        if (!response.ok) {
             throw new Error(`Server responded with status: ${response.status} ${response.statusText}`);
         }
+        updateConnectionStatus('connected');
+        // Back online - send anything that was saved while we were away
+        await restoreOfflineState();
+        if (outbox.length > 0) {
+            await flushOutbox();
+        }
     } catch (error) {
         console.error('Connection check failed:', error.message);
-        statusElement.innerHTML = '<i class="fas fa-circle"></i> Offline Mode';
-        statusElement.className = 'status-indicator disconnected';
-        // Fallback to localStorage
-        loadDataFromLocalStorage();
+        // loadDataFromAPI() falls back to the copy on this device by itself
+        updateConnectionStatus('disconnected');
+    }
+}
+
+// ===== DATA SETS =====
+// The app starts with what every tab relies on: the supplies and the projects
+// holding or recently using them (for low stock), purchase orders, customers and
+// the lookup lists. The rest is fetched the first time a tab needs it. The
+// projects, WIP and completed tabs page through the server instead (see SERVER
+// LIST QUERIES), so most projects are only fetched when one is opened.
+
+// Parts of a collection; any other data set name is a whole collection
+const DATA_SETS = {
+    supplies: { collection: 'inventory', params: () => ({ type: 'inventory' }) },
+    startedProjects: { collection: 'inventory', params: () => ({ status: STARTED_PROJECT_STATUSES }) },
+    recentlyUsedProjects: {
+        collection: 'inventory',
+        params: () => ({
+            dateField: 'materialsUsedAt',
+            from: new Date(Date.now() - RECENT_USE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        })
+    }
+};
+const CORE_DATA_SETS = ['supplies', 'startedProjects', 'recentlyUsedProjects', 'customers', 'locations', 'colors', 'purchaseOrders', 'settings'];
+const ALL_DATA_SETS = ['inventory', 'sales', 'gallery', 'ideas', 'invoices'];
+const TAB_DATA_SETS = {
+    customers: ['inventory', 'sales', 'invoices'],
+    gallery: ['gallery', 'ideas', 'inventory'],
+    sales: ['inventory', 'sales', 'invoices'],
+    reports: ALL_DATA_SETS,
+    ideas: ['ideas'],
+    data: ALL_DATA_SETS,
+    labels: ['inventory'] // Not a tab: the labels window lists finished items too
+};
+// The mobile project and WIP cards list every project from memory
+const MOBILE_TAB_DATA_SETS = {
+    projects: ['inventory'],
+    wip: ['inventory']
+};
+const loadedDataSets = new Set();
+
+function dataSet(name) {
+    return DATA_SETS[name] || { collection: name, params: () => ({}) };
+}
+
+// Fetch the data sets not loaded yet and hold their records. A part of a
+// collection is skipped once the whole collection is in. With `replace`, once
+// they have all arrived they're all that's held (the ledger aside).
+async function loadDataSets(names, { replace = false } = {}) {
+    const missing = names.filter(name => replace || !loadedDataSets.has(name) && !loadedDataSets.has(dataSet(name).collection));
+    const pages = await Promise.all(missing.map(name => fetchRecordPage(dataSet(name).collection, dataSet(name).params())));
+    if (replace) {
+        clearHeldRecords();
+    }
+    missing.forEach((name, i) => {
+        holdRecords(dataSet(name).collection, pages[i].records);
+        loadedDataSets.add(name);
+        if (name === 'invoices') {
+            uploadLocalOnlyInvoices();
+        }
+    });
+    return missing.length;
+}
+
+function clearHeldRecords() {
+    loadedDataSets.clear();
+    inventory = [];
+    customers = [];
+    sales = [];
+    gallery = [];
+    ideas = [];
+    invoices = [];
+    purchaseOrders = [];
+    settings = [];
+    locations = [];
+    colors = [];
+    Object.keys(getDataCollections())
+        .filter(name => !LEDGER_COLLECTIONS.includes(name))
+        .forEach(name => rememberSyncedRecords(name, []));
+}
+
+// Load what the tab shows before it's drawn. Offline it shows what this device holds.
+async function loadTabData(tabName) {
+    const names = [
+        ...(TAB_DATA_SETS[tabName] || []),
+        ...(isMobile() && MOBILE_TAB_DATA_SETS[tabName] || [])
+    ];
+    if (names.length === 0 || !canQueryServer()) {
+        return;
+    }
+    try {
+        if (await loadDataSets(names) > 0) {
+            saveLocalCopy();
+        }
+    } catch (error) {
+        logError(`Load ${tabName} data`, error);
+        showNotification('Could not load everything for this tab - showing what this device has', 'warning');
+    }
+}
+
+// Invoices used to be kept only in this browser - queue any the server has never seen for upload
+function uploadLocalOnlyInvoices() {
+    const localOnlyInvoices = hasPermission('records:write') ? getLocalOnlyInvoices() : [];
+    if (localOnlyInvoices.length > 0) {
+        invoices.push(...localOnlyInvoices);
+        console.log('🧾 Uploading invoices saved in this browser:', localOnlyInvoices.length);
+        saveData();
     }
+    saveInvoicesToLocalStorage();
 }
 
 // Add caching to prevent repeated API calls
@@ -5985,36 +6795,25 @@ async function loadDataFromAPI() {
     lastAPILoad = now;
     
     try {
+        // Send changes made offline first, or the server's copy would replace them
+        await restoreOfflineState();
+        if (outbox.length > 0 && !await flushOutbox()) {
+            throw new Error(`${outbox.length} change(s) are still waiting to be sent`);
+        }
+        
         console.log('📡 Loading data from API...');
-        const [inventoryRes, customersRes, salesRes, galleryRes, ideasRes] = await Promise.all([
-            fetch('/api/inventory'),
-            fetch('/api/customers'),
-            fetch('/api/sales'),
-            fetch('/api/gallery'),
-            fetch('/api/ideas')
-        ]);
-
-        // Check each response for errors
-        const responses = [
-            { name: 'inventory', response: inventoryRes },
-            { name: 'customers', response: customersRes },
-            { name: 'sales', response: salesRes },
-            { name: 'gallery', response: galleryRes },
-            { name: 'ideas', response: ideasRes }
-        ];
-
-        for (const { name, response } of responses) {
-            if (!response.ok) {
-                throw new Error(`Failed to load ${name}: ${response.status} ${response.statusText}`);
+        // Start again from the core data sets; tabs fetch the rest as they're opened
+        try {
+            await loadDataSets(CORE_DATA_SETS, { replace: true });
+        } catch (error) {
+            if (error.status === 401) {
+                console.log('🔐 Not logged in - waiting for login before loading data');
+                return;
             }
+            throw error;
         }
-
-        // Parse JSON data
-        inventory = await inventoryRes.json();
-        customers = await customersRes.json();
-        sales = await salesRes.json();
-        gallery = await galleryRes.json();
-        ideas = await ideasRes.json();
+        stockMovements = await loadStockMovements();
+        localDataLoaded = true;
         
         // Assign to window object for mobile cards
         window.inventory = inventory;
@@ -6024,55 +6823,36 @@ async function loadDataFromAPI() {
         window.ideas = ideas;
         
         console.log('✅ Data loaded from API successfully:');
-        console.log('  📦 Inventory items:', inventory.length);
+        console.log('  📦 Supplies and active projects:', inventory.length);
         console.log('  👥 Customers:', customers.length);
-        console.log('  💰 Sales records:', sales.length);
-        console.log('  🖼️ Gallery items:', gallery.length);
-        console.log('  💡 Ideas:', ideas.length);
+        console.log('  🛒 Purchase orders:', purchaseOrders.length);
+        console.log('  📒 Stock movements:', stockMovements.length);
+        console.log('  📍 Locations:', locations.length);
+        console.log('  🎨 Colors:', colors.length);
 
         loadData();
         updateConnectionStatus('connected');
+        saveLocalCopy();
+        startLiveSync();
     } catch (error) {
         console.error('❌ API data loading failed:', error.message);
-        console.log('🔄 Falling back to localStorage...');
-        loadDataFromLocalStorage();
+        console.log('🔄 Falling back to the copy saved on this device...');
+        await loadLocalCopy();
         updateConnectionStatus('disconnected');
     } finally {
         isLoadingAPI = false;
     }
 }
 
-function loadDataFromLocalStorage() {
-    // Skip loading if we're in the middle of any data modification
-    if (window.isSaving || window.isModifying) {
-        console.log('🔄 Skipping loadDataFromLocalStorage - modification in progress');
-        return;
-    }
-    
-    console.log('🔄 Loading data from localStorage');
-    inventory = JSON.parse(localStorage.getItem('joeykayeInventory')) || [];
-    customers = JSON.parse(localStorage.getItem('joeykayeCustomers')) || [];
-    sales = JSON.parse(localStorage.getItem('joeykayeSales')) || [];
-    gallery = JSON.parse(localStorage.getItem('joeykayeGallery')) || [];
-    ideas = JSON.parse(localStorage.getItem('joeykayeIdeas')) || [];
-    
-    // Assign to window object for mobile cards
-    window.inventory = inventory;
-    window.customers = customers;
-    window.sales = sales;
-    window.gallery = gallery;
-    window.ideas = ideas;
-    
-    loadData();
-}
-
 function updateConnectionStatus(status) {
     const statusElement = document.getElementById('connectionStatus');
-    if (status === 'connected') {
+    // Changes still in the outbox haven't reached the server yet
+    const waiting = outbox.length > 0 ? ` (${outbox.length} waiting)` : '';
+    if (status === 'connected' && !waiting) {
         statusElement.innerHTML = '<i class="fas fa-circle"></i> Connected';
         statusElement.className = 'status-indicator connected';
     } else {
-        statusElement.innerHTML = '<i class="fas fa-circle"></i> Offline Mode';
+        statusElement.innerHTML = `<i class="fas fa-circle"></i> Offline Mode${waiting}`;
         statusElement.className = 'status-indicator disconnected';
     }
 }
@@ -6118,6 +6898,10 @@ async function switchTab(tabName) {
     }
     
     // Load data for the tab
+    await loadTabData(tabName);
+    if (!document.getElementById(tabName).classList.contains('active')) {
+        return; // Another tab was opened while this one's data loaded
+    }
     if (tabName === 'projects') {
         // Load projects - use EITHER desktop cards OR mobile cards, not both
         if (isMobile()) {
@@ -6127,11 +6911,6 @@ async function switchTab(tabName) {
             console.log('🖥️ Desktop detected - loading desktop cards only');
             loadProjectsCards(); // Load projects as cards
         }
-        // Hide pagination for projects - not needed
-        const projectsPagination = document.getElementById('projectsPagination');
-        if (projectsPagination) {
-            projectsPagination.style.display = 'none';
-        }
     } else if (tabName === 'inventory') {
         // Load inventory - use EITHER desktop cards OR mobile cards, not both
         if (isMobile()) {
@@ -6190,7 +6969,7 @@ async function switchTab(tabName) {
         }
         } else if (tabName === 'completed') {
             // Load completed items
-            populateCompletedCustomerFilter(); // Populate customer filter first
+            await populateCompletedCustomerFilter(); // Populate customer filter first
             loadCompletedItemsTable();
             // Load mobile cards for completed items if needed
             if (isMobile()) {
@@ -6222,6 +7001,10 @@ async function switchTab(tabName) {
             console.log('🖥️ Desktop detected - loading desktop ideas grid only');
             loadIdeasGrid();
         }
+    } else if (tabName === 'data') {
+        loadBusinessSettings();
+        loadUserAccounts();
+        loadChangeHistory();
     }
 }
 
@@ -6252,7 +7035,9 @@ function loadData() {
     
     // Load other data that doesn't depend on current tab
     updateLocationFilters();
+    updateLocationOptions();
     updateCustomerFilters();
+    desktopManager.checkLowStock();
     
     // Load mobile cards for the currently active tab on initial page load
     if (isMobile()) {
@@ -6337,7 +7122,6 @@ function createTestData() {
             customer: "Test Customer",
             status: "in_progress",
             description: "A test embroidery project to verify sync functionality",
-            materials: ["Thread", "Fabric"],
             createdDate: now,
             lastModified: now
         },
@@ -6493,35 +7277,14 @@ async function forceSyncData() {
     syncBtn.disabled = true;
     
     try {
-        // First, load any data from localStorage into memory
-        console.log('📥 Loading data from localStorage...');
-        inventory = JSON.parse(localStorage.getItem('joeykayeInventory')) || [];
-        customers = JSON.parse(localStorage.getItem('joeykayeCustomers')) || [];
-        sales = JSON.parse(localStorage.getItem('joeykayeSales')) || [];
-        gallery = JSON.parse(localStorage.getItem('joeykayeGallery')) || [];
-        ideas = JSON.parse(localStorage.getItem('joeykayeIdeas')) || [];
-        
-        console.log('📊 Data loaded from localStorage:');
-        console.log(`  📦 Inventory: ${inventory.length} items`);
-        console.log(`  👥 Customers: ${customers.length} items`);
-        console.log(`  💰 Sales: ${sales.length} items`);
-        console.log(`  🖼️ Gallery: ${gallery.length} items`);
-        console.log(`  💡 Ideas: ${ideas.length} items`);
-        
-        // Show sample data if any exists
-        if (inventory.length > 0) console.log('📦 Sample inventory item:', inventory[0]);
-        if (customers.length > 0) console.log('👥 Sample customer:', customers[0]);
-        if (sales.length > 0) console.log('💰 Sample sale:', sales[0]);
-        if (gallery.length > 0) console.log('🖼️ Sample gallery item:', gallery[0]);
-        if (ideas.length > 0) console.log('💡 Sample idea:', ideas[0]);
-        
-        // Show localStorage keys for debugging
-        console.log('🔍 All localStorage keys:', Object.keys(localStorage));
-        
-        // Now force save to server
+        // Queue anything not yet saved and send the whole outbox now
         await saveDataToAPI();
         
-        showNotification('✅ Data synced to server successfully!', 'success');
+        if (outbox.length === 0) {
+            showNotification('✅ Data synced to server successfully!', 'success');
+        } else {
+            showNotification(`📴 Server not reachable - ${outbox.length} change(s) will be sent when it is`, 'warning');
+        }
         
         // Update UI to reflect the synced data
         loadData();
@@ -6537,930 +7300,1913 @@ async function forceSyncData() {
 }
 
 // API Functions
-async function saveDataToAPI() {
-    console.log('🌐 saveDataToAPI() called');
-    console.log('🌐 Ideas count being sent to API:', ideas.length);
-    console.log('🌐 Ideas being sent to API:', ideas.map(i => ({ id: i.id, title: i.title })));
-    console.log('🌐 isSaving:', window.isSaving, 'isModifying:', window.isModifying);
-    
-    try {
-        const savePromises = [
-            { name: 'inventory', data: inventory },
-            { name: 'customers', data: customers },
-            { name: 'sales', data: sales },
-            { name: 'gallery', data: gallery },
-            { name: 'ideas', data: ideas }
-        ].map(async ({ name, data }) => {
-            console.log(`🌐 Saving ${name}: ${data.length} items`);
-            const response = await fetch(`/api/${name}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                credentials: 'include', // Include session cookies for authentication
-                body: JSON.stringify(data)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Failed to save ${name}: ${response.status} ${response.statusText}`);
-            }
-            
-            return { name, success: true };
-        });
 
-        const results = await Promise.all(savePromises);
-        console.log('✅ Data saved to API successfully:', results.map(r => r.name).join(', '));
-        
-    } catch (error) {
-        console.error('❌ API save failed:', error.message);
-        console.log('🔄 Falling back to localStorage...');
-        await saveDataToLocalStorage();
-    }
+// Last copy of each record the server has acknowledged, per collection and keyed by id.
+// saveDataToAPI() diffs the in-memory arrays against this so only changed records are queued.
+const syncedRecords = {};
+
+// Listed so records come before the ones linking to them: a customer added
+// offline reaches the server ahead of the project or sale that names it
+function getDataCollections() {
+    return { customers, locations, colors, inventory, sales, gallery, ideas, invoices, purchaseOrders, stockMovements, settings };
 }
 
-async function saveDataToLocalStorage() {
-    try {
-        localStorage.setItem('joeykayeInventory', JSON.stringify(inventory));
-        localStorage.setItem('joeykayeCustomers', JSON.stringify(customers));
-        localStorage.setItem('joeykayeSales', JSON.stringify(sales));
-        localStorage.setItem('joeykayeGallery', JSON.stringify(gallery));
-        localStorage.setItem('joeykayeIdeas', JSON.stringify(ideas));
-        
-        // Add timestamp for synchronization tracking
-        localStorage.setItem('lastDataSave', Date.now().toString());
-        console.log('Data saved to localStorage successfully');
-    } catch (error) {
-        console.error('Failed to save to localStorage:', error);
-        
-        // If quota exceeded, try to clean up and retry
-        if (error.name === 'QuotaExceededError') {
-            console.log('LocalStorage quota exceeded, attempting cleanup...');
-            cleanupLocalStorage();
-            
-            try {
-                // Retry saving after cleanup
-                localStorage.setItem('joeykayeInventory', JSON.stringify(inventory));
-                localStorage.setItem('joeykayeCustomers', JSON.stringify(customers));
-                localStorage.setItem('joeykayeSales', JSON.stringify(sales));
-                localStorage.setItem('joeykayeGallery', JSON.stringify(gallery));
-                localStorage.setItem('joeykayeIdeas', JSON.stringify(ideas));
-                localStorage.setItem('lastDataSave', Date.now().toString());
-                console.log('Data saved to localStorage after cleanup');
-                showNotification('Data saved after cleanup', 'success');
-            } catch (retryError) {
-                console.error('Still failed after cleanup:', retryError);
-                // Clear all localStorage and save to server only
-                try {
-                    console.log('🧹 Clearing all localStorage data...');
-                    localStorage.clear();
-                    await saveDataToAPI();
-                    showNotification('Data saved to server (localStorage cleared)', 'success');
-                } catch (apiError) {
-                    console.error('Failed to save to API:', apiError);
-                    showNotification('Storage full - please refresh and try again', 'error');
-                }
-            }
-        } else {
-            console.error('LocalStorage save failed:', error);
-            // Don't show error notification for localStorage failures when API is working
-            console.log('LocalStorage save failed, but API save should have succeeded');
+function generateRecordId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 9);
+}
+
+// Give every record a unique id; copies made with the spread operator inherit the original's id
+function ensureRecordIds(records) {
+    const seen = new Set();
+    records.forEach(record => {
+        if (!record.id && record._id) {
+            record.id = String(record._id);
         }
+        if (!record.id || seen.has(record.id)) {
+            delete record._id;
+            record.id = generateRecordId();
+        }
+        seen.add(record.id);
+    });
+}
+
+function rememberSyncedRecords(name, records) {
+    syncedRecords[name] = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+}
+
+async function sendRecordRequest(method, url, record) {
+    const options = {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': LIVE_SYNC_CLIENT_ID },
+        credentials: 'include' // Include session cookies for authentication
+    };
+    if (record) {
+        options.body = JSON.stringify(record);
+    }
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        promptForLogin();
     }
+    return response;
 }
 
-function cleanupLocalStorage() {
-    try {
-        console.log('🧹 Cleaning up localStorage...');
-        
-        // Remove old backup data
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && (key.includes('backup') || key.includes('temp') || key.includes('old'))) {
-                keysToRemove.push(key);
-            }
+// ===== RECORD LINKS =====
+// Projects, sales and invoices point at their customer by customerId and keep the
+// customer's name alongside it for display; sales point at the item sold by itemId.
+// Forms still pick customers by name, so edited records are linked here before
+// they're queued, the same way the server links them (resolveLinks in server.js).
+// Renaming or deleting a customer is carried over to the linked records by the
+// server, and the updated records come back over live sync.
+
+const CUSTOMER_LINKED_COLLECTIONS = ['inventory', 'sales', 'invoices'];
+const CLOSED_PROJECT_STATUSES = ['completed', 'sold'];
+// Customers deleted with "reassign to": id -> the customer taking over their records
+const customerReassignments = new Map();
+
+function customerNameKey(name) {
+    return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+// A customerId that just changed wins and brings the customer's name; otherwise
+// the name picks the customer, when exactly one has it
+function linkCustomer(record, base) {
+    const linked = record.customerId && customers.find(customer => customer.id === record.customerId);
+    const idChanged = !base || record.customerId !== base.customerId;
+    if (linked && (idChanged || record.customer === base.customer)) {
+        record.customer = linked.name;
+        return;
+    }
+    const key = customerNameKey(record.customer);
+    const matches = key ? customers.filter(customer => customerNameKey(customer.name) === key) : [];
+    if (matches.length === 1) {
+        record.customerId = matches[0].id;
+        record.customer = matches[0].name;
+    } else {
+        delete record.customerId;
+    }
+}
+
+// Linked by id, or not linked yet and carrying the customer's name
+function belongsToCustomer(record, customer) {
+    if (record.customerId) {
+        return record.customerId === customer.id;
+    }
+    return !!record.customer && customerNameKey(record.customer) === customerNameKey(customer.name);
+}
+
+function openProjectsFor(customer) {
+    return inventory.filter(item => item.type === 'project' &&
+        !CLOSED_PROJECT_STATUSES.includes(item.status) &&
+        belongsToCustomer(item, customer));
+}
+
+// The server fills in customer links on save; take its copy of them
+function applySavedLinks(record, saved) {
+    ['customer', 'customerId'].forEach(field => {
+        if (saved[field] === undefined) {
+            delete record[field];
+        } else {
+            record[field] = saved[field];
         }
-        
-        keysToRemove.forEach(key => {
-            localStorage.removeItem(key);
-            console.log(`Removed old data: ${key}`);
-        });
-        
-        // Clear any large photo data that might be taking up space
-        const inventoryData = localStorage.getItem('joeykayeInventory');
-        if (inventoryData) {
-            try {
-                const inventory = JSON.parse(inventoryData);
-                let hasLargePhotos = false;
-                
-                inventory.forEach(item => {
-                    if (item.photo && item.photo.dataUrl && item.photo.dataUrl.length > 100000) {
-                        // Remove large photo data
-                        item.photo = { ...item.photo, dataUrl: null };
-                        hasLargePhotos = true;
-                    }
-                });
-                
-                if (hasLargePhotos) {
-                    localStorage.setItem('joeykayeInventory', JSON.stringify(inventory));
-                    console.log('Removed large photo data to free up space');
-                }
-            } catch (e) {
-                console.log('Could not clean inventory data');
-            }
+    });
+}
+
+// ===== OUTBOX =====
+// Every change is queued here before it's sent, and the queue is kept in IndexedDB
+// with the local copy of the data, so edits made offline survive a reload. Entries
+// replay in the order they were made whenever the server is reachable. An entry is
+// { seq, collection, id, action: 'save' | 'delete', record, base, queuedAt }, where
+// `base` is the copy the server last acknowledged (null for a record it has never seen).
+
+let outbox = [];
+let outboxSending = null; // The entry on its way to the server; later edits queue behind it
+let outboxFlush = null;
+
+function latestOutboxEntry(name, id) {
+    for (let i = outbox.length - 1; i >= 0; i--) {
+        if (outbox[i].collection === name && outbox[i].id === id) {
+            return outbox[i];
         }
-        
-        console.log('✅ LocalStorage cleanup completed');
-    } catch (error) {
-        console.error('❌ Cleanup failed:', error);
     }
+    return null;
 }
 
-async function saveData() {
-    // Prevent multiple simultaneous saves
-    if (window.isSaving) {
-        console.log('💾 Save already in progress, skipping');
-        return;
+function queueOutboxEntry(name, id, action, record) {
+    const synced = (syncedRecords[name] || new Map()).get(id);
+    const entry = {
+        seq: outbox.length > 0 ? outbox[outbox.length - 1].seq + 1 : 1,
+        collection: name,
+        id,
+        action,
+        record,
+        base: synced === undefined ? null : JSON.parse(synced),
+        queuedAt: new Date().toISOString()
+    };
+    if (name === 'customers' && action === 'delete' && customerReassignments.has(id)) {
+        entry.reassignTo = customerReassignments.get(id);
+        customerReassignments.delete(id);
     }
+    outbox.push(entry);
+}
+
+// Append-only collections: the server only takes new records. They aren't
+// diffed against syncedRecords like the rest - a record the server hasn't taken
+// yet has no revision, and queueing those is all a save does.
+const LEDGER_COLLECTIONS = ['stockMovements'];
+
+function queueLedgerRecords(name, records) {
+    ensureRecordIds(records);
+    let changed = 0;
+    records.forEach(record => {
+        if (record.revision !== undefined || latestOutboxEntry(name, record.id) || isRefusedCopy(name, record)) {
+            return;
+        }
+        changed++;
+        queueOutboxEntry(name, record.id, 'save', JSON.parse(JSON.stringify(record)));
+    });
+    return { name, changed };
+}
+
+// Queue whatever changed in one collection since the server (or the outbox) last saw it
+function queueCollectionChanges(name, records) {
+    ensureRecordIds(records);
+    const synced = syncedRecords[name] || new Map();
+    syncedRecords[name] = synced;
     
-    console.log('💾 saveData() called');
-    console.log('💾 Ideas count before save:', ideas.length);
-    console.log('💾 Ideas before save:', ideas.map(i => ({ id: i.id, title: i.title })));
+    const currentIds = new Set();
+    let changed = 0;
     
-    // Set flags to prevent storage events from interfering
-    window.isSaving = true;
-    window.isModifying = true;
-    console.log('💾 Set isSaving = true, isModifying = true');
+    records.forEach(record => {
+        currentIds.add(record.id);
+        const pending = latestOutboxEntry(name, record.id);
+        const latest = pending && pending.action === 'save' ? JSON.stringify(pending.record) : synced.get(record.id);
+        if (latest === JSON.stringify(record) || isRefusedCopy(name, record)) {
+            return;
+        }
+        if (CUSTOMER_LINKED_COLLECTIONS.includes(name)) {
+            const base = synced.get(record.id);
+            linkCustomer(record, base === undefined ? null : JSON.parse(base));
+        }
+        const json = JSON.stringify(record);
+        changed++;
+        // A save that hasn't gone out yet just takes the newer copy
+        if (pending && pending.action === 'save' && pending !== outboxSending) {
+            pending.record = JSON.parse(json);
+        } else {
+            queueOutboxEntry(name, record.id, 'save', JSON.parse(json));
+        }
+    });
     
-    // Validate data before saving
-    if (!validateDataIntegrity()) {
-        console.error('Data validation failed, skipping save');
-        showNotification('Data validation failed. Please refresh and try again.', 'error');
-        window.isSaving = false;
-        window.isModifying = false;
-        return;
-    }
+    const knownIds = new Set([
+        ...synced.keys(),
+        ...outbox.filter(entry => entry.collection === name).map(entry => entry.id)
+    ]);
+    knownIds.forEach(id => {
+        const pending = latestOutboxEntry(name, id);
+        if (currentIds.has(id) || (pending && pending.action === 'delete')) {
+            return;
+        }
+        changed++;
+        // Created and deleted before it ever reached the server
+        const sameRecord = entry => entry.collection === name && entry.id === id;
+        if (!synced.has(id) && !(outboxSending && sameRecord(outboxSending))) {
+            outbox = outbox.filter(entry => !sameRecord(entry));
+            return;
+        }
+        queueOutboxEntry(name, id, 'delete', null);
+    });
     
-    try {
-        // Try API first, fallback to localStorage
-        await saveDataToAPI();
-        console.log('✅ Data saved to API successfully');
-    } catch (error) {
-        console.error('❌ API save failed, falling back to localStorage:', error);
-        await saveDataToLocalStorage();
+    return { name, changed };
+}
+
+// The server accepted a save: it becomes the base for anything queued after it
+function acknowledgeSavedRecord(entry, saved) {
+    const { collection: name, id, record } = entry;
+    const savedCopy = { ...record, revision: saved.revision, updatedAt: saved.updatedAt };
+    refusedCopies.delete(`${name}:${id}`);
+    applySavedMedia(savedCopy, saved);
+    applySavedLinks(savedCopy, saved);
+    if (!LEDGER_COLLECTIONS.includes(name)) {
+        syncedRecords[name].set(id, JSON.stringify(savedCopy));
     }
+    outbox.forEach(next => {
+        if (next !== entry && next.collection === name && next.id === id) {
+            next.base = savedCopy;
+        }
+    });
     
-    // Clear the flags after a delay to allow storage events to resume
-    setTimeout(() => {
-        console.log('💾 Clearing isSaving and isModifying flags');
-        window.isSaving = false;
-        window.isModifying = false;
-        // Trigger synchronization for both desktop and mobile views
-        synchronizeViews();
-    }, 1000); // Reduced delay to 1 second
+    // Bring the on-screen copy up to date unless it has been edited again since
+    const live = getDataCollections()[name].find(r => r.id === id);
+    if (live && JSON.stringify(live) === JSON.stringify(record)) {
+        live.revision = saved.revision;
+        live.updatedAt = saved.updatedAt;
+        applySavedMedia(live, saved);
+        applySavedLinks(live, saved);
+        if (LEDGER_COLLECTIONS.includes(name)) {
+            // The server works out the stock the movement leaves
+            live.quantityAfter = saved.quantityAfter;
+        }
+    }
+    if (LEDGER_COLLECTIONS.includes(name)) {
+        applyMovementQuantity(saved);
+    }
+    if (name === 'customers' && entry.base && entry.base.name !== record.name) {
+        outboxChangedCustomerLinks = true;
+    }
 }
 
-function validateDataIntegrity() {
-    try {
-        // Validate inventory data
-        if (!Array.isArray(inventory)) {
-            console.error('Inventory is not an array');
-            return false;
+// Copies of records the server refused, by "collection:id". They stay on this device
+// but aren't queued again until they're edited.
+const refusedCopies = new Map();
+
+function isRefusedCopy(name, record) {
+    return refusedCopies.get(`${name}:${record.id}`) === JSON.stringify(record);
+}
+
+// A server error may not last, so the entry is tried again on later passes, but
+// only this many times before it's given up on
+const OUTBOX_MAX_ATTEMPTS = 5;
+
+// Changes the server will never take (no permission, or it kept failing)
+const failedChanges = [];
+
+// Drop an entry the server won't accept and tell the user. A refused delete puts the
+// record back; a refused save stays on this device until it's edited again.
+async function refuseOutboxEntry(entry, response) {
+    const { collection: name, id, record, base } = entry;
+    const { error } = await response.json().catch(() => ({}));
+    if (entry.action === 'delete') {
+        getDataCollections()[name].push(base);
+    } else {
+        refusedCopies.set(`${name}:${id}`, JSON.stringify(record));
+    }
+    const shown = record || base;
+    const label = shown.name || shown.title || shown.itemName || id;
+    failedChanges.push(`${label}: ${error || `${response.status} ${response.statusText}`}`);
+}
+
+// Sends one entry. Returns false if it has to stay queued for now (logged out, or a
+// server error that may clear up); throws if the server couldn't be reached at all.
+async function sendOutboxEntry(entry) {
+    const { collection: name, id, record, base } = entry;
+    const recordUrl = `/api/${name}/${encodeURIComponent(id)}`;
+    
+    if (entry.action === 'delete') {
+        if (!base) {
+            return true; // Never reached the server, so there's nothing to delete
         }
-        
-        // Validate customers data
-        if (!Array.isArray(customers)) {
-            console.error('Customers is not an array');
-            return false;
+        const params = new URLSearchParams();
+        if (base.revision !== undefined) params.set('revision', base.revision);
+        if (entry.reassignTo) params.set('reassignTo', entry.reassignTo);
+        const query = params.toString() ? `?${params}` : '';
+        const response = await sendRecordRequest('DELETE', `${recordUrl}${query}`);
+        if (response.status === 409) {
+            const { record: serverRecord } = await response.json();
+            queueConflict({ name, id, base, local: null, server: serverRecord });
+            return true;
         }
-        
-        // Validate sales data
-        if (!Array.isArray(sales)) {
-            console.error('Sales is not an array');
-            return false;
+        // A customer whose open projects the server knows about (e.g. added on
+        // another device) - put it back, the user has to reassign them first
+        if (response.status === 422) {
+            const { error } = await response.json();
+            getDataCollections()[name].push(base);
+            refusedDeletes.push(error);
+            return true;
         }
-        
-        // Validate gallery data
-        if (!Array.isArray(gallery)) {
-            console.error('Gallery is not an array');
-            return false;
+        // 404 means another device already removed it
+        if (!response.ok && response.status !== 404) {
+            return outboxEntryFailed(entry, response);
         }
-        
-        // Validate ideas data
-        if (!Array.isArray(ideas)) {
-            console.error('Ideas is not an array');
-            return false;
+        syncedRecords[name].delete(id);
+        if (name === 'customers') {
+            outboxChangedCustomerLinks = true;
         }
-        
-        // Check for corrupted image data
-        const allData = [...inventory, ...gallery, ...ideas];
-        for (const item of allData) {
-            if (item.imageData) {
-                if (typeof item.imageData === 'string') {
-                    // Check if it's a valid base64 data URL
-                    if (!item.imageData.startsWith('data:image/') || item.imageData.length < 100) {
-                        console.warn('Invalid image data found, removing:', item.name || item.title);
-                        delete item.imageData;
-                    }
-                }
+        return true;
+    }
+    
+    let response;
+    if (!base) {
+        response = await sendRecordRequest('POST', `/api/${name}`, record);
+        // Already in the ledger: sent before, but the answer never came back
+        if (response.status === 409 && LEDGER_COLLECTIONS.includes(name)) {
+            const { record: serverRecord } = await response.json();
+            acknowledgeSavedRecord(entry, serverRecord);
+            return true;
+        }
+        // Already on the server (e.g. loaded before we went offline) - update the revision we edited
+        if (response.status === 409 && record.revision !== undefined) {
+            response = await sendRecordRequest('PUT', recordUrl, record);
+        }
+    } else {
+        // Sent against the revision we started from, so the server can spot edits made elsewhere meanwhile
+        response = await sendRecordRequest('PUT', recordUrl, { ...record, revision: base.revision });
+        // Deleted on another device while we were editing it - put it back rather than lose the edit
+        if (response.status === 404) {
+            const { revision, ...restored } = record;
+            response = await sendRecordRequest('POST', `/api/${name}`, restored);
+            if (response.ok) {
+                restoredRecords.push({ name, record });
             }
         }
-        
+    }
+    // Failed schema validation - leave it unsynced until it's edited again, then queue the fix
+    if (response.status === 400) {
+        const { fields } = await response.json().catch(() => ({}));
+        refusedCopies.set(`${name}:${id}`, JSON.stringify(record));
+        rejectedRecords.push({ name, id, fields: fields || {} });
         return true;
-    } catch (error) {
-        console.error('Data validation error:', error);
+    }
+    if (response.status === 409) {
+        const { record: serverRecord } = await response.json();
+        queueConflict({ name, id, base, local: record, server: serverRecord });
+        return true;
+    }
+    if (!response.ok) {
+        return outboxEntryFailed(entry, response);
+    }
+    acknowledgeSavedRecord(entry, await response.json());
+    return true;
+}
+
+// Any other failure: logged out or a server error waits for a later pass, everything
+// else (e.g. 403) will never succeed, so the entry is dropped
+async function outboxEntryFailed(entry, response) {
+    const { collection: name, id } = entry;
+    console.warn(`⚠️ Failed to send ${entry.action} of ${name} record ${id}: ${response.status} ${response.statusText}`);
+    if (response.status === 401) {
         return false;
     }
+    if (response.status >= 500) {
+        entry.attempts = (entry.attempts || 0) + 1;
+        if (entry.attempts < OUTBOX_MAX_ATTEMPTS) {
+            return false;
+        }
+    }
+    await refuseOutboxEntry(entry, response);
+    return true;
 }
 
-function synchronizeViews() {
-    // Skip synchronization if we're in the middle of any data modification
-    if (window.isSaving || window.isModifying) {
-        console.log('🔄 Skipping synchronizeViews - modification in progress');
+// Replays the outbox in order. Resolves true once it's empty.
+function flushOutbox() {
+    if (!outboxFlush) {
+        outboxFlush = runOutbox().finally(() => {
+            outboxFlush = null;
+        });
+    }
+    return outboxFlush;
+}
+
+async function runOutbox() {
+    await restoreOfflineState();
+    let sent = 0;
+    try {
+        while (outbox.length > 0) {
+            const entry = outbox[0];
+            outboxSending = entry;
+            if (!await sendOutboxEntry(entry)) {
+                break;
+            }
+            outbox.shift();
+            sent++;
+            await saveLocalCopy();
+        }
+    } catch (error) {
+        console.warn('📴 Server unreachable - changes stay queued:', error.message);
+    } finally {
+        outboxSending = null;
+    }
+    
+    if (sent > 0) {
+        console.log(`📤 Sent ${sent} queued change(s), ${outbox.length} still waiting`);
+    }
+    updateConnectionStatus(outbox.length === 0 ? 'connected' : 'disconnected');
+    reportRejectedRecords();
+    reportFailedChanges();
+    reportRestoredRecords();
+    reportRefusedDeletes();
+    // The server updated the records linked to a customer we renamed or deleted.
+    // Live sync brings them over; without a stream, fetch them.
+    if (outboxChangedCustomerLinks) {
+        outboxChangedCustomerLinks = false;
+        if (!liveSyncSource || liveSyncSource.readyState !== EventSource.OPEN) {
+            catchUpLiveSync();
+        }
+    }
+    if (pendingConflicts.length > 0) {
+        console.warn('⚠️ Save conflicts with changes from another device:', pendingConflicts.length);
+        showNextConflict();
+    }
+    return outbox.length === 0;
+}
+
+// Records we put back after another device deleted them
+const restoredRecords = [];
+// Server messages for deletes it refused
+const refusedDeletes = [];
+let outboxChangedCustomerLinks = false;
+
+function reportRefusedDeletes() {
+    if (refusedDeletes.length === 0) {
+        return;
+    }
+    showNotification(refusedDeletes.join('. '), 'warning');
+    refusedDeletes.length = 0;
+    synchronizeViews();
+}
+
+function reportFailedChanges() {
+    if (failedChanges.length === 0) {
+        return;
+    }
+    showNotification(`Some changes could not be saved: ${failedChanges.join('. ')}`, 'error');
+    failedChanges.length = 0;
+    synchronizeViews();
+}
+
+function reportRestoredRecords() {
+    if (restoredRecords.length === 0) {
         return;
     }
+    const labels = restoredRecords.map(({ record }) => record.name || record.title || record.itemName || record.id);
+    showNotification(`Restored ${labels.join(', ')}: deleted on another device while you were editing`, 'warning');
+    restoredRecords.length = 0;
+}
+
+async function saveDataToAPI() {
+    console.log('🌐 saveDataToAPI() called');
+    console.log('🌐 isSaving:', window.isSaving, 'isModifying:', window.isModifying);
     
-    console.log('🔄 Synchronizing views');
-    // Refresh all tabs to ensure desktop and mobile are in sync
-    loadData();
+    await restoreOfflineState();
+    const results = Object.entries(getDataCollections())
+        .map(([name, data]) => (LEDGER_COLLECTIONS.includes(name) ? queueLedgerRecords : queueCollectionChanges)(name, data));
+    console.log('📥 Queued changes:', results.map(r => `${r.name} (${r.changed} changed)`).join(', '));
     
-    // Note: Mobile card refreshes are handled within the individual load functions
-    // (loadInventoryTable, loadWIPTab, etc.) so we don't need to call them separately
+    // Keep the queue on this device before anything goes over the network
+    await saveLocalCopy();
+    
+    if (await flushOutbox()) {
+        console.log('✅ Data saved to API successfully');
+    } else {
+        console.log(`📴 ${outbox.length} change(s) saved on this device, waiting for the server`);
+    }
 }
 
-function setupViewSynchronization() {
-    // Handle window resize to switch between desktop/mobile views
-    let resizeTimeout;
-    window.addEventListener('resize', function() {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-            // Refresh the current view when switching between desktop/mobile
-            synchronizeViews();
-        }, 250); // Debounce resize events
-    });
+// ===== FIELD VALIDATION =====
+// Records are checked against the same schemas the server enforces (schemas.js).
+// Form inputs carry a data-field attribute naming the record field they edit, so
+// each error can be shown under the input it belongs to.
+
+const rejectedRecords = [];
+
+function clearFieldErrors(formId) {
+    const form = document.getElementById(formId);
+    if (!form) return;
+    form.querySelectorAll('[data-field].error').forEach(input => formManager.updateFieldValidation(input, []));
+}
+
+function showFieldErrors(formId, fields) {
+    clearFieldErrors(formId);
+    const form = document.getElementById(formId);
+    const unmatched = [];
     
-    // Set up periodic data refresh to catch changes from other tabs/windows
-    setInterval(() => {
-        // Skip refresh if we're in the middle of any data modification
-        if (window.isSaving || window.isModifying) {
-            console.log('🔄 Skipping periodic refresh - modification in progress');
-            return;
+    Object.entries(fields).forEach(([field, message]) => {
+        const input = form && form.querySelector(`[data-field="${field}"]`);
+        if (input) {
+            formManager.updateFieldValidation(input, [message]);
+        } else {
+            unmatched.push(message);
         }
-        
-        // Check if data has changed by comparing localStorage timestamps
-        const lastSaved = localStorage.getItem('lastDataSave');
-        const currentTime = Date.now();
-        
-        if (lastSaved && (currentTime - parseInt(lastSaved)) < 5000) {
-            // Data was recently saved, refresh views
-            console.log('🔄 Periodic refresh triggered');
-            synchronizeViews();
-        }
-    }, 3000); // Check every 3 seconds
+    });
     
-    // Listen for storage changes from other tabs
-    window.addEventListener('storage', function(e) {
-        if (e.key && e.key.startsWith('embroidery')) {
-            // Data was updated in another tab, refresh current view
-            console.log('🔄 Data changed in another tab, refreshing...');
-            console.log('🔄 isSaving:', window.isSaving, 'isModifying:', window.isModifying);
-            setTimeout(() => {
-                // Only refresh if we're not in the middle of any data modification
-                if (!window.isSaving && !window.isModifying) {
-                    console.log('🔄 Proceeding with data refresh from storage event');
-                    loadDataFromLocalStorage();
-                    synchronizeViews();
-                } else {
-                    console.log('🔄 Skipping data refresh - modification in progress');
-                }
-            }, 100);
-        }
+    const firstInvalid = form && form.querySelector('[data-field].error');
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+    showNotification(unmatched.length > 0 ? unmatched.join('. ') : 'Please fix the highlighted fields', 'error');
+}
+
+// Returns true if the record can be saved; otherwise marks the failing fields on the form
+function validateFormRecord(formId, collection, record) {
+    const fields = RecordSchemas.validateRecord(collection, record);
+    if (Object.keys(fields).length > 0) {
+        showFieldErrors(formId, fields);
+        return false;
+    }
+    clearFieldErrors(formId);
+    return true;
+}
+
+function reportRejectedRecords() {
+    if (rejectedRecords.length === 0) {
+        return;
+    }
+    rejectedRecords.forEach(({ name, id, fields }) => {
+        console.warn(`⚠️ Server rejected ${name} record ${id}:`, fields);
     });
+    const messages = rejectedRecords.flatMap(({ fields }) => Object.values(fields));
+    showNotification(`Some changes were not saved: ${Array.from(new Set(messages)).join('. ')}`, 'error');
+    rejectedRecords.length = 0;
+}
+
+// ===== SYNC CONFLICTS =====
+// A conflict is raised when the server rejects a write because another device saved the
+// record first. Each one holds the copy we last synced (base), our edit (local, or null if
+// we deleted it) and the server's current copy, so the user can keep either side or merge.
+
+const pendingConflicts = [];
+let activeConflict = null;
+const CONFLICT_IGNORED_FIELDS = ['_id', 'id', 'revision', 'updatedAt'];
+
+function queueConflict(conflict) {
+    // Only the newest conflict per record matters
+    const existingIndex = pendingConflicts.findIndex(c => c.name === conflict.name && c.id === conflict.id);
+    if (existingIndex > -1) {
+        pendingConflicts.splice(existingIndex, 1);
+    }
+    pendingConflicts.push(conflict);
+}
+
+function showNextConflict() {
+    const modal = document.getElementById('conflictModal');
+    if (!modal || modal.style.display === 'block' || pendingConflicts.length === 0) {
+        return;
+    }
     
-    // Listen for focus events to refresh when user returns to tab (with throttling)
-    let lastFocusRefresh = 0;
-    const FOCUS_REFRESH_INTERVAL = 30000; // 30 seconds minimum between refreshes
+    activeConflict = pendingConflicts.shift();
+    renderConflictModal(activeConflict);
+    modal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+function getConflictFields(conflict) {
+    const { base, local, server } = conflict;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const keys = new Set([...Object.keys(local), ...Object.keys(server)]);
     
-    window.addEventListener('focus', function() {
-        const now = Date.now();
-        if (now - lastFocusRefresh > FOCUS_REFRESH_INTERVAL) {
-            lastFocusRefresh = now;
-            // Only refresh if data is empty or very old
-            if (!inventory || inventory.length === 0 || !customers || customers.length === 0) {
-        loadDataFromAPI().catch(() => {
-            loadDataFromLocalStorage();
+    return Array.from(keys)
+        .filter(key => !CONFLICT_IGNORED_FIELDS.includes(key) && !same(local[key], server[key]))
+        .map(key => {
+            const mineChanged = !base || !same(local[key], base[key]);
+            const theirsChanged = !base || !same(server[key], base[key]);
+            return {
+                key,
+                mine: local[key],
+                theirs: server[key],
+                // Fields only one side touched merge cleanly; fields both sides touched need a decision
+                prefer: theirsChanged && !mineChanged ? 'theirs' : 'mine',
+                bothChanged: mineChanged && theirsChanged
+            };
         });
-            }
-        }
-    });
 }
 
-// Update status options based on item type
-// Old helper functions removed - now using direct field visibility control
+function formatConflictValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '<em>(empty)</em>';
+    }
+    if (typeof value === 'string' && value.startsWith('data:image/')) {
+        return '<em>(photo)</em>';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return SecurityManager.escapeHtml(text.length > 120 ? text.substring(0, 120) + '…' : text);
+}
 
-function updateStatusOptions() {
-    const typeSelect = document.getElementById('itemType');
-    const categorySelect = document.getElementById('itemCategory');
-    const projectFields = document.getElementById('projectFields');
-    const modalTitle = document.getElementById('addItemModalTitle');
-    const submitButton = document.querySelector('#addItemForm button[type="submit"]');
+function renderConflictModal(conflict) {
+    const { local, server } = conflict;
+    const record = local || server;
+    const label = record.name || record.title || record.description || record.customer || conflict.id;
     
-    const inventoryFields = document.getElementById('inventoryFields');
+    document.getElementById('conflictMessage').textContent = local
+        ? `"${label}" in ${conflict.name} was changed on another device while you were editing it. Choose which changes to keep.`
+        : `You deleted "${label}" from ${conflict.name}, but it was changed on another device in the meantime.`;
     
-    if (typeSelect.value === 'inventory') {
-        // Show inventory fields, hide project fields
-        if (inventoryFields) inventoryFields.style.display = 'block';
-        if (projectFields) projectFields.style.display = 'none';
-        
-        // Inventory categories
-        categorySelect.innerHTML = `
-            <option value="">Select Category</option>
-            <option value="kits">Kits</option>
-            <option value="hoops">Hoops</option>
-            <option value="fabric">Fabric</option>
-            <option value="thread">Thread</option>
-            <option value="supplies">Other Supplies</option>
-        `;
-        modalTitle.textContent = 'Add New Inventory Item';
-        if (submitButton) submitButton.textContent = 'Add Item';
-    } else if (typeSelect.value === 'project') {
-        // Hide inventory fields, show project fields
-        if (inventoryFields) inventoryFields.style.display = 'none';
-        if (projectFields) projectFields.style.display = 'block';
+    const fieldsContainer = document.getElementById('conflictFields');
+    if (!local) {
+        fieldsContainer.innerHTML = '';
+    } else {
+        const rows = getConflictFields(conflict).map(field => `
+            <tr class="${field.bothChanged ? 'conflict-both-changed' : ''}">
+                <td class="conflict-field-name">${SecurityManager.escapeHtml(field.key)}</td>
+                <td>
+                    <label>
+                        <input type="radio" name="conflict_${SecurityManager.escapeHtml(field.key)}" data-field="${SecurityManager.escapeHtml(field.key)}" value="mine" ${field.prefer === 'mine' ? 'checked' : ''}>
+                        ${formatConflictValue(field.mine)}
+                    </label>
+                </td>
+                <td>
+                    <label>
+                        <input type="radio" name="conflict_${SecurityManager.escapeHtml(field.key)}" data-field="${SecurityManager.escapeHtml(field.key)}" value="theirs" ${field.prefer === 'theirs' ? 'checked' : ''}>
+                        ${formatConflictValue(field.theirs)}
+                    </label>
+                </td>
+            </tr>
+        `).join('');
         
-        // Project categories
-        categorySelect.innerHTML = `
-            <option value="">Select Category</option>
-            <option value="hoop">Hoop</option>
-            <option value="clothing">Clothing</option>
-            <option value="custom">Custom</option>
-            <option value="gift">Gift</option>
-            <option value="home-decor">Home Decor</option>
-            <option value="accessories">Accessories</option>
-            <option value="other">Other</option>
+        fieldsContainer.innerHTML = `
+            <table class="conflict-table">
+                <thead>
+                    <tr><th>Field</th><th>Your version</th><th>Other device</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
         `;
-        modalTitle.textContent = 'Add New Project';
-        if (submitButton) submitButton.textContent = 'Add Project';
     }
+    
+    document.getElementById('conflictMergeBtn').style.display = local ? '' : 'none';
+    document.getElementById('conflictKeepMineBtn').innerHTML = local
+        ? '<i class="fas fa-user"></i> Keep Mine'
+        : '<i class="fas fa-trash"></i> Delete Anyway';
 }
 
-// Update edit status options based on item type
-function updateEditStatusOptions() {
-    // Try both project and inventory elements
-    const projectTypeSelect = document.getElementById('editProjectType');
-    const projectStatusSelect = document.getElementById('editProjectStatus');
-    // const projectCategorySelect = document.getElementById('editProjectCategory'); // Field removed
-    
-    const inventoryTypeSelect = document.getElementById('editInventoryType');
-    const inventoryStatusSelect = document.getElementById('editInventoryStatus');
-    // const inventoryCategorySelect = document.getElementById('editInventoryCategory'); // Field removed
-    
-    // Determine which modal is active
-    let typeSelect, statusSelect, categorySelect;
-    if (projectTypeSelect && projectStatusSelect) {
-        typeSelect = projectTypeSelect;
-        statusSelect = projectStatusSelect;
-        categorySelect = null; // Category field removed
-    } else if (inventoryTypeSelect && inventoryStatusSelect) {
-        typeSelect = inventoryTypeSelect;
-        statusSelect = inventoryStatusSelect;
-        categorySelect = null; // Category field removed
-    } else {
-        console.warn('updateEditStatusOptions: Required elements not found');
+function buildMergedRecord(conflict) {
+    const merged = { ...conflict.local };
+    document.querySelectorAll('#conflictFields input[type="radio"]:checked').forEach(input => {
+        if (input.value !== 'theirs') {
+            return;
+        }
+        const key = input.dataset.field;
+        if (conflict.server[key] === undefined) {
+            delete merged[key];
+        } else {
+            merged[key] = conflict.server[key];
+        }
+    });
+    return merged;
+}
+
+// choice: 'mine', 'theirs' or 'merge'
+function resolveConflict(choice) {
+    const conflict = activeConflict;
+    if (!conflict) {
         return;
     }
     
-    console.log('updateEditStatusOptions called, typeSelect.value:', typeSelect.value); // Debug log
+    const { name, id, server } = conflict;
+    const records = getDataCollections()[name];
+    const index = records.findIndex(record => record.id === id);
     
-    const inventoryFields = document.getElementById('editInventoryFields');
+    // The server copy becomes the base for the next save, so our write goes in against its revision
+    syncedRecords[name].set(id, JSON.stringify(server));
     
-    if (typeSelect.value === 'inventory') {
-        // Show inventory fields, hide project fields
-        if (inventoryFields) inventoryFields.style.display = 'block';
-        if (projectFields) projectFields.style.display = 'none';
-        
-        // Inventory status options
-        statusSelect.innerHTML = `
-            <option value="available">Available</option>
-            <option value="low-stock">Low Stock</option>
-            <option value="out-of-stock">Out of Stock</option>
-        `;
-        // Inventory categories
-        categorySelect.innerHTML = `
-            <option value="">Select Category</option>
-            <option value="kits">Kits</option>
-            <option value="hoops">Hoops</option>
-            <option value="fabric">Fabric</option>
-            <option value="thread">Thread</option>
-            <option value="supplies">Other Supplies</option>
-        `;
-        modalTitle.textContent = 'Edit Inventory Item';
-        submitButton.textContent = 'Update Inventory Item';
-    } else if (typeSelect.value === 'project') {
-        // Hide inventory fields, show project fields
-        if (inventoryFields) {
-            inventoryFields.style.display = 'none';
-            console.log('Hiding inventory fields');
-        }
-        if (projectFields) {
-            projectFields.style.display = 'block';
-            console.log('Showing project fields');
+    if (choice === 'theirs') {
+        if (index > -1) {
+            records[index] = server;
+        } else {
+            records.push(server);
         }
-        
-        // Project status options
-        statusSelect.innerHTML = `
-            <option value="pending">Pending</option>
-            <option value="in-progress">In Progress</option>
-            <option value="work-in-progress">Work in Progress</option>
-            <option value="completed">Completed</option>
-            <option value="sold">Sold</option>
-        `;
-        // Project categories
-        categorySelect.innerHTML = `
-            <option value="">Select Category</option>
-            <option value="hoop">Hoop</option>
-            <option value="clothing">Clothing</option>
-            <option value="custom">Custom</option>
-            <option value="gift">Gift</option>
-            <option value="home-decor">Home Decor</option>
-            <option value="accessories">Accessories</option>
-            <option value="other">Other</option>
-        `;
-        modalTitle.textContent = 'Edit Project';
-        submitButton.textContent = 'Update Project';
+    } else if (conflict.local && index > -1) {
+        const resolved = choice === 'merge' ? buildMergedRecord(conflict) : { ...conflict.local };
+        resolved.revision = server.revision;
+        resolved.updatedAt = server.updatedAt;
+        records[index] = resolved;
     }
+    // A deleted record that we still want gone needs nothing else: the next save deletes the server copy
     
-    // Hide/show fields based on status for completed items
-    const currentStatus = statusSelect.value;
-    const fieldPrefix = typeSelect.value === 'inventory' ? 'editInventory' : 'editProject';
+    closeConflictModal();
     
-    const fieldsToHide = [
-        `${fieldPrefix}DueDate`,
-        `${fieldPrefix}Priority`, 
-        `${fieldPrefix}Tags`,
-        `${fieldPrefix}PatternLink`
-    ];
+    if (choice === 'theirs') {
+        synchronizeViews();
+        showNotification('Kept the version from the other device', 'info');
+    } else {
+        saveResolvedConflict();
+    }
     
-    fieldsToHide.forEach(fieldId => {
-        const fieldElement = document.getElementById(fieldId);
-        if (fieldElement) {
-            const formGroup = fieldElement.closest('.form-group');
-            if (formGroup) {
-                formGroup.style.display = currentStatus === 'completed' ? 'none' : 'block';
-            }
-        }
-    });
+    showNextConflict();
 }
 
-// Update table headers based on view mode
-function updateTableHeaders(showDetailed = false) {
-    const headerRow = document.getElementById('projectsTableHeader');
-    if (!headerRow) return;
-    
-    if (showDetailed) {
-        // Full detailed view for editing
-        headerRow.innerHTML = `
-            <th>Project</th>
-            <th>Category</th>
-            <th>Qty</th>
-            <th>Status</th>
-            <th>Due Date</th>
-            <th>Notes</th>
-            <th>Link</th>
-            <th>Actions</th>
-        `;
-    } else {
-        // Simplified home view
-        headerRow.innerHTML = `
-            <th>Project</th>
-            <th>Status</th>
-            <th>Due Date</th>
-            <th>Actions</th>
-        `;
+function saveResolvedConflict() {
+    // saveData() skips while another save is settling, so wait for it
+    if (window.isSaving) {
+        setTimeout(saveResolvedConflict, 500);
+        return;
     }
+    saveData();
 }
 
-// Toggle between simplified and detailed view
-let isDetailedView = false;
-function toggleDetailedView() {
-    isDetailedView = !isDetailedView;
-    const toggleBtn = document.getElementById('toggleViewBtn');
-    
-    if (isDetailedView) {
-        toggleBtn.innerHTML = '<i class="fas fa-eye-slash"></i> Simple View';
-        toggleBtn.classList.remove('btn-outline');
-        toggleBtn.classList.add('btn-primary');
-    } else {
-        toggleBtn.innerHTML = '<i class="fas fa-list"></i> Detailed View';
-        toggleBtn.classList.remove('btn-primary');
-        toggleBtn.classList.add('btn-outline');
-    }
-    
-    // Reload the table with the new view mode
-    loadInventoryTable(isDetailedView);
+function closeConflictModal() {
+    // Dismissing without a choice leaves the record unsynced; the next save raises the conflict again
+    activeConflict = null;
+    document.getElementById('conflictModal').style.display = 'none';
+    document.body.classList.remove('modal-open');
 }
 
-// Projects Management (Customer Work)
-function loadInventoryTable(showDetailed = false) {
-    // This function is deprecated - projects now use cards
-    // Check if we're on the projects tab and load cards instead
-    const activeTab = document.querySelector('.nav-btn.active');
-    if (activeTab && activeTab.getAttribute('data-tab') === 'projects') {
-        loadProjectsCards();
+// ===== LIVE SYNC =====
+// The server streams a `change` event for every record another device saves
+// (GET /api/events). Each one is patched into the in-memory arrays and the
+// open tab re-rendered, so devices stay in step without a reload. Records with
+// unsaved local edits are left alone; the next save raises a conflict for them.
+
+// Sent with every write so we can recognise our own changes coming back
+const LIVE_SYNC_CLIENT_ID = Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 9);
+const LIVE_SYNC_MAX_RETRY_MS = 60000;
+let liveSyncSource = null;
+let liveSyncRetryDelay = 1000;
+let liveSyncRetryTimer = null;
+let liveSyncRefreshTimer = null;
+let liveSyncMissedChanges = false;
+
+function startLiveSync() {
+    if (liveSyncSource || typeof EventSource === 'undefined' || !isAuthenticated) {
         return;
     }
+    clearTimeout(liveSyncRetryTimer);
     
-    // For other tabs, this is a no-op since we use cards now
-    console.log('loadInventoryTable called - using card layout instead');
-    return;
-    
-    // Update table headers based on view mode
-    updateTableHeaders(showDetailed);
-    
-    // Filter for projects only (not inventory items)
-    const projectItems = inventory.filter(item => item.type === 'project' || !item.type);
+    const source = new EventSource('/api/events', { withCredentials: true });
+    liveSyncSource = source;
     
-    // Group items by customer
-    const groupedItems = {};
-    projectItems.forEach((item, filteredIndex) => {
-        const customer = item.customer || 'No Customer';
-        if (!groupedItems[customer]) {
-            groupedItems[customer] = [];
+    source.addEventListener('open', () => {
+        console.log('📡 Live sync connected');
+        liveSyncRetryDelay = 1000;
+        // Changes made while the stream was down never reached us
+        if (liveSyncMissedChanges) {
+            liveSyncMissedChanges = false;
+            catchUpLiveSync();
         }
-        // Find the original inventory index by comparing _id or name
-        let originalIndex = inventory.findIndex(invItem => invItem === item);
-        if (originalIndex === -1) {
-            // Fallback: find by _id or name if reference comparison fails
-            originalIndex = inventory.findIndex(invItem => 
-                (invItem._id && item._id && invItem._id === item._id) || 
-                (invItem.name === item.name && invItem.dateAdded === item.dateAdded)
-            );
-        }
-        groupedItems[customer].push({ item, index: originalIndex });
     });
     
-    // Sort customers alphabetically, with "No Customer" at the end
-    const sortedCustomers = Object.keys(groupedItems).sort((a, b) => {
-        if (a === 'No Customer') return 1;
-        if (b === 'No Customer') return -1;
-        return a.localeCompare(b);
+    source.addEventListener('change', event => {
+        try {
+            applyRemoteChange(JSON.parse(event.data));
+        } catch (error) {
+            logError('Live sync', error);
+        }
     });
     
-    sortedCustomers.forEach(customer => {
-        const customerItems = groupedItems[customer];
-        
-        // Skip customers with no projects (shouldn't happen but safety check)
-        if (!customerItems || customerItems.length === 0) {
+    source.addEventListener('error', () => {
+        liveSyncMissedChanges = true;
+        // The browser retries dropped connections itself; a closed stream (e.g. logged out) needs us
+        if (source.readyState !== EventSource.CLOSED) {
             return;
         }
-        
-        // Create customer header row
-        const headerRow = document.createElement('tr');
-        headerRow.className = 'customer-header';
-        headerRow.setAttribute('data-customer', customer);
-        headerRow.onclick = () => toggleCustomerGroup(customer);
-        
-        // Calculate customer stats
-        const totalProjects = customerItems.length;
-        const inventoryCount = customerItems.filter(({ item }) => item.status === 'inventory').length;
-        const pendingCount = customerItems.filter(({ item }) => item.status === 'pending').length;
-        const inProgressCount = customerItems.filter(({ item }) => item.status === 'in-progress' || item.status === 'work-in-progress').length;
-        const completedCount = customerItems.filter(({ item }) => item.status === 'completed').length;
-        const soldCount = customerItems.filter(({ item }) => item.status === 'sold').length;
-        
-        const colspan = showDetailed ? 8 : 4;
-        headerRow.innerHTML = `
-            <td colspan="${colspan}">
-                <div class="customer-header-content">
-                    <i class="fas fa-chevron-right customer-toggle"></i>
-                    <strong>${customer}</strong>
-                    <span class="customer-stats">
-                        ${totalProjects} project${totalProjects !== 1 ? 's' : ''} 
-                        (${pendingCount} pending, ${inProgressCount} in progress, ${completedCount} completed, ${soldCount} sold)
-                    </span>
-                </div>
-            </td>
-        `;
-        tbody.appendChild(headerRow);
-        
-        // Hide pagination completely - not needed for projects
-        const paginationContainer = document.getElementById('projectsPagination');
-        if (paginationContainer) {
-            paginationContainer.style.display = 'none';
-        }
-    
-    // Add individual project rows for this customer directly to the tbody
-    customerItems.forEach(({ item, index }) => {
-            const projectRow = document.createElement('tr');
-            projectRow.className = 'project-row';
-            
-            // Format due date with urgency styling
-            const dueDate = item.dueDate ? new Date(item.dueDate).toLocaleDateString() : '';
-            const today = new Date();
-            const dueDateObj = item.dueDate ? new Date(item.dueDate) : null;
-            const isOverdue = dueDateObj && dueDateObj < today && item.status !== 'completed' && item.status !== 'sold';
-            const isDueSoon = dueDateObj && dueDateObj <= new Date(today.getTime() + 3 * 24 * 60 * 60 * 1000) && item.status !== 'completed' && item.status !== 'sold';
-            
-            const dueDateClass = isOverdue ? 'due-date-overdue' : isDueSoon ? 'due-date-soon' : '';
-            
-            // Create pattern link button if link exists
-            const patternLinkButton = item.patternLink ? 
-                `<button class="btn btn-link" onclick="window.open('${item.patternLink}', '_blank')" title="Open Pattern">
-                    <i class="fas fa-external-link-alt"></i> Pattern
-                </button>` : 
-                '<span class="text-muted"></span>';
-            
-            // Create quick action buttons based on current status
-            let quickActions = '';
-            if (item.status === 'inventory') {
-                quickActions = `
-                    <button class="btn btn-sm btn-primary" onclick="quickStatusChange(${index}, 'pending')" title="Start Project">
-                        <i class="fas fa-play"></i>
-                    </button>
-                `;
-            } else if (item.status === 'pending') {
-                quickActions = `
-                    <button class="btn btn-sm btn-primary" onclick="quickStatusChange(${index}, 'in-progress')" title="Start Work">
-                        <i class="fas fa-play"></i>
-                    </button>
-                `;
-            } else if (item.status === 'in-progress' || item.status === 'work-in-progress') {
-                quickActions = `
-                    <button class="btn btn-sm btn-success" onclick="quickStatusChange(${index}, 'completed')" title="Mark Complete">
-                        <i class="fas fa-check"></i>
-                    </button>
-                `;
-            } else if (item.status === 'completed') {
-                quickActions = `
-                    <button class="btn btn-sm btn-info" onclick="quickStatusChange(${index}, 'sold')" title="Mark as Sold">
-                        <i class="fas fa-dollar-sign"></i>
-                    </button>
-                `;
-            }
+        console.warn(`⚠️ Live sync closed - retrying in ${liveSyncRetryDelay / 1000}s`);
+        stopLiveSync();
+        liveSyncRetryTimer = setTimeout(() => {
+            checkAuthStatus().then(startLiveSync);
+        }, liveSyncRetryDelay);
+        liveSyncRetryDelay = Math.min(liveSyncRetryDelay * 2, LIVE_SYNC_MAX_RETRY_MS);
+    });
+}
 
-            // Truncate notes for display
-            const notes = item.notes || '';
-            const truncatedNotes = notes.length > 30 ? notes.substring(0, 30) + '...' : notes;
-            let notesDisplay = notes ? `<span title="${notes}">${truncatedNotes}</span>` : '<span class="text-muted"></span>';
-            
-            // Add yarn info if available
-            if (item.yarnColor || item.yarnAmount) {
-                const yarnInfo = [];
-                if (item.yarnColor) yarnInfo.push(`<span class="yarn-color"><i class="fas fa-palette"></i> ${item.yarnColor}</span>`);
-                if (item.yarnAmount) yarnInfo.push(`<span class="yarn-amount"><i class="fas fa-weight"></i> ${item.yarnAmount}</span>`);
-                const yarnDisplay = `<div class="yarn-info">${yarnInfo.join(' • ')}</div>`;
-                notesDisplay = notes ? `${notesDisplay}<br>${yarnDisplay}` : yarnDisplay;
-            }
+function stopLiveSync() {
+    clearTimeout(liveSyncRetryTimer);
+    if (liveSyncSource) {
+        liveSyncSource.close();
+        liveSyncSource = null;
+    }
+}
 
-            // Create category and tags display
-            const categoryDisplay = item.category ? `<span class="category-badge category-${item.category}">${item.category}</span>` : '<span class="text-muted"></span>';
-            const tags = item.tags ? item.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
-            const tagsDisplay = tags.length > 0 ? 
-                `<div class="tags-container">${tags.map(tag => `<span class="tag">${tag}</span>`).join('')}</div>` : 
-                '<span class="text-muted"></span>';
+// True while the local copy has edits the server hasn't acknowledged yet
+function hasPendingEdit(name, id) {
+    const synced = syncedRecords[name];
+    const record = getDataCollections()[name].find(r => r.id === id);
+    const base = synced && synced.get(id);
+    if (!record) {
+        return base !== undefined; // Deleted here, delete not saved yet
+    }
+    return base !== JSON.stringify(record);
+}
 
-            // Format type display
-            const typeDisplay = item.type === 'inventory' ? 'Inventory' : 'Project';
-            const typeClass = item.type === 'inventory' ? 'type-inventory' : 'type-project';
-            
-            if (showDetailed) {
-                // Full detailed view for editing
-                projectRow.innerHTML = `
-                    <td class="project-name"><strong>${item.name}</strong></td>
-                    <td class="project-category">${categoryDisplay}</td>
-                    <td class="project-quantity"><span class="quantity-badge">${item.quantity || 1}</span></td>
-                    <td class="project-status">
-                        <span class="status-badge status-${item.status}">${item.status}</span>
-                        <div class="quick-actions">${quickActions}</div>
-                    </td>
-                    <td class="project-due-date"><span class="due-date ${dueDateClass}">${dueDate}</span></td>
-                    <td class="project-notes">${notesDisplay}</td>
-                    <td class="project-pattern">${patternLinkButton}</td>
-                    <td class="project-actions">
-                        <div class="action-buttons">
-                            <button class="btn btn-secondary" onclick="editProject(${index})" title="Edit Project">
-                                <i class="fas fa-edit"></i>
-                            </button>
-                            <button class="btn btn-info" onclick="copyItem(${index})" title="Copy Item">
-                                <i class="fas fa-copy"></i>
-                            </button>
-                            <button class="btn btn-success" onclick="markAsSold(${index})" ${item.status === 'sold' ? 'disabled' : ''} title="Mark as Sold">
-                                <i class="fas fa-check"></i>
-                            </button>
-                            <button class="btn btn-danger" onclick="deleteItem(${index})" title="Delete Item">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                    </td>
-                `;
-            } else {
-                // Simplified home view
-                projectRow.innerHTML = `
-                    <td class="project-name"><strong>${item.name}</strong></td>
-                    <td class="project-status">
-                        <span class="status-badge status-${item.status}">${item.status}</span>
-                        <div class="quick-actions">${quickActions}</div>
-                    </td>
-                    <td class="project-due-date"><span class="due-date ${dueDateClass}">${dueDate}</span></td>
-                    <td class="project-actions">
-                        <div class="action-buttons">
-                            <button class="btn btn-secondary" onclick="editProject(${index})" title="Edit Project">
-                                <i class="fas fa-edit"></i>
-                            </button>
-                            <button class="btn btn-info" onclick="copyItem(${index})" title="Copy Item">
-                                <i class="fas fa-copy"></i>
-                            </button>
-                            <button class="btn btn-success" onclick="markAsSold(${index})" ${item.status === 'sold' ? 'disabled' : ''} title="Mark as Sold">
-                                <i class="fas fa-check"></i>
-                            </button>
-                            <button class="btn btn-danger" onclick="deleteItem(${index})" title="Delete Item">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                    </td>
-                `;
-            }
-            // Start collapsed by default
-            projectRow.style.display = 'none';
-            tbody.appendChild(projectRow);
-        });
-    });
+// change: { collection, action, id, revision, record, origin } as sent by the server
+function applyRemoteChange(change) {
+    const { collection, action, id, record, origin } = change;
+    const records = getDataCollections()[collection];
+    if (!records || origin === LIVE_SYNC_CLIENT_ID) {
+        return;
+    }
+    if (LEDGER_COLLECTIONS.includes(collection)) {
+        if (action === 'create' && !records.some(r => r.id === id)) {
+            records.push(record);
+            applyMovementQuantity(record);
+            scheduleLiveSyncRefresh();
+        }
+        return;
+    }
+    if (hasPendingEdit(collection, id)) {
+        return;
+    }
     
-    // Restore expanded customer groups from localStorage
-    restoreExpandedCustomerGroups();
+    const synced = syncedRecords[collection] || new Map();
+    syncedRecords[collection] = synced;
+    const index = records.findIndex(r => r.id === id);
     
-    // Desktop table loaded
+    if (action === 'delete') {
+        if (index === -1) return;
+        records.splice(index, 1);
+        synced.delete(id);
+    } else {
+        // Already have this revision or a newer one
+        if (index > -1 && (records[index].revision || 0) >= change.revision) return;
+        if (index > -1) {
+            records[index] = record;
+        } else {
+            records.push(record);
+        }
+        synced.set(id, JSON.stringify(record));
+    }
+    
+    console.log(`📡 Live sync: ${collection} ${id} ${action}d on another device`);
+    scheduleLiveSyncRefresh();
 }
 
-// Restore expanded customer groups after table is rebuilt
-function restoreExpandedCustomerGroups() {
-    const expandedCustomers = getExpandedCustomerGroups();
-    console.log('🔄 Restoring expanded customer groups:', expandedCustomers);
-    expandedCustomers.forEach(customerName => {
-        expandCustomerGroup(customerName);
-    });
+// Re-render once for a burst of changes, and not in the middle of an edit or save
+function scheduleLiveSyncRefresh() {
+    clearTimeout(liveSyncRefreshTimer);
+    liveSyncRefreshTimer = setTimeout(() => {
+        if (window.isSaving || window.isModifying) {
+            scheduleLiveSyncRefresh();
+            return;
+        }
+        synchronizeViews();
+        saveLocalCopy();
+    }, 250);
 }
 
-// Clear all expanded customer groups (for debugging)
-function clearAllExpandedCustomerGroups() {
-    localStorage.removeItem('expandedCustomerGroups');
-    console.log('🧹 Cleared all expanded customer groups from localStorage');
-    showNotification('All customer groups collapsed', 'info');
-}
-
-// Expand a customer group (without toggling)
-function expandCustomerGroup(customerName) {
-    // Desktop version
-    const desktopHeader = document.querySelector(`[data-customer="${customerName}"]`);
-    const desktopChevron = desktopHeader ? desktopHeader.querySelector('.customer-toggle') : null;
-    
-    // Find all project rows for this customer
-    const projectRows = document.querySelectorAll('.project-row');
-    let customerProjectRows = [];
-    
-    projectRows.forEach(row => {
-        const projectName = row.querySelector('.project-name strong')?.textContent;
-        if (projectName) {
-            let matchingProject;
-            if (customerName === 'No Customer') {
-                matchingProject = inventory.find(item => item.name === projectName && (!item.customer || item.customer === ''));
-            } else {
-                matchingProject = inventory.find(item => item.name === projectName && item.customer === customerName);
+// After a dropped stream, fetch every collection held and apply the differences
+// as if they had arrived as events
+async function catchUpLiveSync() {
+    try {
+        for (const name of Object.keys(getDataCollections())) {
+            if (name === 'stockMovements') {
+                // Movements not sent yet stay; the rest is brought up to date
+                const unsent = stockMovements.filter(movement => movement.revision === undefined);
+                stockMovements = [...await loadStockMovements(), ...unsent];
+                continue;
             }
-            if (matchingProject) {
-                customerProjectRows.push(row);
+            if (!loadedDataSets.has(name)) {
+                if ((syncedRecords[name] || new Map()).size > 0) {
+                    await catchUpHeldRecords(name);
+                }
+                continue;
             }
+            const response = await fetch(`/api/${name}`, { credentials: 'include' });
+            if (!response.ok) {
+                throw new Error(`Failed to load ${name}: ${response.status}`);
+            }
+            const serverRecords = await response.json();
+            const serverIds = new Set(serverRecords.map(record => record.id));
+            serverRecords.forEach(record => applyRemoteChange({
+                collection: name, action: 'update', id: record.id, revision: record.revision, record
+            }));
+            Array.from((syncedRecords[name] || new Map()).keys())
+                .filter(id => !serverIds.has(id))
+                .forEach(id => applyRemoteChange({ collection: name, action: 'delete', id }));
+        }
+    } catch (error) {
+        logError('Live sync catch-up', error);
+    }
+}
+
+// For a collection only partly held: fetch its loaded parts again, then compare
+// the revisions of the other records held with the server's
+async function catchUpHeldRecords(name) {
+    const parts = Array.from(loadedDataSets).filter(set => dataSet(set).collection === name);
+    for (const part of parts) {
+        const { records } = await fetchRecordPage(name, dataSet(part).params());
+        records.forEach(record => applyRemoteChange({
+            collection: name, action: 'update', id: record.id, revision: record.revision, record
+        }));
+    }
+    const { records: revisions } = await fetchRecordPage(name, { fields: 'id' });
+    const serverRevisions = new Map(revisions.map(record => [record.id, record.revision]));
+    for (const id of Array.from(syncedRecords[name].keys())) {
+        if (!serverRevisions.has(id)) {
+            applyRemoteChange({ collection: name, action: 'delete', id });
+            continue;
+        }
+        const held = getDataCollections()[name].find(record => record.id === id);
+        if (!held || (held.revision || 0) >= serverRevisions.get(id)) {
+            continue;
+        }
+        const response = await fetch(`/api/${name}/${encodeURIComponent(id)}`, { credentials: 'include' });
+        if (response.status === 404) {
+            applyRemoteChange({ collection: name, action: 'delete', id });
+            continue;
         }
+        if (!response.ok) {
+            throw new Error(`Failed to load ${name} ${id}: ${response.status}`);
+        }
+        const record = await response.json();
+        applyRemoteChange({ collection: name, action: 'update', id, revision: record.revision, record });
+    }
+}
+
+// ===== OFFLINE STORE =====
+// The data, the copies the server last acknowledged and the outbox are kept in
+// IndexedDB, which has room for far more than localStorage (photos saved offline
+// are embedded in their records until they reach the server). Everything lives
+// in one `state` object store under the keys below and is written in a single
+// transaction, so the three never disagree.
+
+const OFFLINE_DB_NAME = 'joeykaye-offline';
+const OFFLINE_DB_VERSION = 1;
+// Where the data was kept before IndexedDB; read once to carry it over
+const LEGACY_STORAGE_KEYS = {
+    inventory: 'joeykayeInventory',
+    customers: 'joeykayeCustomers',
+    sales: 'joeykayeSales',
+    gallery: 'joeykayeGallery',
+    ideas: 'joeykayeIdeas'
+};
+let offlineDb = null;
+let offlineStateRestored = null;
+// Until the data has been loaded the arrays are empty and must not replace the saved copy
+let localDataLoaded = false;
+
+function offlineRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
-    
-    // Expand desktop version
-    if (customerProjectRows.length > 0 && desktopChevron) {
-        customerProjectRows.forEach(row => {
-            row.style.display = 'table-row';
+}
+
+function openOfflineDb() {
+    if (!offlineDb) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+        const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore('state');
+        offlineDb = offlineRequest(request);
+        offlineDb.catch(() => {
+            offlineDb = null;
         });
-        desktopChevron.className = 'fas fa-chevron-down customer-toggle';
     }
-    
-    // Mobile version
-    const sanitizedCustomerName = customerName.replace(/\s+/g, '-').toLowerCase();
-    const mobileContainer = document.getElementById('mobileInventoryCards');
-    const mobileHeaderContent = mobileContainer ? mobileContainer.querySelector(`[data-customer="${customerName}"]`) : null;
-    const mobileChevron = mobileHeaderContent ? mobileHeaderContent.querySelector('.customer-chevron') : null;
-    const mobileProjectsContainer = document.getElementById(`customer-projects-${sanitizedCustomerName}`);
-    
-    if (mobileProjectsContainer && mobileChevron) {
-        mobileProjectsContainer.style.display = 'block';
-        mobileChevron.className = 'fas fa-chevron-down customer-chevron';
-        mobileChevron.style.transform = 'rotate(0deg)';
+    return offlineDb;
+}
+
+async function readOfflineState(keys) {
+    const db = await openOfflineDb();
+    const store = db.transaction('state', 'readonly').objectStore('state');
+    const values = await Promise.all(keys.map(key => offlineRequest(store.get(key))));
+    return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+}
+
+// Load the outbox and acknowledged copies saved by an earlier visit (once per page)
+function restoreOfflineState() {
+    if (!offlineStateRestored) {
+        offlineStateRestored = readOfflineState(['synced', 'outbox'])
+            .then(({ synced, outbox: savedOutbox }) => {
+                if (synced && Object.keys(syncedRecords).length === 0) {
+                    Object.entries(synced)
+                        .filter(([name]) => !LEDGER_COLLECTIONS.includes(name))
+                        .forEach(([name, entries]) => {
+                            syncedRecords[name] = new Map(entries);
+                        });
+                }
+                if (Array.isArray(savedOutbox) && outbox.length === 0) {
+                    outbox = savedOutbox;
+                }
+            })
+            .catch(error => logError('Restore offline changes', error));
     }
+    return offlineStateRestored;
 }
 
-// CLEAN MOBILE CARD SYSTEM - REWRITTEN FROM SCRATCH
-const MobileCardManager = {
-    // Clear all mobile containers
-    clearAll() {
-        const containers = [
-            'mobileInventoryCards',
-            'mobileInventoryItemsCards', 
-            'mobileCustomerCards',
-            'mobileWIPCards',
-            'mobileGalleryCards',
-            'mobileSalesCards',
-            'mobileIdeasCards'
-        ];
-        
-        containers.forEach(id => {
-            const container = document.getElementById(id);
-            if (container) {
-    container.innerHTML = '';
-            }
+async function saveLocalCopy() {
+    try {
+        const db = await openOfflineDb();
+        const transaction = db.transaction('state', 'readwrite');
+        const store = transaction.objectStore('state');
+        if (localDataLoaded) {
+            store.put(getDataCollections(), 'collections');
+        }
+        store.put(Object.fromEntries(
+            Object.entries(syncedRecords).map(([name, records]) => [name, Array.from(records.entries())])
+        ), 'synced');
+        store.put(outbox, 'outbox');
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
-    },
+        
+        // Add timestamp for synchronization tracking
+        localStorage.setItem('lastDataSave', Date.now().toString());
+    } catch (error) {
+        logError('Save local copy', error);
+        showNotification('Could not keep a copy of your data on this device', 'error');
+    }
+}
+
+async function loadLocalCopy() {
+    // Skip loading if we're in the middle of any data modification
+    if (window.isSaving || window.isModifying) {
+        console.log('🔄 Skipping loadLocalCopy - modification in progress');
+        return;
+    }
     
-    // Create a simple add button
-    createAddButton(text, onclick) {
-        const buttonCard = document.createElement('div');
-        buttonCard.className = 'mobile-card mobile-add-card';
-        buttonCard.innerHTML = `
-            <div class="mobile-card-content">
-                <button class="btn btn-primary mobile-add-btn" onclick="${onclick}">
-                    <i class="fas fa-plus"></i><span>${text}</span>
-                </button>
-            </div>
-        `;
-        return buttonCard;
-    },
+    console.log('🔄 Loading data saved on this device');
+    let saved = null;
+    try {
+        await restoreOfflineState();
+        ({ collections: saved } = await readOfflineState(['collections']));
+    } catch (error) {
+        logError('Load local copy', error);
+    }
+    if (!saved) {
+        saved = Object.fromEntries(Object.entries(LEGACY_STORAGE_KEYS)
+            .map(([name, key]) => [name, JSON.parse(localStorage.getItem(key)) || []]));
+    }
     
-    // Create a simple data card
-    createDataCard(title, subtitle, details, editFunction, deleteFunction, imageData = null) {
-            const card = document.createElement('div');
-        card.className = 'mobile-card';
-            card.innerHTML = `
-                <div class="mobile-card-content">
-                ${imageData ? `<div class="mobile-card-image"><img src="${imageData}" alt="${title}" style="width: 100%; height: 120px; object-fit: cover; border-radius: 8px; margin-bottom: 0.5rem;"></div>` : ''}
-                <h3>${title}</h3>
-                <p><strong>${subtitle}</strong></p>
-                ${details}
-                <div class="mobile-card-actions">
-                    <button class="btn btn-sm btn-edit" onclick="${editFunction}" title="Edit">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-sm btn-delete" onclick="${deleteFunction}" title="Delete">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-                </div>
-            `;
-        return card;
-    },
+    localDataLoaded = true;
+    inventory = saved.inventory || [];
+    customers = saved.customers || [];
+    sales = saved.sales || [];
+    gallery = saved.gallery || [];
+    ideas = saved.ideas || [];
+    if (saved.invoices) {
+        invoices = saved.invoices;
+    }
+    purchaseOrders = saved.purchaseOrders || [];
+    stockMovements = saved.stockMovements || [];
+    settings = saved.settings || [];
+    locations = saved.locations || [];
+    colors = saved.colors || [];
     
-    // Load projects
-    loadProjects() {
-        console.log('📱 MobileCardManager.loadProjects() called');
-        const container = document.getElementById('mobileInventoryCards');
-        if (!container) {
-            console.error('❌ mobileInventoryCards container not found');
-            return;
+    // Assign to window object for mobile cards
+    window.inventory = inventory;
+    window.customers = customers;
+    window.sales = sales;
+    window.gallery = gallery;
+    window.ideas = ideas;
+    
+    loadData();
+}
+
+// Retry the outbox whenever the connection comes back, and every so often while
+// changes are waiting in case the browser doesn't notice
+const OUTBOX_RETRY_MS = 30000;
+
+function setupOfflineSync() {
+    window.addEventListener('online', checkConnectionStatus);
+    window.addEventListener('offline', () => updateConnectionStatus('disconnected'));
+    setInterval(() => {
+        if (outbox.length > 0 && !outboxFlush) {
+            checkConnectionStatus();
         }
+    }, OUTBOX_RETRY_MS);
+}
 
-        console.log('🧹 Clearing mobileInventoryCards container');
-        container.innerHTML = '';
+async function saveData() {
+    // Prevent multiple simultaneous saves
+    if (window.isSaving) {
+        console.log('💾 Save already in progress, skipping');
+        return;
+    }
     
-        // Add button
-        container.appendChild(this.createAddButton('Add New Project', 'openAddProjectModal()'));
+    // Read-only accounts can't write; throw away the local edit by reloading from the server
+    if (isAuthenticated && !hasPermission('records:write')) {
+        showNotification('Your account is read-only - changes were not saved', 'error');
+        lastAPILoad = 0;
+        loadDataFromAPI();
+        return;
+    }
+    
+    console.log('💾 saveData() called');
+    console.log('💾 Ideas count before save:', ideas.length);
+    console.log('💾 Ideas before save:', ideas.map(i => ({ id: i.id, title: i.title })));
+    
+    // Set flags to prevent storage events from interfering
+    window.isSaving = true;
+    window.isModifying = true;
+    console.log('💾 Set isSaving = true, isModifying = true');
+    
+    // Validate data before saving
+    if (!validateDataIntegrity()) {
+        console.error('Data validation failed, skipping save');
+        showNotification('Data validation failed. Please refresh and try again.', 'error');
+        window.isSaving = false;
+        window.isModifying = false;
+        return;
+    }
+    
+    try {
+        // Changes are queued on this device and sent when the server can be reached
+        await saveDataToAPI();
+    } catch (error) {
+        console.error('❌ Save failed, keeping a local copy:', error);
+        await saveLocalCopy();
+    }
+    
+    // Clear the flags after a delay to allow storage events to resume
+    setTimeout(() => {
+        console.log('💾 Clearing isSaving and isModifying flags');
+        window.isSaving = false;
+        window.isModifying = false;
+        // Trigger synchronization for both desktop and mobile views
+        synchronizeViews();
+    }, 1000); // Reduced delay to 1 second
+}
+
+function validateDataIntegrity() {
+    try {
+        // Validate inventory data
+        if (!Array.isArray(inventory)) {
+            console.error('Inventory is not an array');
+            return false;
+        }
         
-        // Get projects
-        const projects = (window.inventory || []).filter(item => item.type === 'project' || !item.type);
+        // Validate customers data
+        if (!Array.isArray(customers)) {
+            console.error('Customers is not an array');
+            return false;
+        }
         
-        if (projects.length === 0) {
-            const emptyCard = document.createElement('div');
-            emptyCard.className = 'mobile-card';
-            emptyCard.innerHTML = `
-                <div class="mobile-card-content">
-            <div class="empty-state">
-                        <i class="fas fa-project-diagram"></i>
-                        <h3>No Projects Yet</h3>
-                        <p>Start creating your first embroidery project!</p>
-                    </div>
-            </div>
-        `;
-            container.appendChild(emptyCard);
-        } else {
-            // Use the same new card layout as desktop, just mobile-optimized
-            projects.forEach((project, index) => {
-                const actualIndex = inventory.findIndex(item => item === project);
-                
-                const card = document.createElement('div');
-                card.className = 'mobile-card project-card-mobile';
-                
-                const statusClass = project.status ? project.status.toLowerCase().replace(/\s+/g, '-') : 'pending';
-                const dueDate = project.dueDate ? new Date(project.dueDate).toLocaleDateString() : 'Not set';
-                const customer = project.customer || 'No customer';
-                
-                card.innerHTML = `
-                    <div class="mobile-card-content">
-                        <div class="project-card-header">
-                            <h3 class="project-card-title">${project.description || project.name || 'Untitled Project'}</h3>
-                            <span class="project-card-status ${statusClass}">${project.status || 'pending'}</span>
-                        </div>
+        // Validate sales data
+        if (!Array.isArray(sales)) {
+            console.error('Sales is not an array');
+            return false;
+        }
+        
+        // Validate gallery data
+        if (!Array.isArray(gallery)) {
+            console.error('Gallery is not an array');
+            return false;
+        }
+        
+        // Validate ideas data
+        if (!Array.isArray(ideas)) {
+            console.error('Ideas is not an array');
+            return false;
+        }
+        
+        // Check for corrupted image data
+        const allData = [...inventory, ...gallery, ...ideas];
+        for (const item of allData) {
+            if (item.imageData) {
+                if (typeof item.imageData === 'string') {
+                    // Check if it's a valid base64 data URL
+                    if (!item.imageData.startsWith('data:image/') || item.imageData.length < 100) {
+                        console.warn('Invalid image data found, removing:', item.name || item.title);
+                        delete item.imageData;
+                    }
+                }
+            }
+        }
+        
+        return true;
+    } catch (error) {
+        console.error('Data validation error:', error);
+        return false;
+    }
+}
+
+function synchronizeViews() {
+    // Skip synchronization if we're in the middle of any data modification
+    if (window.isSaving || window.isModifying) {
+        console.log('🔄 Skipping synchronizeViews - modification in progress');
+        return;
+    }
+    
+    console.log('🔄 Synchronizing views');
+    // Refresh all tabs to ensure desktop and mobile are in sync
+    loadData();
+    
+    // Note: Mobile card refreshes are handled within the individual load functions
+    // (loadInventoryTable, loadWIPTab, etc.) so we don't need to call them separately
+}
+
+function setupViewSynchronization() {
+    // Handle window resize to switch between desktop/mobile views
+    let resizeTimeout;
+    window.addEventListener('resize', function() {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+            // Refresh the current view when switching between desktop/mobile
+            synchronizeViews();
+        }, 250); // Debounce resize events
+    });
+    
+    // Set up periodic data refresh to catch changes from other tabs/windows
+    setInterval(() => {
+        // Skip refresh if we're in the middle of any data modification
+        if (window.isSaving || window.isModifying) {
+            console.log('🔄 Skipping periodic refresh - modification in progress');
+            return;
+        }
+        
+        // Check if data has changed by comparing localStorage timestamps
+        const lastSaved = localStorage.getItem('lastDataSave');
+        const currentTime = Date.now();
+        
+        if (lastSaved && (currentTime - parseInt(lastSaved)) < 5000) {
+            // Data was recently saved, refresh views
+            console.log('🔄 Periodic refresh triggered');
+            synchronizeViews();
+        }
+    }, 3000); // Check every 3 seconds
+    
+    // Listen for storage changes from other tabs
+    window.addEventListener('storage', function(e) {
+        if (e.key && e.key.startsWith('embroidery')) {
+            // Data was updated in another tab, refresh current view
+            console.log('🔄 Data changed in another tab, refreshing...');
+            console.log('🔄 isSaving:', window.isSaving, 'isModifying:', window.isModifying);
+            setTimeout(() => {
+                // Only refresh if we're not in the middle of any data modification
+                if (!window.isSaving && !window.isModifying) {
+                    console.log('🔄 Proceeding with data refresh from storage event');
+                    loadLocalCopy();
+                    synchronizeViews();
+                } else {
+                    console.log('🔄 Skipping data refresh - modification in progress');
+                }
+            }, 100);
+        }
+    });
+    
+    // Listen for focus events to refresh when user returns to tab (with throttling)
+    let lastFocusRefresh = 0;
+    const FOCUS_REFRESH_INTERVAL = 30000; // 30 seconds minimum between refreshes
+    
+    window.addEventListener('focus', function() {
+        const now = Date.now();
+        if (now - lastFocusRefresh > FOCUS_REFRESH_INTERVAL) {
+            lastFocusRefresh = now;
+            // Only refresh if data is empty or very old
+            if (!inventory || inventory.length === 0 || !customers || customers.length === 0) {
+        loadDataFromAPI().catch(() => {
+            loadLocalCopy();
+        });
+            }
+        }
+    });
+}
+
+// Update status options based on item type
+// Old helper functions removed - now using direct field visibility control
+
+function updateStatusOptions() {
+    const typeSelect = document.getElementById('itemType');
+    const categorySelect = document.getElementById('itemCategory');
+    const projectFields = document.getElementById('projectFields');
+    const modalTitle = document.getElementById('addItemModalTitle');
+    const submitButton = document.querySelector('#addItemForm button[type="submit"]');
+    
+    const inventoryFields = document.getElementById('inventoryFields');
+    
+    if (typeSelect.value === 'inventory') {
+        // Show inventory fields, hide project fields
+        if (inventoryFields) inventoryFields.style.display = 'block';
+        if (projectFields) projectFields.style.display = 'none';
+        
+        // Inventory categories
+        categorySelect.innerHTML = `
+            <option value="">Select Category</option>
+            <option value="kits">Kits</option>
+            <option value="hoops">Hoops</option>
+            <option value="fabric">Fabric</option>
+            <option value="thread">Thread</option>
+            <option value="supplies">Other Supplies</option>
+        `;
+        modalTitle.textContent = 'Add New Inventory Item';
+        if (submitButton) submitButton.textContent = 'Add Item';
+    } else if (typeSelect.value === 'project') {
+        // Hide inventory fields, show project fields
+        if (inventoryFields) inventoryFields.style.display = 'none';
+        if (projectFields) projectFields.style.display = 'block';
+        
+        // Project categories
+        categorySelect.innerHTML = `
+            <option value="">Select Category</option>
+            <option value="hoop">Hoop</option>
+            <option value="clothing">Clothing</option>
+            <option value="custom">Custom</option>
+            <option value="gift">Gift</option>
+            <option value="home-decor">Home Decor</option>
+            <option value="accessories">Accessories</option>
+            <option value="other">Other</option>
+        `;
+        modalTitle.textContent = 'Add New Project';
+        if (submitButton) submitButton.textContent = 'Add Project';
+    }
+}
+
+// Update edit status options based on item type
+function updateEditStatusOptions() {
+    // Try both project and inventory elements
+    const projectTypeSelect = document.getElementById('editProjectType');
+    const projectStatusSelect = document.getElementById('editProjectStatus');
+    // const projectCategorySelect = document.getElementById('editProjectCategory'); // Field removed
+    
+    const inventoryTypeSelect = document.getElementById('editInventoryType');
+    const inventoryStatusSelect = document.getElementById('editInventoryStatus');
+    // const inventoryCategorySelect = document.getElementById('editInventoryCategory'); // Field removed
+    
+    // Determine which modal is active
+    let typeSelect, statusSelect, categorySelect;
+    if (projectTypeSelect && projectStatusSelect) {
+        typeSelect = projectTypeSelect;
+        statusSelect = projectStatusSelect;
+        categorySelect = null; // Category field removed
+    } else if (inventoryTypeSelect && inventoryStatusSelect) {
+        typeSelect = inventoryTypeSelect;
+        statusSelect = inventoryStatusSelect;
+        categorySelect = null; // Category field removed
+    } else {
+        console.warn('updateEditStatusOptions: Required elements not found');
+        return;
+    }
+    
+    console.log('updateEditStatusOptions called, typeSelect.value:', typeSelect.value); // Debug log
+    
+    const inventoryFields = document.getElementById('editInventoryFields');
+    
+    if (typeSelect.value === 'inventory') {
+        // Show inventory fields, hide project fields
+        if (inventoryFields) inventoryFields.style.display = 'block';
+        if (projectFields) projectFields.style.display = 'none';
+        
+        // Inventory status options
+        statusSelect.innerHTML = `
+            <option value="available">Available</option>
+            <option value="low-stock">Low Stock</option>
+            <option value="out-of-stock">Out of Stock</option>
+        `;
+        // Inventory categories
+        categorySelect.innerHTML = `
+            <option value="">Select Category</option>
+            <option value="kits">Kits</option>
+            <option value="hoops">Hoops</option>
+            <option value="fabric">Fabric</option>
+            <option value="thread">Thread</option>
+            <option value="supplies">Other Supplies</option>
+        `;
+        modalTitle.textContent = 'Edit Inventory Item';
+        submitButton.textContent = 'Update Inventory Item';
+    } else if (typeSelect.value === 'project') {
+        // Hide inventory fields, show project fields
+        if (inventoryFields) {
+            inventoryFields.style.display = 'none';
+            console.log('Hiding inventory fields');
+        }
+        if (projectFields) {
+            projectFields.style.display = 'block';
+            console.log('Showing project fields');
+        }
+        
+        // Project status options
+        statusSelect.innerHTML = `
+            <option value="pending">Pending</option>
+            <option value="in-progress">In Progress</option>
+            <option value="work-in-progress">Work in Progress</option>
+            <option value="completed">Completed</option>
+            <option value="sold">Sold</option>
+        `;
+        // Project categories
+        categorySelect.innerHTML = `
+            <option value="">Select Category</option>
+            <option value="hoop">Hoop</option>
+            <option value="clothing">Clothing</option>
+            <option value="custom">Custom</option>
+            <option value="gift">Gift</option>
+            <option value="home-decor">Home Decor</option>
+            <option value="accessories">Accessories</option>
+            <option value="other">Other</option>
+        `;
+        modalTitle.textContent = 'Edit Project';
+        submitButton.textContent = 'Update Project';
+    }
+    
+    // Hide/show fields based on status for completed items
+    const currentStatus = statusSelect.value;
+    const fieldPrefix = typeSelect.value === 'inventory' ? 'editInventory' : 'editProject';
+    
+    const fieldsToHide = [
+        `${fieldPrefix}DueDate`,
+        `${fieldPrefix}Priority`, 
+        `${fieldPrefix}Tags`,
+        `${fieldPrefix}PatternLink`
+    ];
+    
+    fieldsToHide.forEach(fieldId => {
+        const fieldElement = document.getElementById(fieldId);
+        if (fieldElement) {
+            const formGroup = fieldElement.closest('.form-group');
+            if (formGroup) {
+                formGroup.style.display = currentStatus === 'completed' ? 'none' : 'block';
+            }
+        }
+    });
+}
+
+// Update table headers based on view mode
+function updateTableHeaders(showDetailed = false) {
+    const headerRow = document.getElementById('projectsTableHeader');
+    if (!headerRow) return;
+    
+    if (showDetailed) {
+        // Full detailed view for editing
+        headerRow.innerHTML = `
+            <th>Project</th>
+            <th>Category</th>
+            <th>Qty</th>
+            <th>Status</th>
+            <th>Due Date</th>
+            <th>Notes</th>
+            <th>Link</th>
+            <th>Actions</th>
+        `;
+    } else {
+        // Simplified home view
+        headerRow.innerHTML = `
+            <th>Project</th>
+            <th>Status</th>
+            <th>Due Date</th>
+            <th>Actions</th>
+        `;
+    }
+}
+
+// Toggle between simplified and detailed view
+let isDetailedView = false;
+function toggleDetailedView() {
+    isDetailedView = !isDetailedView;
+    const toggleBtn = document.getElementById('toggleViewBtn');
+    
+    if (isDetailedView) {
+        toggleBtn.innerHTML = '<i class="fas fa-eye-slash"></i> Simple View';
+        toggleBtn.classList.remove('btn-outline');
+        toggleBtn.classList.add('btn-primary');
+    } else {
+        toggleBtn.innerHTML = '<i class="fas fa-list"></i> Detailed View';
+        toggleBtn.classList.remove('btn-primary');
+        toggleBtn.classList.add('btn-outline');
+    }
+    
+    // Reload the table with the new view mode
+    loadInventoryTable(isDetailedView);
+}
+
+// Projects Management (Customer Work)
+function loadInventoryTable(showDetailed = false) {
+    // This function is deprecated - projects now use cards
+    // Check if we're on the projects tab and load cards instead
+    const activeTab = document.querySelector('.nav-btn.active');
+    if (activeTab && activeTab.getAttribute('data-tab') === 'projects') {
+        loadProjectsCards();
+        return;
+    }
+    
+    // For other tabs, this is a no-op since we use cards now
+    console.log('loadInventoryTable called - using card layout instead');
+    return;
+    
+    // Update table headers based on view mode
+    updateTableHeaders(showDetailed);
+    
+    // Filter for projects only (not inventory items)
+    const projectItems = inventory.filter(item => item.type === 'project' || !item.type);
+    
+    // Group items by customer
+    const groupedItems = {};
+    projectItems.forEach((item, filteredIndex) => {
+        const customer = item.customer || 'No Customer';
+        if (!groupedItems[customer]) {
+            groupedItems[customer] = [];
+        }
+        // Find the original inventory index by comparing _id or name
+        let originalIndex = inventory.findIndex(invItem => invItem === item);
+        if (originalIndex === -1) {
+            // Fallback: find by _id or name if reference comparison fails
+            originalIndex = inventory.findIndex(invItem => 
+                (invItem._id && item._id && invItem._id === item._id) || 
+                (invItem.name === item.name && invItem.dateAdded === item.dateAdded)
+            );
+        }
+        groupedItems[customer].push({ item, index: originalIndex });
+    });
+    
+    // Sort customers alphabetically, with "No Customer" at the end
+    const sortedCustomers = Object.keys(groupedItems).sort((a, b) => {
+        if (a === 'No Customer') return 1;
+        if (b === 'No Customer') return -1;
+        return a.localeCompare(b);
+    });
+    
+    sortedCustomers.forEach(customer => {
+        const customerItems = groupedItems[customer];
+        
+        // Skip customers with no projects (shouldn't happen but safety check)
+        if (!customerItems || customerItems.length === 0) {
+            return;
+        }
+        
+        // Create customer header row
+        const headerRow = document.createElement('tr');
+        headerRow.className = 'customer-header';
+        headerRow.setAttribute('data-customer', customer);
+        headerRow.onclick = () => toggleCustomerGroup(customer);
+        
+        // Calculate customer stats
+        const totalProjects = customerItems.length;
+        const inventoryCount = customerItems.filter(({ item }) => item.status === 'inventory').length;
+        const pendingCount = customerItems.filter(({ item }) => item.status === 'pending').length;
+        const inProgressCount = customerItems.filter(({ item }) => item.status === 'in-progress' || item.status === 'work-in-progress').length;
+        const completedCount = customerItems.filter(({ item }) => item.status === 'completed').length;
+        const soldCount = customerItems.filter(({ item }) => item.status === 'sold').length;
+        
+        const colspan = showDetailed ? 8 : 4;
+        headerRow.innerHTML = `
+            <td colspan="${colspan}">
+                <div class="customer-header-content">
+                    <i class="fas fa-chevron-right customer-toggle"></i>
+                    <strong>${customer}</strong>
+                    <span class="customer-stats">
+                        ${totalProjects} project${totalProjects !== 1 ? 's' : ''} 
+                        (${pendingCount} pending, ${inProgressCount} in progress, ${completedCount} completed, ${soldCount} sold)
+                    </span>
+                </div>
+            </td>
+        `;
+        tbody.appendChild(headerRow);
+        
+        // Hide pagination completely - not needed for projects
+        const paginationContainer = document.getElementById('projectsPagination');
+        if (paginationContainer) {
+            paginationContainer.style.display = 'none';
+        }
+    
+    // Add individual project rows for this customer directly to the tbody
+    customerItems.forEach(({ item, index }) => {
+            const projectRow = document.createElement('tr');
+            projectRow.className = 'project-row';
+            
+            // Format due date with urgency styling
+            const dueDate = item.dueDate ? new Date(item.dueDate).toLocaleDateString() : '';
+            const today = new Date();
+            const dueDateObj = item.dueDate ? new Date(item.dueDate) : null;
+            const isOverdue = dueDateObj && dueDateObj < today && item.status !== 'completed' && item.status !== 'sold';
+            const isDueSoon = dueDateObj && dueDateObj <= new Date(today.getTime() + 3 * 24 * 60 * 60 * 1000) && item.status !== 'completed' && item.status !== 'sold';
+            
+            const dueDateClass = isOverdue ? 'due-date-overdue' : isDueSoon ? 'due-date-soon' : '';
+            
+            // Create pattern link button if link exists
+            const patternLinkButton = item.patternLink ? 
+                `<button class="btn btn-link" onclick="window.open('${item.patternLink}', '_blank')" title="Open Pattern">
+                    <i class="fas fa-external-link-alt"></i> Pattern
+                </button>` : 
+                '<span class="text-muted"></span>';
+            
+            // Create quick action buttons based on current status
+            let quickActions = '';
+            if (item.status === 'inventory') {
+                quickActions = `
+                    <button class="btn btn-sm btn-primary" onclick="quickStatusChange(${index}, 'pending')" title="Start Project">
+                        <i class="fas fa-play"></i>
+                    </button>
+                `;
+            } else if (item.status === 'pending') {
+                quickActions = `
+                    <button class="btn btn-sm btn-primary" onclick="quickStatusChange(${index}, 'in-progress')" title="Start Work">
+                        <i class="fas fa-play"></i>
+                    </button>
+                `;
+            } else if (item.status === 'in-progress' || item.status === 'work-in-progress') {
+                quickActions = `
+                    <button class="btn btn-sm btn-success" onclick="quickStatusChange(${index}, 'completed')" title="Mark Complete">
+                        <i class="fas fa-check"></i>
+                    </button>
+                `;
+            } else if (item.status === 'completed') {
+                quickActions = `
+                    <button class="btn btn-sm btn-info" onclick="quickStatusChange(${index}, 'sold')" title="Mark as Sold">
+                        <i class="fas fa-dollar-sign"></i>
+                    </button>
+                `;
+            }
+
+            // Truncate notes for display
+            const notes = item.notes || '';
+            const truncatedNotes = notes.length > 30 ? notes.substring(0, 30) + '...' : notes;
+            let notesDisplay = notes ? `<span title="${notes}">${truncatedNotes}</span>` : '<span class="text-muted"></span>';
+            
+            // Add yarn info if available
+            const yarnAmount = yarnAmountLabel(item);
+            if (item.yarnColor || yarnAmount) {
+                const yarnInfo = [];
+                if (item.yarnColor) yarnInfo.push(`<span class="yarn-color">${colorSwatchHtml(item.colorId) || '<i class="fas fa-palette"></i>'} ${SecurityManager.escapeHtml(item.yarnColor)}</span>`);
+                if (yarnAmount) yarnInfo.push(`<span class="yarn-amount"><i class="fas fa-weight"></i> ${SecurityManager.escapeHtml(yarnAmount)}</span>`);
+                const yarnDisplay = `<div class="yarn-info">${yarnInfo.join(' • ')}</div>`;
+                notesDisplay = notes ? `${notesDisplay}<br>${yarnDisplay}` : yarnDisplay;
+            }
+
+            // Create category and tags display
+            const categoryDisplay = item.category ? `<span class="category-badge category-${item.category}">${item.category}</span>` : '<span class="text-muted"></span>';
+            const tags = item.tags ? item.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+            const tagsDisplay = tags.length > 0 ? 
+                `<div class="tags-container">${tags.map(tag => `<span class="tag">${tag}</span>`).join('')}</div>` : 
+                '<span class="text-muted"></span>';
+
+            // Format type display
+            const typeDisplay = item.type === 'inventory' ? 'Inventory' : 'Project';
+            const typeClass = item.type === 'inventory' ? 'type-inventory' : 'type-project';
+            
+            if (showDetailed) {
+                // Full detailed view for editing
+                projectRow.innerHTML = `
+                    <td class="project-name"><strong>${item.name}</strong></td>
+                    <td class="project-category">${categoryDisplay}</td>
+                    <td class="project-quantity"><span class="quantity-badge">${item.quantity || 1}</span></td>
+                    <td class="project-status">
+                        <span class="status-badge status-${item.status}">${item.status}</span>
+                        <div class="quick-actions">${quickActions}</div>
+                    </td>
+                    <td class="project-due-date"><span class="due-date ${dueDateClass}">${dueDate}</span></td>
+                    <td class="project-notes">${notesDisplay}</td>
+                    <td class="project-pattern">${patternLinkButton}</td>
+                    <td class="project-actions">
+                        <div class="action-buttons">
+                            <button class="btn btn-secondary" onclick="editProject(${index})" title="Edit Project">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-info" onclick="copyItem(${index})" title="Copy Item">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                            <button class="btn btn-success" onclick="markAsSold(${index})" ${item.status === 'sold' ? 'disabled' : ''} title="Mark as Sold">
+                                <i class="fas fa-check"></i>
+                            </button>
+                            <button class="btn btn-danger" onclick="deleteItem(${index})" title="Delete Item">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </td>
+                `;
+            } else {
+                // Simplified home view
+                projectRow.innerHTML = `
+                    <td class="project-name"><strong>${item.name}</strong></td>
+                    <td class="project-status">
+                        <span class="status-badge status-${item.status}">${item.status}</span>
+                        <div class="quick-actions">${quickActions}</div>
+                    </td>
+                    <td class="project-due-date"><span class="due-date ${dueDateClass}">${dueDate}</span></td>
+                    <td class="project-actions">
+                        <div class="action-buttons">
+                            <button class="btn btn-secondary" onclick="editProject(${index})" title="Edit Project">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-info" onclick="copyItem(${index})" title="Copy Item">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                            <button class="btn btn-success" onclick="markAsSold(${index})" ${item.status === 'sold' ? 'disabled' : ''} title="Mark as Sold">
+                                <i class="fas fa-check"></i>
+                            </button>
+                            <button class="btn btn-danger" onclick="deleteItem(${index})" title="Delete Item">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </td>
+                `;
+            }
+            // Start collapsed by default
+            projectRow.style.display = 'none';
+            tbody.appendChild(projectRow);
+        });
+    });
+    
+    // Restore expanded customer groups from localStorage
+    restoreExpandedCustomerGroups();
+    
+    // Desktop table loaded
+}
+
+// Restore expanded customer groups after table is rebuilt
+function restoreExpandedCustomerGroups() {
+    const expandedCustomers = getExpandedCustomerGroups();
+    console.log('🔄 Restoring expanded customer groups:', expandedCustomers);
+    expandedCustomers.forEach(customerName => {
+        expandCustomerGroup(customerName);
+    });
+}
+
+// Clear all expanded customer groups (for debugging)
+function clearAllExpandedCustomerGroups() {
+    localStorage.removeItem('expandedCustomerGroups');
+    console.log('🧹 Cleared all expanded customer groups from localStorage');
+    showNotification('All customer groups collapsed', 'info');
+}
+
+// Expand a customer group (without toggling)
+function expandCustomerGroup(customerName) {
+    // Desktop version
+    const desktopHeader = document.querySelector(`[data-customer="${customerName}"]`);
+    const desktopChevron = desktopHeader ? desktopHeader.querySelector('.customer-toggle') : null;
+    
+    // Find all project rows for this customer
+    const projectRows = document.querySelectorAll('.project-row');
+    let customerProjectRows = [];
+    
+    projectRows.forEach(row => {
+        const projectName = row.querySelector('.project-name strong')?.textContent;
+        if (projectName) {
+            let matchingProject;
+            if (customerName === 'No Customer') {
+                matchingProject = inventory.find(item => item.name === projectName && (!item.customer || item.customer === ''));
+            } else {
+                matchingProject = inventory.find(item => item.name === projectName && item.customer === customerName);
+            }
+            if (matchingProject) {
+                customerProjectRows.push(row);
+            }
+        }
+    });
+    
+    // Expand desktop version
+    if (customerProjectRows.length > 0 && desktopChevron) {
+        customerProjectRows.forEach(row => {
+            row.style.display = 'table-row';
+        });
+        desktopChevron.className = 'fas fa-chevron-down customer-toggle';
+    }
+    
+    // Mobile version
+    const sanitizedCustomerName = customerName.replace(/\s+/g, '-').toLowerCase();
+    const mobileContainer = document.getElementById('mobileInventoryCards');
+    const mobileHeaderContent = mobileContainer ? mobileContainer.querySelector(`[data-customer="${customerName}"]`) : null;
+    const mobileChevron = mobileHeaderContent ? mobileHeaderContent.querySelector('.customer-chevron') : null;
+    const mobileProjectsContainer = document.getElementById(`customer-projects-${sanitizedCustomerName}`);
+    
+    if (mobileProjectsContainer && mobileChevron) {
+        mobileProjectsContainer.style.display = 'block';
+        mobileChevron.className = 'fas fa-chevron-down customer-chevron';
+        mobileChevron.style.transform = 'rotate(0deg)';
+    }
+}
+
+// CLEAN MOBILE CARD SYSTEM - REWRITTEN FROM SCRATCH
+const MobileCardManager = {
+    // Clear all mobile containers
+    clearAll() {
+        const containers = [
+            'mobileInventoryCards',
+            'mobileInventoryItemsCards', 
+            'mobileCustomerCards',
+            'mobileWIPCards',
+            'mobileGalleryCards',
+            'mobileSalesCards',
+            'mobileIdeasCards'
+        ];
+        
+        containers.forEach(id => {
+            const container = document.getElementById(id);
+            if (container) {
+    container.innerHTML = '';
+            }
+        });
+    },
+    
+    // Create a simple add button
+    createAddButton(text, onclick) {
+        const buttonCard = document.createElement('div');
+        buttonCard.className = 'mobile-card mobile-add-card';
+        buttonCard.innerHTML = `
+            <div class="mobile-card-content">
+                <button class="btn btn-primary mobile-add-btn" onclick="${onclick}">
+                    <i class="fas fa-plus"></i><span>${text}</span>
+                </button>
+            </div>
+        `;
+        return buttonCard;
+    },
+    
+    // Create a simple data card
+    createDataCard(title, subtitle, details, editFunction, deleteFunction, imageData = null) {
+            const card = document.createElement('div');
+        card.className = 'mobile-card';
+            card.innerHTML = `
+                <div class="mobile-card-content">
+                ${imageData ? `<div class="mobile-card-image"><img src="${imageData}" alt="${title}" style="width: 100%; height: 120px; object-fit: cover; border-radius: 8px; margin-bottom: 0.5rem;"></div>` : ''}
+                <h3>${title}</h3>
+                <p><strong>${subtitle}</strong></p>
+                ${details}
+                <div class="mobile-card-actions">
+                    <button class="btn btn-sm btn-edit" onclick="${editFunction}" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-delete" onclick="${deleteFunction}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                </div>
+            `;
+        return card;
+    },
+    
+    // Create a stocktake card: what the records say, and the count so far
+    createCountCard(supply, expected, counted) {
+        const escape = SecurityManager.escapeHtml;
+        const card = document.createElement('div');
+        card.className = `mobile-card stocktake-card${counted === null ? '' : ' counted'}`;
+        card.dataset.itemId = supply.id;
+        const variance = counted === null ? 0 : Math.round((counted - expected) * 1000) / 1000;
+        card.innerHTML = `
+            <div class="mobile-card-content">
+                <h3>${escape(supplyLabel(supply))}</h3>
+                <p><strong>Expected:</strong> ${escape(formatStockQuantity(expected, supply))}</p>
+                ${variance ? `<p class="stocktake-variance"><strong>Variance:</strong> ${variance > 0 ? '+' : ''}${escape(formatStockQuantity(variance, supply))}</p>` : ''}
+                <div class="stocktake-count">
+                    <input type="number" min="0" step="any" inputmode="decimal" aria-label="Counted"
+                           placeholder="Counted" value="${counted === null ? '' : escape(String(counted))}"
+                           onchange="setStocktakeCount(this.closest('.stocktake-card').dataset.itemId, this.value)">
+                    <button type="button" class="btn btn-sm btn-secondary" title="Count matches"
+                            onclick="setStocktakeCount(this.closest('.stocktake-card').dataset.itemId, 'expected')">
+                        <i class="fas fa-check"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+        return card;
+    },
+    
+    // Load projects
+    loadProjects() {
+        console.log('📱 MobileCardManager.loadProjects() called');
+        const container = document.getElementById('mobileInventoryCards');
+        if (!container) {
+            console.error('❌ mobileInventoryCards container not found');
+            return;
+        }
+
+        console.log('🧹 Clearing mobileInventoryCards container');
+        container.innerHTML = '';
+    
+        // Add button
+        container.appendChild(this.createAddButton('Add New Project', 'openAddProjectModal()'));
+        
+        // Get projects
+        const projects = (window.inventory || []).filter(item => item.type === 'project' || !item.type);
+        
+        if (projects.length === 0) {
+            const emptyCard = document.createElement('div');
+            emptyCard.className = 'mobile-card';
+            emptyCard.innerHTML = `
+                <div class="mobile-card-content">
+            <div class="empty-state">
+                        <i class="fas fa-project-diagram"></i>
+                        <h3>No Projects Yet</h3>
+                        <p>Start creating your first embroidery project!</p>
+                    </div>
+            </div>
+        `;
+            container.appendChild(emptyCard);
+        } else {
+            // Use the same new card layout as desktop, just mobile-optimized
+            projects.forEach((project, index) => {
+                const actualIndex = inventory.findIndex(item => item === project);
+                
+                const card = document.createElement('div');
+                card.className = 'mobile-card project-card-mobile';
+                
+                const statusClass = project.status ? project.status.toLowerCase().replace(/\s+/g, '-') : 'pending';
+                const dueDate = project.dueDate ? new Date(project.dueDate).toLocaleDateString() : 'Not set';
+                const customer = project.customer || 'No customer';
+                
+                card.innerHTML = `
+                    <div class="mobile-card-content">
+                        <div class="project-card-header">
+                            <h3 class="project-card-title">${project.description || project.name || 'Untitled Project'}</h3>
+                            <span class="project-card-status ${statusClass}">${project.status || 'pending'}</span>
+                        </div>
                         <div class="project-card-details">
                             <div class="project-card-detail">
                                 <span class="project-card-detail-label">Customer:</span>
@@ -7498,475 +9244,2953 @@ const MobileCardManager = {
                 container.appendChild(card);
             });
         }
-    },
+    },
+    
+    // Load customers
+    loadCustomers() {
+        const container = document.getElementById('mobileCustomerCards');
+    if (!container) return;
+
+    container.innerHTML = '';
+    
+        // Add button
+        container.appendChild(this.createAddButton('Add New Customer', 'openAddCustomerModal()'));
+        
+        // Get customers
+        const customers = window.customers || [];
+        
+        if (customers.length === 0) {
+            const emptyCard = document.createElement('div');
+            emptyCard.className = 'mobile-card';
+            emptyCard.innerHTML = `
+            <div class="mobile-card-content">
+            <div class="empty-state">
+                        <i class="fas fa-users"></i>
+                        <h3>No Customers Yet</h3>
+                        <p>Start adding your embroidery customers!</p>
+                </div>
+            </div>
+        `;
+            container.appendChild(emptyCard);
+        } else {
+            customers.forEach((customer, index) => {
+                const details = `
+                    <p><strong>Location:</strong> ${customer.location || 'No location'}</p>
+                    <p><strong>Contact:</strong> ${customer.contact || 'No contact info'}</p>
+                `;
+                container.appendChild(this.createDataCard(
+                    customer.name || 'Unnamed Customer',
+                    'Customer',
+                    details,
+                    `editCustomer(${index})`,
+                    `deleteCustomer(${index})`
+                ));
+            });
+        }
+    },
+    
+    // Load inventory items
+    loadInventoryItems() {
+        const container = document.getElementById('mobileInventoryItemsCards');
+    if (!container) return;
+
+    container.innerHTML = '';
+    
+        // Add button
+        container.appendChild(this.createAddButton('Add New Inventory', 'openAddInventoryModal()'));
+        
+        // Get inventory items
+        const items = (window.inventory || []).filter(item => item.type === 'inventory');
+        
+        if (items.length === 0) {
+            const emptyCard = document.createElement('div');
+            emptyCard.className = 'mobile-card';
+            emptyCard.innerHTML = `
+                <div class="mobile-card-content">
+            <div class="empty-state">
+                        <i class="fas fa-boxes"></i>
+                        <h3>No Inventory Items Yet</h3>
+                        <p>Start adding your embroidery supplies and materials!</p>
+            </div>
+            </div>
+        `;
+            container.appendChild(emptyCard);
+        } else {
+            items.forEach((item, index) => {
+                const details = `
+                    <p><strong>Quantity:</strong> ${formatStockQuantity(parseFloat(item.quantity) || 0, item)}</p>
+                    <p><strong>Unit Price:</strong> $${(item.unitPrice || 0).toFixed(2)}</p>
+                    <p><strong>Total Value:</strong> $${(item.totalValue || 0).toFixed(2)}</p>
+                `;
+                container.appendChild(this.createDataCard(
+                    item.description || 'Untitled Item',
+                    'Inventory Item',
+                    details,
+                    `editInventoryItem(${index})`,
+                    `deleteInventoryItem(${index})`
+                ));
+            });
+        }
+    },
+    
+    // Load gallery
+    loadGallery() {
+    const container = document.getElementById('mobileGalleryCards');
+    if (!container) return;
+
+        container.innerHTML = '';
+        
+        // Add button
+        container.appendChild(this.createAddButton('Add Photo', 'openAddPhotoModal()'));
+        
+        // Get gallery items
+        const gallery = window.gallery || [];
+        
+        if (gallery.length === 0) {
+            const emptyCard = document.createElement('div');
+            emptyCard.className = 'mobile-card';
+            emptyCard.innerHTML = `
+                <div class="mobile-card-content">
+            <div class="empty-state">
+                <i class="fas fa-images"></i>
+                        <h3>No Photos Yet</h3>
+                        <p>Start building your embroidery gallery!</p>
+                </div>
+            </div>
+        `;
+            container.appendChild(emptyCard);
+        } else {
+            gallery.forEach((photo, index) => {
+                const details = `
+                    <p><strong>Status:</strong> ${photo.status || 'Unknown'}</p>
+                    <p><strong>Date:</strong> ${new Date(photo.dateAdded).toLocaleDateString()}</p>
+                `;
+                container.appendChild(this.createDataCard(
+                    photo.title || 'Untitled Photo',
+                    'Gallery Item',
+                    details,
+                    `editPhoto(${index})`,
+                    `deletePhoto(${index})`,
+                    getImageSource(photo, 'thumb')
+                ));
+            });
+        }
+    },
+    
+    // Load ideas
+    loadIdeas() {
+        const container = document.getElementById('mobileIdeasCards');
+        if (!container) return;
+
+        container.innerHTML = '';
+        
+        // Add button
+        container.appendChild(this.createAddButton('Add New Idea', 'openAddIdeaModal()'));
+        
+        // Combine ideas and inventory items with images
+        const allItems = [];
+        
+        // Add ideas
+        const ideas = window.ideas || [];
+        ideas.forEach((idea, index) => {
+            allItems.push({
+                ...idea,
+                type: 'idea',
+                index: index,
+                displayTitle: idea.title || 'Untitled Idea',
+                displayDescription: idea.description || 'No description',
+                displayCategory: idea.category || 'No category',
+                imageData: getImageSource(idea, 'thumb'),
+                editFunction: `editIdea(${index})`,
+                deleteFunction: `deleteIdea(${index})`
+            });
+        });
+        
+        // Add inventory items with images
+        const inventory = window.inventory || [];
+        inventory.forEach((item, index) => {
+            const imageData = getImageSource(item, 'thumb');
+            if (imageData) {
+                allItems.push({
+                    ...item,
+                    type: 'inventory',
+                    index: index,
+                    displayTitle: item.name || item.description || 'Untitled Item',
+                    displayDescription: item.description || 'No description',
+                    displayCategory: item.category || 'Inventory',
+                    imageData: imageData,
+                    editFunction: `editItem(${index})`,
+                    deleteFunction: `deleteItem(${index})`
+                });
+            }
+        });
+        
+        if (allItems.length === 0) {
+            const emptyCard = document.createElement('div');
+            emptyCard.className = 'mobile-card';
+            emptyCard.innerHTML = `
+                <div class="mobile-card-content">
+                    <div class="empty-state">
+                        <i class="fas fa-lightbulb"></i>
+                        <h3>No Ideas Yet</h3>
+                        <p>Start capturing your creative ideas and inspiration.</p>
+                    </div>
+                </div>
+            `;
+            container.appendChild(emptyCard);
+        } else {
+            allItems.forEach((item) => {
+                const details = `
+                    <p><strong>Type:</strong> ${item.type === 'idea' ? 'Idea' : 'Inventory Item'}</p>
+                    <p><strong>Description:</strong> ${item.displayDescription}</p>
+                    <p><strong>Category:</strong> ${item.displayCategory}</p>
+                `;
+                container.appendChild(this.createDataCard(
+                    item.displayTitle,
+                    item.type === 'idea' ? 'Idea' : 'Inventory',
+                    details,
+                    item.editFunction,
+                    item.deleteFunction,
+                    item.imageData
+                ));
+            });
+        }
+    }
+};
+
+function loadMobileInventoryCards() {
+    MobileCardManager.loadProjects();
+}
+
+function loadMobileInventoryItemsCards() {
+    MobileCardManager.loadInventoryItems();
+}
+
+function loadMobileWIPCards() {
+    // WIP is handled by projects for now
+    MobileCardManager.loadProjects();
+}
+
+function loadMobileCustomerCards() {
+    MobileCardManager.loadCustomers();
+}
+
+
+function loadMobileGalleryCards() {
+    MobileCardManager.loadGallery();
+}
+
+function loadMobileSalesCards() {
+    // Sales not implemented yet
+    const container = document.getElementById('mobileSalesCards');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const addButtonCard = document.createElement('div');
+    addButtonCard.className = 'mobile-card mobile-add-card';
+    addButtonCard.innerHTML = `
+        <div class="mobile-card-content">
+            <button class="btn btn-primary mobile-add-btn" onclick="openAddSaleModal()">
+                <i class="fas fa-plus"></i><span>Add New Sale</span>
+                </button>
+            </div>
+        `;
+    container.appendChild(addButtonCard);
+    
+    const emptyCard = document.createElement('div');
+    emptyCard.className = 'mobile-card';
+    emptyCard.innerHTML = `
+            <div class="mobile-card-content">
+            <div class="empty-state">
+                <i class="fas fa-dollar-sign"></i>
+                <h3>No Sales Yet</h3>
+                <p>Start recording your embroidery sales!</p>
+                </div>
+            </div>
+        `;
+    container.appendChild(emptyCard);
+}
+
+function loadMobileIdeasCards() {
+    MobileCardManager.loadIdeas();
+}
+
+// Customer expansion state management
+function getExpandedCustomerGroups() {
+    try {
+        const stored = localStorage.getItem('expandedCustomerGroups');
+        return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        console.warn('Failed to load expanded customer groups:', e);
+        return [];
+    }
+}
+
+function saveExpandedCustomerGroups(expandedCustomers) {
+    try {
+        localStorage.setItem('expandedCustomerGroups', JSON.stringify(expandedCustomers));
+    } catch (e) {
+        console.warn('Failed to save expanded customer groups:', e);
+    }
+}
+
+function isCustomerExpanded(customerName) {
+    const expanded = getExpandedCustomerGroups();
+    return expanded.includes(customerName);
+}
+
+function addExpandedCustomer(customerName) {
+    const expanded = getExpandedCustomerGroups();
+    if (!expanded.includes(customerName)) {
+        expanded.push(customerName);
+        saveExpandedCustomerGroups(expanded);
+    }
+}
+
+function removeExpandedCustomer(customerName) {
+    const expanded = getExpandedCustomerGroups();
+    const filtered = expanded.filter(name => name !== customerName);
+    saveExpandedCustomerGroups(filtered);
+}
+
+// Toggle customer group visibility
+function toggleCustomerGroup(customerName) {
+    // Handle both desktop and mobile versions
+    const sanitizedCustomerName = customerName.replace(/\s+/g, '-').toLowerCase();
+    
+    // Desktop version - show/hide project rows for this customer
+    const desktopHeader = document.querySelector(`[data-customer="${customerName}"]`);
+    const desktopChevron = desktopHeader ? desktopHeader.querySelector('.customer-toggle') : null;
+    
+    // Find all project rows for this customer
+    const projectRows = document.querySelectorAll('.project-row');
+    let customerProjectRows = [];
+    
+    // Filter project rows that belong to this customer
+    projectRows.forEach(row => {
+        const projectName = row.querySelector('.project-name strong')?.textContent;
+        if (projectName) {
+            // Check if this project belongs to the customer
+            let matchingProject;
+            if (customerName === 'No Customer') {
+                // For "No Customer", find projects where customer is null, undefined, or empty
+                matchingProject = inventory.find(item => item.name === projectName && (!item.customer || item.customer === ''));
+            } else {
+                // For regular customers, match exactly
+                matchingProject = inventory.find(item => item.name === projectName && item.customer === customerName);
+            }
+            if (matchingProject) {
+                customerProjectRows.push(row);
+            }
+        }
+    });
+    
+    // Mobile version - look for mobile container
+    const mobileContainer = document.getElementById('mobileInventoryCards');
+    const mobileHeaderContent = mobileContainer ? mobileContainer.querySelector(`[data-customer="${customerName}"]`) : null;
+    const mobileChevron = mobileHeaderContent ? mobileHeaderContent.querySelector('.customer-chevron') : null;
+    const mobileProjectsContainer = document.getElementById(`customer-projects-${sanitizedCustomerName}`);
+    
+    // Handle desktop version - toggle project row visibility
+    if (customerProjectRows.length > 0 && desktopChevron) {
+        const firstRow = customerProjectRows[0];
+        const isVisible = firstRow.style.display !== 'none';
+        
+        if (isVisible) {
+            // Collapse - hide all project rows for this customer
+            customerProjectRows.forEach(row => {
+                row.style.display = 'none';
+            });
+            desktopChevron.className = 'fas fa-chevron-right customer-toggle';
+            removeExpandedCustomer(customerName);
+        } else {
+            // Expand - show all project rows for this customer
+            customerProjectRows.forEach(row => {
+                row.style.display = 'table-row';
+            });
+            desktopChevron.className = 'fas fa-chevron-down customer-toggle';
+            addExpandedCustomer(customerName);
+        }
+    }
+    
+    // Handle mobile version
+    if (mobileProjectsContainer && mobileChevron) {
+        const isVisible = mobileProjectsContainer.style.display !== 'none';
+        
+        if (isVisible) {
+            // Collapse
+            mobileProjectsContainer.style.display = 'none';
+            mobileChevron.className = 'fas fa-chevron-right customer-chevron';
+            mobileChevron.style.transform = 'rotate(0deg)';
+            removeExpandedCustomer(customerName);
+        } else {
+            // Expand
+            mobileProjectsContainer.style.display = 'block';
+            mobileChevron.className = 'fas fa-chevron-down customer-chevron';
+            mobileChevron.style.transform = 'rotate(0deg)';
+            addExpandedCustomer(customerName);
+        }
+    }
+}
+
+// Mobile card delete functions consolidated into main delete functions above
+
+
+// Mobile modal enhancements
+function setupMobileModalEnhancements() {
+    // Only apply on mobile devices
+    if (!isMobile()) return;
+    
+    // Mobile modal enhancements for touch devices
+    console.log('📱 Mobile modal enhancements setup complete');
+}
+
+async function openAddInventoryModal(prefilledData = null) {
+    // Require authentication
+    if (!await requireAuthentication('add inventory')) {
+        return;
+    }
+    
+    const modal = document.getElementById('addInventoryModal');
+    const form = document.getElementById('addInventoryForm');
+    
+    if (form) {
+        form.reset();
+        fillLocationSelect(document.getElementById('inventoryStockLocation'));
+        setSwatchPicker('inventoryColor', prefilledData && prefilledData.colorId);
+        
+        // If prefilled data is provided (from copy), populate the form
+        if (prefilledData) {
+            // Update modal title to indicate copying
+            const modalTitle = modal.querySelector('h2');
+            if (modalTitle) {
+                modalTitle.innerHTML = '<i class="fas fa-copy"></i> Copy Item';
+            }
+            
+            // Populate form fields with copied data (using correct field IDs)
+            const fields = {
+                'inventoryDescription': prefilledData.description || '',
+                'inventoryQuantity': prefilledData.quantity || 1,
+                'inventoryCategory': prefilledData.category || '',
+                'inventoryStatus': prefilledData.status || 'available',
+                'inventoryCost': prefilledData.price || 0,
+                'inventoryNotes': prefilledData.notes || ''
+            };
+            
+            // Set form values
+            Object.keys(fields).forEach(fieldId => {
+                const field = document.getElementById(fieldId);
+                if (field) {
+                    field.value = fields[fieldId];
+                }
+            });
+        } else {
+            // Reset modal title for new items
+            const modalTitle = modal.querySelector('h2');
+            if (modalTitle) {
+                modalTitle.innerHTML = '<i class="fas fa-plus"></i> Add New Project';
+            }
+        }
+    }
+    
+    if (modal) {
+        // Ensure modal is fully visible and positioned correctly
+        modal.setAttribute('style', 'display: block !important; visibility: visible !important; opacity: 1 !important; position: fixed !important; top: 0 !important; left: 0 !important; width: 100vw !important; height: 100vh !important; z-index: 9999 !important; background-color: rgba(0,0,0,0.5) !important;');
+        modal.classList.add('show');
+        modal.classList.remove('hide');
+        
+        // Focus on first input after a short delay
+        setTimeout(() => {
+            const firstInput = modal.querySelector('input[type="text"], input[type="number"], textarea, select');
+            if (firstInput) {
+                firstInput.focus();
+            }
+        }, 100);
+        
+        console.log('Add Inventory modal opened');
+    } else {
+        console.error('Add Inventory modal not found');
+    }
+}
+
+// Dedicated Project Modal Functions  
+// ===== PROJECT MATERIALS =====
+// A project's bill of materials is `materials: [{ itemId, quantity, unit }]`, each
+// entry a supply from the inventory, in any unit the supply converts to (units.js);
+// stock is always counted in the supply's own unit. Completing a project takes its materials out of
+// stock once (`materialsUsedAt` records when); moving it back to an open status
+// puts them back. Starting a project warns about supplies that won't cover it,
+// after what other started projects still need.
+
+const STARTED_PROJECT_STATUSES = ['in-progress', 'work-in-progress'];
+const MATERIALS_USED_STATUSES = ['completed', 'sold'];
+
+function getSupplies() {
+    return inventory.filter(item => item.type === 'inventory');
+}
+
+function supplyLabel(supply) {
+    return supply.name || supply.description || 'Unnamed supply';
+}
+
+function projectMaterials(project) {
+    return (Array.isArray(project.materials) ? project.materials : [])
+        .filter(material => material && material.itemId && material.quantity > 0);
+}
+
+// A material's quantity in the supply's own unit, or null if its unit doesn't
+// convert (the supply's skein size was removed after the project was planned)
+function materialStockQuantity(material, supply) {
+    if (!supply) {
+        return material.quantity;
+    }
+    return Units.convertQuantity(material.quantity, material.unit || supply.unit, supply.unit, supply);
+}
+
+function supplyById(itemId) {
+    return inventory.find(item => item.id === itemId);
+}
+
+// A project's yarn amount ("3 skeins"); a record not yet migrated keeps its text
+function yarnAmountLabel(project) {
+    if (project.yarnQuantity > 0) {
+        return Units.formatQuantity(project.yarnQuantity, project.yarnUnit);
+    }
+    return project.yarnAmount || '';
+}
+
+// Supply id -> quantity still needed by started projects (other than `except`)
+// whose materials haven't been used yet
+function reservedMaterials(except = null) {
+    const reserved = new Map();
+    inventory.forEach(other => {
+        if (other === except || other.materialsUsedAt || !STARTED_PROJECT_STATUSES.includes(other.status)) {
+            return;
+        }
+        projectMaterials(other).forEach(material => {
+            const quantity = materialStockQuantity(material, supplyById(material.itemId)) || 0;
+            reserved.set(material.itemId, (reserved.get(material.itemId) || 0) + quantity);
+        });
+    });
+    return reserved;
+}
+
+// [{ name, needed, available, unit }] for each supply the project needs more of
+// than is free, in the supply's unit
+function findMaterialShortfalls(project) {
+    const reserved = reservedMaterials(project);
+    
+    return projectMaterials(project).map(material => {
+        const supply = supplyById(material.itemId);
+        const stock = supply ? parseFloat(supply.quantity) || 0 : 0;
+        return {
+            name: supply ? supplyLabel(supply) : 'a deleted supply',
+            needed: materialStockQuantity(material, supply) || 0,
+            available: Math.max(0, stock - (reserved.get(material.itemId) || 0)),
+            unit: supply ? supply.unit : ''
+        };
+    }).filter(shortfall => shortfall.needed > shortfall.available);
+}
+
+// Takes the project's materials out of stock (direction -1) or puts back what
+// was taken (+1). Stock can't go below zero, so each material remembers how much
+// it actually took, in the supply's unit, as `usedQuantity`. Materials whose unit
+// no longer converts are left alone. Returns the supplies that ran out.
+function adjustSupplyStock(project, direction) {
+    const ranOut = [];
+    // Supplies come from (and go back to) where the project is worked on
+    const workLocation = locationByName(project.location);
+    projectMaterials(project).forEach(material => {
+        const supply = supplyById(material.itemId);
+        const needed = materialStockQuantity(material, supply);
+        if (!supply || (needed === null && (direction < 0 || material.usedQuantity === undefined))) {
+            return;
+        }
+        const stock = parseFloat(supply.quantity) || 0;
+        if (direction < 0) {
+            const taken = Math.min(stock, needed);
+            if (taken < needed) {
+                ranOut.push(supplyLabel(supply));
+            }
+            material.usedQuantity = taken;
+            supply.quantity = stock - taken;
+        } else {
+            supply.quantity = stock + (material.usedQuantity ?? needed);
+            delete material.usedQuantity;
+        }
+        supply.totalValue = supply.quantity * (parseFloat(supply.price) || 0);
+        recordStockMovement(supply, supply.quantity - stock, direction < 0 ? 'consumed' : 'return', {
+            linked: { collection: 'inventory', record: project },
+            locationId: workLocation ? workLocation.id : ''
+        });
+    });
+    return ranOut;
+}
+
+// Sets a project's status and moves its materials in or out of stock to match.
+// Returns a warning for the user, or null.
+function setProjectStatus(project, newStatus, oldStatus = project.status) {
+    project.status = newStatus;
+    if (project.type === 'inventory') {
+        return null;
+    }
+    
+    if (MATERIALS_USED_STATUSES.includes(newStatus)) {
+        if (project.materialsUsedAt || projectMaterials(project).length === 0) {
+            return null;
+        }
+        project.materialsUsedAt = new Date().toISOString();
+        const ranOut = adjustSupplyStock(project, -1);
+        return ranOut.length > 0
+            ? `Used more ${ranOut.join(', ')} than was in stock - stock set to 0, worth a recount`
+            : null;
+    }
+    
+    if (project.materialsUsedAt) {
+        adjustSupplyStock(project, 1);
+        delete project.materialsUsedAt;
+    }
+    if (STARTED_PROJECT_STATUSES.includes(newStatus) && !STARTED_PROJECT_STATUSES.includes(oldStatus)) {
+        const shortfalls = findMaterialShortfalls(project);
+        if (shortfalls.length > 0) {
+            return 'Short on materials: ' + shortfalls
+                .map(({ name, needed, available, unit }) =>
+                    `${name} (needs ${Units.formatQuantity(needed, unit)}, ${Units.formatQuantity(available, unit)} available)`)
+                .join(', ');
+        }
+    }
+    return null;
+}
+
+// Replaces the materials list; a project whose materials are already used up
+// swaps the old quantities for the new ones in stock
+function setProjectMaterials(project, materials) {
+    if (project.materialsUsedAt) {
+        adjustSupplyStock(project, 1);
+    }
+    project.materials = materials;
+    if (project.materialsUsedAt) {
+        adjustSupplyStock(project, -1);
+    }
+}
+
+function showStatusWarning(warning, successMessage) {
+    showNotification(warning || successMessage, warning ? 'warning' : 'success');
+}
+
+// Materials editor: one row per supply in the element `containerId`
+function renderMaterialsEditor(containerId, materials) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    container.innerHTML = '';
+    (Array.isArray(materials) ? materials : []).forEach(material => {
+        if (material && material.itemId) {
+            addMaterialRow(containerId, material);
+        }
+    });
+}
+
+// Drop-down of every supply, with `itemId` selected
+function createSupplySelect(itemId) {
+    const select = document.createElement('select');
+    select.className = 'material-supply';
+    select.setAttribute('aria-label', 'Supply');
+    select.add(new Option('Select supply', ''));
+    getSupplies().forEach(supply => {
+        select.add(new Option(`${supplyLabel(supply)} (${formatStockQuantity(parseFloat(supply.quantity) || 0, supply)} in stock)`, supply.id));
+    });
+    if (itemId && !getSupplies().some(supply => supply.id === itemId)) {
+        select.add(new Option('Deleted supply', itemId));
+    }
+    select.value = itemId || '';
+    return select;
+}
+
+function addMaterialRow(containerId, material = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const row = document.createElement('div');
+    row.className = 'material-row';
+    
+    const quantity = document.createElement('input');
+    quantity.type = 'number';
+    quantity.className = 'material-quantity';
+    quantity.min = '0';
+    quantity.step = 'any';
+    quantity.value = material.quantity || 1;
+    quantity.setAttribute('aria-label', 'Quantity');
+    
+    const supplySelect = createSupplySelect(material.itemId);
+    const unit = document.createElement('select');
+    unit.className = 'material-unit';
+    unit.setAttribute('aria-label', 'Unit');
+    fillMaterialUnits(unit, supplyById(supplySelect.value), material.unit);
+    supplySelect.addEventListener('change', () => fillMaterialUnits(unit, supplyById(supplySelect.value)));
+    
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-outline btn-sm';
+    remove.title = 'Remove material';
+    remove.innerHTML = '<i class="fas fa-times"></i>';
+    remove.addEventListener('click', () => {
+        row.remove();
+        container.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    
+    row.append(supplySelect, quantity, unit, remove);
+    container.appendChild(row);
+}
+
+// The units the supply can be used in, its own unit selected unless `selected` is given
+function fillMaterialUnits(select, supply, selected = '') {
+    const units = Units.unitsFor(supply);
+    if (selected && !units.includes(selected)) {
+        units.push(selected);
+    }
+    select.innerHTML = '';
+    units.forEach(unit => select.add(new Option(Units.unitLabel(unit) || 'items', unit)));
+    select.value = selected || units[0];
+}
+
+// The "one skein or spool is" inputs on the supply forms (ids start with `prefix`)
+const PACKAGE_SIZE_FIELDS = { weight: 'PackageWeight', length: 'PackageLength' };
+
+function readPackageSizes(prefix) {
+    return Object.values(PACKAGE_SIZE_FIELDS)
+        .map(field => ({
+            quantity: parseFloat(document.getElementById(prefix + field).value),
+            unit: document.getElementById(prefix + field + 'Unit').value
+        }))
+        .filter(size => size.quantity > 0);
+}
+
+function fillPackageSizes(prefix, supply) {
+    const sizes = Array.isArray(supply.packageSizes) ? supply.packageSizes : [];
+    Object.entries(PACKAGE_SIZE_FIELDS).forEach(([dimension, field]) => {
+        const size = sizes.find(entry => Units.UNITS[entry.unit] && Units.UNITS[entry.unit].dimension === dimension);
+        const unitSelect = document.getElementById(prefix + field + 'Unit');
+        document.getElementById(prefix + field).value = size ? size.quantity : '';
+        unitSelect.value = size ? size.unit : unitSelect.options[0].value;
+    });
+}
+
+function readMaterialsEditor(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return [];
+    return Array.from(container.querySelectorAll('.material-row'))
+        .map(row => {
+            const material = {
+                itemId: row.querySelector('.material-supply').value,
+                quantity: parseFloat(row.querySelector('.material-quantity').value) || 0
+            };
+            const unit = row.querySelector('.material-unit').value;
+            if (unit) {
+                material.unit = unit;
+            }
+            return material;
+        })
+        .filter(material => material.itemId && material.quantity > 0);
+}
+
+// ===== LOW STOCK =====
+// A supply is low once its quantity is at or below its reorder point (supplies
+// without a reorder point are never low). The suggested order brings it back
+// above the reorder point, covers what started projects still need, and adds
+// REORDER_COVER_DAYS of use at the rate of the last RECENT_USE_DAYS, less what
+// is already on order.
+
+const RECENT_USE_DAYS = 90;
+const REORDER_COVER_DAYS = 30;
+
+// Supply id -> quantity (in the supply's unit) the given projects took out of stock
+function supplyUse(projects) {
+    const used = new Map();
+    projects.forEach(project => {
+        if (!project.materialsUsedAt) {
+            return;
+        }
+        projectMaterials(project).forEach(material => {
+            const quantity = material.usedQuantity ?? (materialStockQuantity(material, supplyById(material.itemId)) || 0);
+            used.set(material.itemId, (used.get(material.itemId) || 0) + quantity);
+        });
+    });
+    return used;
+}
+
+// Supply id -> quantity used by projects completed in the last `days` days
+function recentSupplyUse(days = RECENT_USE_DAYS) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    return supplyUse(inventory.filter(project => project.materialsUsedAt && new Date(project.materialsUsedAt).getTime() >= since));
+}
+
+// The projects' yarn amounts added up: skeins and spools as they are, weights
+// in grams and lengths in yards ("12 skeins, 450 g")
+function totalYarnAmounts(projects) {
+    const totals = { skein: 0, spool: 0, g: 0, yd: 0 };
+    projects.forEach(project => {
+        if (!(project.yarnQuantity > 0) || !Units.UNITS[project.yarnUnit]) {
+            return;
+        }
+        const dimension = Units.UNITS[project.yarnUnit].dimension;
+        const unit = { weight: 'g', length: 'yd' }[dimension] || project.yarnUnit;
+        totals[unit] += Units.convertQuantity(project.yarnQuantity, project.yarnUnit, unit);
+    });
+    return Object.entries(totals)
+        .filter(([, quantity]) => quantity > 0)
+        .map(([unit, quantity]) => Units.formatQuantity(quantity, unit))
+        .join(', ');
+}
+
+// [{ supply, stock, reorderPoint, recentUse, reserved, onOrder, suggested }], lowest stock first
+function findLowStockSupplies() {
+    const used = recentSupplyUse();
+    const reserved = reservedMaterials();
+    const ordered = quantitiesOnOrder();
+    
+    return getSupplies()
+        .map(supply => {
+            const stock = parseFloat(supply.quantity) || 0;
+            const reorderPoint = parseFloat(supply.reorderPoint) || 0;
+            const recentUse = used.get(supply.id) || 0;
+            const needed = reserved.get(supply.id) || 0;
+            const onOrder = ordered.get(supply.id) || 0;
+            const target = reorderPoint + needed + recentUse * REORDER_COVER_DAYS / RECENT_USE_DAYS;
+            return {
+                supply,
+                stock,
+                reorderPoint,
+                recentUse,
+                reserved: needed,
+                onOrder,
+                suggested: Math.max(0, Math.ceil(Math.max(1, target - stock) - onOrder))
+            };
+        })
+        .filter(entry => entry.reorderPoint > 0 && entry.stock <= entry.reorderPoint)
+        .sort((a, b) => a.stock / a.reorderPoint - b.stock / b.reorderPoint);
+}
+
+// [{ key, supplier, entries }] sorted by supplier, supplies without one last
+function groupBySupplier(lowStock) {
+    const groups = new Map();
+    lowStock.forEach(entry => {
+        const supplier = (entry.supply.supplier || '').trim();
+        const key = supplier.toLowerCase();
+        if (!groups.has(key)) {
+            groups.set(key, { key, supplier: supplier || 'No supplier', entries: [] });
+        }
+        groups.get(key).entries.push(entry);
+    });
+    return Array.from(groups.entries())
+        .sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b))
+        .map(([, group]) => group);
+}
+
+// With the supply's unit when it has one ("3 skeins")
+function formatStockQuantity(quantity, supply = null) {
+    return Units.formatQuantity(quantity, supply ? supply.unit : '');
+}
+
+// Dashboard panel listing the low supplies
+function renderLowStockAlerts(lowStock) {
+    const container = document.getElementById('lowStockAlerts');
+    if (!container) return;
+    if (lowStock.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+    
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="low-stock-header">
+            <strong><i class="fas fa-exclamation-triangle"></i> ${lowStock.length} ${lowStock.length === 1 ? 'supply is' : 'supplies are'} at or below the reorder point</strong>
+            <button class="btn btn-sm btn-primary" onclick="generateShoppingListReport()">
+                <i class="fas fa-shopping-cart"></i> Shopping List
+            </button>
+        </div>
+        <ul>
+            ${lowStock.map(({ supply, stock, reorderPoint }) => `
+                <li>${SecurityManager.escapeHtml(supplyLabel(supply))}: ${formatStockQuantity(stock, supply)} left (reorder at ${formatStockQuantity(reorderPoint, supply)})</li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function generateShoppingListReport() {
+    const reportContent = document.getElementById('reportContent');
+    if (!reportContent) return;
+    const lowStock = findLowStockSupplies();
+    const escape = SecurityManager.escapeHtml;
+    
+    const groups = groupBySupplier(lowStock).map(({ key, supplier, entries }) => `
+        <div class="shopping-list-supplier">
+            <h3>${escape(supplier)}</h3>
+            <button class="btn btn-sm btn-outline no-print" data-supplier="${escape(key)}" onclick="createPurchaseOrderForSupplier(this.dataset.supplier)">
+                <i class="fas fa-file-alt"></i> Create Purchase Order
+            </button>
+        </div>
+        <table class="report-table">
+            <thead>
+                <tr>
+                    <th>Supply</th>
+                    <th>In Stock</th>
+                    <th>Reorder Point</th>
+                    <th>Used (${RECENT_USE_DAYS} days)</th>
+                    <th>Needed by Started Projects</th>
+                    <th>On Order</th>
+                    <th>Order</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                    <tr>
+                        <td>${escape(supplyLabel(entry.supply))}</td>
+                        <td>${formatStockQuantity(entry.stock, entry.supply)}</td>
+                        <td>${formatStockQuantity(entry.reorderPoint, entry.supply)}</td>
+                        <td>${formatStockQuantity(entry.recentUse, entry.supply)}</td>
+                        <td>${formatStockQuantity(entry.reserved, entry.supply)}</td>
+                        <td>${formatStockQuantity(entry.onOrder, entry.supply)}</td>
+                        <td><strong>${formatStockQuantity(entry.suggested, entry.supply)}</strong></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `).join('');
+    
+    reportContent.innerHTML = `
+        <div class="inventory-report shopping-list-report">
+            <h2>🛒 Shopping List</h2>
+            <div class="inventory-summary">
+                <p><strong>Supplies to Order:</strong> ${lowStock.length}</p>
+                <p><strong>Generated:</strong> ${new Date().toLocaleDateString()}</p>
+            </div>
+            <div class="report-actions no-print">
+                <button class="btn btn-secondary" onclick="printCurrentReport()">
+                    <i class="fas fa-print"></i> Print
+                </button>
+                <button class="btn btn-info" onclick="exportShoppingList()" ${lowStock.length === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-download"></i> Export CSV
+                </button>
+            </div>
+            ${groups || '<p>Nothing is at or below its reorder point.</p>'}
+        </div>
+    `;
+}
+
+function exportShoppingList() {
+    const lowStock = findLowStockSupplies();
+    if (lowStock.length === 0) {
+        showNotification('Nothing is low on stock', 'info');
+        return;
+    }
+    
+    const cell = value => `"${String(value).replace(/"/g, '""')}"`;
+    let csvContent = `Supplier,Supply,Unit,In Stock,Reorder Point,Used Last ${RECENT_USE_DAYS} Days,Needed by Started Projects,On Order,Order\n`;
+    groupBySupplier(lowStock).forEach(({ supplier, entries }) => {
+        entries.forEach(entry => {
+            csvContent += [
+                supplier,
+                supplyLabel(entry.supply),
+                Units.unitLabel(entry.supply.unit) || 'items',
+                formatStockQuantity(entry.stock),
+                formatStockQuantity(entry.reorderPoint),
+                formatStockQuantity(entry.recentUse),
+                formatStockQuantity(entry.reserved),
+                formatStockQuantity(entry.onOrder),
+                entry.suggested
+            ].map(cell).join(',') + '\n';
+        });
+    });
+    
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `shopping_list_${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+    
+    showNotification('Shopping list exported as CSV!', 'success');
+}
+
+// ===== PURCHASE ORDERS =====
+// A purchase order lists the supplies we buy from one supplier, one line per
+// supply at the unit cost we expect. It goes from draft to ordered, then to
+// partially received and received as deliveries are booked. Receiving adds to
+// stock and records what each unit actually cost in `receipts`; the supply's
+// price becomes that cost, so its value and the spending report use real prices.
+
+const PURCHASE_ORDER_STATUS_LABELS = {
+    draft: 'Draft',
+    ordered: 'Ordered',
+    'partially-received': 'Partially received',
+    received: 'Received'
+};
+// Orders that still have deliveries to come
+const OPEN_PURCHASE_ORDER_STATUSES = ['ordered', 'partially-received'];
+
+function generatePurchaseOrderId() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `PO-${year}${month}${day}-${random}`;
+}
+
+function purchaseOrderLines(order) {
+    return Array.isArray(order.lines) ? order.lines : [];
+}
+
+function outstandingQuantity(line) {
+    return Math.max(0, (parseFloat(line.quantity) || 0) - (parseFloat(line.receivedQuantity) || 0));
+}
+
+function purchaseOrderExpectedTotal(order) {
+    return purchaseOrderLines(order).reduce((sum, line) =>
+        sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.unitCost) || 0), 0);
+}
+
+function purchaseOrderReceivedCost(order) {
+    return (order.receipts || []).reduce((sum, receipt) => sum + receipt.quantity * receipt.unitCost, 0);
+}
+
+// Supply id -> quantity ordered but not delivered yet
+function quantitiesOnOrder() {
+    const onOrder = new Map();
+    purchaseOrders
+        .filter(order => OPEN_PURCHASE_ORDER_STATUSES.includes(order.status))
+        .forEach(order => purchaseOrderLines(order).forEach(line => {
+            onOrder.set(line.itemId, (onOrder.get(line.itemId) || 0) + outstandingQuantity(line));
+        }));
+    return onOrder;
+}
+
+function receivedStatus(order) {
+    const lines = purchaseOrderLines(order);
+    if (lines.length > 0 && lines.every(line => outstandingQuantity(line) === 0)) {
+        return 'received';
+    }
+    return lines.some(line => line.receivedQuantity > 0) ? 'partially-received' : order.status;
+}
+
+// Books a delivery of [{ itemId, quantity, unitCost }] against the order. Returns
+// how many of the supplies no longer exist - their receipt is still recorded.
+function receivePurchaseOrder(order, deliveries, receivedAt = new Date().toISOString(), locationId = '') {
+    order.receipts = Array.isArray(order.receipts) ? order.receipts : [];
+    let missing = 0;
+    deliveries.forEach(({ itemId, quantity, unitCost }) => {
+        const line = purchaseOrderLines(order).find(l => l.itemId === itemId);
+        if (!line || !(quantity > 0)) {
+            return;
+        }
+        line.receivedQuantity = (parseFloat(line.receivedQuantity) || 0) + quantity;
+        order.receipts.push({ itemId, quantity, unitCost, receivedAt });
+        
+        const supply = inventory.find(item => item.id === itemId);
+        if (!supply) {
+            missing++;
+            return;
+        }
+        supply.quantity = (parseFloat(supply.quantity) || 0) + quantity;
+        recordStockMovement(supply, quantity, 'purchase', { linked: { collection: 'purchaseOrders', record: order }, unitCost, locationId });
+    });
+    order.status = receivedStatus(order);
+    return missing;
+}
+
+// What was paid for supplies received between the dates (either may be null),
+// in total and by supplier
+function supplySpending(startDate = null, endDate = null) {
+    const bySupplier = new Map();
+    let total = 0;
+    purchaseOrders.forEach(order => {
+        (order.receipts || []).forEach(receipt => {
+            const receivedAt = new Date(receipt.receivedAt);
+            if ((startDate && receivedAt < startDate) || (endDate && receivedAt > endDate)) {
+                return;
+            }
+            const cost = receipt.quantity * receipt.unitCost;
+            total += cost;
+            bySupplier.set(order.supplier, (bySupplier.get(order.supplier) || 0) + cost);
+        });
+    });
+    return { total, bySupplier };
+}
+
+async function openPurchaseOrdersModal() {
+    if (!await requireAuthentication('view purchase orders')) {
+        return;
+    }
+    loadPurchaseOrdersTable();
+    document.getElementById('purchaseOrdersModal').style.display = 'block';
+}
+
+function loadPurchaseOrdersTable() {
+    const tbody = document.getElementById('purchaseOrdersTableBody');
+    if (!tbody) return;
+    const escape = SecurityManager.escapeHtml;
+    
+    if (purchaseOrders.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">No purchase orders yet.</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = [...purchaseOrders]
+        .sort((a, b) => String(b.orderDate || b.dateAdded || '').localeCompare(String(a.orderDate || a.dateAdded || '')))
+        .map(order => {
+            const id = escape(order.id);
+            const hasReceipts = (order.receipts || []).length > 0;
+            const actions = [];
+            if (order.status !== 'received') {
+                actions.push(`<button class="btn btn-small" data-order-id="${id}" onclick="openPurchaseOrderModal(this.dataset.orderId)"><i class="fas fa-edit"></i> Edit</button>`);
+            }
+            if (order.status === 'draft') {
+                actions.push(`<button class="btn btn-small" data-order-id="${id}" onclick="markPurchaseOrderOrdered(this.dataset.orderId)"><i class="fas fa-paper-plane"></i> Mark Ordered</button>`);
+            }
+            if (OPEN_PURCHASE_ORDER_STATUSES.includes(order.status)) {
+                actions.push(`<button class="btn btn-small btn-success" data-order-id="${id}" onclick="openReceivePurchaseOrderModal(this.dataset.orderId)"><i class="fas fa-truck"></i> Receive</button>`);
+            }
+            if (!hasReceipts) {
+                actions.push(`<button class="btn btn-small btn-danger" data-order-id="${id}" onclick="deletePurchaseOrder(this.dataset.orderId)"><i class="fas fa-trash"></i></button>`);
+            }
+            const received = hasReceipts ? `<br><small>$${purchaseOrderReceivedCost(order).toFixed(2)} received</small>` : '';
+            return `
+                <tr>
+                    <td>${id}</td>
+                    <td>${escape(order.supplier)}</td>
+                    <td>${order.orderDate ? new Date(order.orderDate).toLocaleDateString() : '-'}</td>
+                    <td>$${purchaseOrderExpectedTotal(order).toFixed(2)}${received}</td>
+                    <td><span class="status-badge status-${escape(order.status || '')}">${PURCHASE_ORDER_STATUS_LABELS[order.status] || escape(order.status || '')}</span></td>
+                    <td>${actions.join(' ')}</td>
+                </tr>
+            `;
+        })
+        .join('');
+}
+
+// Opens the order form for a new order (optionally prefilled with
+// { supplier, lines }) or to edit the order with id `orderId`
+async function openPurchaseOrderModal(orderId = null, prefill = null) {
+    if (!await requireAuthentication('edit purchase orders')) {
+        return;
+    }
+    const order = orderId ? purchaseOrders.find(o => o.id === orderId) : null;
+    const values = order || { status: 'draft', lines: [], ...prefill };
+    const hasReceipts = Boolean(order && (order.receipts || []).length > 0);
+    
+    const modal = document.getElementById('purchaseOrderModal');
+    modal.dataset.orderId = order ? order.id : '';
+    document.getElementById('purchaseOrderTitle').textContent = order ? `Edit ${order.id}` : 'New Purchase Order';
+    document.getElementById('purchaseOrderSupplier').value = values.supplier || '';
+    document.getElementById('purchaseOrderStatus').value = hasReceipts ? 'ordered' : values.status;
+    document.getElementById('purchaseOrderStatusGroup').style.display = hasReceipts ? 'none' : '';
+    document.getElementById('purchaseOrderDate').value = (values.orderDate || '').split('T')[0];
+    document.getElementById('purchaseOrderExpectedDate').value = (values.expectedDate || '').split('T')[0];
+    document.getElementById('purchaseOrderNotes').value = values.notes || '';
+    
+    const suppliers = document.getElementById('purchaseOrderSuppliers');
+    suppliers.innerHTML = '';
+    new Set(getSupplies().map(supply => (supply.supplier || '').trim()).filter(Boolean)).forEach(name => {
+        suppliers.appendChild(new Option(name));
+    });
+    
+    const container = document.getElementById('purchaseOrderLines');
+    container.innerHTML = '';
+    purchaseOrderLines(values).forEach(line => addPurchaseOrderLine('purchaseOrderLines', line));
+    if (container.children.length === 0) {
+        addPurchaseOrderLine('purchaseOrderLines');
+    }
+    
+    modal.style.display = 'block';
+}
+
+function addPurchaseOrderLine(containerId, line = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const row = document.createElement('div');
+    row.className = 'material-row';
+    
+    const quantity = document.createElement('input');
+    quantity.type = 'number';
+    quantity.className = 'material-quantity';
+    quantity.min = '0';
+    quantity.step = 'any';
+    quantity.value = line.quantity || 1;
+    quantity.setAttribute('aria-label', 'Quantity');
+    
+    const unitCost = document.createElement('input');
+    unitCost.type = 'number';
+    unitCost.className = 'line-unit-cost';
+    unitCost.min = '0';
+    unitCost.step = '0.01';
+    unitCost.value = line.unitCost ?? '';
+    unitCost.placeholder = 'Unit cost';
+    unitCost.setAttribute('aria-label', 'Expected unit cost');
+    
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-outline btn-sm';
+    remove.title = 'Remove line';
+    remove.innerHTML = '<i class="fas fa-times"></i>';
+    remove.addEventListener('click', () => row.remove());
+    
+    row.append(createSupplySelect(line.itemId), quantity, unitCost, remove);
+    container.appendChild(row);
+}
+
+// Lines for the same supply are added together
+function readPurchaseOrderLines(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return [];
+    const lines = new Map();
+    container.querySelectorAll('.material-row').forEach(row => {
+        const itemId = row.querySelector('.material-supply').value;
+        const quantity = parseFloat(row.querySelector('.material-quantity').value) || 0;
+        const unitCost = parseFloat(row.querySelector('.line-unit-cost').value);
+        if (!itemId || quantity <= 0) {
+            return;
+        }
+        const line = lines.get(itemId) || { itemId, quantity: 0 };
+        line.quantity += quantity;
+        if (Number.isFinite(unitCost)) {
+            line.unitCost = unitCost;
+        }
+        lines.set(itemId, line);
+    });
+    return Array.from(lines.values());
+}
+
+function handlePurchaseOrderSubmit(e) {
+    e.preventDefault();
+    const modal = document.getElementById('purchaseOrderModal');
+    const existing = purchaseOrders.find(o => o.id === modal.dataset.orderId);
+    
+    // Keep what has already arrived on each line
+    const lines = readPurchaseOrderLines('purchaseOrderLines').map(line => {
+        const previous = existing && purchaseOrderLines(existing).find(l => l.itemId === line.itemId);
+        return previous && previous.receivedQuantity ? { ...line, receivedQuantity: previous.receivedQuantity } : line;
+    });
+    const dropped = existing ? purchaseOrderLines(existing)
+        .filter(line => line.receivedQuantity > 0 && !lines.some(l => l.itemId === line.itemId)) : [];
+    if (dropped.length > 0) {
+        showNotification('Lines that have already been received can\'t be removed', 'error');
+        return;
+    }
+    
+    const order = {
+        ...(existing || { id: generatePurchaseOrderId(), dateAdded: new Date().toISOString() }),
+        supplier: document.getElementById('purchaseOrderSupplier').value.trim(),
+        orderDate: document.getElementById('purchaseOrderDate').value,
+        expectedDate: document.getElementById('purchaseOrderExpectedDate').value,
+        notes: document.getElementById('purchaseOrderNotes').value,
+        lines
+    };
+    order.status = (existing && (existing.receipts || []).length > 0)
+        ? receivedStatus({ ...order, status: 'ordered' })
+        : document.getElementById('purchaseOrderStatus').value;
+    if (order.status === 'ordered' && !order.orderDate) {
+        order.orderDate = new Date().toISOString().split('T')[0];
+    }
+    
+    if (!validateFormRecord('purchaseOrderForm', 'purchaseOrders', order)) {
+        return;
+    }
+    
+    if (existing) {
+        purchaseOrders[purchaseOrders.indexOf(existing)] = order;
+    } else {
+        purchaseOrders.push(order);
+    }
+    saveData();
+    closeModal('purchaseOrderModal');
+    loadPurchaseOrdersTable();
+    showNotification(`Purchase order ${order.id} saved`, 'success');
+}
+
+function markPurchaseOrderOrdered(orderId) {
+    const order = purchaseOrders.find(o => o.id === orderId);
+    if (!order) return;
+    order.status = 'ordered';
+    order.orderDate = order.orderDate || new Date().toISOString().split('T')[0];
+    saveData();
+    loadPurchaseOrdersTable();
+    showNotification(`${order.id} marked as ordered`, 'success');
+}
+
+function openReceivePurchaseOrderModal(orderId) {
+    const order = purchaseOrders.find(o => o.id === orderId);
+    if (!order) return;
+    const escape = SecurityManager.escapeHtml;
+    
+    const modal = document.getElementById('receivePurchaseOrderModal');
+    modal.dataset.orderId = order.id;
+    document.getElementById('receivePurchaseOrderTitle').textContent = `Receive ${order.id} from ${order.supplier}`;
+    document.getElementById('receivePurchaseOrderDate').value = new Date().toISOString().split('T')[0];
+    fillLocationSelect(document.getElementById('receivePurchaseOrderLocation'), document.getElementById('receivePurchaseOrderLocation').value);
+    document.getElementById('receivePurchaseOrderLines').innerHTML = purchaseOrderLines(order).map(line => {
+        const supply = inventory.find(item => item.id === line.itemId);
+        const unitCost = line.unitCost ?? (supply && supply.price) ?? '';
+        return `
+            <tr data-item-id="${escape(line.itemId)}">
+                <td>${supply ? escape(supplyLabel(supply)) : 'Deleted supply'}</td>
+                <td>${formatStockQuantity(parseFloat(line.quantity) || 0, supply)}</td>
+                <td>${formatStockQuantity(parseFloat(line.receivedQuantity) || 0, supply)}</td>
+                <td><input type="number" class="receive-quantity" min="0" step="any" value="${outstandingQuantity(line)}" aria-label="Quantity received"></td>
+                <td><input type="number" class="receive-unit-cost" min="0" step="0.01" value="${escape(String(unitCost))}" aria-label="Actual unit cost"></td>
+            </tr>
+        `;
+    }).join('');
+    
+    modal.style.display = 'block';
+}
+
+function confirmReceivePurchaseOrder() {
+    const modal = document.getElementById('receivePurchaseOrderModal');
+    const order = purchaseOrders.find(o => o.id === modal.dataset.orderId);
+    if (!order) return;
+    
+    const deliveries = Array.from(modal.querySelectorAll('#receivePurchaseOrderLines tr')).map(row => ({
+        itemId: row.dataset.itemId,
+        quantity: parseFloat(row.querySelector('.receive-quantity').value) || 0,
+        unitCost: parseFloat(row.querySelector('.receive-unit-cost').value)
+    })).filter(delivery => delivery.quantity > 0);
+    if (deliveries.length === 0) {
+        showNotification('Enter how many of each supply arrived', 'warning');
+        return;
+    }
+    if (deliveries.some(delivery => !Number.isFinite(delivery.unitCost) || delivery.unitCost < 0)) {
+        showNotification('Enter what each received supply cost', 'warning');
+        return;
+    }
+    
+    const receivedDate = document.getElementById('receivePurchaseOrderDate').value;
+    const receivedAt = receivedDate ? new Date(`${receivedDate}T12:00:00`).toISOString() : new Date().toISOString();
+    const missing = receivePurchaseOrder(order, deliveries, receivedAt, document.getElementById('receivePurchaseOrderLocation').value);
+    saveData();
+    closeModal('receivePurchaseOrderModal');
+    loadPurchaseOrdersTable();
+    showNotification(missing > 0
+        ? `Received ${order.id}, but ${missing} of its supplies no longer exist - their stock wasn't updated`
+        : `Received ${order.id} - stock updated`, missing > 0 ? 'warning' : 'success');
+}
+
+async function deletePurchaseOrder(orderId) {
+    if (!requirePermission('records:delete', 'delete purchase orders')) {
+        return;
+    }
+    const order = purchaseOrders.find(o => o.id === orderId);
+    if (!order || (order.receipts || []).length > 0) {
+        return;
+    }
+    showConfirmModal(
+        'Delete Purchase Order',
+        `Delete purchase order ${order.id} for ${order.supplier}?`,
+        () => {
+            purchaseOrders = purchaseOrders.filter(o => o.id !== order.id);
+            saveData();
+            loadPurchaseOrdersTable();
+            showNotification(`${order.id} deleted`, 'success');
+        }
+    );
+}
+
+// Starts a draft order for everything low on stock from one supplier on the shopping list
+function createPurchaseOrderForSupplier(supplierKey) {
+    const group = groupBySupplier(findLowStockSupplies()).find(g => g.key === supplierKey);
+    if (!group) return;
+    const lines = group.entries
+        .filter(entry => entry.suggested > 0)
+        .map(({ supply, suggested }) => ({ itemId: supply.id, quantity: suggested, unitCost: parseFloat(supply.price) || undefined }));
+    openPurchaseOrderModal(null, { supplier: supplierKey ? group.supplier : '', lines });
+}
+
+// ===== STOCK LEDGER =====
+// Every change to a supply's quantity is also written to `stockMovements`: the
+// change, the reason, the project or purchase order behind it and who made it.
+// Movements are never edited or deleted (the server refuses), and the server
+// keeps each supply's quantity at the ledger total; the history view shows each
+// supply's movements and puts the two back in line when data from before the
+// ledger disagrees.
+
+const STOCK_MOVEMENT_REASONS = {
+    opening: 'Opening balance',
+    purchase: 'Purchase',
+    consumed: 'Used in project',
+    adjustment: 'Adjustment',
+    waste: 'Waste',
+    return: 'Returned to stock',
+    transfer: 'Moved',
+    stocktake: 'Stocktake'
+};
+
+function supplyMovements(itemId) {
+    return stockMovements
+        .filter(movement => movement.itemId === itemId)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+function ledgerQuantity(itemId) {
+    return supplyMovements(itemId).reduce((sum, movement) => sum + movement.delta, 0);
+}
+
+// The ledger only ever grows, so it isn't downloaded whole on every load: the
+// copy kept on this device is brought up to date with the movements the server
+// has taken since its newest one (by updatedAt, which the server sets). The
+// whole ledger is fetched when there's no copy here yet, or when the server
+// holds a different number of movements (e.g. after a restore).
+const LEDGER_SYNC_OVERLAP_MS = 60000; // Allows for server instances' clocks disagreeing
+
+async function loadStockMovements() {
+    let known = stockMovements;
+    if (known.length === 0) {
+        const { collections } = await readOfflineState(['collections']).catch(() => ({}));
+        known = (collections && collections.stockMovements) || [];
+    }
+    // Only what the server has taken; anything else is still in the outbox or was refused
+    const merged = new Map(known.filter(movement => movement.revision !== undefined).map(movement => [movement.id, movement]));
+    const newest = Array.from(merged.values()).reduce((latest, movement) => (movement.updatedAt > latest ? movement.updatedAt : latest), '');
+    if (newest) {
+        const from = new Date(Date.parse(newest) - LEDGER_SYNC_OVERLAP_MS).toISOString();
+        const [recent, count] = await Promise.all([
+            fetchRecordPage('stockMovements', { dateField: 'updatedAt', from }),
+            fetchRecordPage('stockMovements', { fields: 'id', limit: 1 })
+        ]);
+        recent.records.forEach(movement => merged.set(movement.id, movement));
+        if (merged.size === count.total) {
+            return Array.from(merged.values());
+        }
+    }
+    return (await fetchRecordPage('stockMovements')).records;
+}
+
+// The server keeps each supply's quantity at its ledger total, and a movement
+// it has taken says what that came to. Shown here too, unless the supply has
+// an edit of its own waiting to go out.
+function applyMovementQuantity(movement) {
+    const supply = supplyById(movement.itemId);
+    if (!supply || movement.quantityAfter === undefined || hasPendingEdit('inventory', supply.id)) {
+        return;
+    }
+    const withQuantity = record => {
+        const updated = { ...record, quantity: movement.quantityAfter };
+        if ('totalValue' in record) {
+            updated.totalValue = movement.quantityAfter * (parseFloat(record.price) || 0);
+        }
+        return updated;
+    };
+    Object.assign(supply, withQuantity(supply));
+    const synced = syncedRecords.inventory && syncedRecords.inventory.get(supply.id);
+    if (synced !== undefined) {
+        syncedRecords.inventory.set(supply.id, JSON.stringify(withQuantity(JSON.parse(synced))));
+    }
+}
+
+// A supply from before the ledger gets an opening balance for the stock it
+// had before its first movement, so its ledger adds up
+function recordOpeningBalance(supply, opening, createdAt, unitCost = parseFloat(supply.price) || 0) {
+    if (opening === 0 || stockMovements.some(movement => movement.itemId === supply.id)) {
+        return;
+    }
+    stockMovements.push({
+        id: generateRecordId(),
+        itemId: supply.id,
+        delta: opening,
+        quantityAfter: opening,
+        reason: 'opening',
+        unitCost,
+        user: currentUsername || '',
+        createdAt
+    });
+}
+
+// Records that the supply's quantity changed by `delta`; call it after setting
+// the new quantity. `linked` is the { collection, record } that caused it and
+// `locationId` the storage location the stock came into or left. Stock coming
+// in is costed at `unitCost`, or at the supply's current unit cost;
+// `unitFactor` marks a change of unit (see valueSupply). The supply's price,
+// value and stock by location are then updated to match.
+function recordStockMovement(supply, delta, reason, { linked = null, note = '', unitCost, unitFactor, locationId = '' } = {}) {
+    if (!delta && !unitFactor) {
+        return null;
+    }
+    ensureRecordIds([supply]);
+    const quantityAfter = parseFloat(supply.quantity) || 0;
+    const createdAt = new Date().toISOString();
+    // The price was already converted when the unit changed
+    recordOpeningBalance(supply, quantityAfter - delta, createdAt, (parseFloat(supply.price) || 0) * (unitFactor || 1));
+    
+    const movement = {
+        id: generateRecordId(),
+        itemId: supply.id,
+        delta,
+        quantityAfter,
+        reason,
+        user: currentUsername || '',
+        createdAt
+    };
+    if (linked) {
+        ensureRecordIds([linked.record]);
+        movement.linkedCollection = linked.collection;
+        movement.linkedId = linked.record.id;
+    }
+    if (note) {
+        movement.note = note;
+    }
+    if (locationId) {
+        movement.locationId = locationId;
+    }
+    if (unitFactor) {
+        movement.unitFactor = unitFactor;
+        scaleLocationStock(supply, unitFactor);
+    } else if (delta > 0 && reason !== 'return') {
+        movement.unitCost = unitCost ?? valueSupply(supply).unitCost;
+    }
+    stockMovements.push(movement);
+    allocateLocationStock(supply, unitFactor ? 0 : delta, locationId);
+    applySupplyValuation(supply);
+    return movement;
+}
+
+function linkedRecordLabel(movement) {
+    if (movement.linkedCollection === 'purchaseOrders') {
+        return `Purchase order ${movement.linkedId}`;
+    }
+    if (movement.linkedCollection === 'inventory') {
+        const project = inventory.find(item => item.id === movement.linkedId);
+        return project ? `Project: ${project.name || project.description}` : 'Deleted project';
+    }
+    return '';
+}
+
+function openStockHistory(itemId) {
+    const supply = inventory.find(item => item.id === itemId);
+    if (!supply) return;
+    const escape = SecurityManager.escapeHtml;
+    const movements = supplyMovements(supply.id);
+    const stock = parseFloat(supply.quantity) || 0;
+    const ledger = ledgerQuantity(supply.id);
+    
+    const modal = document.getElementById('stockHistoryModal');
+    modal.dataset.itemId = supply.id;
+    document.getElementById('stockHistoryTitle').textContent = `Stock History: ${supplyLabel(supply)}`;
+    document.getElementById('stockHistoryTableBody').innerHTML = movements.length === 0
+        ? '<tr><td colspan="6">No stock movements recorded yet.</td></tr>'
+        : movements.slice().reverse().map(movement => `
+            <tr>
+                <td>${new Date(movement.createdAt).toLocaleString()}</td>
+                <td>${escape(STOCK_MOVEMENT_REASONS[movement.reason] || movement.reason)}</td>
+                <td class="${movement.delta < 0 ? 'stock-out' : 'stock-in'}">${movement.delta > 0 ? '+' : ''}${formatStockQuantity(movement.delta, supply)}</td>
+                <td>${movement.quantityAfter !== undefined ? formatStockQuantity(movement.quantityAfter, supply) : '-'}</td>
+                <td>${escape([movement.locationId ? locationName(movement.locationId) : '', linkedRecordLabel(movement), movement.note].filter(Boolean).join(' - '))}</td>
+                <td>${escape(movement.user || '')}</td>
+            </tr>
+        `).join('');
+    
+    const summary = document.getElementById('stockHistorySummary');
+    const difference = Math.round((stock - ledger) * 1000) / 1000;
+    if (difference === 0) {
+        summary.className = 'stock-history-summary';
+        summary.innerHTML = `In stock: <strong>${formatStockQuantity(stock, supply)}</strong> - matches the ledger`;
+    } else {
+        summary.className = 'stock-history-summary mismatch';
+        summary.innerHTML = `
+            In stock: <strong>${formatStockQuantity(stock, supply)}</strong>, but the ledger adds up to <strong>${formatStockQuantity(ledger, supply)}</strong>.
+            <div class="stock-history-actions">
+                <button class="btn btn-sm btn-secondary" onclick="reconcileSupplyStock('ledger')">Set stock to ${formatStockQuantity(ledger, supply)}</button>
+                <button class="btn btn-sm btn-secondary" onclick="reconcileSupplyStock('stock')">Keep ${formatStockQuantity(stock, supply)} and record the difference</button>
+            </div>
+        `;
+    }
+    
+    modal.style.display = 'block';
+}
+
+// From the supply's edit form
+function openEditedSupplyHistory() {
+    const supply = inventory[parseInt(document.getElementById('editInventoryIndex').value)];
+    if (supply) {
+        openStockHistory(supply.id);
+    }
+}
+
+// Brings stock and ledger back in line: 'ledger' sets the quantity to the ledger
+// total, 'stock' records the difference as an adjustment (or opening balance)
+function reconcileSupplyStock(keep) {
+    const supply = inventory.find(item => item.id === document.getElementById('stockHistoryModal').dataset.itemId);
+    if (!supply) return;
+    const ledger = ledgerQuantity(supply.id);
+    const stock = parseFloat(supply.quantity) || 0;
+    
+    if (keep === 'ledger') {
+        supply.quantity = ledger;
+        allocateLocationStock(supply, ledger - stock);
+    } else {
+        const reason = supplyMovements(supply.id).length > 0 ? 'adjustment' : 'opening';
+        const movement = {
+            id: generateRecordId(),
+            itemId: supply.id,
+            delta: stock - ledger,
+            quantityAfter: stock,
+            reason,
+            note: 'Reconciled with stock on hand',
+            user: currentUsername || '',
+            createdAt: new Date().toISOString()
+        };
+        if (movement.delta > 0) {
+            movement.unitCost = valueSupply(supply).unitCost;
+        }
+        stockMovements.push(movement);
+    }
+    applySupplyValuation(supply);
+    saveData();
+    openStockHistory(supply.id);
+    showNotification(`${supplyLabel(supply)} stock and ledger now agree`, 'success');
+}
+
+// ===== SETTINGS AND STOCK VALUATION =====
+// Business-wide settings are one `settings` record (id 'business') that syncs
+// like any other record; only the owner may change it. Besides the costing
+// method it holds the hourly rate and overhead projects are costed at.
+//
+// Supplies are valued from what their stock cost to buy. Each movement into
+// stock is a cost layer at its `unitCost`; stock going out takes its cost from
+// the layers, oldest first with FIFO, or at the running average with the
+// weighted average method. A supply's price is then the unit cost of what's
+// left, and a project's material cost is what its supplies cost when they
+// were taken out.
+
+const BUSINESS_SETTINGS_ID = 'business';
+const COSTING_METHODS = {
+    average: 'Weighted average',
+    fifo: 'First in, first out (FIFO)'
+};
+
+function businessSettings() {
+    return settings.find(record => record.id === BUSINESS_SETTINGS_ID) || {};
+}
+
+function costingMethod() {
+    const method = businessSettings().costingMethod;
+    return COSTING_METHODS[method] ? method : 'average';
+}
+
+// Data tab: shows the saved settings
+function loadBusinessSettings() {
+    const select = document.getElementById('settingsCostingMethod');
+    if (!select) return;
+    select.value = costingMethod();
+    const { hourlyRate, overheadRate } = businessSettings();
+    document.getElementById('settingsHourlyRate').value = hourlyRate ?? '';
+    document.getElementById('settingsOverheadRate').value = overheadRate ?? '';
+    ['settingsCostingMethod', 'settingsHourlyRate', 'settingsOverheadRate'].forEach(id => {
+        document.getElementById(id).disabled = !hasPermission('data:manage');
+    });
+}
+
+// Saves the settings form; a new costing method revalues every supply
+async function saveBusinessSettings() {
+    if (!requirePermission('data:manage', 'change settings')) {
+        loadBusinessSettings();
+        return;
+    }
+    const existing = settings.find(record => record.id === BUSINESS_SETTINGS_ID);
+    const updated = {
+        ...(existing || { id: BUSINESS_SETTINGS_ID }),
+        costingMethod: document.getElementById('settingsCostingMethod').value,
+        hourlyRate: parseFloat(document.getElementById('settingsHourlyRate').value) || 0,
+        overheadRate: parseFloat(document.getElementById('settingsOverheadRate').value) || 0
+    };
+    if (!validateFormRecord('businessSettingsForm', 'settings', updated)) {
+        return;
+    }
+    const revalue = updated.costingMethod !== costingMethod();
+    if (existing) {
+        settings[settings.indexOf(existing)] = updated;
+    } else {
+        settings.push(updated);
+    }
+    if (revalue) {
+        getSupplies().forEach(applySupplyValuation);
+    }
+    await saveData();
+    loadInventoryItemsTable();
+    showNotification(revalue ? `Supplies now valued by ${COSTING_METHODS[updated.costingMethod].toLowerCase()}` : 'Settings saved', 'success');
+}
+
+// Replays the supply's stock movements (those up to `asOf`, a Date, if given)
+// through cost layers. Returns the stock left as { quantity, value, unitCost,
+// layers } plus `movementCosts`: the cost of each movement, by id. A supply
+// with no movements yet is simply its quantity at its price.
+function valueSupply(supply, method = costingMethod(), asOf = null) {
+    const movements = supplyMovements(supply.id)
+        .filter(movement => !asOf || new Date(movement.createdAt) <= asOf);
+    const movementCosts = new Map();
+    if (!stockMovements.some(movement => movement.itemId === supply.id)) {
+        const added = asOf && supply.dateAdded && new Date(supply.dateAdded) > asOf;
+        const quantity = added ? 0 : parseFloat(supply.quantity) || 0;
+        const unitCost = parseFloat(supply.price) || 0;
+        return { quantity, value: quantity * unitCost, unitCost, layers: [{ quantity, unitCost }], movementCosts };
+    }
+    
+    let layers = [];
+    let lastCost = parseFloat(supply.price) || 0;
+    // Project id -> { quantity, cost } it has taken out, to value returns at
+    const projectTaken = new Map();
+    const stockQuantity = () => layers.reduce((sum, layer) => sum + layer.quantity, 0);
+    const stockValue = () => layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+    
+    movements.forEach(movement => {
+        if (movement.reason === 'transfer') {
+            // Moving stock between locations doesn't change what it cost
+            return;
+        }
+        if (movement.unitFactor > 0) {
+            // The unit changed: same stock, counted in the new unit
+            layers.forEach(layer => {
+                layer.quantity *= movement.unitFactor;
+                layer.unitCost /= movement.unitFactor;
+            });
+            lastCost /= movement.unitFactor;
+            return;
+        }
+        const project = movement.linkedCollection === 'inventory' ? movement.linkedId : null;
+        if (movement.delta < 0) {
+            // Taken out: from the oldest layers; anything beyond the stock at the last cost
+            let left = -movement.delta;
+            let cost = 0;
+            while (left > 0 && layers.length > 0) {
+                const used = Math.min(layers[0].quantity, left);
+                cost += used * layers[0].unitCost;
+                left -= used;
+                layers[0].quantity -= used;
+                if (layers[0].quantity <= 1e-9) {
+                    layers.shift();
+                }
+            }
+            cost += left * lastCost;
+            movementCosts.set(movement.id, cost);
+            if (project) {
+                const taken = projectTaken.get(project) || { quantity: 0, cost: 0 };
+                projectTaken.set(project, { quantity: taken.quantity - movement.delta, cost: taken.cost + cost });
+            }
+        } else if (movement.delta > 0) {
+            // A return comes back at what the project took it out at
+            const taken = project && movement.reason === 'return' ? projectTaken.get(project) : null;
+            let unitCost = parseFloat(movement.unitCost);
+            if (taken && taken.quantity > 0) {
+                unitCost = taken.cost / taken.quantity;
+                projectTaken.set(project, { quantity: taken.quantity - movement.delta, cost: taken.cost - movement.delta * unitCost });
+            } else if (Number.isNaN(unitCost)) {
+                unitCost = stockQuantity() > 0 ? stockValue() / stockQuantity() : lastCost;
+            }
+            movementCosts.set(movement.id, movement.delta * unitCost);
+            layers.push({ quantity: movement.delta, unitCost });
+            if (method === 'average') {
+                layers = [{ quantity: stockQuantity(), unitCost: stockValue() / stockQuantity() }];
+            }
+        }
+        if (stockQuantity() > 0) {
+            lastCost = stockValue() / stockQuantity();
+        }
+    });
     
-    // Load customers
-    loadCustomers() {
-        const container = document.getElementById('mobileCustomerCards');
-    if (!container) return;
+    const quantity = stockQuantity();
+    const value = stockValue();
+    return { quantity, value, unitCost: quantity > 0 ? value / quantity : lastCost, layers, movementCosts };
+}
+
+// Sets the supply's price and stock value from its cost layers. Supplies from
+// before the ledger keep the price they were given.
+function applySupplyValuation(supply) {
+    if (!supply.id || !stockMovements.some(movement => movement.itemId === supply.id)) {
+        return;
+    }
+    supply.price = Math.round(valueSupply(supply).unitCost * 10000) / 10000;
+    supply.totalValue = (parseFloat(supply.quantity) || 0) * supply.price;
+}
+
+// Supply id -> what the project's materials cost: what they cost when taken out
+// of stock (less returns), or for a project that hasn't used them yet, what
+// they'd cost at today's unit cost
+function projectMaterialCosts(project) {
+    const valuations = new Map();
+    const valuation = supply => {
+        if (!valuations.has(supply.id)) {
+            valuations.set(supply.id, valueSupply(supply));
+        }
+        return valuations.get(supply.id);
+    };
+    const costs = new Map();
+    const add = (supply, cost) => costs.set(supply.id, (costs.get(supply.id) || 0) + cost);
+    
+    const taken = new Set();
+    if (project.materialsUsedAt && project.id) {
+        stockMovements
+            .filter(movement => movement.linkedCollection === 'inventory' && movement.linkedId === project.id)
+            .forEach(movement => {
+                const supply = supplyById(movement.itemId);
+                if (supply) {
+                    const cost = valuation(supply).movementCosts.get(movement.id) || 0;
+                    add(supply, movement.delta < 0 ? cost : -cost);
+                    taken.add(supply.id);
+                }
+            });
+    }
+    projectMaterials(project).forEach(material => {
+        const supply = supplyById(material.itemId);
+        if (!supply || taken.has(supply.id)) {
+            return;
+        }
+        const quantity = project.materialsUsedAt && material.usedQuantity !== undefined
+            ? material.usedQuantity
+            : materialStockQuantity(material, supply);
+        if (quantity !== null) {
+            add(supply, quantity * valuation(supply).unitCost);
+        }
+    });
+    return costs;
+}
+
+function projectMaterialCost(project) {
+    return Array.from(projectMaterialCosts(project).values()).reduce((sum, cost) => sum + cost, 0);
+}
+
+// Every supply's stock and value at the end of `asOf` (a Date, or now)
+function stockValuation(asOf = null) {
+    const method = costingMethod();
+    return getSupplies().map(supply => ({ supply, ...valueSupply(supply, method, asOf) }));
+}
+
+// ===== PROJECT COSTING =====
+// What a project really costs: its materials (see projectMaterialCosts), the
+// hours in its `timeLog` at the business hourly rate, and overhead at so much
+// per hour worked. Its gross margin is its price less that cost, and its
+// effective hourly wage what is left of the price for each hour once the
+// materials and overhead are paid for.
 
+function projectHours(project) {
+    return (Array.isArray(project.timeLog) ? project.timeLog : [])
+        .reduce((sum, entry) => sum + (parseFloat(entry.hours) || 0), 0);
+}
+
+// { revenue, materials, hours, labor, overhead, cost, margin, marginPercent,
+// hourlyWage }; marginPercent and hourlyWage are null without a price or hours
+function projectCosting(project, rates = businessSettings()) {
+    const revenue = (parseFloat(project.price) || 0) * (parseFloat(project.quantity) || 1);
+    const materials = projectMaterialCost(project);
+    const hours = projectHours(project);
+    const labor = hours * (parseFloat(rates.hourlyRate) || 0);
+    const overhead = hours * (parseFloat(rates.overheadRate) || 0);
+    const cost = materials + labor + overhead;
+    return {
+        revenue,
+        materials,
+        hours,
+        labor,
+        overhead,
+        cost,
+        margin: revenue - cost,
+        marginPercent: revenue > 0 ? (revenue - cost) / revenue * 100 : null,
+        hourlyWage: hours > 0 ? (revenue - materials - overhead) / hours : null
+    };
+}
+
+// The costing of several projects added up
+function totalProjectCosting(projects, rates = businessSettings()) {
+    const total = { revenue: 0, materials: 0, hours: 0, labor: 0, overhead: 0, cost: 0, margin: 0 };
+    projects.forEach(project => {
+        const costing = projectCosting(project, rates);
+        Object.keys(total).forEach(key => {
+            total[key] += costing[key];
+        });
+    });
+    total.marginPercent = total.revenue > 0 ? total.margin / total.revenue * 100 : null;
+    total.hourlyWage = total.hours > 0 ? (total.revenue - total.materials - total.overhead) / total.hours : null;
+    return total;
+}
+
+function formatHours(hours) {
+    return `${Math.round(hours * 100) / 100} h`;
+}
+
+// "$12.50", "-$3.00"
+function formatMoney(amount) {
+    return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+}
+
+// Time log editor: one row per day worked in the element `containerId`
+function renderTimeLogEditor(containerId, timeLog) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
     container.innerHTML = '';
+    (Array.isArray(timeLog) ? timeLog : []).forEach(entry => addTimeLogRow(containerId, entry));
+}
+
+function addTimeLogRow(containerId, entry = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
     
-        // Add button
-        container.appendChild(this.createAddButton('Add New Customer', 'openAddCustomerModal()'));
-        
-        // Get customers
-        const customers = window.customers || [];
-        
-        if (customers.length === 0) {
-            const emptyCard = document.createElement('div');
-            emptyCard.className = 'mobile-card';
-            emptyCard.innerHTML = `
-            <div class="mobile-card-content">
-            <div class="empty-state">
-                        <i class="fas fa-users"></i>
-                        <h3>No Customers Yet</h3>
-                        <p>Start adding your embroidery customers!</p>
-                </div>
+    const row = document.createElement('div');
+    row.className = 'time-log-row';
+    
+    const day = document.createElement('input');
+    day.type = 'date';
+    day.className = 'time-log-date';
+    day.value = entry.date || new Date().toISOString().slice(0, 10);
+    day.setAttribute('aria-label', 'Date');
+    
+    const hours = document.createElement('input');
+    hours.type = 'number';
+    hours.className = 'time-log-hours';
+    hours.min = '0';
+    hours.step = '0.25';
+    hours.placeholder = 'Hours';
+    hours.value = entry.hours ?? '';
+    hours.setAttribute('aria-label', 'Hours');
+    
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.className = 'time-log-note';
+    note.maxLength = 200;
+    note.placeholder = 'What was done (optional)';
+    note.value = entry.note || '';
+    note.setAttribute('aria-label', 'Note');
+    
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-outline btn-sm';
+    remove.title = 'Remove entry';
+    remove.innerHTML = '<i class="fas fa-times"></i>';
+    remove.addEventListener('click', () => {
+        row.remove();
+        container.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    
+    row.append(day, hours, note, remove);
+    container.appendChild(row);
+}
+
+function readTimeLogEditor(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return [];
+    return Array.from(container.querySelectorAll('.time-log-row'))
+        .map(row => {
+            const entry = {
+                date: row.querySelector('.time-log-date').value,
+                hours: parseFloat(row.querySelector('.time-log-hours').value) || 0
+            };
+            const note = row.querySelector('.time-log-note').value.trim();
+            if (note) {
+                entry.note = note;
+            }
+            return entry;
+        })
+        .filter(entry => entry.date && entry.hours > 0);
+}
+
+// Edit project modal: the costing of the project as it stands in the form
+function updateProjectCosting() {
+    const panel = document.getElementById('editProjectCosting');
+    const project = inventory[parseInt(document.getElementById('editProjectIndex').value)];
+    if (!panel || !project) return;
+    const rates = businessSettings();
+    const costing = projectCosting({
+        ...project,
+        quantity: parseInt(document.getElementById('editProjectQuantity').value) || 1,
+        price: parseFloat(document.getElementById('editProjectPrice').value) || 0,
+        materials: readMaterialsEditor('editProjectMaterials'),
+        timeLog: readTimeLogEditor('editProjectTimeLog')
+    }, rates);
+    panel.innerHTML = `
+        <div class="costing-lines">
+            <span>Materials</span><span>${formatMoney(costing.materials)}</span>
+            <span>Time (${formatHours(costing.hours)} at ${formatMoney(parseFloat(rates.hourlyRate) || 0)}/h)</span><span>${formatMoney(costing.labor)}</span>
+            <span>Overhead (${formatMoney(parseFloat(rates.overheadRate) || 0)}/h)</span><span>${formatMoney(costing.overhead)}</span>
+            <span><strong>Cost</strong></span><span><strong>${formatMoney(costing.cost)}</strong></span>
+            <span>Price</span><span>${formatMoney(costing.revenue)}</span>
+        </div>
+        <div class="costing-results">
+            <div class="${costing.margin < 0 ? 'costing-loss' : ''}">
+                <strong>${formatMoney(costing.margin)}</strong>
+                <small>Gross margin${costing.marginPercent !== null ? ` (${costing.marginPercent.toFixed(1)}%)` : ''}</small>
             </div>
+            <div class="${costing.hourlyWage !== null && costing.hourlyWage < (parseFloat(rates.hourlyRate) || 0) ? 'costing-loss' : ''}">
+                <strong>${costing.hourlyWage !== null ? `${formatMoney(costing.hourlyWage)}/h` : '-'}</strong>
+                <small>Effective hourly wage</small>
+            </div>
+        </div>
+        ${!rates.hourlyRate ? '<small class="form-help">Set an hourly rate and overhead under Business Settings on the Data tab to cost your time.</small>' : ''}
+    `;
+}
+
+// ===== STORAGE LOCATIONS =====
+// Supplies can be spread over managed locations: studio shelves, the market
+// tote, a consignment shop. A supply's `locationStock` says how much of its
+// quantity is where; whatever isn't listed is unassigned. Stock coming in or
+// going out is booked against a location when there is one (where a purchase
+// order was put away, the location a project is worked on), and moving stock
+// between locations records a pair of 'transfer' movements that leave the
+// total alone. Projects still name their location as text, offered from the
+// same list.
+
+const LOCATION_KINDS = {
+    studio: 'Studio',
+    kit: 'Travel kit',
+    consignment: 'Consignment shop',
+    storage: 'Storage unit',
+    other: 'Other'
+};
+
+function locationName(locationId) {
+    if (!locationId) {
+        return 'Unassigned';
+    }
+    const location = locations.find(l => l.id === locationId);
+    return location ? location.name : 'Deleted location';
+}
+
+// The managed location a project's location text names, if any
+function locationByName(name) {
+    const key = String(name || '').trim().toLowerCase();
+    return key ? locations.find(location => location.name.trim().toLowerCase() === key) : undefined;
+}
+
+// Where the supply's stock is: [{ locationId, quantity }], with '' for unassigned stock
+function supplyLocationStock(supply) {
+    const entries = (Array.isArray(supply.locationStock) ? supply.locationStock : []).filter(entry => entry.quantity > 0);
+    const assigned = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+    const unassigned = Math.round(((parseFloat(supply.quantity) || 0) - assigned) * 1000) / 1000;
+    return unassigned > 0 ? [...entries, { locationId: '', quantity: unassigned }] : entries;
+}
+
+function locationQuantity(supply, locationId) {
+    const entry = supplyLocationStock(supply).find(e => e.locationId === (locationId || ''));
+    return entry ? entry.quantity : 0;
+}
+
+// Sets `locationStock` from { locationId: quantity } changes to the listed quantities
+function updateLocationStock(supply, changes) {
+    const quantities = new Map((Array.isArray(supply.locationStock) ? supply.locationStock : [])
+        .map(entry => [entry.locationId, entry.quantity]));
+    Object.entries(changes).forEach(([locationId, change]) => {
+        if (locationId) {
+            quantities.set(locationId, (quantities.get(locationId) || 0) + change);
+        }
+    });
+    // Listed stock can't add up to more than the supply has
+    let excess = Array.from(quantities.values()).reduce((sum, quantity) => sum + quantity, 0) - (parseFloat(supply.quantity) || 0);
+    quantities.forEach((quantity, locationId) => {
+        const taken = Math.max(0, Math.min(quantity, excess));
+        quantities.set(locationId, quantity - taken);
+        excess -= taken;
+    });
+    const entries = Array.from(quantities.entries())
+        .map(([locationId, quantity]) => ({ locationId, quantity: Math.round(quantity * 1000) / 1000 }))
+        .filter(entry => entry.quantity > 0);
+    if (entries.length > 0 || supply.locationStock) {
+        supply.locationStock = entries;
+    }
+}
+
+// Books a change of `delta` in the supply's quantity (already made) against a
+// location. Stock coming in goes to `locationId`, or stays unassigned; stock
+// going out comes from `locationId` first, then unassigned stock, then the
+// other locations.
+function allocateLocationStock(supply, delta, locationId = '') {
+    if (delta < 0 && locationId) {
+        updateLocationStock(supply, { [locationId]: -Math.min(-delta, locationQuantity(supply, locationId)) });
+    } else {
+        updateLocationStock(supply, delta > 0 ? { [locationId]: delta } : {});
+    }
+}
+
+// After a change of unit, every location's stock is counted in the new unit too
+function scaleLocationStock(supply, factor) {
+    if (Array.isArray(supply.locationStock)) {
+        supply.locationStock = supply.locationStock.map(entry => ({ ...entry, quantity: Math.round(entry.quantity * factor * 1000) / 1000 }));
+    }
+}
+
+// Moves stock from one place to another ('' is unassigned). Returns false,
+// changing nothing, when there isn't that much at `fromId`.
+function transferStock(supply, fromId, toId, quantity, note = '') {
+    if (!(quantity > 0) || fromId === toId || quantity > locationQuantity(supply, fromId) + 0.0005) {
+        return false;
+    }
+    ensureRecordIds([supply]);
+    const stock = parseFloat(supply.quantity) || 0;
+    const createdAt = new Date().toISOString();
+    recordOpeningBalance(supply, stock, createdAt);
+    updateLocationStock(supply, { [fromId]: -quantity, [toId]: quantity });
+    
+    const moved = `Moved from ${locationName(fromId)} to ${locationName(toId)}`;
+    [[fromId, -quantity], [toId, quantity]].forEach(([locationId, delta]) => {
+        const movement = {
+            id: generateRecordId(),
+            itemId: supply.id,
+            delta,
+            quantityAfter: stock,
+            reason: 'transfer',
+            note: note ? `${moved}: ${note}` : moved,
+            user: currentUsername || '',
+            createdAt
+        };
+        if (locationId) {
+            movement.locationId = locationId;
+        }
+        stockMovements.push(movement);
+    });
+    return true;
+}
+
+// Options for a location picker; `blank` labels the "no location" choice
+function fillLocationSelect(select, selected = '', blank = 'Unassigned') {
+    if (!select) return;
+    const escape = SecurityManager.escapeHtml;
+    select.innerHTML = `<option value="">${escape(blank)}</option>` + locations
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(location => `<option value="${escape(location.id)}">${escape(location.name)}</option>`)
+        .join('');
+    select.value = selected || '';
+}
+
+// Keeps the location pickers, filters and project suggestions in line with the list
+function updateLocationOptions() {
+    const escape = SecurityManager.escapeHtml;
+    const datalist = document.getElementById('locationOptions');
+    if (datalist) {
+        datalist.innerHTML = locations.map(location => `<option value="${escape(location.name)}"></option>`).join('');
+    }
+    const filter = document.getElementById('inventoryLocationFilter');
+    if (filter) {
+        fillLocationSelect(filter, filter.value, 'All Locations');
+    }
+    ['inventoryStockLocation', 'editInventoryStockLocation', 'receivePurchaseOrderLocation'].forEach(id => {
+        const select = document.getElementById(id);
+        fillLocationSelect(select, select && select.value);
+    });
+}
+
+async function openLocationsModal() {
+    if (!await requireAuthentication('manage locations')) {
+        return;
+    }
+    loadLocationsTable();
+    document.getElementById('locationStockSection').style.display = 'none';
+    document.getElementById('locationsModal').style.display = 'block';
+}
+
+function loadLocationsTable() {
+    const escape = SecurityManager.escapeHtml;
+    const supplies = getSupplies();
+    const rows = [...locations.slice().sort((a, b) => a.name.localeCompare(b.name)), { id: '', name: 'Unassigned' }].map(location => {
+        const held = supplies.filter(supply => locationQuantity(supply, location.id) > 0);
+        const value = held.reduce((sum, supply) => sum + locationQuantity(supply, location.id) * (parseFloat(supply.price) || 0), 0);
+        if (!location.id && held.length === 0) {
+            return '';
+        }
+        return `
+            <tr>
+                <td>${escape(location.name)}</td>
+                <td>${location.id ? escape(LOCATION_KINDS[location.kind] || '') : '-'}</td>
+                <td>${held.length}</td>
+                <td>$${value.toFixed(2)}</td>
+                <td>
+                    <button class="btn btn-sm btn-secondary" data-location-id="${escape(location.id)}" onclick="showLocationStock(this.dataset.locationId)">Stock</button>
+                    ${location.id ? `
+                    <button class="btn btn-sm btn-secondary" data-location-id="${escape(location.id)}" onclick="renameLocation(this.dataset.locationId)">Rename</button>
+                    <button class="btn btn-sm btn-danger" data-location-id="${escape(location.id)}" onclick="deleteLocation(this.dataset.locationId)">Delete</button>
+                    ` : ''}
+                </td>
+            </tr>
         `;
-            container.appendChild(emptyCard);
-        } else {
-            customers.forEach((customer, index) => {
-                const details = `
-                    <p><strong>Location:</strong> ${customer.location || 'No location'}</p>
-                    <p><strong>Contact:</strong> ${customer.contact || 'No contact info'}</p>
-                `;
-                container.appendChild(this.createDataCard(
-                    customer.name || 'Unnamed Customer',
-                    'Customer',
-                    details,
-                    `editCustomer(${index})`,
-                    `deleteCustomer(${index})`
-                ));
-            });
+    }).join('');
+    document.getElementById('locationsTableBody').innerHTML = rows || '<tr><td colspan="5">No locations yet - add where you keep supplies above.</td></tr>';
+}
+
+// What's at one location (or unassigned, for '')
+function showLocationStock(locationId) {
+    const escape = SecurityManager.escapeHtml;
+    const held = getSupplies()
+        .filter(supply => locationQuantity(supply, locationId) > 0)
+        .sort((a, b) => supplyLabel(a).localeCompare(supplyLabel(b)));
+    document.getElementById('locationStockTitle').textContent = `Stock at ${locationName(locationId)}`;
+    document.getElementById('locationStockTableBody').innerHTML = held.map(supply => {
+        const here = locationQuantity(supply, locationId);
+        return `
+            <tr>
+                <td>${escape(supplyLabel(supply))}</td>
+                <td>${formatStockQuantity(here, supply)}</td>
+                <td>${formatStockQuantity(parseFloat(supply.quantity) || 0, supply)}</td>
+                <td>$${(here * (parseFloat(supply.price) || 0)).toFixed(2)}</td>
+                <td><button class="btn btn-sm btn-secondary" data-item-id="${escape(supply.id || '')}" data-location-id="${escape(locationId)}" onclick="openTransferStock(this.dataset.itemId, this.dataset.locationId)">Move</button></td>
+            </tr>
+        `;
+    }).join('') || '<tr><td colspan="5">Nothing here.</td></tr>';
+    document.getElementById('locationStockSection').style.display = 'block';
+}
+
+function handleAddLocation(e) {
+    e.preventDefault();
+    if (!requirePermission('records:write', 'add locations')) {
+        return;
+    }
+    const location = {
+        id: generateRecordId(),
+        name: document.getElementById('newLocationName').value.trim(),
+        kind: document.getElementById('newLocationKind').value,
+        dateAdded: new Date().toISOString()
+    };
+    if (!validateFormRecord('addLocationForm', 'locations', location)) {
+        return;
+    }
+    if (locationByName(location.name)) {
+        showNotification(`There's already a location called ${location.name}`, 'warning');
+        return;
+    }
+    locations.push(location);
+    saveData();
+    document.getElementById('addLocationForm').reset();
+    updateLocationOptions();
+    loadLocationsTable();
+    showNotification(`Added ${location.name}`, 'success');
+}
+
+// Renames a location, and every project that named it
+function renameLocation(locationId) {
+    const location = locations.find(l => l.id === locationId);
+    if (!location || !requirePermission('records:write', 'rename locations')) {
+        return;
+    }
+    const name = (prompt('New name for this location:', location.name) || '').trim();
+    if (!name || name === location.name) {
+        return;
+    }
+    const existing = locationByName(name);
+    if (existing && existing !== location) {
+        showNotification(`There's already a location called ${name}`, 'warning');
+        return;
+    }
+    inventory.forEach(item => {
+        if (item.type !== 'inventory' && locationByName(item.location) === location) {
+            item.location = name;
+        }
+    });
+    location.name = name;
+    saveData();
+    updateLocationOptions();
+    updateLocationFilters();
+    loadLocationsTable();
+}
+
+// A location still holding stock can't be deleted - move the stock first
+function deleteLocation(locationId) {
+    const location = locations.find(l => l.id === locationId);
+    if (!location || !requirePermission('records:delete', 'delete locations')) {
+        return;
+    }
+    const held = getSupplies().filter(supply => locationQuantity(supply, locationId) > 0);
+    if (held.length > 0) {
+        showNotification(`${location.name} still holds ${held.length} supplies - move them somewhere else first`, 'warning');
+        showLocationStock(locationId);
+        return;
+    }
+    showConfirmModal(
+        'Delete Location',
+        `Delete ${location.name}? Projects that name it keep the name.`,
+        () => {
+            locations = locations.filter(l => l !== location);
+            saveData();
+            updateLocationOptions();
+            loadLocationsTable();
+            document.getElementById('locationStockSection').style.display = 'none';
+        }
+    );
+}
+
+async function openTransferStock(itemId = '', fromId = '') {
+    if (!await requireAuthentication('move stock')) {
+        return;
+    }
+    const escape = SecurityManager.escapeHtml;
+    const supplies = getSupplies()
+        .filter(supply => supply.id && (parseFloat(supply.quantity) || 0) > 0)
+        .sort((a, b) => supplyLabel(a).localeCompare(supplyLabel(b)));
+    if (supplies.length === 0) {
+        showNotification('There are no supplies in stock to move', 'info');
+        return;
+    }
+    if (locations.length === 0) {
+        showNotification('Add a location first', 'info');
+        openLocationsModal();
+        return;
+    }
+    const supplySelect = document.getElementById('transferSupply');
+    supplySelect.innerHTML = supplies
+        .map(supply => `<option value="${escape(supply.id)}">${escape(supplyLabel(supply))}</option>`)
+        .join('');
+    supplySelect.value = supplies.some(supply => supply.id === itemId) ? itemId : supplies[0].id;
+    const supply = supplyById(supplySelect.value);
+    const from = fromId || (supplyLocationStock(supply)[0] || {}).locationId || '';
+    fillLocationSelect(document.getElementById('transferFrom'), from);
+    fillLocationSelect(document.getElementById('transferTo'), (locations.find(l => l.id !== from) || {}).id);
+    document.getElementById('transferNote').value = '';
+    updateTransferAvailable();
+    document.getElementById('transferStockModal').style.display = 'block';
+}
+
+function updateTransferAvailable() {
+    const supply = supplyById(document.getElementById('transferSupply').value);
+    if (!supply) return;
+    const available = locationQuantity(supply, document.getElementById('transferFrom').value);
+    document.getElementById('transferAvailable').textContent = `${formatStockQuantity(available, supply)} there`;
+    document.getElementById('transferQuantity').max = available;
+    document.getElementById('transferQuantity').value = available;
+}
+
+function handleTransferStock(e) {
+    e.preventDefault();
+    if (!requirePermission('records:write', 'move stock')) {
+        return;
+    }
+    const supply = supplyById(document.getElementById('transferSupply').value);
+    const fromId = document.getElementById('transferFrom').value;
+    const toId = document.getElementById('transferTo').value;
+    const quantity = parseFloat(document.getElementById('transferQuantity').value);
+    if (!supply) return;
+    if (fromId === toId) {
+        showNotification('Pick two different locations', 'warning');
+        return;
+    }
+    if (!transferStock(supply, fromId, toId, quantity, document.getElementById('transferNote').value.trim())) {
+        showNotification(`There isn't ${formatStockQuantity(quantity || 0, supply)} of ${supplyLabel(supply)} at ${locationName(fromId)}`, 'warning');
+        return;
+    }
+    saveData();
+    closeModal('transferStockModal');
+    loadInventoryItemsTable();
+    if (document.getElementById('locationsModal').style.display === 'block') {
+        loadLocationsTable();
+        showLocationStock(fromId);
+    }
+    showNotification(`Moved ${formatStockQuantity(quantity, supply)} of ${supplyLabel(supply)} to ${locationName(toId)}`, 'success');
+}
+
+// ===== COLOR CATALOG =====
+// Thread and yarn colors are kept once, as brand + code + name + swatch
+// (DMC 336 Navy Blue, #1f3a5f), instead of being retyped on every project.
+// Supplies link to their color by `colorId` and record their dye lot; projects
+// pick their yarn color with a swatch picker and keep its label in `yarnColor`.
+// A color lists the same color in other brands as `equivalents`, usually
+// imported from a cross-reference chart.
+
+function colorById(colorId) {
+    return colorId ? colors.find(color => color.id === colorId) : undefined;
+}
+
+function colorCodeKey(brand, code) {
+    return `${String(brand || '').trim().toLowerCase()}|${String(code || '').trim().toLowerCase()}`;
+}
+
+function findColor(brand, code) {
+    const key = colorCodeKey(brand, code);
+    return colors.find(color => colorCodeKey(color.brand, color.code) === key);
+}
+
+// "DMC 336 Navy Blue"
+function colorLabel(color) {
+    return [color.brand, color.code, color.name].filter(Boolean).join(' ');
+}
+
+// The same color in other brands: what it lists, and what lists it
+function colorEquivalents(color) {
+    const key = colorCodeKey(color.brand, color.code);
+    const found = new Map();
+    (color.equivalents || []).forEach(equivalent => found.set(colorCodeKey(equivalent.brand, equivalent.code), equivalent));
+    colors.forEach(other => {
+        if (other !== color && (other.equivalents || []).some(equivalent => colorCodeKey(equivalent.brand, equivalent.code) === key)) {
+            found.set(colorCodeKey(other.brand, other.code), { brand: other.brand, code: other.code });
         }
-    },
-    
-    // Load inventory items
-    loadInventoryItems() {
-        const container = document.getElementById('mobileInventoryItemsCards');
-    if (!container) return;
+    });
+    found.delete(key);
+    return Array.from(found.values());
+}
 
-    container.innerHTML = '';
-    
-        // Add button
-        container.appendChild(this.createAddButton('Add New Inventory', 'openAddInventoryModal()'));
-        
-        // Get inventory items
-        const items = (window.inventory || []).filter(item => item.type === 'inventory');
-        
-        if (items.length === 0) {
-            const emptyCard = document.createElement('div');
-            emptyCard.className = 'mobile-card';
-            emptyCard.innerHTML = `
-                <div class="mobile-card-content">
-            <div class="empty-state">
-                        <i class="fas fa-boxes"></i>
-                        <h3>No Inventory Items Yet</h3>
-                        <p>Start adding your embroidery supplies and materials!</p>
-            </div>
-            </div>
+// A small square of the color, or nothing when it has no swatch
+function colorSwatchHtml(colorId) {
+    const color = colorById(colorId);
+    return color && /^#[0-9a-f]{6}$/i.test(color.hex || '')
+        ? `<span class="color-dot" style="background: ${color.hex}" title="${SecurityManager.escapeHtml(colorLabel(color))}"></span>`
+        : '';
+}
+
+// Colors whose brand, code, name or equivalents match the search text
+function searchColors(query, limit = 24) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return colors
+        .filter(color => {
+            const text = [colorLabel(color), ...colorEquivalents(color).map(e => `${e.brand} ${e.code}`)].join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        })
+        .sort((a, b) => colorLabel(a).localeCompare(colorLabel(b), undefined, { numeric: true }))
+        .slice(0, limit);
+}
+
+// ----- Swatch picker -----
+// A text input `inputId` searches the catalog; picking a swatch stores its id
+// in the hidden `${inputId}Id`. Typing something else keeps the text and drops
+// the link.
+
+function setSwatchPicker(inputId, colorId, text = '') {
+    const color = colorById(colorId);
+    document.getElementById(inputId).value = color ? colorLabel(color) : text;
+    document.getElementById(`${inputId}Id`).value = color ? color.id : '';
+    document.getElementById(`${inputId}Preview`).innerHTML = color ? colorSwatchHtml(color.id) : '';
+    document.getElementById(`${inputId}Swatches`).style.display = 'none';
+}
+
+function filterSwatchPicker(inputId) {
+    const input = document.getElementById(inputId);
+    const chosen = colorById(document.getElementById(`${inputId}Id`).value);
+    if (chosen && colorLabel(chosen) !== input.value) {
+        document.getElementById(`${inputId}Id`).value = '';
+        document.getElementById(`${inputId}Preview`).innerHTML = '';
+    }
+    const escape = SecurityManager.escapeHtml;
+    const options = document.getElementById(`${inputId}Swatches`);
+    const matches = searchColors(chosen && colorLabel(chosen) === input.value ? '' : input.value);
+    options.innerHTML = matches.map(color => `
+        <button type="button" class="swatch-option" data-color-id="${escape(color.id)}"
+                onmousedown="event.preventDefault()" onclick="setSwatchPicker('${inputId}', this.dataset.colorId)">
+            ${colorSwatchHtml(color.id) || '<span class="color-dot"></span>'}
+            <span>${escape(colorLabel(color))}</span>
+        </button>
+    `).join('') || (colors.length === 0
+        ? '<div class="swatch-empty">No colors in the catalog yet - add them under Inventory → Colors</div>'
+        : '<div class="swatch-empty">No matching colors - the text will be kept as typed</div>');
+    options.style.display = 'block';
+}
+
+function hideSwatchPicker(inputId) {
+    document.getElementById(`${inputId}Swatches`).style.display = 'none';
+}
+
+// ----- Catalog -----
+
+async function openColorsModal() {
+    if (!await requireAuthentication('manage the color catalog')) {
+        return;
+    }
+    resetColorForm();
+    document.getElementById('colorSearch').value = '';
+    loadColorsTable();
+    document.getElementById('colorsModal').style.display = 'block';
+}
+
+function loadColorsTable() {
+    const escape = SecurityManager.escapeHtml;
+    const query = document.getElementById('colorSearch').value;
+    const shown = searchColors(query, 500);
+    document.getElementById('colorBrands').innerHTML = Array.from(new Set(colors.map(color => color.brand)))
+        .map(brand => `<option value="${escape(brand)}"></option>`).join('');
+    document.getElementById('colorsTableBody').innerHTML = shown.map(color => {
+        const supplies = getSupplies().filter(supply => supply.colorId === color.id);
+        const lots = Array.from(new Set(supplies.map(supply => supply.dyeLot).filter(Boolean)));
+        return `
+            <tr>
+                <td>${colorSwatchHtml(color.id)}</td>
+                <td>${escape(colorLabel(color))}</td>
+                <td>${escape(colorEquivalents(color).map(e => `${e.brand} ${e.code}`).join(', ')) || '-'}</td>
+                <td>${supplies.length}${lots.length > 0 ? `<br><small>Lots: ${escape(lots.join(', '))}</small>` : ''}</td>
+                <td>
+                    <button class="btn btn-sm btn-secondary" data-color-id="${escape(color.id)}" onclick="editColor(this.dataset.colorId)">Edit</button>
+                    <button class="btn btn-sm btn-danger" data-color-id="${escape(color.id)}" onclick="deleteColor(this.dataset.colorId)">Delete</button>
+                </td>
+            </tr>
         `;
-            container.appendChild(emptyCard);
-        } else {
-            items.forEach((item, index) => {
-                const details = `
-                    <p><strong>Quantity:</strong> ${item.quantity || 0}</p>
-                    <p><strong>Unit Price:</strong> $${(item.unitPrice || 0).toFixed(2)}</p>
-                    <p><strong>Total Value:</strong> $${(item.totalValue || 0).toFixed(2)}</p>
-                `;
-                container.appendChild(this.createDataCard(
-                    item.description || 'Untitled Item',
-                    'Inventory Item',
-                    details,
-                    `editInventoryItem(${index})`,
-                    `deleteInventoryItem(${index})`
-                ));
+    }).join('') || `<tr><td colspan="5">${colors.length === 0 ? 'No colors yet - add one above or import a chart.' : 'No matching colors.'}</td></tr>`;
+}
+
+function resetColorForm() {
+    document.getElementById('colorForm').reset();
+    document.getElementById('colorFormId').value = '';
+    document.getElementById('colorFormButton').textContent = 'Add Color';
+    clearFieldErrors('colorForm');
+}
+
+function editColor(colorId) {
+    const color = colorById(colorId);
+    if (!color) return;
+    document.getElementById('colorFormId').value = color.id;
+    document.getElementById('colorBrand').value = color.brand;
+    document.getElementById('colorCode').value = color.code;
+    document.getElementById('colorName').value = color.name || '';
+    document.getElementById('colorHex').value = color.hex || '#000000';
+    document.getElementById('colorFormButton').textContent = 'Save Color';
+}
+
+// Adds or updates a color; projects linked to it get the new label
+function handleColorSubmit(e) {
+    e.preventDefault();
+    if (!requirePermission('records:write', 'change the color catalog')) {
+        return;
+    }
+    const existing = colorById(document.getElementById('colorFormId').value);
+    const color = {
+        ...(existing || { id: generateRecordId(), equivalents: [], dateAdded: new Date().toISOString() }),
+        brand: document.getElementById('colorBrand').value.trim(),
+        code: document.getElementById('colorCode').value.trim(),
+        name: document.getElementById('colorName').value.trim(),
+        hex: document.getElementById('colorHex').value.toLowerCase()
+    };
+    if (!validateFormRecord('colorForm', 'colors', color)) {
+        return;
+    }
+    const duplicate = findColor(color.brand, color.code);
+    if (duplicate && duplicate !== existing) {
+        showNotification(`${color.brand} ${color.code} is already in the catalog`, 'warning');
+        return;
+    }
+    if (existing) {
+        colors[colors.indexOf(existing)] = color;
+        inventory.forEach(item => {
+            if (item.type === 'project' && item.colorId === color.id) {
+                item.yarnColor = colorLabel(color);
+            }
+        });
+    } else {
+        colors.push(color);
+    }
+    saveData();
+    resetColorForm();
+    loadColorsTable();
+    showNotification(`${existing ? 'Saved' : 'Added'} ${colorLabel(color)}`, 'success');
+}
+
+// Supplies and projects using the color keep their text but lose the link
+function deleteColor(colorId) {
+    const color = colorById(colorId);
+    if (!color || !requirePermission('records:delete', 'delete colors')) {
+        return;
+    }
+    const linked = inventory.filter(item => item.colorId === color.id);
+    showConfirmModal(
+        'Delete Color',
+        `Delete ${colorLabel(color)}?${linked.length > 0 ? ` ${linked.length} supplies and projects use it; they keep the name but lose the swatch.` : ''}`,
+        () => {
+            linked.forEach(item => {
+                delete item.colorId;
             });
+            colors = colors.filter(c => c !== color);
+            saveData();
+            loadColorsTable();
         }
-    },
-    
-    // Load gallery
-    loadGallery() {
-    const container = document.getElementById('mobileGalleryCards');
-    if (!container) return;
+    );
+}
 
-        container.innerHTML = '';
-        
-        // Add button
-        container.appendChild(this.createAddButton('Add Photo', 'openAddPhotoModal()'));
-        
-        // Get gallery items
-        const gallery = window.gallery || [];
-        
-        if (gallery.length === 0) {
-            const emptyCard = document.createElement('div');
-            emptyCard.className = 'mobile-card';
-            emptyCard.innerHTML = `
-                <div class="mobile-card-content">
-            <div class="empty-state">
-                <i class="fas fa-images"></i>
-                        <h3>No Photos Yet</h3>
-                        <p>Start building your embroidery gallery!</p>
-                </div>
-            </div>
-        `;
-            container.appendChild(emptyCard);
+// ----- Chart import -----
+
+// Rows of cells from CSV text (quoted cells may hold commas, quotes and line breaks)
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
         } else {
-            gallery.forEach((photo, index) => {
-                const details = `
-                    <p><strong>Status:</strong> ${photo.status || 'Unknown'}</p>
-                    <p><strong>Date:</strong> ${new Date(photo.dateAdded).toLocaleDateString()}</p>
-                `;
-                container.appendChild(this.createDataCard(
-                    photo.title || 'Untitled Photo',
-                    'Gallery Item',
-                    details,
-                    `editPhoto(${index})`,
-                    `deletePhoto(${index})`,
-                    photo.imageData
-                ));
-            });
+            cell += char;
         }
-    },
+    }
+    row.push(cell.trim());
+    rows.push(row);
+    return rows.filter(r => r.some(Boolean));
+}
+
+function normalizeHex(value) {
+    const hex = String(value || '').trim().replace(/^#?/, '#').toLowerCase();
+    return /^#[0-9a-f]{6}$/.test(hex) ? hex : '';
+}
+
+// Adds the colors in a chart to the catalog. Two layouts are read:
+//   Brand,Code,Name,Hex          - one color per row
+//   DMC,Anchor,Madeira[,Name,Hex] - one column per brand; each row is the same
+//                                   color in each brand, linked as equivalents
+// Colors already in the catalog keep their name and swatch unless they had none.
+// Returns { added, updated, linked }.
+function importColorChart(text) {
+    const [header = [], ...rows] = parseCsvRows(text);
+    const columns = header.map(title => title.toLowerCase());
+    const column = name => columns.indexOf(name);
+    const result = { added: 0, updated: 0, linked: 0 };
+    
+    const upsert = (brand, code, name, hex) => {
+        let color = findColor(brand, code);
+        if (!color) {
+            color = { id: generateRecordId(), brand, code, name: name || '', equivalents: [], dateAdded: new Date().toISOString() };
+            if (hex) color.hex = hex;
+            colors.push(color);
+            result.added++;
+        } else if ((!color.name && name) || (!color.hex && hex)) {
+            color.name = color.name || name;
+            color.hex = color.hex || hex;
+            result.updated++;
+        }
+        return color;
+    };
     
-    // Load ideas
-    loadIdeas() {
-        const container = document.getElementById('mobileIdeasCards');
-        if (!container) return;
-
-        container.innerHTML = '';
-        
-        // Add button
-        container.appendChild(this.createAddButton('Add New Idea', 'openAddIdeaModal()'));
-        
-        // Combine ideas and inventory items with images
-        const allItems = [];
-        
-        // Add ideas
-        const ideas = window.ideas || [];
-        ideas.forEach((idea, index) => {
-            allItems.push({
-                ...idea,
-                type: 'idea',
-                index: index,
-                displayTitle: idea.title || 'Untitled Idea',
-                displayDescription: idea.description || 'No description',
-                displayCategory: idea.category || 'No category',
-                imageData: idea.imageData || idea.imageUrl,
-                editFunction: `editIdea(${index})`,
-                deleteFunction: `deleteIdea(${index})`
-            });
-        });
-        
-        // Add inventory items with images
-        const inventory = window.inventory || [];
-        inventory.forEach((item, index) => {
-            if (item.imageData || item.photo?.dataUrl) {
-                const imageData = item.imageData || item.photo?.dataUrl;
-                allItems.push({
-                    ...item,
-                    type: 'inventory',
-                    index: index,
-                    displayTitle: item.name || item.description || 'Untitled Item',
-                    displayDescription: item.description || 'No description',
-                    displayCategory: item.category || 'Inventory',
-                    imageData: imageData,
-                    editFunction: `editItem(${index})`,
-                    deleteFunction: `deleteItem(${index})`
-                });
+    if (column('brand') !== -1 && column('code') !== -1) {
+        rows.forEach(row => {
+            const brand = row[column('brand')];
+            const code = row[column('code')];
+            if (brand && code) {
+                upsert(brand, code, row[column('name')] || '', normalizeHex(row[column('hex')]));
             }
         });
-        
-        if (allItems.length === 0) {
-            const emptyCard = document.createElement('div');
-            emptyCard.className = 'mobile-card';
-            emptyCard.innerHTML = `
-                <div class="mobile-card-content">
-                    <div class="empty-state">
-                        <i class="fas fa-lightbulb"></i>
-                        <h3>No Ideas Yet</h3>
-                        <p>Start capturing your creative ideas and inspiration.</p>
-                    </div>
-                </div>
-            `;
-            container.appendChild(emptyCard);
-        } else {
-            allItems.forEach((item) => {
-                const details = `
-                    <p><strong>Type:</strong> ${item.type === 'idea' ? 'Idea' : 'Inventory Item'}</p>
-                    <p><strong>Description:</strong> ${item.displayDescription}</p>
-                    <p><strong>Category:</strong> ${item.displayCategory}</p>
-                `;
-                container.appendChild(this.createDataCard(
-                    item.displayTitle,
-                    item.type === 'idea' ? 'Idea' : 'Inventory',
-                    details,
-                    item.editFunction,
-                    item.deleteFunction,
-                    item.imageData
-                ));
-            });
-        }
+        return result;
     }
-};
+    
+    const brandColumns = header
+        .map((brand, index) => ({ brand, index }))
+        .filter(({ brand, index }) => brand && index !== column('name') && index !== column('hex'));
+    rows.forEach(row => {
+        const name = column('name') !== -1 ? row[column('name')] || '' : '';
+        const hex = column('hex') !== -1 ? normalizeHex(row[column('hex')]) : '';
+        const same = brandColumns
+            .filter(({ index }) => row[index])
+            .map(({ brand, index }) => upsert(brand, row[index], name, hex));
+        same.forEach(color => {
+            same.filter(other => other !== color).forEach(other => {
+                const known = colorEquivalents(color).some(e => colorCodeKey(e.brand, e.code) === colorCodeKey(other.brand, other.code));
+                if (!known) {
+                    color.equivalents = [...(color.equivalents || []), { brand: other.brand, code: other.code }];
+                    result.linked++;
+                }
+            });
+        });
+    });
+    return result;
+}
 
-function loadMobileInventoryCards() {
-    MobileCardManager.loadProjects();
+function importColorChartFile(input) {
+    const file = input.files && input.files[0];
+    if (!file || !requirePermission('records:write', 'import colors')) {
+        input.value = '';
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+        const { added, updated, linked } = importColorChart(String(reader.result));
+        input.value = '';
+        if (added + updated + linked === 0) {
+            showNotification('Nothing new in that chart', 'info');
+            return;
+        }
+        saveData();
+        loadColorsTable();
+        showNotification(`Imported colors: ${added} added, ${updated} updated, ${linked} cross-references`, 'success');
+    };
+    reader.readAsText(file);
 }
 
-function loadMobileInventoryItemsCards() {
-    MobileCardManager.loadInventoryItems();
+// ===== STOCKTAKE =====
+// A physical count of one location, one category or every supply. The count is
+// kept in localStorage as it goes, so a phone can be locked, reloaded or taken
+// round the studio without losing it: { scope, startedAt, counts: { itemId: counted } }.
+// Scopes are 'all', 'location:<id>' ('location:' is unassigned stock) and
+// 'category:<name>'. Counting a location counts what's at that location;
+// otherwise the count is the supply's whole stock. Committing writes a
+// 'stocktake' movement for every counted supply that differs; supplies left
+// uncounted are not touched.
+
+const STOCKTAKE_STORAGE_KEY = 'embroidery_stocktake';
+
+function loadStocktakeSession() {
+    try {
+        return JSON.parse(localStorage.getItem(STOCKTAKE_STORAGE_KEY)) || null;
+    } catch (error) {
+        return null;
+    }
 }
 
-function loadMobileWIPCards() {
-    // WIP is handled by projects for now
-    MobileCardManager.loadProjects();
+function saveStocktakeSession(session) {
+    if (session) {
+        localStorage.setItem(STOCKTAKE_STORAGE_KEY, JSON.stringify(session));
+    } else {
+        localStorage.removeItem(STOCKTAKE_STORAGE_KEY);
+    }
 }
 
-function loadMobileCustomerCards() {
-    MobileCardManager.loadCustomers();
+// The location a scope counts, or null when it counts whole supplies
+function stocktakeLocationId(scope) {
+    return scope.startsWith('location:') ? scope.slice('location:'.length) : null;
 }
 
-
-function loadMobileGalleryCards() {
-    MobileCardManager.loadGallery();
+function stocktakeScopeLabel(scope) {
+    const locationId = stocktakeLocationId(scope);
+    if (locationId !== null) {
+        return locationName(locationId);
+    }
+    return scope.startsWith('category:') ? `Category: ${scope.slice('category:'.length)}` : 'All supplies';
 }
 
-function loadMobileSalesCards() {
-    // Sales not implemented yet
-    const container = document.getElementById('mobileSalesCards');
-    if (!container) return;
+function supplyCategories() {
+    return Array.from(new Set(getSupplies().map(supply => String(supply.category || '').trim()).filter(Boolean)))
+        .sort((a, b) => a.localeCompare(b));
+}
 
-    container.innerHTML = '';
+// What the records say is there
+function stocktakeExpected(supply, scope) {
+    const locationId = stocktakeLocationId(scope);
+    return locationId !== null ? locationQuantity(supply, locationId) : parseFloat(supply.quantity) || 0;
+}
 
-    const addButtonCard = document.createElement('div');
-    addButtonCard.className = 'mobile-card mobile-add-card';
-    addButtonCard.innerHTML = `
-        <div class="mobile-card-content">
-            <button class="btn btn-primary mobile-add-btn" onclick="openAddSaleModal()">
-                <i class="fas fa-plus"></i><span>Add New Sale</span>
-                </button>
-            </div>
-        `;
-    container.appendChild(addButtonCard);
-    
-    const emptyCard = document.createElement('div');
-    emptyCard.className = 'mobile-card';
-    emptyCard.innerHTML = `
-            <div class="mobile-card-content">
-            <div class="empty-state">
-                <i class="fas fa-dollar-sign"></i>
-                <h3>No Sales Yet</h3>
-                <p>Start recording your embroidery sales!</p>
-                </div>
-            </div>
-        `;
-    container.appendChild(emptyCard);
+// The supplies to count: those the scope covers, plus any already counted
+// (e.g. a supply found at a location the records don't have it at)
+function stocktakeSupplies(session) {
+    const { scope, counts } = session;
+    const locationId = stocktakeLocationId(scope);
+    const category = scope.startsWith('category:') ? scope.slice('category:'.length).toLowerCase() : null;
+    return getSupplies()
+        .filter(supply => supply.id && (
+            supply.id in counts
+            || (locationId !== null ? locationQuantity(supply, locationId) > 0
+                : category !== null ? String(supply.category || '').trim().toLowerCase() === category
+                    : true)))
+        .sort((a, b) => supplyLabel(a).localeCompare(supplyLabel(b)));
 }
 
-function loadMobileIdeasCards() {
-    MobileCardManager.loadIdeas();
+// [{ supply, expected, counted, variance }]; `counted` and `variance` are null until counted
+function stocktakeVariances(session) {
+    return stocktakeSupplies(session).map(supply => {
+        const expected = stocktakeExpected(supply, session.scope);
+        const counted = supply.id in session.counts ? session.counts[supply.id] : null;
+        const variance = counted === null ? null : Math.round((counted - expected) * 1000) / 1000;
+        return { supply, expected, counted, variance };
+    });
 }
 
-// Customer expansion state management
-function getExpandedCustomerGroups() {
-    try {
-        const stored = localStorage.getItem('expandedCustomerGroups');
-        return stored ? JSON.parse(stored) : [];
-    } catch (e) {
-        console.warn('Failed to load expanded customer groups:', e);
-        return [];
-    }
+// Brings every counted supply in line with its count. Returns the movements written.
+function commitStocktake(session) {
+    const locationId = stocktakeLocationId(session.scope);
+    const note = `Stocktake: ${stocktakeScopeLabel(session.scope)}`;
+    return stocktakeVariances(session)
+        .filter(({ variance }) => variance)
+        .map(({ supply, variance }) => {
+            supply.quantity = Math.round(((parseFloat(supply.quantity) || 0) + variance) * 1000) / 1000;
+            return recordStockMovement(supply, variance, 'stocktake', { note, locationId: locationId || '' });
+        });
 }
 
-function saveExpandedCustomerGroups(expandedCustomers) {
-    try {
-        localStorage.setItem('expandedCustomerGroups', JSON.stringify(expandedCustomers));
-    } catch (e) {
-        console.warn('Failed to save expanded customer groups:', e);
+async function openStocktake() {
+    if (!await requireAuthentication('take stock')) {
+        return;
+    }
+    const escape = SecurityManager.escapeHtml;
+    const session = loadStocktakeSession();
+    const categories = supplyCategories();
+    document.getElementById('stocktakeScope').innerHTML = `
+        <option value="all">All supplies</option>
+        <optgroup label="Location">
+            ${locations.map(location => `<option value="location:${escape(location.id)}">${escape(location.name)}</option>`).join('')}
+            <option value="location:">Unassigned</option>
+        </optgroup>
+        ${categories.length > 0 ? `<optgroup label="Category">
+            ${categories.map(category => `<option value="category:${escape(category)}">${escape(category)}</option>`).join('')}
+        </optgroup>` : ''}
+    `;
+    document.getElementById('stocktakeResume').style.display = session ? '' : 'none';
+    if (session) {
+        document.getElementById('stocktakeResumeText').textContent =
+            `A count of ${stocktakeScopeLabel(session.scope)} started ${new Date(session.startedAt).toLocaleString()} (${Object.keys(session.counts).length} counted).`;
     }
+    showStocktakeStep('setup');
+    document.getElementById('stocktakeModal').style.display = 'block';
 }
 
-function isCustomerExpanded(customerName) {
-    const expanded = getExpandedCustomerGroups();
-    return expanded.includes(customerName);
+function showStocktakeStep(step) {
+    ['setup', 'count', 'review'].forEach(name => {
+        document.getElementById(`stocktake${name[0].toUpperCase()}${name.slice(1)}Step`).style.display = name === step ? '' : 'none';
+    });
 }
 
-function addExpandedCustomer(customerName) {
-    const expanded = getExpandedCustomerGroups();
-    if (!expanded.includes(customerName)) {
-        expanded.push(customerName);
-        saveExpandedCustomerGroups(expanded);
+function startStocktake() {
+    const existing = loadStocktakeSession();
+    const start = () => {
+        saveStocktakeSession({ scope: document.getElementById('stocktakeScope').value, startedAt: new Date().toISOString(), counts: {} });
+        document.getElementById('stocktakeSearch').value = '';
+        loadStocktakeCards();
+        showStocktakeStep('count');
+    };
+    if (existing && Object.keys(existing.counts).length > 0) {
+        showConfirmModal('Start a New Count', `This discards the ${Object.keys(existing.counts).length} counts of ${stocktakeScopeLabel(existing.scope)} not yet committed.`, start);
+    } else {
+        start();
     }
 }
 
-function removeExpandedCustomer(customerName) {
-    const expanded = getExpandedCustomerGroups();
-    const filtered = expanded.filter(name => name !== customerName);
-    saveExpandedCustomerGroups(filtered);
+function resumeStocktake() {
+    document.getElementById('stocktakeSearch').value = '';
+    loadStocktakeCards();
+    showStocktakeStep('count');
 }
 
-// Toggle customer group visibility
-function toggleCustomerGroup(customerName) {
-    // Handle both desktop and mobile versions
-    const sanitizedCustomerName = customerName.replace(/\s+/g, '-').toLowerCase();
-    
-    // Desktop version - show/hide project rows for this customer
-    const desktopHeader = document.querySelector(`[data-customer="${customerName}"]`);
-    const desktopChevron = desktopHeader ? desktopHeader.querySelector('.customer-toggle') : null;
-    
-    // Find all project rows for this customer
-    const projectRows = document.querySelectorAll('.project-row');
-    let customerProjectRows = [];
-    
-    // Filter project rows that belong to this customer
-    projectRows.forEach(row => {
-        const projectName = row.querySelector('.project-name strong')?.textContent;
-        if (projectName) {
-            // Check if this project belongs to the customer
-            let matchingProject;
-            if (customerName === 'No Customer') {
-                // For "No Customer", find projects where customer is null, undefined, or empty
-                matchingProject = inventory.find(item => item.name === projectName && (!item.customer || item.customer === ''));
-            } else {
-                // For regular customers, match exactly
-                matchingProject = inventory.find(item => item.name === projectName && item.customer === customerName);
-            }
-            if (matchingProject) {
-                customerProjectRows.push(row);
-            }
-        }
-    });
-    
-    // Mobile version - look for mobile container
-    const mobileContainer = document.getElementById('mobileInventoryCards');
-    const mobileHeaderContent = mobileContainer ? mobileContainer.querySelector(`[data-customer="${customerName}"]`) : null;
-    const mobileChevron = mobileHeaderContent ? mobileHeaderContent.querySelector('.customer-chevron') : null;
-    const mobileProjectsContainer = document.getElementById(`customer-projects-${sanitizedCustomerName}`);
+function loadStocktakeCards() {
+    const session = loadStocktakeSession();
+    if (!session) return;
+    const escape = SecurityManager.escapeHtml;
+    const search = document.getElementById('stocktakeSearch').value.trim().toLowerCase();
+    const hideCounted = document.getElementById('stocktakeHideCounted').checked;
+    const rows = stocktakeVariances(session);
+    const counted = rows.filter(row => row.counted !== null).length;
     
-    // Handle desktop version - toggle project row visibility
-    if (customerProjectRows.length > 0 && desktopChevron) {
-        const firstRow = customerProjectRows[0];
-        const isVisible = firstRow.style.display !== 'none';
-        
-        if (isVisible) {
-            // Collapse - hide all project rows for this customer
-            customerProjectRows.forEach(row => {
-                row.style.display = 'none';
-            });
-            desktopChevron.className = 'fas fa-chevron-right customer-toggle';
-            removeExpandedCustomer(customerName);
-        } else {
-            // Expand - show all project rows for this customer
-            customerProjectRows.forEach(row => {
-                row.style.display = 'table-row';
-            });
-            desktopChevron.className = 'fas fa-chevron-down customer-toggle';
-            addExpandedCustomer(customerName);
+    document.getElementById('stocktakeTitle').textContent = stocktakeScopeLabel(session.scope);
+    document.getElementById('stocktakeProgress').textContent = `${counted} of ${rows.length} counted`;
+    const container = document.getElementById('stocktakeCards');
+    container.innerHTML = '';
+    rows
+        .filter(row => (!search || supplyLabel(row.supply).toLowerCase().includes(search)) && !(hideCounted && row.counted !== null))
+        .forEach(row => container.appendChild(MobileCardManager.createCountCard(row.supply, row.expected, row.counted)));
+    if (!container.children.length) {
+        container.innerHTML = `<p class="text-muted">${rows.length === 0 ? 'No supplies here - add one below if you found some.' : 'Nothing left to count.'}</p>`;
+    }
+    
+    // Supplies found here that the records don't have here
+    const listed = new Set(rows.map(row => row.supply.id));
+    document.getElementById('stocktakeAddSupply').innerHTML = '<option value="">Found something else? Add a supply…</option>' + getSupplies()
+        .filter(supply => supply.id && !listed.has(supply.id))
+        .sort((a, b) => supplyLabel(a).localeCompare(supplyLabel(b)))
+        .map(supply => `<option value="${escape(supply.id)}">${escape(supplyLabel(supply))}</option>`)
+        .join('');
+}
+
+// Counts from a card: a number, 'expected' for "matches", or '' to uncount
+function setStocktakeCount(itemId, value) {
+    const session = loadStocktakeSession();
+    const supply = supplyById(itemId);
+    if (!session || !supply) return;
+    if (value === 'expected') {
+        session.counts[itemId] = stocktakeExpected(supply, session.scope);
+    } else if (value === '' || value === null) {
+        delete session.counts[itemId];
+    } else {
+        const counted = parseFloat(value);
+        if (Number.isNaN(counted) || counted < 0) {
+            showNotification('Enter the quantity counted (0 or more)', 'warning');
+            return;
         }
+        session.counts[itemId] = counted;
     }
+    saveStocktakeSession(session);
     
-    // Handle mobile version
-    if (mobileProjectsContainer && mobileChevron) {
-        const isVisible = mobileProjectsContainer.style.display !== 'none';
-        
-        if (isVisible) {
-            // Collapse
-            mobileProjectsContainer.style.display = 'none';
-            mobileChevron.className = 'fas fa-chevron-right customer-chevron';
-            mobileChevron.style.transform = 'rotate(0deg)';
-            removeExpandedCustomer(customerName);
-        } else {
-            // Expand
-            mobileProjectsContainer.style.display = 'block';
-            mobileChevron.className = 'fas fa-chevron-down customer-chevron';
-            mobileChevron.style.transform = 'rotate(0deg)';
-            addExpandedCustomer(customerName);
-        }
+    // Only this card is redrawn, so typing on into the next one isn't interrupted
+    const card = document.querySelector(`#stocktakeCards .stocktake-card[data-item-id="${CSS.escape(itemId)}"]`);
+    if (!card) {
+        loadStocktakeCards();
+        return;
     }
+    card.replaceWith(MobileCardManager.createCountCard(supply, stocktakeExpected(supply, session.scope), session.counts[itemId] ?? null));
+    const rows = stocktakeSupplies(session);
+    document.getElementById('stocktakeProgress').textContent = `${rows.filter(row => row.id in session.counts).length} of ${rows.length} counted`;
+}
+
+function addStocktakeSupply(select) {
+    if (select.value) {
+        setStocktakeCount(select.value, 0);
+    }
+}
+
+function reviewStocktake() {
+    const session = loadStocktakeSession();
+    if (!session) return;
+    const escape = SecurityManager.escapeHtml;
+    const rows = stocktakeVariances(session);
+    const changed = rows.filter(row => row.variance);
+    const uncounted = rows.filter(row => row.counted === null);
+    const value = changed.reduce((sum, row) => sum + row.variance * (valueSupply(row.supply).unitCost || 0), 0);
+    
+    document.getElementById('stocktakeReviewSummary').textContent = [
+        `${changed.length} of ${rows.length - uncounted.length} counted supplies differ from the records`,
+        `stock value ${value < 0 ? 'down' : 'up'} $${Math.abs(value).toFixed(2)}`,
+        uncounted.length > 0 ? `${uncounted.length} not counted (left as they are)` : ''
+    ].filter(Boolean).join('; ') + '.';
+    document.getElementById('stocktakeReviewBody').innerHTML = rows
+        .filter(row => row.counted !== null)
+        .sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance))
+        .map(({ supply, expected, counted, variance }) => `
+            <tr class="${variance ? 'stocktake-variance' : ''}">
+                <td>${escape(supplyLabel(supply))}</td>
+                <td>${escape(formatStockQuantity(expected, supply))}</td>
+                <td>${escape(formatStockQuantity(counted, supply))}</td>
+                <td>${variance ? `${variance > 0 ? '+' : ''}${escape(formatStockQuantity(variance, supply))}` : 'Matches'}</td>
+                <td>${variance ? `$${(variance * (valueSupply(supply).unitCost || 0)).toFixed(2)}` : ''}</td>
+            </tr>
+        `).join('') || '<tr><td colspan="5">Nothing counted yet.</td></tr>';
+    document.getElementById('stocktakeCommitButton').disabled = changed.length === 0 && uncounted.length === rows.length;
+    showStocktakeStep('review');
 }
 
-// Mobile card delete functions consolidated into main delete functions above
-
-
-// Mobile modal enhancements
-function setupMobileModalEnhancements() {
-    // Only apply on mobile devices
-    if (!isMobile()) return;
-    
-    // Mobile modal enhancements for touch devices
-    console.log('📱 Mobile modal enhancements setup complete');
-}
-
-async function openAddInventoryModal(prefilledData = null) {
-    // Require authentication
-    if (!await requireAuthentication('add inventory')) {
+function handleCommitStocktake() {
+    const session = loadStocktakeSession();
+    if (!session || !requirePermission('records:write', 'commit a stocktake')) {
         return;
     }
-    
-    const modal = document.getElementById('addInventoryModal');
-    const form = document.getElementById('addInventoryForm');
-    
-    if (form) {
-        form.reset();
-        
-        // If prefilled data is provided (from copy), populate the form
-        if (prefilledData) {
-            // Update modal title to indicate copying
-            const modalTitle = modal.querySelector('h2');
-            if (modalTitle) {
-                modalTitle.innerHTML = '<i class="fas fa-copy"></i> Copy Item';
-            }
-            
-            // Populate form fields with copied data (using correct field IDs)
-            const fields = {
-                'inventoryDescription': prefilledData.description || '',
-                'inventoryQuantity': prefilledData.quantity || 1,
-                'inventoryCategory': prefilledData.category || '',
-                'inventoryStatus': prefilledData.status || 'available',
-                'inventoryCost': prefilledData.price || 0,
-                'inventoryNotes': prefilledData.notes || ''
-            };
-            
-            // Set form values
-            Object.keys(fields).forEach(fieldId => {
-                const field = document.getElementById(fieldId);
-                if (field) {
-                    field.value = fields[fieldId];
-                }
-            });
-        } else {
-            // Reset modal title for new items
-            const modalTitle = modal.querySelector('h2');
-            if (modalTitle) {
-                modalTitle.innerHTML = '<i class="fas fa-plus"></i> Add New Project';
-            }
+    const changed = stocktakeVariances(session).filter(row => row.variance).length;
+    showConfirmModal(
+        'Commit Stocktake',
+        changed > 0
+            ? `Adjust the stock of ${changed} supplies to what was counted? Each adjustment is kept in their stock history.`
+            : 'Everything counted matches the records. Finish the stocktake?',
+        async () => {
+            const movements = commitStocktake(session);
+            saveStocktakeSession(null);
+            await saveData();
+            closeModal('stocktakeModal');
+            loadInventoryItemsTable();
+            updateDashboardStats();
+            showNotification(movements.length > 0
+                ? `Stocktake committed: ${movements.length} supplies adjusted`
+                : 'Stocktake finished: everything matched', 'success');
         }
-    }
-    
-    if (modal) {
-        // Ensure modal is fully visible and positioned correctly
-        modal.setAttribute('style', 'display: block !important; visibility: visible !important; opacity: 1 !important; position: fixed !important; top: 0 !important; left: 0 !important; width: 100vw !important; height: 100vh !important; z-index: 9999 !important; background-color: rgba(0,0,0,0.5) !important;');
-        modal.classList.add('show');
-        modal.classList.remove('hide');
-        
-        // Focus on first input after a short delay
-        setTimeout(() => {
-            const firstInput = modal.querySelector('input[type="text"], input[type="number"], textarea, select');
-            if (firstInput) {
-                firstInput.focus();
-            }
-        }, 100);
-        
-        console.log('Add Inventory modal opened');
-    } else {
-        console.error('Add Inventory modal not found');
-    }
+    );
+}
+
+function cancelStocktake() {
+    const session = loadStocktakeSession();
+    if (!session) return;
+    showConfirmModal('Cancel Stocktake', `Discard the count of ${stocktakeScopeLabel(session.scope)}? Stock is left as it is.`, () => {
+        saveStocktakeSession(null);
+        closeModal('stocktakeModal');
+    });
 }
 
-// Dedicated Project Modal Functions  
 async function openAddProjectModal(prefilledData = null) {
     // Require authentication
     if (!await requireAuthentication('add a project')) {
@@ -7978,6 +12202,8 @@ async function openAddProjectModal(prefilledData = null) {
     
     if (form) {
         form.reset();
+        renderMaterialsEditor('projectMaterials', prefilledData ? prefilledData.materials : []);
+        setSwatchPicker('projectYarnColor', prefilledData && prefilledData.colorId, prefilledData ? prefilledData.yarnColor || '' : '');
         
         // If prefilled data is provided (from copy), populate the form
         if (prefilledData) {
@@ -8053,7 +12279,7 @@ async function handleAddInventory(e) {
     console.log('🔘 Add Inventory button clicked!');
     
     const description = document.getElementById('inventoryDescription').value.trim();
-    const quantity = parseInt(document.getElementById('inventoryQuantity').value) || 1;
+    const quantity = parseFloat(document.getElementById('inventoryQuantity').value) || 0;
     const pricePerItem = parseFloat(document.getElementById('inventoryPrice').value) || 0;
     const totalValue = quantity * pricePerItem;
     
@@ -8076,7 +12302,11 @@ async function handleAddInventory(e) {
         category: '',
         supplier: document.getElementById('inventorySupplier').value,
         location: '',
-        reorderPoint: parseInt(document.getElementById('inventoryReorderPoint').value) || 0,
+        reorderPoint: parseFloat(document.getElementById('inventoryReorderPoint').value) || 0,
+        unit: document.getElementById('inventoryUnit').value,
+        packageSizes: readPackageSizes('inventory'),
+        colorId: document.getElementById('inventoryColorId').value,
+        dyeLot: document.getElementById('inventoryDyeLot').value.trim(),
         tags: '',
         patternLink: '',
         dateAdded: new Date().toISOString(),
@@ -8089,7 +12319,11 @@ async function handleAddInventory(e) {
         try {
             const photoData = await processPhoto(photoInput.files[0]);
             inventoryData.photo = photoData;
-            inventoryData.imageData = photoData.dataUrl;
+            if (photoData.mediaId) {
+                inventoryData.mediaId = photoData.mediaId;
+            } else {
+                inventoryData.imageData = photoData.dataUrl;
+            }
         } catch (error) {
             console.error('Error processing photo:', error);
             alert('Error processing photo. Please try again.');
@@ -8097,8 +12331,16 @@ async function handleAddInventory(e) {
         }
     }
     
+    if (!validateFormRecord('addInventoryForm', 'inventory', inventoryData)) {
+        return;
+    }
+    
     // Add to inventory array
     inventory.push(inventoryData);
+    recordStockMovement(inventoryData, quantity, 'opening', {
+        unitCost: pricePerItem,
+        locationId: document.getElementById('inventoryStockLocation').value
+    });
     
     // Save data
     await saveData();
@@ -8133,6 +12375,7 @@ function copyFromLastInventory() {
     document.getElementById('inventoryNotes').value = lastItem.notes || '';
     document.getElementById('inventorySupplier').value = lastItem.supplier || '';
     document.getElementById('inventoryReorderPoint').value = lastItem.reorderPoint || 0;
+    setSwatchPicker('inventoryColor', lastItem.colorId);
     
     // Calculate total value
     const quantity = parseInt(document.getElementById('inventoryQuantity').value) || 1;
@@ -8170,9 +12413,12 @@ async function handleAddProject(e) {
         customer: document.getElementById('projectCustomer').value,
         location: document.getElementById('projectLocation').value,
         yarnColor: document.getElementById('projectYarnColor').value,
-        yarnAmount: document.getElementById('projectYarnAmount').value,
+        colorId: document.getElementById('projectYarnColorId').value,
+        yarnQuantity: parseFloat(document.getElementById('projectYarnQuantity').value) || null,
+        yarnUnit: document.getElementById('projectYarnUnit').value,
         patternLink: document.getElementById('projectPatternLink').value,
         tags: document.getElementById('projectTags').value,
+        materials: readMaterialsEditor('projectMaterials'),
         reorderPoint: 0,
         dateAdded: new Date().toISOString(),
         photo: null
@@ -8180,6 +12426,13 @@ async function handleAddProject(e) {
     
     // Projects don't need images - they're tracked through inventory, ideas, and gallery
     
+    if (!validateFormRecord('addProjectForm', 'inventory', projectData)) {
+        return;
+    }
+    
+    // A project added as started or completed checks or uses its materials straight away
+    const statusWarning = setProjectStatus(projectData, projectData.status, null);
+    
     // Add to inventory array (projects are stored in the same array)
     inventory.push(projectData);
     
@@ -8230,7 +12483,7 @@ async function handleAddProject(e) {
     closeModal('addProjectModal');
     
     // Show success message
-    showNotification('Success', 'Project added successfully!');
+    showStatusWarning(statusWarning, 'Project added successfully!');
 }
 
 // Copy from last project
@@ -8252,11 +12505,13 @@ function copyFromLastProject() {
     document.getElementById('projectPriority').value = lastProject.priority || 'medium';
     document.getElementById('projectPrice').value = lastProject.price || 0;
     document.getElementById('projectLocation').value = lastProject.location || '';
-    document.getElementById('projectYarnColor').value = lastProject.yarnColor || '';
-    document.getElementById('projectYarnAmount').value = lastProject.yarnAmount || '';
+    setSwatchPicker('projectYarnColor', lastProject.colorId, lastProject.yarnColor || '');
+    document.getElementById('projectYarnQuantity').value = lastProject.yarnQuantity || '';
+    document.getElementById('projectYarnUnit').value = lastProject.yarnUnit || 'skein';
     document.getElementById('projectPatternLink').value = lastProject.patternLink || '';
     document.getElementById('projectTags').value = lastProject.tags || '';
     document.getElementById('projectNotes').value = lastProject.notes || '';
+    renderMaterialsEditor('projectMaterials', lastProject.materials);
     
     showNotification('Copied', 'Form populated with last project data.');
 }
@@ -8315,48 +12570,36 @@ async function handleAddItem(e) {
         photo: null // Will be set after photo processing
     };
     
+    if (!validateFormRecord('addItemForm', 'inventory', newItem)) {
+        return;
+    }
+    
     // Handle photo if present
     const photoInput = document.getElementById('itemPhoto');
     const photoFile = photoInput && photoInput.files && photoInput.files.length > 0 ? photoInput.files[0] : null;
-    let photoData = null;
     
     if (photoFile) {
-        photoData = {
-            name: photoFile.name,
-            size: photoFile.size,
-            type: photoFile.type,
-            lastModified: photoFile.lastModified,
-            dataUrl: null // Will be populated after reading
-        };
-        
-        // Convert to base64 for storage
-        const reader = new FileReader();
-        reader.onload = async function(e) {
-            try {
-                photoData.dataUrl = e.target.result;
-                newItem.photo = photoData;
-                await saveItemWithPhoto(newItem);
-            } catch (error) {
-                console.error('Error processing photo data:', error);
-                showNotification('Error processing photo. Item saved without photo.', 'warning');
-                await saveItemWithPhoto(newItem);
-            }
-        };
-        reader.onerror = async function(error) {
-            console.error('Error reading photo file:', error);
-            showNotification('Error reading photo file. Item saved without photo.', 'warning');
-            await saveItemWithPhoto(newItem);
-        };
-        reader.readAsDataURL(photoFile);
-    } else {
-        await saveItemWithPhoto(newItem);
+        try {
+            newItem.photo = await processPhoto(photoFile);
+            if (newItem.photo.mediaId) {
+                newItem.mediaId = newItem.photo.mediaId;
+            }
+        } catch (error) {
+            console.error('Error processing photo data:', error);
+            showNotification('Error processing photo. Item saved without photo.', 'warning');
+            newItem.photo = null;
+        }
     }
+    await saveItemWithPhoto(newItem);
 }
 
 async function saveItemWithPhoto(item) {
     console.log('💾 Saving item:', item);
     if (item) {
         inventory.push(item);
+        if (item.type === 'inventory') {
+            recordStockMovement(item, parseFloat(item.quantity) || 0, 'opening');
+        }
         await saveData();
         loadInventoryTable(); // Projects table
         loadInventoryItemsTable(); // Inventory items table
@@ -8445,9 +12688,15 @@ function loadInventoryItemsTable() {
             `<span class="reorder-point ${isLowStock ? 'low-stock-warning' : ''}">${reorderPoint}</span>` : 
             '<span class="text-muted">-</span>';
         
+        // Where the stock is, once it's been put at a location
+        const whereDisplay = (item.locationStock || []).length > 0
+            ? `<br><small class="location-breakdown">${supplyLocationStock(item).map(entry => SecurityManager.escapeHtml(`${locationName(entry.locationId)}: ${formatStockQuantity(entry.quantity, item)}`)).join(', ')}</small>`
+            : '';
+        
+        row.dataset.itemId = item.id || '';
         row.innerHTML = `
             <td><strong>${item.name}</strong></td>
-            <td><span class="quantity-badge">${item.quantity || 1}</span></td>
+            <td><span class="quantity-badge">${item.quantity !== undefined ? formatStockQuantity(parseFloat(item.quantity) || 0, item) : 1}</span>${whereDisplay}</td>
             <td>${statusDisplay}</td>
             <td>${supplierDisplay}<br><small>Reorder: ${reorderDisplay}</small></td>
             <td>
@@ -8498,7 +12747,8 @@ function filterInventory() {
         const matchesSearch = !searchTerm || name.includes(searchTerm);
         const matchesStatus = !statusFilter || status.includes(statusFilter);
         const matchesCategory = !categoryFilter || true; // Category filter disabled
-        const matchesLocation = !locationFilter || true; // Location filter disabled
+        const supply = supplyById(row.dataset.itemId);
+        const matchesLocation = !locationFilter || Boolean(supply && locationQuantity(supply, locationFilter) > 0);
         
         if (matchesSearch && matchesStatus && matchesCategory && matchesLocation) {
             row.style.display = '';
@@ -8553,6 +12803,10 @@ function handleAddCustomer(e) {
         dateAdded: new Date().toISOString()
     };
     
+    if (!validateFormRecord('addCustomerForm', 'customers', newCustomer)) {
+        return;
+    }
+    
     customers.push(newCustomer);
     saveData();
     loadCustomersCards();
@@ -8615,29 +12869,20 @@ function handleEditCustomer(e) {
     }
     
     const customer = customers[customerIndex];
-    const oldName = customer.name;
-    
-    // Update customer data
-    customer.name = document.getElementById('editCustomerName').value;
-    customer.contact = document.getElementById('editCustomerContact').value;
-    customer.location = document.getElementById('editCustomerLocation').value;
-    customer.status = document.getElementById('editCustomerStatus').value;
+    const updates = {
+        name: document.getElementById('editCustomerName').value,
+        contact: document.getElementById('editCustomerContact').value,
+        location: document.getElementById('editCustomerLocation').value,
+        status: document.getElementById('editCustomerStatus').value
+    };
     
-    // If customer name changed, update all references in inventory and sales
-    if (oldName !== customer.name) {
-        inventory.forEach(item => {
-            if (item.customer === oldName) {
-                item.customer = customer.name;
-            }
-        });
-        
-        sales.forEach(sale => {
-            if (sale.customer === oldName) {
-                sale.customer = customer.name;
-            }
-        });
+    if (!validateFormRecord('editCustomerForm', 'customers', { ...customer, ...updates })) {
+        return;
     }
     
+    // Update customer data; the server renames it on the linked projects, sales and invoices
+    Object.assign(customer, updates);
+    
     saveData();
     loadCustomersCards();
     loadInventoryTable();
@@ -8895,41 +13140,6 @@ document.addEventListener('DOMContentLoaded', function() {
 // Function to add a project to the invoice
 
 // Sales Management
-function updateExistingSalesWithCommission() {
-    let updated = false;
-    let updatedCount = 0;
-    
-    sales.forEach((sale, index) => {
-        // If commission fields are missing, add them with default values
-        if (sale.commission === undefined || sale.commissionAmount === undefined || sale.netAmount === undefined) {
-            sale.commission = 0;
-            sale.commissionAmount = 0;
-            sale.netAmount = sale.salePrice || sale.price || 0;
-            updated = true;
-            updatedCount++;
-        }
-    });
-    
-    if (updated) {
-        // Save updated sales data
-        saveDataToAPI();
-        console.log(`Updated ${updatedCount} existing sales with commission fields`);
-        
-        // Only show notifications on localhost
-        if (isLocalhost()) {
-            showNotification(`Updated ${updatedCount} sales with commission fields. You can now edit them to add commission percentages.`, 'success');
-        }
-        
-        // Refresh the sales table to show updated data
-        loadSalesTable();
-    } else {
-        // Only show notifications on localhost
-        if (isLocalhost()) {
-            showNotification('All sales already have commission data.', 'info');
-        }
-    }
-}
-
 function loadSalesTable() {
     const tbody = document.getElementById('salesTableBody');
     tbody.innerHTML = '';
@@ -9240,8 +13450,8 @@ function handleAddSale(e) {
     
     if (saleType === 'inventory') {
         // Handle inventory item sale
-        const selectedItemIndex = document.getElementById('saleItem').value;
-        const item = inventory[selectedItemIndex];
+        const selectedItemId = document.getElementById('saleItem').value;
+        const item = inventory.find(i => i.id === selectedItemId);
         
         // Item selection is now optional
         if (!item) {
@@ -9261,7 +13471,6 @@ function handleAddSale(e) {
             discount: listedPrice - (salePrice + commissionAmount), // Total customer pays vs list price
             discountPercent: listedPrice > 0 ? ((listedPrice - (salePrice + commissionAmount)) / listedPrice * 100).toFixed(1) : 0,
             dateSold: dateSold,
-            itemIndex: null,
             saleType: 'inventory',
             saleChannel: saleChannel || 'individual',
             notes: notes
@@ -9282,14 +13491,14 @@ function handleAddSale(e) {
                 discount: listedPrice - (salePrice + commissionAmount), // Total customer pays vs list price
                 discountPercent: listedPrice > 0 ? ((listedPrice - (salePrice + commissionAmount)) / listedPrice * 100).toFixed(1) : 0,
                 dateSold: dateSold,
-                itemIndex: selectedItemIndex,
+                itemId: item.id,
                 saleType: 'inventory',
                 saleChannel: saleChannel || 'individual',
                 notes: notes
             };
             
             // Update item status to sold
-            inventory[selectedItemIndex].status = 'sold';
+            item.status = 'sold';
         }
         
     } else if (saleType === 'custom') {
@@ -9312,7 +13521,6 @@ function handleAddSale(e) {
             discount: listedPrice - (salePrice + commissionAmount), // Total customer pays vs list price
             discountPercent: listedPrice > 0 ? ((listedPrice - (salePrice + commissionAmount)) / listedPrice * 100).toFixed(1) : 0,
             dateSold: dateSold,
-            itemIndex: null, // No inventory item
             saleType: 'custom',
             saleChannel: saleChannel || 'individual',
             description: description,
@@ -9335,13 +13543,16 @@ function handleAddSale(e) {
             discount: listedPrice - (salePrice + commissionAmount), // Total customer pays vs list price
             discountPercent: listedPrice > 0 ? ((listedPrice - (salePrice + commissionAmount)) / listedPrice * 100).toFixed(1) : 0,
             dateSold: dateSold,
-            itemIndex: null,
             saleType: 'general',
             saleChannel: saleChannel || 'individual',
             notes: notes
         };
     }
     
+    if (!validateFormRecord('addSaleForm', 'sales', newSale)) {
+        return;
+    }
+    
     sales.push(newSale);
     
     saveData();
@@ -9398,13 +13609,15 @@ function populateCustomerSelect(selectId) {
     }
 }
 
-function populateItemSelect(selectId) {
+// Lists the items still for sale, plus `keepItemId` (the item a sale being
+// edited already sold)
+function populateItemSelect(selectId, keepItemId) {
     const select = document.getElementById(selectId);
     select.innerHTML = '<option value="">Select Item</option>';
-    inventory.forEach((item, index) => {
-        if (item.status !== 'sold') {
+    inventory.forEach(item => {
+        if (item.status !== 'sold' || item.id === keepItemId) {
             const option = document.createElement('option');
-            option.value = index;
+            option.value = item.id;
             const customerDisplay = item.customer || 'No Customer';
             option.textContent = `${item.name} - ${customerDisplay} (${item.status})`;
             select.appendChild(option);
@@ -9413,13 +13626,17 @@ function populateItemSelect(selectId) {
 }
 
 function updateLocationFilters() {
-    const locations = [...new Set([...inventory.map(item => item.location), ...customers.map(customer => customer.location)])];
+    const names = [...new Set([
+        ...locations.map(location => location.name),
+        ...inventory.map(item => item.location),
+        ...customers.map(customer => customer.location)
+    ].filter(Boolean))];
     
     const locationFilters = document.querySelectorAll('#locationFilter, #reportLocationFilter');
     locationFilters.forEach(filter => {
         const currentValue = filter.value;
         filter.innerHTML = '<option value="">All Locations</option>';
-        locations.forEach(location => {
+        names.forEach(location => {
             const option = document.createElement('option');
             option.value = location;
             option.textContent = location;
@@ -9449,6 +13666,7 @@ function updateCustomerFilters() {
 function filterItems() {
     // For now, just reload the table with current filters
     // The grouping will handle the filtering logic
+    currentPage = 1;
     loadInventoryTable();
     
     // Apply filters by hiding/showing customer groups
@@ -9516,14 +13734,14 @@ function quickStatusChange(index, newStatus) {
     // Store expanded customer groups before updating
     const expandedCustomers = getCurrentlyExpandedCustomerGroups();
     
-    inventory[index].status = newStatus;
+    const warning = setProjectStatus(inventory[index], newStatus);
     saveData();
     loadInventoryTable();
     
     // Restore expanded customer groups after reload
     restoreExpandedCustomerGroups(expandedCustomers);
     
-    showNotification(`Item status changed to ${statusNames[newStatus]}!`, 'success');
+    showStatusWarning(warning, `Item status changed to ${statusNames[newStatus]}!`);
 }
 
 function markAsCompleted(index) {
@@ -9531,7 +13749,7 @@ function markAsCompleted(index) {
         // Store expanded customer groups before updating
         const expandedCustomers = getCurrentlyExpandedCustomerGroups();
         
-        inventory[index].status = 'completed';
+        const warning = setProjectStatus(inventory[index], 'completed');
         inventory[index].dateCompleted = new Date().toISOString();
         saveData();
         loadInventoryTable();
@@ -9540,7 +13758,7 @@ function markAsCompleted(index) {
         // Restore expanded customer groups after reload
         restoreExpandedCustomerGroups(expandedCustomers);
         
-        showNotification('Item marked as completed!', 'success');
+        showStatusWarning(warning, 'Item marked as completed!');
     }
 }
 
@@ -9623,6 +13841,9 @@ async function deleteItem(itemIdOrIndex) {
     if (!await requireAuthentication('delete this item')) {
         return;
     }
+    if (!requirePermission('records:delete', 'delete items')) {
+        return;
+    }
     
     console.log('🗑️ Delete item function called with ID/Index:', itemIdOrIndex);
     
@@ -9653,7 +13874,9 @@ async function proceedWithDeletion(itemIdOrIndex) {
     // Handle both ID and index parameters
     let itemRemoved = false;
     if (typeof itemIdOrIndex === 'string' || typeof itemIdOrIndex === 'number' && itemIdOrIndex > 1000) {
-        // It's an ID (string or large number)
+        // It's an ID (string or large number); a record only listed so far is fetched
+        // first, or there'd be no acknowledged copy to queue the delete against
+        await loadRecord('inventory', itemIdOrIndex);
         const beforeCount = inventory.length;
         inventory = inventory.filter(item => item.id !== itemIdOrIndex);
         itemRemoved = inventory.length < beforeCount;
@@ -9693,15 +13916,16 @@ async function proceedWithDeletion(itemIdOrIndex) {
     }
 }
 
-async function copyItem(index) {
+async function copyItem(itemIdOrIndex) {
     // Require authentication
     if (!await requireAuthentication('copy this item')) {
         return;
     }
     
     try {
-        console.log('copyItem called with index:', index); // Debug log
+        console.log('copyItem called with ID/Index:', itemIdOrIndex); // Debug log
         
+        const index = await inventoryIndex(itemIdOrIndex);
         if (!inventory || index < 0 || index >= inventory.length) {
             console.error('Invalid index or inventory array:', index, inventory);
             showNotification('Error: Invalid item to copy', 'error');
@@ -9717,8 +13941,8 @@ async function copyItem(index) {
             return;
         }
         
-        // Create a copy with reset status and without MongoDB _id
-        const { _id, ...itemWithoutId } = originalItem;
+        // Create a copy with reset status and without the original's ids or used-up materials
+        const { _id, id, materialsUsedAt, ...itemWithoutId } = originalItem;
         const copiedItem = {
             ...itemWithoutId,
             name: originalItem.name, // Keep original name
@@ -9804,9 +14028,10 @@ async function copyCurrentItem() {
     // Store expanded customer groups before copying
     const expandedCustomers = getCurrentlyExpandedCustomerGroups();
     
-    // Create a copy with reset status
+    // Create a copy with reset status and without the original's ids
+    const { _id, id, ...currentItemWithoutId } = currentItem;
     const copiedItem = {
-        ...currentItem,
+        ...currentItemWithoutId,
         name: currentItem.name, // Keep original name
         type: currentItem.type || 'inventory', // Ensure type is preserved
         status: currentItem.type === 'inventory' ? 'available' : 'pending', // Use appropriate status based on type
@@ -9906,46 +14131,84 @@ async function deleteCustomer(customerIdOrIndex) {
     if (!await requireAuthentication('delete this customer')) {
         return;
     }
+    if (!requirePermission('records:delete', 'delete customers')) {
+        return;
+    }
+    
+    // Handle both ID and index parameters
+    let customer;
+    if (typeof customerIdOrIndex === 'string' || (typeof customerIdOrIndex === 'number' && customerIdOrIndex > 1000)) {
+        // It's an ID (string or large number)
+        customer = customers.find(c => c.id === customerIdOrIndex);
+    } else {
+        // It's an index (small number)
+        customer = customers[parseInt(customerIdOrIndex)];
+    }
+    if (!customer) {
+        return;
+    }
+    
+    // Open projects need another customer before this one can go
+    if (openProjectsFor(customer).length > 0) {
+        openReassignCustomerModal(customer);
+        return;
+    }
     
     showConfirmModal(
         'Delete Customer',
-        'Are you sure you want to delete this customer? This will also delete all associated items.',
-        () => {
-        let customerName;
-        let customerRemoved = false;
-        
-        // Handle both ID and index parameters
-        if (typeof customerIdOrIndex === 'string' || (typeof customerIdOrIndex === 'number' && customerIdOrIndex > 1000)) {
-            // It's an ID (string or large number)
-            const customer = customers.find(c => c.id === customerIdOrIndex);
-            if (customer) {
-                customerName = customer.name;
-                customers = customers.filter(c => c.id !== customerIdOrIndex);
-                customerRemoved = true;
-            }
-        } else {
-            // It's an index (small number)
-            const index = parseInt(customerIdOrIndex);
-            if (index >= 0 && index < customers.length) {
-                customerName = customers[index].name;
-                customers.splice(index, 1);
-                customerRemoved = true;
-            }
-        }
-        
-        if (customerRemoved && customerName) {
-            inventory = inventory.filter(item => item.customer !== customerName);
-            sales = sales.filter(sale => sale.customer !== customerName);
-            saveData();
-            loadCustomersCards(); // Fixed: use Cards instead of Table
-            loadInventoryTable();
-            loadSalesTable();
-            showNotification('Customer and associated data deleted!', 'success');
-        }
-    }
+        `Are you sure you want to delete ${customer.name}? Their finished projects, sales and invoices keep the name but are no longer linked to a customer.`,
+        () => removeCustomer(customer)
     );
 }
 
+// The server moves (or unlinks) the customer's records when the delete reaches it
+function removeCustomer(customer, reassignTo) {
+    if (reassignTo) {
+        customerReassignments.set(customer.id, reassignTo.id);
+    }
+    customers = customers.filter(c => c.id !== customer.id);
+    saveData();
+    loadCustomersCards();
+    showNotification(reassignTo
+        ? `${customer.name} deleted - their projects now belong to ${reassignTo.name}`
+        : `${customer.name} deleted`, 'success');
+}
+
+function openReassignCustomerModal(customer) {
+    const projects = openProjectsFor(customer);
+    const others = customers.filter(c => c.id !== customer.id);
+    if (others.length === 0) {
+        showNotification(`${customer.name} has open projects - add the customer taking them over first`, 'warning');
+        return;
+    }
+    
+    document.getElementById('reassignCustomerMessage').textContent =
+        `${customer.name} has ${projects.length} open project(s): ${projects.map(p => p.name).join(', ')}. ` +
+        'Choose the customer who takes over their projects, sales and invoices.';
+    const select = document.getElementById('reassignCustomerSelect');
+    select.innerHTML = '';
+    others.forEach(other => {
+        const option = document.createElement('option');
+        option.value = other.id;
+        option.textContent = other.name;
+        select.appendChild(option);
+    });
+    
+    const modal = document.getElementById('reassignCustomerModal');
+    modal.dataset.customerId = customer.id;
+    modal.style.display = 'block';
+}
+
+function confirmReassignCustomer() {
+    const modal = document.getElementById('reassignCustomerModal');
+    const customer = customers.find(c => c.id === modal.dataset.customerId);
+    const target = customers.find(c => c.id === document.getElementById('reassignCustomerSelect').value);
+    closeModal('reassignCustomerModal');
+    if (customer && target) {
+        removeCustomer(customer, target);
+    }
+}
+
 function printCustomerList() {
     // Create a new window for printing
     const printWindow = window.open('', '_blank');
@@ -10040,8 +14303,8 @@ function printCustomerList() {
     
     // Add customer data with calculated stats
     customers.forEach(customer => {
-        const customerItems = inventory.filter(item => item.customer === customer.name);
-        const customerSales = sales.filter(sale => sale.customer === customer.name);
+        const customerItems = inventory.filter(item => belongsToCustomer(item, customer));
+        const customerSales = sales.filter(sale => belongsToCustomer(sale, customer));
         const totalSpent = customerSales.reduce((sum, sale) => sum + parseFloat(sale.price), 0);
         
         printContent += `
@@ -10082,8 +14345,8 @@ function exportCustomerList() {
     let csvContent = "Name,Contact,Location,Items,Total Spent\n";
     
     customers.forEach(customer => {
-        const customerItems = inventory.filter(item => item.customer === customer.name);
-        const customerSales = sales.filter(sale => sale.customer === customer.name);
+        const customerItems = inventory.filter(item => belongsToCustomer(item, customer));
+        const customerSales = sales.filter(sale => belongsToCustomer(sale, customer));
         const totalSpent = customerSales.reduce((sum, sale) => sum + parseFloat(sale.price), 0);
         
         csvContent += `"${customer.name}","${customer.contact || ''}","${customer.location}","${customerItems.length}","${totalSpent.toFixed(2)}"\n`;
@@ -10126,8 +14389,9 @@ async function editSale(index) {
     // Handle sale type specific fields
     toggleEditSaleItemType();
     
-    if (sale.saleType === 'inventory' && sale.itemIndex !== null) {
-        document.getElementById('editSaleItem').value = sale.itemIndex;
+    if (sale.saleType === 'inventory' && sale.itemId) {
+        populateItemSelect('editSaleItem', sale.itemId);
+        document.getElementById('editSaleItem').value = sale.itemId;
     } else if (sale.saleType === 'custom') {
         document.getElementById('editCustomItemName').value = sale.itemName || '';
         document.getElementById('editCustomItemDescription').value = sale.description || '';
@@ -10162,8 +14426,7 @@ function handleEditSale(e) {
     const commissionAmount = (listedPrice * commission / 100);
     const netAmount = salePrice; // salePrice is now the net amount (what you receive)
     
-    // Update the sale record
-    sales[index] = {
+    const updatedSale = {
         ...sales[index],
         saleType: saleType,
         saleChannel: saleChannel || 'individual',
@@ -10181,20 +14444,28 @@ function handleEditSale(e) {
     
     // Handle sale type specific fields
     if (saleType === 'inventory') {
-        const selectedItemIndex = document.getElementById('editSaleItem').value;
-        if (selectedItemIndex) {
-            sales[index].itemIndex = selectedItemIndex;
-            sales[index].itemName = inventory[selectedItemIndex]?.name || 'Inventory Item';
-            sales[index].location = inventory[selectedItemIndex]?.location || '';
+        const selectedItemId = document.getElementById('editSaleItem').value;
+        const item = inventory.find(i => i.id === selectedItemId);
+        if (item) {
+            updatedSale.itemId = item.id;
+            updatedSale.itemName = item.name || 'Inventory Item';
+            updatedSale.location = item.location || '';
         }
     } else if (saleType === 'custom') {
         const itemName = document.getElementById('editCustomItemName').value.trim() || 'Custom Item';
         const description = document.getElementById('editCustomItemDescription').value.trim();
-        sales[index].itemName = itemName;
-        sales[index].description = description;
-        sales[index].itemIndex = null;
+        updatedSale.itemName = itemName;
+        updatedSale.description = description;
+        delete updatedSale.itemId;
+    }
+    
+    if (!validateFormRecord('editSaleForm', 'sales', updatedSale)) {
+        return;
     }
     
+    // Update the sale record
+    sales[index] = updatedSale;
+    
     saveData();
     loadSalesTable();
     closeModal('editSaleModal');
@@ -10207,6 +14478,9 @@ async function deleteSale(saleIdOrIndex) {
     if (!await requireAuthentication('delete this sale')) {
         return;
     }
+    if (!requirePermission('records:delete', 'delete sales')) {
+        return;
+    }
     
     showConfirmModal(
         'Delete Sale',
@@ -10259,6 +14533,10 @@ function updateDashboardStats() {
     document.getElementById('activeCustomers').textContent = activeCustomers;
     document.getElementById('avgProjectValue').textContent = `$${avgProjectValue.toFixed(2)}`;
     document.getElementById('completionRate').textContent = `${completionRate.toFixed(1)}%`;
+    
+    const lowStock = findLowStockSupplies();
+    document.getElementById('lowStockSupplies').textContent = lowStock.length;
+    renderLowStockAlerts(lowStock);
 }
 
 function updateReportFilters() {
@@ -10413,6 +14691,20 @@ function generateFinancialReport() {
     const reportContent = document.getElementById('reportContent');
     const filters = getReportFilters();
     const filteredData = getFilteredData(filters);
+    const { startDate, endDate } = getReportDateRange(filters) || {};
+    const spending = supplySpending(startDate, endDate);
+    const asOf = reportValuationDate(filters);
+    const stockValue = stockValuation(asOf).reduce((sum, entry) => sum + entry.value, 0);
+    const materialCost = filteredData.items
+        .filter(item => item.materialsUsedAt)
+        .reduce((sum, project) => sum + projectMaterialCost(project), 0);
+    // Finished projects, least profitable first
+    const rates = businessSettings();
+    const finished = filteredData.items
+        .filter(item => item.type === 'project' && (item.status === 'completed' || item.status === 'sold'))
+        .map(project => ({ project, costing: projectCosting(project, rates) }))
+        .sort((a, b) => (a.costing.marginPercent ?? Infinity) - (b.costing.marginPercent ?? Infinity));
+    const projectCostingTotal = totalProjectCosting(finished.map(entry => entry.project), rates);
     
     reportContent.innerHTML = `
         <div class="financial-report">
@@ -10430,8 +14722,57 @@ function generateFinancialReport() {
                     <div class="stat-number">${filteredData.completedProjects}</div>
                     <div class="stat-label">Completed Projects</div>
                 </div>
+                <div class="stat-card">
+                    <div class="stat-number">$${spending.total.toFixed(2)}</div>
+                    <div class="stat-label">Supply Spending</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">$${materialCost.toFixed(2)}</div>
+                    <div class="stat-label">Materials Used (at cost)</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">$${stockValue.toFixed(2)}</div>
+                    <div class="stat-label">Stock Value ${asOf ? `on ${asOf.toLocaleDateString()}` : 'Now'}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${formatMoney(projectCostingTotal.margin)}</div>
+                    <div class="stat-label">Gross Margin${projectCostingTotal.marginPercent !== null ? ` (${projectCostingTotal.marginPercent.toFixed(1)}%)` : ''}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${projectCostingTotal.hourlyWage !== null ? `${formatMoney(projectCostingTotal.hourlyWage)}/h` : '-'}</div>
+                    <div class="stat-label">Effective Hourly Wage</div>
+                </div>
             </div>
             
+            <h3>Project Costing</h3>
+            <p class="text-muted">Completed and sold projects: materials at cost, time at ${formatMoney(parseFloat(rates.hourlyRate) || 0)}/h and overhead at ${formatMoney(parseFloat(rates.overheadRate) || 0)}/h (set under Business Settings).</p>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Project</th>
+                        <th>Price</th>
+                        <th>Materials</th>
+                        <th>Time</th>
+                        <th>Overhead</th>
+                        <th>Gross Margin</th>
+                        <th>Hourly Wage</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${finished.map(({ project, costing }) => `
+                        <tr>
+                            <td>${SecurityManager.escapeHtml(project.name || project.description || 'Untitled project')}</td>
+                            <td>${formatMoney(costing.revenue)}</td>
+                            <td>${formatMoney(costing.materials)}</td>
+                            <td>${formatHours(costing.hours)} (${formatMoney(costing.labor)})</td>
+                            <td>${formatMoney(costing.overhead)}</td>
+                            <td class="${costing.margin < 0 ? 'costing-loss' : ''}">${formatMoney(costing.margin)}${costing.marginPercent !== null ? ` (${costing.marginPercent.toFixed(1)}%)` : ''}</td>
+                            <td class="${costing.hourlyWage !== null && costing.hourlyWage < (parseFloat(rates.hourlyRate) || 0) ? 'costing-loss' : ''}">${costing.hourlyWage !== null ? `${formatMoney(costing.hourlyWage)}/h` : '-'}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="7">No completed projects in this period</td></tr>'}
+                </tbody>
+            </table>
+            
             <h3>Revenue by Status</h3>
             <table class="report-table">
                 <thead>
@@ -10446,6 +14787,24 @@ function generateFinancialReport() {
                     ${generateRevenueByStatus(filteredData.items)}
                 </tbody>
             </table>
+            
+            <h3>Supply Spending by Supplier</h3>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Supplier</th>
+                        <th>Received</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Array.from(spending.bySupplier.entries()).sort((a, b) => b[1] - a[1]).map(([supplier, total]) => `
+                        <tr>
+                            <td>${SecurityManager.escapeHtml(supplier)}</td>
+                            <td>$${total.toFixed(2)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="2">No purchase orders received in this period</td></tr>'}
+                </tbody>
+            </table>
         </div>
     `;
 }
@@ -10535,12 +14894,23 @@ function generateInventoryReport() {
     const reportContent = document.getElementById('reportContent');
     const filters = getReportFilters();
     const filteredData = getFilteredData(filters);
+    // What the supplies cost when the projects took them out of stock
+    const materialCosts = new Map();
+    filteredData.items.filter(item => item.materialsUsedAt).forEach(project => {
+        projectMaterialCosts(project).forEach((cost, itemId) => materialCosts.set(itemId, (materialCosts.get(itemId) || 0) + cost));
+    });
+    const materialsUsed = Array.from(supplyUse(filteredData.items))
+        .map(([itemId, used]) => ({ supply: supplyById(itemId), used }))
+        .filter(({ supply }) => supply)
+        .map(entry => ({ ...entry, cost: materialCosts.get(entry.supply.id) || 0 }));
+    const yarnTotal = totalYarnAmounts(filteredData.items);
     
     reportContent.innerHTML = `
         <div class="inventory-report">
             <h2>📦 Inventory Status Report</h2>
             <div class="inventory-summary">
                 <p><strong>Total Items:</strong> ${filteredData.items.length}</p>
+                ${yarnTotal ? `<p><strong>Yarn:</strong> ${yarnTotal}</p>` : ''}
                 <p><strong>Location:</strong> ${filters.location || 'All Locations'}</p>
                 <p><strong>Status:</strong> ${filters.status || 'All Status'}</p>
                 <p><strong>Generated:</strong> ${new Date().toLocaleDateString()}</p>
@@ -10572,6 +14942,71 @@ function generateInventoryReport() {
                     `).join('')}
                 </tbody>
             </table>
+            ${materialsUsed.length > 0 ? `
+            <h3>Materials Used</h3>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Supply</th>
+                        <th>Used</th>
+                        <th>Cost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${materialsUsed.map(({ supply, used, cost }) => `
+                        <tr>
+                            <td>${SecurityManager.escapeHtml(supplyLabel(supply))}</td>
+                            <td>${formatStockQuantity(used, supply)}</td>
+                            <td>$${cost.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Every supply's stock and what it's worth at cost, at the end of the report
+// period (for year-end inventory value)
+function generateStockValuationReport() {
+    const reportContent = document.getElementById('reportContent');
+    const asOf = reportValuationDate(getReportFilters());
+    const entries = stockValuation(asOf)
+        .filter(entry => entry.quantity !== 0)
+        .sort((a, b) => b.value - a.value);
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+    
+    reportContent.innerHTML = `
+        <div class="inventory-report">
+            <h2>🧮 Stock Valuation</h2>
+            <div class="inventory-summary">
+                <p><strong>Stock value:</strong> $${total.toFixed(2)}</p>
+                <p><strong>As of:</strong> ${asOf ? asOf.toLocaleDateString() : 'Now'}</p>
+                <p><strong>Costing method:</strong> ${COSTING_METHODS[costingMethod()]}</p>
+                <p><strong>Generated:</strong> ${new Date().toLocaleDateString()}</p>
+            </div>
+            
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Supply</th>
+                        <th>In Stock</th>
+                        <th>Unit Cost</th>
+                        <th>Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(({ supply, quantity, unitCost, value }) => `
+                        <tr>
+                            <td>${SecurityManager.escapeHtml(supplyLabel(supply))}</td>
+                            <td>${formatStockQuantity(quantity, supply)}</td>
+                            <td>$${unitCost.toFixed(2)}</td>
+                            <td>$${value.toFixed(2)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="4">No supplies in stock on this date</td></tr>'}
+                </tbody>
+            </table>
         </div>
     `;
 }
@@ -10594,6 +15029,56 @@ function getReportFilters() {
     return { location, status, dateFilter, startDate, endDate, dateRange };
 }
 
+// { startDate, endDate } picked in the report filters, or null for all time
+function getReportDateRange(filters) {
+    if (!filters.dateFilter && !(filters.startDate && filters.endDate)) {
+        return null;
+    }
+    const now = new Date();
+    let startDate, endDate;
+    
+    if (filters.dateFilter) {
+        switch (filters.dateFilter) {
+            case 'today':
+                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+                endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+                break;
+            case 'week':
+                startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+                endDate = now;
+                break;
+            case 'month':
+                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+                endDate = now;
+                break;
+            case 'quarter':
+                const quarter = Math.floor(now.getMonth() / 3);
+                startDate = new Date(now.getFullYear(), quarter * 3, 1);
+                endDate = now;
+                break;
+            case 'year':
+                startDate = new Date(now.getFullYear(), 0, 1);
+                endDate = now;
+                break;
+        }
+    } else {
+        startDate = new Date(filters.startDate);
+        endDate = new Date(filters.endDate);
+    }
+    
+    return { startDate, endDate };
+}
+
+// The end of the report period, to value stock at (null: now). A picked end
+// date counts to the end of that day.
+function reportValuationDate(filters) {
+    if (!filters.dateFilter && filters.endDate) {
+        return new Date(`${filters.endDate}T23:59:59.999`);
+    }
+    const range = getReportDateRange(filters);
+    return range ? range.endDate : null;
+}
+
 function getFilteredData(filters) {
     let filteredItems = [...inventory];
     
@@ -10608,39 +15093,9 @@ function getFilteredData(filters) {
     }
     
     // Apply date filter
-    if (filters.dateFilter || (filters.startDate && filters.endDate)) {
-        const now = new Date();
-        let startDate, endDate;
-        
-        if (filters.dateFilter) {
-            switch (filters.dateFilter) {
-                case 'today':
-                    startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                    endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-                    break;
-                case 'week':
-                    startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                    endDate = now;
-                    break;
-                case 'month':
-                    startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                    endDate = now;
-                    break;
-                case 'quarter':
-                    const quarter = Math.floor(now.getMonth() / 3);
-                    startDate = new Date(now.getFullYear(), quarter * 3, 1);
-                    endDate = now;
-                    break;
-                case 'year':
-                    startDate = new Date(now.getFullYear(), 0, 1);
-                    endDate = now;
-                    break;
-            }
-        } else {
-            startDate = new Date(filters.startDate);
-            endDate = new Date(filters.endDate);
-        }
-        
+    const dateRange = getReportDateRange(filters);
+    if (dateRange) {
+        const { startDate, endDate } = dateRange;
         filteredItems = filteredItems.filter(item => {
             const itemDate = new Date(item.dateAdded);
             return itemDate >= startDate && itemDate <= endDate;
@@ -10936,6 +15391,7 @@ function printCurrentReport() {
                         .status-sold { background-color: #f8d7da; color: #721c24; }
                         @media print { 
                             body { margin: 0; }
+                            .no-print { display: none; }
                             .inventory-summary { 
                                 flex-direction: column; 
                                 gap: 5px;
@@ -11029,40 +15485,76 @@ window.onclick = function(event) {
 }
 
 // Work In Progress Management
-function loadWIPTab() {
+const WIP_STATUSES = ['pending', 'in-progress', 'work-in-progress'];
+let wipQueryId = 0;
+
+async function loadWIPTab() {
     // Always update WIP tab content when called
     console.log('🔄 Loading WIP tab content');
     
-    const wipItems = inventory.filter(item => 
-        item.status === 'pending' || 
-        item.status === 'in-progress' || 
-        item.status === 'work-in-progress'
-    );
+    const searchTerm = document.getElementById('wipSearch')?.value.trim() || '';
+    const statusFilter = document.getElementById('wipStatusFilter')?.value || '';
+    const priorityFilter = document.getElementById('wipPriorityFilter')?.value || '';
+    const queryId = ++wipQueryId;
+    
+    const params = { status: statusFilter || WIP_STATUSES, q: searchTerm };
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000 - 1);
+    const completedParams = {
+        status: ['completed', 'sold'],
+        from: startOfDay.toISOString(),
+        to: endOfDay.toISOString()
+    };
+    
+    let wipItems;
+    let completedToday;
+    try {
+        if (!canQueryServer()) {
+            throw new Error('Not connected');
+        }
+        const [wipPage, completedPage] = await Promise.all([
+            fetchRecordPage('inventory', {
+                ...params,
+                fields: 'name,status,description,customer,location,price,priority,dateAdded'
+            }),
+            fetchRecordPage('inventory', { ...completedParams, fields: 'id', limit: 1 })
+        ]);
+        if (queryId !== wipQueryId) {
+            return; // A newer load has started
+        }
+        wipItems = withLocalCopies(wipPage.records);
+        completedToday = completedPage.total;
+    } catch (error) {
+        console.log('📦 Filtering WIP items locally:', error.message);
+        wipItems = inventory.filter(item => matchesListQuery('inventory', item, params));
+        completedToday = inventory.filter(item => matchesListQuery('inventory', item, completedParams)).length;
+    }
+    
+    // Items without a priority count as medium, which the server can't match exactly
+    if (priorityFilter) {
+        wipItems = wipItems.filter(item => (item.priority || 'medium') === priorityFilter);
+    }
     
     console.log('🔍 WIP Items found:', wipItems.length);
-    console.log('📋 WIP Items details:', wipItems.map(item => ({
-        name: item.name,
-        status: item.status,
-        index: inventory.indexOf(item)
-    })));
     
-    updateWIPStats(wipItems);
+    updateWIPStats(wipItems, completedToday);
     loadWIPGrid(wipItems);
-    
-    // Desktop table loaded
 }
 
-function updateWIPStats(wipItems) {
+function updateWIPStats(wipItems, completedToday) {
     const wipCount = wipItems.filter(item => 
         item.status === 'in-progress' || item.status === 'work-in-progress'
     ).length;
     const pendingCount = wipItems.filter(item => item.status === 'pending').length;
-    const completedToday = inventory.filter(item => {
-        if (item.status !== 'completed' && item.status !== 'sold') return false;
-        const today = new Date().toDateString();
-        const itemDate = new Date(item.dateAdded).toDateString();
-        return itemDate === today;
-    }).length;
+    if (completedToday === undefined) {
+        completedToday = inventory.filter(item => {
+            if (item.status !== 'completed' && item.status !== 'sold') return false;
+            const today = new Date().toDateString();
+            const itemDate = new Date(item.dateAdded).toDateString();
+            return itemDate === today;
+        }).length;
+    }
     
     // Update the stats display
     const wipCountEl = document.getElementById('wipCount');
@@ -11097,7 +15589,8 @@ function loadWIPGrid(wipItems) {
     }
     
     wipItems.forEach((item, index) => {
-        const originalIndex = inventory.indexOf(item);
+        // Cards pass the id: an item only listed so far is fetched when it's opened
+        const itemId = SecurityManager.escapeHtml(String(item.id));
         const priority = item.priority || 'medium';
         const daysInProgress = item.dateAdded ? 
             Math.floor((new Date() - new Date(item.dateAdded)) / (1000 * 60 * 60 * 24)) : 0;
@@ -11105,7 +15598,7 @@ function loadWIPGrid(wipItems) {
         console.log(`🔄 WIP Item ${index}:`, {
             name: item.name,
             status: item.status,
-            originalIndex: originalIndex
+            id: item.id
         });
         
         const wipItem = document.createElement('div');
@@ -11136,10 +15629,10 @@ function loadWIPGrid(wipItems) {
                     </div>
                 </div>
                 <div class="wip-item-actions">
-                    <button class="btn btn-primary" onclick="editWIPItem(${originalIndex})">
+                    <button class="btn btn-primary" data-item-id="${itemId}" onclick="editWIPItem(this.dataset.itemId)">
                         <i class="fas fa-edit"></i> Edit
                     </button>
-                    <button class="btn btn-info" onclick="updateWIPStatus(${originalIndex})">
+                    <button class="btn btn-info" data-item-id="${itemId}" onclick="updateWIPStatus(this.dataset.itemId)">
                         <i class="fas fa-arrow-right"></i> Update Status
                     </button>
                 </div>
@@ -11150,34 +15643,7 @@ function loadWIPGrid(wipItems) {
 }
 
 function filterWIP() {
-    const searchTerm = document.getElementById('wipSearch').value.toLowerCase();
-    const statusFilter = document.getElementById('wipStatusFilter').value;
-    const priorityFilter = document.getElementById('wipPriorityFilter').value;
-    
-    let filteredItems = inventory.filter(item => 
-        item.status === 'pending' || 
-        item.status === 'in-progress' || 
-        item.status === 'work-in-progress'
-    );
-    
-    if (searchTerm) {
-        filteredItems = filteredItems.filter(item => 
-            item.name.toLowerCase().includes(searchTerm) ||
-            (item.customer && item.customer.toLowerCase().includes(searchTerm)) ||
-            (item.description && item.description.toLowerCase().includes(searchTerm))
-        );
-    }
-    
-    if (statusFilter) {
-        filteredItems = filteredItems.filter(item => item.status === statusFilter);
-    }
-    
-    if (priorityFilter) {
-        filteredItems = filteredItems.filter(item => (item.priority || 'medium') === priorityFilter);
-    }
-    
-    updateWIPStats(filteredItems);
-    loadWIPGrid(filteredItems);
+    loadWIPTab();
 }
 
 function markAllWIPComplete() {
@@ -11191,20 +15657,22 @@ function markAllWIPComplete() {
     }
     
     if (confirm(`Mark all ${wipItems.length} work in progress items as completed?`)) {
-        wipItems.forEach(item => {
-            item.status = 'completed';
-        });
+        const warnings = wipItems.map(item => setProjectStatus(item, 'completed')).filter(Boolean);
         saveData();
         loadWIPTab();
         loadInventoryTable();
-        showNotification(`Marked ${wipItems.length} items as completed!`, 'success');
+        showStatusWarning(warnings.join('. '), `Marked ${wipItems.length} items as completed!`);
     }
 }
 
-function updateWIPStatus(index) {
-    console.log('🔄 updateWIPStatus called with index:', index);
+async function updateWIPStatus(itemIdOrIndex) {
+    console.log('🔄 updateWIPStatus called with ID/Index:', itemIdOrIndex);
     
-    const item = inventory[index];
+    const item = inventory[await inventoryIndex(itemIdOrIndex)];
+    if (!item) {
+        showNotification('Item not found', 'error');
+        return;
+    }
     const currentStatus = item.status;
     
     console.log('📝 Current item:', item);
@@ -11226,7 +15694,7 @@ function updateWIPStatus(index) {
         // Store expanded customer groups before updating
         const expandedCustomers = getCurrentlyExpandedCustomerGroups();
         
-        item.status = newStatus;
+        const warning = setProjectStatus(item, newStatus);
         console.log('✅ Item status updated to:', item.status);
         
         saveData();
@@ -11241,7 +15709,7 @@ function updateWIPStatus(index) {
         // Restore expanded customer groups after reload
         restoreExpandedCustomerGroups(expandedCustomers);
         
-        showNotification(`Item marked as ${newStatus.replace('-', ' ')}!`, 'success');
+        showStatusWarning(warning, `Item marked as ${newStatus.replace('-', ' ')}!`);
     }
 }
 
@@ -11267,7 +15735,7 @@ function loadGallery() {
         const photoElement = document.createElement('div');
         photoElement.className = 'gallery-item';
         photoElement.innerHTML = `
-            <img src="${photo.imageData}" alt="${photo.title || 'Gallery Item'}" class="gallery-item-image">
+            <img src="${getImageSource(photo, 'thumb')}" alt="${photo.title || 'Gallery Item'}" class="gallery-item-image">
             <div class="gallery-item-content">
                 <h3 class="gallery-item-title">${photo.title || 'Untitled'}</h3>
                 <p class="gallery-item-description">${photo.description || ''}</p>
@@ -11368,36 +15836,31 @@ async function handleAddPhoto(e) {
         return;
     }
     
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        try {
-            const newPhoto = {
-                title: document.getElementById('photoTitle').value,
-                description: document.getElementById('photoDescription').value,
-                status: 'completed', // Default status since field removed
-                relatedItem: '', // Field removed
-                imageData: e.target.result,
-                dateAdded: new Date().toISOString()
-            };
-            
-            gallery.push(newPhoto);
-            await saveData();
-            loadGallery();
-            closeModal('addPhotoModal');
-            
-            showNotification('Photo added to gallery!', 'success');
-        } catch (error) {
-            console.error('Error processing gallery photo:', error);
-            showNotification('Error processing photo. Please try again.', 'error');
+    try {
+        const newPhoto = {
+            title: document.getElementById('photoTitle').value,
+            description: document.getElementById('photoDescription').value,
+            status: 'completed', // Default status since field removed
+            relatedItem: '', // Field removed
+            dateAdded: new Date().toISOString()
+        };
+        
+        Object.assign(newPhoto, await storeImageFile(file));
+        
+        if (!validateFormRecord('addPhotoForm', 'gallery', newPhoto)) {
+            return;
         }
-    };
-    
-    reader.onerror = function(error) {
-        console.error('Error reading gallery photo file:', error);
-        showNotification('Error reading photo file. Please try again.', 'error');
-    };
-    
-    reader.readAsDataURL(file);
+        
+        gallery.push(newPhoto);
+        await saveData();
+        loadGallery();
+        closeModal('addPhotoModal');
+        
+        showNotification('Photo added to gallery!', 'success');
+    } catch (error) {
+        console.error('Error processing gallery photo:', error);
+        showNotification(error.status === 400 ? error.message : 'Error processing photo. Please try again.', 'error');
+    }
 }
 
 function filterGallery() {
@@ -11432,7 +15895,7 @@ function filterGallery() {
         const photoElement = document.createElement('div');
         photoElement.className = 'gallery-item';
         photoElement.innerHTML = `
-            <img src="${photo.imageData}" alt="${photo.title || 'Gallery Item'}" class="gallery-item-image">
+            <img src="${getImageSource(photo, 'thumb')}" alt="${photo.title || 'Gallery Item'}" class="gallery-item-image">
             <div class="gallery-item-content">
                 <h3 class="gallery-item-title">${photo.title || 'Untitled'}</h3>
                 <p class="gallery-item-description">${photo.description || ''}</p>
@@ -11466,7 +15929,7 @@ function viewGalleryItem(index) {
         <div class="modal-content" style="max-width: 800px;">
             <span class="close" onclick="this.closest('.modal').remove()">&times;</span>
             <h3>${photo.title || 'Gallery Item'}</h3>
-            ${photo.imageData ? `<img src="${photo.imageData}" alt="${photo.title || 'Gallery Item'}" style="width: 100%; max-height: 70vh; object-fit: contain;">` : ''}
+            ${getImageSource(photo) ? `<img src="${getImageSource(photo)}" alt="${photo.title || 'Gallery Item'}" style="width: 100%; max-height: 70vh; object-fit: contain;">` : ''}
             <div style="margin-top: 1rem;">
                 <p><strong>Category:</strong> ${photo.category || 'No category'}</p>
                 <p><strong>Status:</strong> ${photo.status || 'No status'}</p>
@@ -11487,6 +15950,10 @@ async function deleteGalleryItem(index) {
 }
 
 async function deletePhoto(photoIdOrIndex) {
+    if (!requirePermission('records:delete', 'delete photos')) {
+        return;
+    }
+    
     showConfirmModal(
         'Delete Photo',
         'Are you sure you want to delete this photo from the gallery?',
@@ -11547,7 +16014,7 @@ async function editPhoto(photoIdOrIndex) {
     document.getElementById('editPhotoNotes').value = photo.notes || '';
     
     // Display existing image if available
-    if (photo.imageData) {
+    if (getImageSource(photo)) {
         const imagePreview = document.getElementById('editPhoto_preview');
         if (imagePreview) {
             imagePreview.remove(); // Remove existing preview
@@ -11558,7 +16025,7 @@ async function editPhoto(photoIdOrIndex) {
         preview.id = 'editPhoto_preview';
         preview.style.cssText = 'margin-top: 10px; text-align: center;';
         preview.innerHTML = `
-            <img src="${photo.imageData}" alt="Current image" style="max-width: 200px; max-height: 200px; border-radius: 8px; border: 2px solid #ddd;">
+            <img src="${getImageSource(photo, 'thumb')}" alt="Current image" style="max-width: 200px; max-height: 200px; border-radius: 8px; border: 2px solid #ddd;">
             <p style="margin-top: 5px; font-size: 0.9em; color: #666;">Current image</p>
         `;
         
@@ -11607,42 +16074,36 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
+            const updates = {
+                title: document.getElementById('editPhotoTitle').value,
+                description: document.getElementById('editPhotoDescription').value,
+                category: '', // Field removed
+                status: 'completed', // Default status since field removed
+                notes: document.getElementById('editPhotoNotes').value,
+                lastModified: new Date().toISOString()
+            };
+            
+            if (!validateFormRecord('editPhotoForm', 'gallery', { ...photo, ...updates })) {
+                return;
+            }
+            
             // Update photo data
-            photo.title = document.getElementById('editPhotoTitle').value;
-            photo.description = document.getElementById('editPhotoDescription').value;
-            photo.category = ''; // Field removed
-            photo.status = 'completed'; // Default status since field removed
-            photo.notes = document.getElementById('editPhotoNotes').value;
-            photo.lastModified = new Date().toISOString();
+            Object.assign(photo, updates);
             
             // Handle new image if provided
             const imageFile = document.getElementById('editPhotoImage').files[0];
             if (imageFile) {
                 try {
-                    const reader = new FileReader();
-                    reader.onload = async function(e) {
-                        photo.imageData = e.target.result;
-                        await saveData();
-                        loadGallery();
-                        closeModal('editPhotoModal');
-                        showNotification('Photo updated successfully!', 'success');
-                    };
-                    reader.readAsDataURL(imageFile);
+                    setRecordImage(photo, await storeImageFile(imageFile));
                 } catch (error) {
                     console.error('Error processing new image:', error);
                     showNotification('Error processing new image. Photo updated without image change.', 'warning');
-                    await saveData();
-                    loadGallery();
-                    closeModal('editPhotoModal');
-                    showNotification('Photo updated successfully!', 'success');
                 }
-            } else {
-                // No new image, just save the changes
-                await saveData();
-                loadGallery();
-                closeModal('editPhotoModal');
-                showNotification('Photo updated successfully!', 'success');
             }
+            await saveData();
+            loadGallery();
+            closeModal('editPhotoModal');
+            showNotification('Photo updated successfully!', 'success');
             
             // Reset form
             this.reset();
@@ -11855,6 +16316,10 @@ async function handleAddIdea(event) {
         imageData: null
     };
     
+    if (!validateFormRecord('addIdeaForm', 'ideas', ideaData)) {
+        return;
+    }
+    
     if (isEditing) {
         // Update existing idea - preserve existing image data if no new image is provided
         const ideaIndex = ideas.findIndex(i => i.id === isEditing);
@@ -11893,67 +16358,21 @@ async function handleAddIdea(event) {
         
         // Process image on all devices (mobile and desktop)
         if (imageFile) {
-            // Desktop: use FileReader with improved error handling
-            const reader = new FileReader();
-            
-            // Add timeout to prevent hanging
-            const timeout = setTimeout(async () => {
-                console.log('🎯 Image processing timeout, saving without image...');
-                showNotification('Image processing timed out. Idea saved without image.', 'warning');
-                await saveData();
-                loadIdeasGrid();
-                closeModal('addIdeaModal');
-                showNotification(isEditing ? 'Idea updated successfully!' : 'Idea added successfully!', 'success');
-            }, 10000); // 10 second timeout
-            
-            reader.onload = async function(e) {
-                try {
-                    clearTimeout(timeout);
-                    
-                    // Validate the result
-                    if (!e.target.result || e.target.result.length === 0) {
-                        throw new Error('Empty image data');
-                    }
-                    
-                    if (isEditing) {
-                        const ideaIndex = ideas.findIndex(i => i.id === isEditing);
-                        if (ideaIndex !== -1) {
-                            ideas[ideaIndex].imageData = e.target.result;
-                        }
-                    } else {
-                        const lastIdeaIndex = ideas.length - 1;
-                        if (lastIdeaIndex >= 0) {
-                            ideas[lastIdeaIndex].imageData = e.target.result;
-                        }
-                    }
-                    
-                    console.log('🎯 Image processed successfully, saving data...');
-                    await saveData();
-                    loadIdeasGrid();
-                    closeModal('addIdeaModal');
-                    showNotification(isEditing ? 'Idea updated successfully!' : 'Idea added successfully!', 'success');
-                } catch (error) {
-                    clearTimeout(timeout);
-                    console.error('🎯 Error processing image data:', error);
-                    showNotification('Error processing image. Idea saved without image.', 'warning');
-                    await saveData();
-                    loadIdeasGrid();
-                    closeModal('addIdeaModal');
-                    showNotification(isEditing ? 'Idea updated successfully!' : 'Idea added successfully!', 'success');
+            const idea = isEditing ? ideas.find(i => i.id === isEditing) : ideas[ideas.length - 1];
+            try {
+                const image = await storeImageFile(imageFile);
+                if (idea) {
+                    setRecordImage(idea, image);
                 }
-            };
-            
-            reader.onerror = async function(error) {
-                clearTimeout(timeout);
-                console.error('🎯 Image processing failed:', error);
-                showNotification('Error reading image file. Idea saved without image.', 'warning');
-                await saveData();
-                loadIdeasGrid();
-                closeModal('addIdeaModal');
-                showNotification(isEditing ? 'Idea updated successfully!' : 'Idea added successfully!', 'success');
-            };
-            
-            reader.readAsDataURL(imageFile);
+                console.log('🎯 Image processed successfully, saving data...');
+            } catch (error) {
+                console.error('🎯 Error processing image data:', error);
+                showNotification('Error processing image. Idea saved without image.', 'warning');
+            }
+            await saveData();
+            loadIdeasGrid();
+            closeModal('addIdeaModal');
+            showNotification(isEditing ? 'Idea updated successfully!' : 'Idea added successfully!', 'success');
         } else {
             console.log('🎯 No image file, empty file, or file too large - saving data directly...');
             console.log('🎯 Image file details:', imageFile ? `name: ${imageFile.name}, size: ${imageFile.size}` : 'null');
@@ -12010,7 +16429,7 @@ function loadIdeasGrid() {
             displayCategory: idea.category,
             displayStatus: idea.status,
             displayPriority: idea.priority,
-            imageData: idea.imageData || idea.imageUrl,
+            imageData: getImageSource(idea, 'thumb'),
             editFunction: `editIdea('${idea.id}')`,
             deleteFunction: `deleteIdea('${idea.id}')`
         });
@@ -12018,8 +16437,8 @@ function loadIdeasGrid() {
     
     // Add inventory items with images
     inventory.forEach((item, index) => {
-        if (item.imageData || item.photo?.dataUrl) {
-            const imageData = item.imageData || item.photo?.dataUrl;
+        const imageData = getImageSource(item, 'thumb');
+        if (imageData) {
             allItems.push({
                 ...item,
                 type: 'inventory',
@@ -12148,8 +16567,8 @@ async function editIdea(ideaIdOrIndex) {
     document.getElementById('ideaNotes').value = idea.notes || '';
     
     // Display existing image if available
-    if (idea.imageData || idea.imageUrl) {
-        const imageData = idea.imageData || idea.imageUrl;
+    if (getImageSource(idea)) {
+        const imageData = getImageSource(idea, 'thumb');
         const imagePreview = document.getElementById('ideaImage_preview');
         if (imagePreview) {
             imagePreview.remove(); // Remove existing preview
@@ -12211,7 +16630,7 @@ function viewIdea(index) {
                 <strong>Description:</strong>
                 <p>${idea.description || 'No description available'}</p>
             </div>
-            ${idea.imageData ? `<img src="${idea.imageData}" alt="${idea.title}" style="width: 100%; max-height: 300px; object-fit: contain;">` : ''}
+            ${getImageSource(idea) ? `<img src="${getImageSource(idea)}" alt="${idea.title}" style="width: 100%; max-height: 300px; object-fit: contain;">` : ''}
         </div>
     `;
     document.body.appendChild(modal);
@@ -12252,6 +16671,9 @@ async function deleteIdea(ideaIdOrIndex) {
     if (!await requireAuthentication('delete this idea')) {
         return;
     }
+    if (!requirePermission('records:delete', 'delete ideas')) {
+        return;
+    }
     
     console.log('🗑️ deleteIdea called with ID/Index:', ideaIdOrIndex);
     console.log('🗑️ Current ideas count before delete:', ideas.length);
@@ -12316,7 +16738,7 @@ async function deleteIdea(ideaIdOrIndex) {
 
 function viewIdeaImage(ideaId) {
     const idea = ideas.find(i => i.id === ideaId);
-    if (idea && (idea.imageData || idea.imageUrl)) {
+    if (idea && getImageSource(idea)) {
         // Create a modal to view the image
         const modal = document.createElement('div');
         modal.className = 'modal';
@@ -12324,7 +16746,7 @@ function viewIdeaImage(ideaId) {
         modal.innerHTML = `
             <div class="modal-content" style="max-width: 80%; max-height: 80%;">
                 <span class="close" onclick="this.parentElement.parentElement.remove()">&times;</span>
-                <img src="${idea.imageData || idea.imageUrl}" alt="${idea.title}" style="width: 100%; height: auto; border-radius: 8px;">
+                <img src="${getImageSource(idea)}" alt="${idea.title}" style="width: 100%; height: auto; border-radius: 8px;">
             </div>
         `;
         document.body.appendChild(modal);
@@ -12346,7 +16768,7 @@ function exportIdeas() {
 // ===== CAMERA FUNCTIONALITY =====
 
 let cameraStream = null;
-let currentCameraContext = null; // 'inventory', 'ideas', 'gallery'
+let currentCameraContext = null; // 'inventory', 'ideas', 'gallery', 'scan'
 let capturedPhotoBlob = null;
 
 // Open camera for different contexts
@@ -12558,6 +16980,10 @@ function closeCameraModal() {
         cameraStream = null;
     }
     
+    if (currentCameraContext === 'scan') {
+        stopLabelScanner();
+    }
+    
     // Reset state
     capturedPhotoBlob = null;
     currentCameraContext = null;
@@ -12566,6 +16992,329 @@ function closeCameraModal() {
     document.getElementById('cameraModal').style.display = 'none';
 }
 
+// ===== LABELS AND SCANNING =====
+// Supply bins and finished items get printed labels carrying the item's id as a
+// QR code (drawn by the qrcode-generator library) or a Code 128 barcode (drawn
+// here). Scanning a label with the camera modal opens the item's edit form, or
+// in "scan to decrement" mode takes a set amount off its quantity and keeps
+// scanning. Cameras read labels through the browser's BarcodeDetector, or jsQR
+// for QR codes where that's missing; the code is printed under every label so
+// it can also be typed in.
+
+const LABEL_SCAN_INTERVAL = 300;
+// The same label seen again within this time is the camera still pointing at it
+const LABEL_RESCAN_DELAY = 2000;
+
+// Code 128 bar/space widths for values 0-106 (103-105 start A/B/C, 106 stop)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// The Code 128 (set B) symbol values for `text`, check digit included
+function code128Values(text) {
+    const values = Array.from(text).map(char => {
+        const code = char.charCodeAt(0);
+        if (code < 32 || code > 126) {
+            throw new Error(`Can't put "${char}" in a barcode`);
+        }
+        return code - 32;
+    });
+    const checksum = values.reduce((sum, value, i) => sum + value * (i + 1), CODE128_START_B) % 103;
+    return [CODE128_START_B, ...values, checksum, CODE128_STOP];
+}
+
+function code128Svg(text, height = 50) {
+    const moduleWidth = 2;
+    const quietZone = 10;
+    let x = quietZone;
+    let bars = '';
+    code128Values(text).forEach(value => {
+        Array.from(CODE128_PATTERNS[value]).forEach((width, i) => {
+            const w = parseInt(width) * moduleWidth;
+            if (i % 2 === 0) {
+                bars += `<rect x="${x}" y="0" width="${w}" height="${height}"/>`;
+            }
+            x += w;
+        });
+    });
+    const totalWidth = x + quietZone;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height}" width="${totalWidth}" height="${height}" fill="#000">${bars}</svg>`;
+}
+
+function qrCodeSvg(text) {
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    return qr.createSvgTag(4, 2);
+}
+
+// Supplies and finished items - what gets a label on a bin or a shelf
+function labelableItems() {
+    return inventory.filter(item => item.type === 'inventory' || MATERIALS_USED_STATUSES.includes(item.status));
+}
+
+async function openLabelsModal() {
+    if (!await requireAuthentication('print labels')) {
+        return;
+    }
+    await loadTabData('labels');
+    const items = labelableItems();
+    // The label carries the id
+    if (items.some(item => !item.id)) {
+        ensureRecordIds(inventory);
+        saveData();
+    }
+    const escape = SecurityManager.escapeHtml;
+    const group = (title, entries) => entries.length === 0 ? '' : `
+        <h4>${title}</h4>
+        ${entries.map(item => `
+            <label class="label-item">
+                <input type="checkbox" value="${escape(item.id)}">
+                ${escape(item.name || item.description || 'Untitled')}
+            </label>
+        `).join('')}
+    `;
+    document.getElementById('labelItems').innerHTML =
+        group('Supplies', items.filter(item => item.type === 'inventory')) +
+        group('Finished items', items.filter(item => item.type !== 'inventory')) ||
+        '<p>No supplies or finished items yet.</p>';
+    document.getElementById('labelsModal').style.display = 'block';
+}
+
+function filterLabelItems() {
+    const search = document.getElementById('labelSearch').value.trim().toLowerCase();
+    document.querySelectorAll('#labelItems .label-item').forEach(entry => {
+        entry.style.display = entry.textContent.toLowerCase().includes(search) ? '' : 'none';
+    });
+}
+
+function toggleAllLabelItems(checked) {
+    document.querySelectorAll('#labelItems .label-item').forEach(entry => {
+        if (entry.style.display !== 'none') {
+            entry.querySelector('input').checked = checked;
+        }
+    });
+}
+
+function printLabels() {
+    const ids = Array.from(document.querySelectorAll('#labelItems input:checked')).map(input => input.value);
+    const items = ids.map(id => inventory.find(item => item.id === id)).filter(Boolean);
+    if (items.length === 0) {
+        showNotification('Pick the items to print labels for', 'warning');
+        return;
+    }
+    let format = document.getElementById('labelFormat').value;
+    if (format === 'qr' && typeof qrcode !== 'function') {
+        showNotification('QR codes need an internet connection - printing barcodes instead', 'warning');
+        format = 'code128';
+    }
+    
+    const escape = SecurityManager.escapeHtml;
+    const labels = items.map(item => `
+        <div class="label label-${format}">
+            ${format === 'qr' ? qrCodeSvg(item.id) : code128Svg(item.id)}
+            <div class="label-text">
+                <strong>${escape(item.name || item.description || 'Untitled')}</strong>
+                <span class="label-code">${escape(item.id)}</span>
+            </div>
+        </div>
+    `).join('');
+    
+    const printWindow = window.open('', '_blank', 'width=800,height=600');
+    if (!printWindow) {
+        alert('Error: Could not open print window. Please check if popups are blocked.');
+        return;
+    }
+    printWindow.document.write(`
+        <!DOCTYPE html>
+        <html>
+            <head>
+                <title>JoeyKaye Handmades - Labels</title>
+                <meta charset="UTF-8">
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 10px; }
+                    .labels { display: flex; flex-wrap: wrap; gap: 8px; }
+                    .label { border: 1px dashed #bbb; padding: 8px; display: flex; align-items: center; gap: 8px; break-inside: avoid; }
+                    .label-code128 { flex-direction: column; }
+                    .label-text { display: flex; flex-direction: column; font-size: 12px; max-width: 220px; }
+                    .label-code { font-family: monospace; font-size: 11px; }
+                    @media print { .label { border-color: #eee; } }
+                </style>
+            </head>
+            <body>
+                <div class="labels">${labels}</div>
+            </body>
+        </html>
+    `);
+    printWindow.document.close();
+    setTimeout(() => {
+        printWindow.focus();
+        printWindow.print();
+    }, 500);
+    closeModal('labelsModal');
+}
+
+let labelScanMode = null; // 'edit' or 'decrement'
+let labelScanTimer = null;
+let labelScanBusy = false;
+let labelDetector = null;
+let lastLabelScan = { code: null, at: 0 };
+
+// Opens the camera to read labels: 'edit' opens the scanned item, 'decrement'
+// takes the amount in the scan panel off its quantity
+async function openLabelScanner(mode = 'edit') {
+    if (!await requireAuthentication(mode === 'edit' ? 'scan labels' : 'adjust stock')) {
+        return;
+    }
+    labelScanMode = mode;
+    lastLabelScan = { code: null, at: 0 };
+    currentCameraContext = 'scan';
+    openCamera();
+    
+    document.getElementById('cameraTitle').innerHTML = mode === 'edit'
+        ? '<i class="fas fa-qrcode"></i> Scan Label'
+        : '<i class="fas fa-minus-circle"></i> Scan to Decrement';
+    document.getElementById('captureBtn').style.display = 'none';
+    document.getElementById('scanPanel').style.display = 'block';
+    document.getElementById('scanStepGroup').style.display = mode === 'decrement' ? '' : 'none';
+    document.getElementById('scanManualCode').value = '';
+    
+    labelDetector = await createLabelDetector();
+    setScanStatus(labelDetector || typeof jsQR === 'function'
+        ? 'Point the camera at a label'
+        : 'This browser can\'t read labels from the camera - type the code under the barcode instead');
+    labelScanTimer = setInterval(scanCameraFrame, LABEL_SCAN_INTERVAL);
+}
+
+async function createLabelDetector() {
+    if (!('BarcodeDetector' in window)) {
+        return null;
+    }
+    try {
+        const supported = await BarcodeDetector.getSupportedFormats();
+        const formats = ['qr_code', 'code_128'].filter(format => supported.includes(format));
+        return formats.length > 0 ? new BarcodeDetector({ formats }) : null;
+    } catch (error) {
+        console.warn('Barcode detection unavailable:', error);
+        return null;
+    }
+}
+
+// Reads the label in the camera's current frame, if any
+async function detectLabel(video) {
+    if (labelDetector) {
+        const codes = await labelDetector.detect(video);
+        return codes.length > 0 ? codes[0].rawValue : null;
+    }
+    if (typeof jsQR === 'function') {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const found = jsQR(image.data, image.width, image.height);
+        return found ? found.data : null;
+    }
+    return null;
+}
+
+async function scanCameraFrame() {
+    // Clicking outside hides the modal without closing the camera
+    if (document.getElementById('cameraModal').style.display !== 'block') {
+        closeCameraModal();
+        return;
+    }
+    const video = document.getElementById('cameraVideo');
+    if (labelScanBusy || !cameraStream || video.readyState < 2) {
+        return;
+    }
+    labelScanBusy = true;
+    try {
+        const code = await detectLabel(video);
+        if (code) {
+            handleScannedCode(code);
+        }
+    } catch (error) {
+        console.warn('Label scan failed:', error);
+    } finally {
+        labelScanBusy = false;
+    }
+}
+
+function setScanStatus(message) {
+    document.getElementById('scanStatus').textContent = message;
+}
+
+async function handleScannedCode(rawCode) {
+    const code = String(rawCode || '').trim();
+    if (!code) return;
+    const now = Date.now();
+    if (code === lastLabelScan.code && now - lastLabelScan.at < LABEL_RESCAN_DELAY) {
+        return;
+    }
+    lastLabelScan = { code, at: now };
+    document.getElementById('scanManualCode').value = '';
+    
+    const item = await loadRecord('inventory', code);
+    if (!item) {
+        setScanStatus(`No item has the code ${code}`);
+        return;
+    }
+    if (labelScanMode === 'edit') {
+        closeCameraModal();
+        editItem(item.id);
+        return;
+    }
+    decrementScannedItem(item);
+}
+
+// Takes the scan panel's amount off the item, in its own unit; supplies also
+// get a ledger entry
+function decrementScannedItem(item) {
+    const step = parseFloat(document.getElementById('scanStep').value) || 0;
+    const stock = parseFloat(item.quantity) || 0;
+    const taken = Math.min(stock, step);
+    const name = item.name || item.description || 'Untitled';
+    if (taken <= 0) {
+        setScanStatus(`${name}: none left to take`);
+        return;
+    }
+    
+    item.quantity = stock - taken;
+    item.totalValue = item.quantity * (parseFloat(item.price) || 0);
+    if (item.type === 'inventory') {
+        recordStockMovement(item, -taken, 'adjustment', { note: 'Scanned out' });
+    }
+    saveData();
+    updateDashboardStats();
+    
+    const left = formatStockQuantity(item.quantity, item.type === 'inventory' ? item : null);
+    setScanStatus(`${name}: took ${formatStockQuantity(taken, item.type === 'inventory' ? item : null)}, ${left} left`);
+    showNotification(`${name}: ${left} left`, item.quantity === 0 ? 'warning' : 'success');
+}
+
+function stopLabelScanner() {
+    clearInterval(labelScanTimer);
+    labelScanTimer = null;
+    labelScanMode = null;
+    labelDetector = null;
+    document.getElementById('scanPanel').style.display = 'none';
+    document.getElementById('cameraTitle').innerHTML = '<i class="fas fa-camera"></i> Take Photo';
+}
+
 // ===== PHOTO MANAGEMENT =====
 
 function viewPhoto(photoUrl, photoTitle = 'Photo') {
@@ -12656,16 +17405,29 @@ function showPhotoPreview(inputId, imageUrl) {
 
 // ===== PWA & MOBILE FEATURES =====
 
+// sw.js keeps a copy of the app itself so it opens without a connection; the data
+// comes from IndexedDB (see OFFLINE STORE). Browsers only allow service workers on
+// https or localhost.
 function registerServiceWorker() {
-    // Service worker removed to fix deployment issues
-    // Also unregister any existing service workers to prevent caching
-    if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.getRegistrations().then(function(registrations) {
-            for(let registration of registrations) {
-                console.log('🗑️ Unregistering service worker:', registration.scope);
-                registration.unregister();
-            }
-        });
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    navigator.serviceWorker.register('/sw.js')
+        .then(registration => console.log('📦 Service worker registered:', registration.scope))
+        .catch(error => console.warn('⚠️ Service worker not registered:', error.message));
+}
+
+// Photos the service worker cached belong to whoever was logged in, so they go on logout
+const MEDIA_CACHE_NAME = 'joeykaye-media-v1'; // MEDIA_CACHE in sw.js
+
+async function clearMediaCache() {
+    if (!('caches' in window)) {
+        return;
+    }
+    try {
+        await caches.delete(MEDIA_CACHE_NAME);
+    } catch (error) {
+        console.warn('⚠️ Could not clear cached photos:', error.message);
     }
 }
 
@@ -12857,27 +17619,100 @@ function setupMobilePhotoGestures() {
 // ===== ENHANCED DATA STRUCTURES =====
 
 // ===== PHOTO PROCESSING =====
+// Photos are uploaded to /api/media and records keep only the returned
+// `mediaId`. When the upload can't reach the server the photo is embedded as a
+// data URL instead, and the server moves it into media storage once it syncs.
 
-async function processPhoto(file) {
+function mediaUrl(mediaId, variant = 'full') {
+    return `/api/media/${encodeURIComponent(mediaId)}${variant === 'thumb' ? '/thumb' : ''}`;
+}
+
+// The image to show for a record: its stored photo (the thumbnail for cards and
+// grids), or the embedded/linked image older records still carry
+function getImageSource(record, variant = 'full') {
+    if (!record) return null;
+    const mediaId = record.mediaId || record.photo?.mediaId;
+    if (mediaId) {
+        return mediaUrl(mediaId, variant);
+    }
+    return record.imageData || record.photo?.dataUrl || record.imageUrl || null;
+}
+
+async function uploadMedia(file) {
+    const response = await fetch('/api/media', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({}));
+        const uploadError = new Error(error || `Upload failed: ${response.status} ${response.statusText}`);
+        uploadError.status = response.status;
+        throw uploadError;
+    }
+    return response.json();
+}
+
+function readFileAsDataUrl(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
-        reader.onload = function(e) {
-            const photoData = {
-                dataUrl: e.target.result,
-                fileName: file.name,
-                fileSize: file.size,
-                fileType: file.type,
-                timestamp: new Date().toISOString()
-            };
-            resolve(photoData);
-        };
-        reader.onerror = function(error) {
-            reject(error);
-        };
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
         reader.readAsDataURL(file);
     });
 }
 
+// Stores a photo and resolves to the fields to put on its record:
+// { mediaId } once uploaded, or { imageData } if it has to wait for a sync.
+// Rejects when the server refuses the file itself (not an image, too large).
+async function storeImageFile(file) {
+    if (isAuthenticated && navigator.onLine !== false) {
+        try {
+            const media = await uploadMedia(file);
+            return { mediaId: media.id };
+        } catch (error) {
+            if (error.status === 400 || error.status === 413) {
+                throw error;
+            }
+            console.warn('⚠️ Photo upload failed, keeping it with the record until the next sync:', error.message);
+        }
+    }
+    return { imageData: await readFileAsDataUrl(file) };
+}
+
+// Replace a record's photo with the fields from storeImageFile()
+function setRecordImage(record, image) {
+    delete record.mediaId;
+    delete record.imageData;
+    delete record.imageUrl;
+    Object.assign(record, image);
+}
+
+// The server moves embedded photos into media storage when it saves a record;
+// take its copy of the photo fields so the data URL doesn't linger locally
+function applySavedMedia(record, saved) {
+    ['mediaId', 'imageData', 'imageUrl', 'photo'].forEach(field => {
+        if (saved[field] === undefined) {
+            delete record[field];
+        } else {
+            record[field] = saved[field];
+        }
+    });
+}
+
+// Inventory photos keep their file details alongside the stored image
+async function processPhoto(file) {
+    const image = await storeImageFile(file);
+    return {
+        ...(image.mediaId ? { mediaId: image.mediaId } : { dataUrl: image.imageData }),
+        fileName: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        timestamp: new Date().toISOString()
+    };
+}
+
 // ===== OCR PHOTO ANALYSIS SYSTEM =====
 
 // OCR Analysis Functions
@@ -13366,6 +18201,8 @@ async function loadDataFromServer() {
         gallery = await galleryResponse.json();
         ideas = await ideasResponse.json();
         
+        Object.entries(getDataCollections()).forEach(([name, data]) => rememberSyncedRecords(name, data));
+        
         console.log(`✅ Data loaded: ${inventory.length} inventory, ${customers.length} customers, ${sales.length} sales, ${gallery.length} gallery, ${ideas.length} ideas`);
         
         // Load the appropriate view based on current tab
@@ -13387,15 +18224,22 @@ async function loadDataFromServer() {
 // Initialize authentication and OCR when DOM is loaded
 document.addEventListener('DOMContentLoaded', async function() {
     // Check authentication status on page load
-    await checkAuthStatus();
+    const authStatus = await checkAuthStatus();
     
-    // Load data from server
-    await loadDataFromServer();
+    // Load data from server (otherwise the login prompt loads it after signing in)
+    if (authStatus.authenticated) {
+        await loadDataFromServer();
+    }
     
-    // Setup auth form handler
-    const authForm = document.getElementById('authForm');
-    if (authForm) {
-        authForm.addEventListener('submit', handleAuthSubmit);
+    // Setup form handler (the login form is wired up in initializeApp)
+    const setupForm = document.getElementById('setupForm');
+    if (setupForm) {
+        setupForm.addEventListener('submit', handleSetupSubmit);
+    }
+    
+    const addUserForm = document.getElementById('addUserForm');
+    if (addUserForm) {
+        addUserForm.addEventListener('submit', handleAddUser);
     }
     
     // Setup auth modal close handlers
@@ -13439,14 +18283,24 @@ function clearCompletedFilters() {
 }
 
 // Populate completed items customer filter
-function populateCompletedCustomerFilter() {
+async function populateCompletedCustomerFilter() {
     const customerSelect = document.getElementById('completedCustomerFilter');
     if (!customerSelect) return;
     
-    // Get unique customers from completed items
+    // Get unique customers from completed items - just that field of each from the server
+    let completedItems;
+    try {
+        if (!canQueryServer()) {
+            throw new Error('Not connected');
+        }
+        completedItems = (await fetchRecordPage('inventory', { status: 'completed', fields: 'customer' })).records;
+    } catch (error) {
+        console.log('📦 Listing completed customers locally:', error.message);
+        completedItems = inventory.filter(item => item.status === 'completed');
+    }
     const completedCustomers = [...new Set(
-        inventory
-            .filter(item => item.status === 'completed' && item.customer)
+        completedItems
+            .filter(item => item.customer)
             .map(item => item.customer)
     )].sort();
     
@@ -13462,56 +18316,39 @@ function populateCompletedCustomerFilter() {
     });
 }
 
+const COMPLETED_DATE_RANGES = { today: 0, week: 7, month: 30, quarter: 90, year: 365 };
+let completedQueryId = 0;
+
 // Load completed projects into the invoicing tab
-function loadCompletedItemsTable() {
-    // Apply filters to completed projects
-    const completedProjects = inventory.filter(item => {
-        if (item.status !== 'completed') return false;
-        
-        // Apply search filter
-        const searchElement = document.getElementById('completedSearchItems');
-        const searchTerm = searchElement?.value?.toLowerCase() || '';
-        if (searchTerm && !item.description?.toLowerCase().includes(searchTerm)) {
-            return false;
-        }
-        
-        // Apply customer filter
-        const customerFilter = document.getElementById('completedCustomerFilter')?.value || '';
-        if (customerFilter && item.customer !== customerFilter) {
-            return false;
+async function loadCompletedItemsTable() {
+    const searchTerm = document.getElementById('completedSearchItems')?.value?.trim() || '';
+    const customerFilter = document.getElementById('completedCustomerFilter')?.value || '';
+    const dateFilter = document.getElementById('completedDateFilter')?.value || '';
+    const queryId = ++completedQueryId;
+    
+    const params = { status: 'completed', customer: customerFilter, q: searchTerm };
+    if (dateFilter in COMPLETED_DATE_RANGES) {
+        // Invoiced dates are plain YYYY-MM-DD values from a date input, in local time
+        const from = new Date(Date.now() - COMPLETED_DATE_RANGES[dateFilter] * 24 * 60 * 60 * 1000);
+        params.dateField = 'invoicedDate';
+        params.from = `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}-${String(from.getDate()).padStart(2, '0')}`;
+    }
+    
+    let completedProjects;
+    try {
+        if (!canQueryServer()) {
+            throw new Error('Not connected');
         }
-        
-        // Apply date filter
-        const dateFilter = document.getElementById('completedDateFilter')?.value || '';
-        if (dateFilter && item.invoicedDate) {
-            const itemDate = new Date(item.invoicedDate);
-            const now = new Date();
-            
-            switch (dateFilter) {
-                case 'today':
-                    if (itemDate.toDateString() !== now.toDateString()) return false;
-                    break;
-                case 'week':
-                    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                    if (itemDate < weekAgo) return false;
-                    break;
-                case 'month':
-                    const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-                    if (itemDate < monthAgo) return false;
-                    break;
-                case 'quarter':
-                    const quarterAgo = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-                    if (itemDate < quarterAgo) return false;
-                    break;
-                case 'year':
-                    const yearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-                    if (itemDate < yearAgo) return false;
-                    break;
-            }
+        // Whole records: invoicing works from the held copies of the items listed
+        const page = await fetchRecordPage('inventory', params);
+        if (queryId !== completedQueryId) {
+            return; // A newer load has started
         }
-        
-        return true;
-    });
+        completedProjects = withLocalCopies(holdRecords('inventory', page.records));
+    } catch (error) {
+        console.log('📦 Filtering completed items locally:', error.message);
+        completedProjects = inventory.filter(item => matchesListQuery('inventory', item, params));
+    }
     
     const container = document.getElementById('completedItemsCards');
     if (!container) return;
@@ -13529,15 +18366,13 @@ function loadCompletedItemsTable() {
         return;
     }
     
-    completedProjects.forEach((item, filteredIndex) => {
+    completedProjects.forEach(item => {
         // Find the actual index in the inventory array
-        const actualIndex = inventory.findIndex(invItem => 
-            invItem._id ? invItem._id === item._id : invItem === item
-        );
+        const actualIndex = inventory.indexOf(item);
         
         const card = document.createElement('div');
         card.className = 'completed-item-card';
-        const itemId = item._id || `item-${filteredIndex}`;
+        const itemId = SecurityManager.escapeHtml(String(item.id));
         card.dataset.itemId = itemId;
         
         const invoicedDate = item.invoicedDate ? new Date(item.invoicedDate).toLocaleDateString() : 'Not invoiced';
@@ -13892,7 +18727,7 @@ function createInvoiceFromSelected() {
     
     const selectedItems = [];
     selectedCompletedItems.forEach(itemId => {
-        const item = inventory.find(i => (i._id || `item-${inventory.indexOf(i)}`) === itemId);
+        const item = inventory.find(i => String(i.id) === itemId);
         if (item) {
             selectedItems.push(item);
         }
@@ -0,0 +1,128 @@
+/**
+ * Joey Kaye Handmades - Service worker
+ *
+ * Keeps a copy of the app shell so the app opens without a connection. The
+ * app is always fetched from the network first, so an update shows up on the
+ * next load; the cached copy is only used when the server can't be reached.
+ * Photos never change once uploaded (their id is a hash of the file), so they
+ * are served from the cache when we have them; script.js empties that cache on
+ * logout. Other API requests always go to the server - changes made offline
+ * wait in the outbox in script.js.
+ */
+
+const SHELL_CACHE = 'joeykaye-shell-v2';
+const MEDIA_CACHE = 'joeykaye-media-v1';
+const SHELL_FILES = [
+    '/',
+    '/styles.css',
+    '/schemas.js',
+    '/units.js',
+    '/script.js',
+    '/joeykay.jpeg',
+    '/fonts/embroidery.woff2',
+    '/vendor/qrcode-generator/qrcode.min.js',
+    '/vendor/jsqr/jsQR.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
+];
+
+// The server sends every response with `Vary: *` (see its cache-control
+// middleware), which the Cache API refuses to store, so keep a copy without it
+function storableCopy(response) {
+    const headers = new Headers(response.headers);
+    headers.delete('Vary');
+    return new Response(response.clone().body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+async function cacheShellFile(cache, file) {
+    const request = new Request(file);
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(cacheKey(request), storableCopy(response));
+    }
+}
+
+self.addEventListener('install', event => {
+    // One missing file shouldn't stop the rest being cached
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(SHELL_FILES.map(file => cacheShellFile(cache, file).catch(() => null))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && name !== MEDIA_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages and same-origin files are cached without their query string: the app
+// adds cache-busting parameters to every load, and there's only one version of each
+function cacheKey(request) {
+    const url = new URL(request.url);
+    if (request.mode === 'navigate') {
+        return new URL('/', url.origin).href;
+    }
+    return url.origin === self.location.origin ? url.origin + url.pathname : url.href;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = cacheKey(request);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(key, storableCopy(response));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && url.pathname.startsWith('/api/media/')) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+    // Data, live updates and the connection check must reach the server
+    if (sameOrigin && (url.pathname.startsWith('/api/') || url.pathname === '/health')) {
+        return;
+    }
+    // Of other sites, only the icon font is part of the shell
+    if (sameOrigin || url.origin === 'https://cdnjs.cloudflare.com') {
+        event.respondWith(networkFirst(request));
+    }
+});
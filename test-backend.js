@@ -0,0 +1,537 @@
+#!/usr/bin/env node
+
+/**
+ * JoeyKaye Handmades - Backend Test Suite
+ * Runs the storage drivers, the server's API and the command-line data tools
+ * against scratch data folders using the file storage driver, so neither a
+ * browser nor MongoDB is needed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const MIGRATIONS = require('./migrations');
+const { openStorage, createFileStorage, storageOptionsFromEnv } = require('./storage');
+
+// Test configuration
+const TEST_CONFIG = {
+    timeout: 30000,
+    port: 3013,
+    ownerPassword: 'owner-password'
+};
+
+// Test results tracking
+let testResults = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    errors: []
+};
+
+/**
+ * Log test results
+ */
+function logTest(testName, passed, error = null) {
+    testResults.total++;
+    if (passed) {
+        testResults.passed++;
+        console.log(`✅ ${testName}`);
+    } else {
+        testResults.failed++;
+        testResults.errors.push({ test: testName, error });
+        console.log(`❌ ${testName}: ${error}`);
+    }
+}
+
+/**
+ * Make an empty scratch folder, removed again by removeScratchDir()
+ */
+function makeScratchDir(name) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `joeykaye-${name}-`));
+}
+
+function removeScratchDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Write records as a file storage collection
+ */
+function writeCollection(dataDir, collection, records) {
+    fs.writeFileSync(path.join(dataDir, `${collection}.json`), JSON.stringify(records, null, 2));
+}
+
+/**
+ * Read a file storage collection; null when it has never been written
+ */
+function readCollection(dataDir, collection) {
+    const file = path.join(dataDir, `${collection}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Run one of the repo's scripts with file storage in `dataDir`.
+ * Resolves to { code, output } whether or not it succeeded.
+ */
+function runScript(script, args, dataDir, env = {}) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(__dirname, script), ...args], {
+            cwd: __dirname,
+            timeout: TEST_CONFIG.timeout,
+            env: { ...process.env, STORAGE_DRIVER: 'file', DATA_DIR: dataDir, ...env }
+        }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code || 1 : 0, output: stdout + stderr });
+        });
+    });
+}
+
+/**
+ * Start server.js with file storage in `dataDir` and an owner account seeded
+ * from ADMIN_USERNAME/ADMIN_PASSWORD. Resolves once /health answers.
+ */
+async function startServer(dataDir) {
+    const server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        cwd: __dirname,
+        env: {
+            ...process.env,
+            STORAGE_DRIVER: 'file',
+            DATA_DIR: dataDir,
+            PORT: String(TEST_CONFIG.port),
+            ADMIN_USERNAME: 'owner',
+            ADMIN_PASSWORD: TEST_CONFIG.ownerPassword
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.output = '';
+    server.stdout.on('data', chunk => { server.output += chunk; });
+    server.stderr.on('data', chunk => { server.output += chunk; });
+    
+    const started = Date.now();
+    while (Date.now() - started < TEST_CONFIG.timeout) {
+        if (server.exitCode !== null) {
+            break;
+        }
+        try {
+            const response = await fetch(`http://localhost:${TEST_CONFIG.port}/health`);
+            if (response.ok) {
+                return server;
+            }
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    await stopServer(server);
+    throw new Error(`Server did not start: ${server.output}`);
+}
+
+function stopServer(server) {
+    return new Promise(resolve => {
+        if (server.exitCode !== null || server.signalCode !== null) {
+            return resolve();
+        }
+        server.once('exit', () => resolve());
+        server.kill();
+    });
+}
+
+/**
+ * Call the test server's API with a session cookie. Resolves to { status, cookie, body }
+ */
+async function api(method, url, body = null, cookie = null) {
+    const headers = {};
+    if (body !== null) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (cookie) {
+        headers.Cookie = cookie;
+    }
+    const response = await fetch(`http://localhost:${TEST_CONFIG.port}${url}`, {
+        method,
+        headers,
+        body: body === null ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('Content-Type') || '';
+    return {
+        status: response.status,
+        cookie: response.headers.getSetCookie().map(header => header.split(';')[0]).join('; ') || null,
+        body: type.includes('application/json') ? await response.json() : null
+    };
+}
+
+async function logIn(username, password) {
+    const response = await api('POST', '/api/login', { username, password });
+    if (response.status !== 200 || !response.cookie) {
+        throw new Error(`Could not log in as ${username}: ${JSON.stringify(response.body)}`);
+    }
+    return response.cookie;
+}
+
+/**
+ * Test 1: Migrations dry run, then run, recording each collection's schema version
+ */
+async function testMigrations() {
+    const dataDir = makeScratchDir('migrations');
+    try {
+        // Data as older versions of the app saved it: no ids, no commission fields,
+        // sales pointing at their item by position
+        writeCollection(dataDir, 'customers', [{ name: 'Ada Lovelace' }]);
+        writeCollection(dataDir, 'inventory', [{ name: 'Tea towel', type: 'project', status: 'sold', customer: 'Ada Lovelace', price: 12 }]);
+        writeCollection(dataDir, 'sales', [{ itemName: 'Tea towel', itemIndex: 0, customer: 'Ada Lovelace', price: 12 }]);
+        const before = fs.readdirSync(dataDir).map(file => fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        
+        const dryRun = await runScript('migrate.js', ['up', '--dry-run'], dataDir);
+        const after = fs.readdirSync(dataDir).map(file => fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        
+        const up = await runScript('migrate.js', ['up'], dataDir);
+        const versions = Object.fromEntries((readCollection(dataDir, 'migrations') || [])
+            .map(state => [state.collection, state.version]));
+        const expected = {};
+        MIGRATIONS.forEach(migration => (migration.collections || [migration.collection]).forEach(collection => {
+            expected[collection] = migration.version;
+        }));
+        const [customer] = readCollection(dataDir, 'customers');
+        const [item] = readCollection(dataDir, 'inventory');
+        const [sale] = readCollection(dataDir, 'sales');
+        const again = await runScript('migrate.js', ['up'], dataDir);
+        
+        const result = {
+            dryRunExit: dryRun.code,
+            dryRunReported: dryRun.output.includes('record(s) would change') && dryRun.output.includes('Dry run - nothing was changed'),
+            dryRunUnchanged: JSON.stringify(after) === JSON.stringify(before),
+            upExit: up.code,
+            versions: JSON.stringify(versions) === JSON.stringify(expected) ? true : versions,
+            migrated: Boolean(customer.id && item.id) && sale.commission === 0 && sale.itemIndex === undefined &&
+                sale.itemId === item.id && sale.customerId === customer.id && item.customerId === customer.id,
+            upToDate: again.code === 0 && again.output.includes('no migrations to run')
+        };
+        const passed = result.dryRunExit === 0 && result.dryRunReported && result.dryRunUnchanged &&
+            result.upExit === 0 && result.versions === true && result.migrated && result.upToDate;
+        logTest('Migrations dry-run without changes, then record each collection\'s version', passed, passed ? null : JSON.stringify(result));
+        return passed;
+    } catch (error) {
+        logTest('Migrations dry-run without changes, then record each collection\'s version', false, error.message);
+        return false;
+    } finally {
+        removeScratchDir(dataDir);
+    }
+}
+
+/**
+ * Test 2: Helpers and viewers are refused deletes, user management, the audit
+ * log and settings changes; the owner is not
+ */
+async function testRolePermissions() {
+    const dataDir = makeScratchDir('roles');
+    let server = null;
+    try {
+        server = await startServer(dataDir);
+        const owner = await logIn('owner', TEST_CONFIG.ownerPassword);
+        for (const role of ['helper', 'viewer']) {
+            const created = await api('POST', '/api/users', { username: role, password: `${role}-password`, role }, owner);
+            if (created.status !== 201) {
+                throw new Error(`Could not add the ${role} account: ${JSON.stringify(created.body)}`);
+            }
+        }
+        const customer = await api('POST', '/api/customers', { id: 'role-test-customer', name: 'Role Test' }, owner);
+        if (customer.status !== 201) {
+            throw new Error(`Could not add a customer: ${JSON.stringify(customer.body)}`);
+        }
+        
+        // Every owner-only action, run as `cookie`; resolves to each status
+        const ownerOnlyActions = async (cookie, username) => ({
+            deleteRecord: (await api('DELETE', '/api/customers/role-test-customer', null, cookie)).status,
+            listUsers: (await api('GET', '/api/users', null, cookie)).status,
+            addUser: (await api('POST', '/api/users', { username: `added-by-${username}`, password: 'added-password', role: 'viewer' }, cookie)).status,
+            readAudit: (await api('GET', '/api/audit', null, cookie)).status,
+            changeSettings: (await api('POST', '/api/settings', { id: 'business', costingMethod: 'fifo' }, cookie)).status
+        });
+        const result = {};
+        for (const role of ['helper', 'viewer']) {
+            result[role] = await ownerOnlyActions(await logIn(role, `${role}-password`), role);
+        }
+        result.owner = await ownerOnlyActions(owner, 'owner');
+        
+        const refused = statuses => Object.values(statuses).every(status => status === 403);
+        const allowed = result.owner.deleteRecord === 200 && result.owner.listUsers === 200 &&
+            result.owner.addUser === 201 && result.owner.readAudit === 200 && result.owner.changeSettings === 201;
+        const passed = refused(result.helper) && refused(result.viewer) && allowed;
+        logTest('Only the owner can delete, manage users, read the audit log and change settings', passed, passed ? null : JSON.stringify(result));
+        return passed;
+    } catch (error) {
+        logTest('Only the owner can delete, manage users, read the audit log and change settings', false, error.message);
+        return false;
+    } finally {
+        if (server) {
+            await stopServer(server);
+        }
+        removeScratchDir(dataDir);
+    }
+}
+
+/**
+ * Test 3: Backups round trip - create, diff, verify, restore (accounts only when
+ * asked for) and prune
+ */
+async function testBackupRoundTrip() {
+    const dataDir = makeScratchDir('backup-data');
+    const backupDir = makeScratchDir('backups');
+    const backup = (args, env = {}) => runScript('backup.js', args, dataDir, { BACKUP_DIR: backupDir, ...env });
+    const snapshots = () => fs.readdirSync(backupDir).filter(name => name.startsWith('snapshot-')).sort();
+    // Inserting gives records an _id, as MongoDB does
+    const withoutIds = records => JSON.stringify(records.map(({ _id, ...record }) => record));
+    try {
+        const customers = [{ id: 'customer-1', name: 'Ada Lovelace' }];
+        const users = [{ id: 'user-1', username: 'owner', role: 'owner', passwordHash: 'hash' }];
+        writeCollection(dataDir, 'customers', customers);
+        writeCollection(dataDir, 'users', users);
+        
+        const create = await backup(['create', '--note', 'round trip']);
+        const [first] = snapshots();
+        const manifest = first ? JSON.parse(fs.readFileSync(path.join(backupDir, first, 'manifest.json'), 'utf8')) : null;
+        
+        writeCollection(dataDir, 'customers', [{ id: 'customer-1', name: 'Ada King' }, { id: 'customer-2', name: 'Grace Hopper' }]);
+        writeCollection(dataDir, 'users', [...users, { id: 'user-2', username: 'helper', role: 'helper', passwordHash: 'hash' }]);
+        const diff = await backup(['diff', 'latest']);
+        const verify = await backup(['verify']);
+        
+        const restore = await backup(['restore', first, '--yes']);
+        const customersAfterRestore = readCollection(dataDir, 'customers');
+        const usersAfterRestore = readCollection(dataDir, 'users');
+        const restoreUsers = await backup(['restore', first, '--collection', 'users', '--yes']);
+        const usersAfterUserRestore = readCollection(dataDir, 'users');
+        const snapshotsBeforePrune = snapshots().length;
+        
+        // Keeping nothing still keeps the newest snapshot
+        const keepNothing = { BACKUP_KEEP_DAILY: '0', BACKUP_KEEP_WEEKLY: '0', BACKUP_KEEP_MONTHLY: '0' };
+        const pruneDryRun = await backup(['prune', '--dry-run'], keepNothing);
+        const snapshotsAfterDryRun = snapshots().length;
+        const prune = await backup(['prune'], keepNothing);
+        
+        const result = {
+            created: create.code === 0 && !!manifest && manifest.note === 'round trip',
+            usersBackedUp: !!manifest && manifest.collections.users && manifest.collections.users.count === 1,
+            diff: diff.code === 0 && diff.output.includes('customers: +1 added, -0 removed, ~1 changed') &&
+                diff.output.includes('users: +1 added'),
+            verified: verify.code === 0 && verify.output.includes(`✅ ${first}`),
+            restored: restore.code === 0 && withoutIds(customersAfterRestore) === withoutIds(customers),
+            usersKept: usersAfterRestore.length === 2,
+            usersRestored: restoreUsers.code === 0 && withoutIds(usersAfterUserRestore) === withoutIds(users),
+            preRestoreSnapshots: snapshotsBeforePrune === 3,
+            pruneDryRun: pruneDryRun.code === 0 && pruneDryRun.output.includes('Would remove') && snapshotsAfterDryRun === 3,
+            pruned: prune.code === 0 && snapshots().length === 1
+        };
+        const passed = Object.values(result).every(Boolean);
+        logTest('Backups create, diff, verify, restore and prune', passed, passed ? null : JSON.stringify(result));
+        return passed;
+    } catch (error) {
+        logTest('Backups create, diff, verify, restore and prune', false, error.message);
+        return false;
+    } finally {
+        removeScratchDir(dataDir);
+        removeScratchDir(backupDir);
+    }
+}
+
+/**
+ * Test 4: File driver queries and updates, kept on disk between opens
+ */
+async function testFileDriver() {
+    const dataDir = makeScratchDir('file-driver');
+    try {
+        const db = createFileStorage(dataDir);
+        const items = db.collection('inventory');
+        await items.insertMany([
+            { id: 'a', name: 'Thread', quantity: 5, tags: ['blue'] },
+            { id: 'b', name: 'Hoop', quantity: 0 },
+            { id: 'c', name: 'Needles', quantity: 12, tags: ['steel', 'blue'] }
+        ]);
+        let duplicateCode = null;
+        try {
+            await items.insertOne({ _id: (await items.findOne({ id: 'a' }))._id, id: 'copy' });
+        } catch (error) {
+            duplicateCode = error.code;
+        }
+        await items.updateOne({ id: 'a' }, { $set: { name: 'Cotton thread' }, $inc: { quantity: 2 } });
+        const before = await items.findOneAndUpdate({ id: 'b' }, { $set: { quantity: 3 } });
+        await items.replaceOne({ id: 'c' }, { id: 'c', name: 'Needles', quantity: 10 });
+        await items.insertOne({ id: 'd', name: 'Scissors', quantity: 1 });
+        await items.deleteOne({ id: 'd' });
+        
+        // A fresh open only sees what was written to disk
+        const reopened = createFileStorage(dataDir).collection('inventory');
+        const inStock = await reopened.find({ quantity: { $gt: 2 } }).sort({ quantity: -1 }).project({ name: 1, _id: 0 }).toArray();
+        const result = {
+            duplicateRefused: duplicateCode === 11000,
+            findOneAndUpdateReturnsBefore: before && before.quantity === 0,
+            inStock: JSON.stringify(inStock) === JSON.stringify([{ name: 'Needles' }, { name: 'Cotton thread' }, { name: 'Hoop' }]) ? true : inStock,
+            arrayMatch: (await reopened.countDocuments({ tags: 'blue' })) === 1,
+            or: (await reopened.countDocuments({ $or: [{ id: 'a' }, { quantity: { $lte: 3 } }] })) === 2,
+            deleted: (await reopened.findOne({ id: 'd' })) === null && (await reopened.countDocuments()) === 3,
+            deleteMany: (await reopened.deleteMany({ quantity: { $lt: 10 } })).deletedCount === 2
+        };
+        const passed = Object.values(result).every(value => value === true);
+        logTest('File driver finds, updates and deletes records and keeps them on disk', passed, passed ? null : JSON.stringify(result));
+        return passed;
+    } catch (error) {
+        logTest('File driver finds, updates and deletes records and keeps them on disk', false, error.message);
+        return false;
+    } finally {
+        removeScratchDir(dataDir);
+    }
+}
+
+/**
+ * Test 5: File driver writes never leave a partial or stale collection behind
+ */
+async function testFileDriverWrites() {
+    const dataDir = makeScratchDir('file-writes');
+    try {
+        // Writes made together all land, in order, through temp files that are renamed away
+        const sales = createFileStorage(dataDir).collection('sales');
+        await Promise.all(Array.from({ length: 20 }, (_, index) => sales.insertOne({ id: `sale-${index}` })));
+        const saved = readCollection(dataDir, 'sales');
+        const leftovers = fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp'));
+        
+        // A collection that can't be read is never overwritten
+        const broken = '[{"id": "half-written"';
+        fs.writeFileSync(path.join(dataDir, 'customers.json'), broken);
+        let writeRefused = false;
+        try {
+            await createFileStorage(dataDir).collection('customers').insertOne({ id: 'customer-1' });
+        } catch (error) {
+            writeRefused = true;
+        }
+        
+        const result = {
+            allSaved: saved.length === 20 && saved.every((sale, index) => sale.id === `sale-${index}`),
+            noTempFiles: leftovers.length === 0 ? true : leftovers,
+            writeRefused,
+            brokenFileKept: fs.readFileSync(path.join(dataDir, 'customers.json'), 'utf8') === broken
+        };
+        const passed = Object.values(result).every(value => value === true);
+        logTest('File driver writes atomically and in order', passed, passed ? null : JSON.stringify(result));
+        return passed;
+    } catch (error) {
+        logTest('File driver writes atomically and in order', false, error.message);
+        return false;
+    } finally {
+        removeScratchDir(dataDir);
+    }
+}
+
+/**
+ * Test 6: STORAGE_DRIVER picks the storage, for the scripts as for the server
+ */
+async function testStorageDriverSetting() {
+    const dataDir = makeScratchDir('driver-setting');
+    try {
+        const defaults = storageOptionsFromEnv({});
+        const fileOptions = storageOptionsFromEnv({ STORAGE_DRIVER: 'file', DATA_DIR: dataDir });
+        const fileStorage = await openStorage(fileOptions);
+        let unknownError = null;
+        try {
+            await openStorage(storageOptionsFromEnv({ STORAGE_DRIVER: 'sqlite' }));
+        } catch (error) {
+            unknownError = error.message;
+        }
+        const status = await runScript('migrate.js', ['status'], dataDir);
+        const unknown = await runScript('migrate.js', ['status'], dataDir, { STORAGE_DRIVER: 'sqlite' });
+        
+        const result = {
+            defaultsToMongo: defaults.driver === 'mongodb' && defaults.dataDir === path.join(__dirname, 'data'),
+            file: fileStorage.driver === 'file' && fileOptions.dataDir === dataDir,
+            unknownRefused: !!unknownError && unknownError.includes('Unknown STORAGE_DRIVER "sqlite"'),
+            scriptUsesDataDir: status.code === 0 && status.output.includes(`JSON files in ${dataDir}`),
+            scriptRefusesUnknown: unknown.code !== 0 && unknown.output.includes('Unknown STORAGE_DRIVER')
+        };
+        const passed = Object.values(result).every(Boolean);
+        logTest('STORAGE_DRIVER and DATA_DIR choose the storage', passed, passed ? null : JSON.stringify(result));
+        return passed;
+    } catch (error) {
+        logTest('STORAGE_DRIVER and DATA_DIR choose the storage', false, error.message);
+        return false;
+    } finally {
+        removeScratchDir(dataDir);
+    }
+}
+
+/**
+ * Test 7: The server won't start when photos can't be saved
+ */
+async function testUnwritableMediaDir() {
+    const dataDir = makeScratchDir('media-dir');
+    try {
+        // A folder can't be made inside a file, whoever runs the test
+        fs.writeFileSync(path.join(dataDir, 'not-a-folder'), '');
+        const mediaDir = path.join(dataDir, 'not-a-folder', 'media');
+        const server = await runScript('server.js', [], dataDir, { MEDIA_DIR: mediaDir, PORT: String(TEST_CONFIG.port) });
+        
+        const result = {
+            exitCode: server.code,
+            explained: server.output.includes(`Photos can't be saved in ${mediaDir}`) && server.output.includes('Set MEDIA_DIR')
+        };
+        const passed = result.exitCode === 1 && result.explained;
+        logTest('Server stops at startup when the media folder isn\'t writable', passed, passed ? null : JSON.stringify(result));
+        return passed;
+    } catch (error) {
+        logTest('Server stops at startup when the media folder isn\'t writable', false, error.message);
+        return false;
+    } finally {
+        removeScratchDir(dataDir);
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 JoeyKaye Handmades - Backend Test Suite');
+    console.log('==========================================');
+    console.log('');
+    
+    try {
+        await testMigrations();
+        await testRolePermissions();
+        await testBackupRoundTrip();
+        await testFileDriver();
+        await testFileDriverWrites();
+        await testStorageDriverSetting();
+        await testUnwritableMediaDir();
+    } catch (error) {
+        console.error('❌ Test suite failed:', error.message);
+        testResults.failed++;
+        testResults.errors.push({ test: 'Test Suite', error: error.message });
+    }
+    
+    // Print results
+    console.log('');
+    console.log('📊 Test Results');
+    console.log('===============');
+    console.log(`Total Tests: ${testResults.total}`);
+    console.log(`Passed: ${testResults.passed}`);
+    console.log(`Failed: ${testResults.failed}`);
+    console.log(`Success Rate: ${testResults.total > 0 ? Math.round((testResults.passed / testResults.total) * 100) : 0}%`);
+    
+    if (testResults.errors.length > 0) {
+        console.log('');
+        console.log('❌ Failed Tests:');
+        testResults.errors.forEach(error => {
+            console.log(`  • ${error.test}: ${error.error}`);
+        });
+    }
+    
+    // Exit with appropriate code
+    process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    runTests().catch(error => {
+        console.error('💥 Test runner crashed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { runTests, testResults };
@@ -12,7 +12,10 @@ const TEST_CONFIG = {
     baseUrl: 'http://localhost:3003',
     timeout: 30000,
     headless: true,
-    viewport: { width: 1280, height: 720 }
+    viewport: { width: 1280, height: 720 },
+    // Account used to log in; create it with the first-run setup or ADMIN_USERNAME/ADMIN_PASSWORD
+    username: process.env.TEST_USERNAME || 'admin',
+    password: process.env.TEST_PASSWORD || 'password2025'
 };
 
 // Test results tracking
@@ -76,6 +79,27 @@ async function isModalVisible(page, modalId) {
     }
 }
 
+/**
+ * Log in through the API so the app and its data routes accept the session
+ */
+async function login(page) {
+    const loggedIn = await page.evaluate(async (username, password) => {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ username, password })
+        });
+        return response.ok;
+    }, TEST_CONFIG.username, TEST_CONFIG.password);
+    
+    if (loggedIn) {
+        await page.reload({ waitUntil: 'domcontentloaded', timeout: TEST_CONFIG.timeout });
+        await sleep(2000); // Wait for data to load after login
+    }
+    return loggedIn;
+}
+
 /**
  * Test 1: Add Inventory Modal
  */
@@ -333,6 +357,10 @@ async function runTests() {
         await page.goto(TEST_CONFIG.baseUrl, { waitUntil: 'domcontentloaded', timeout: TEST_CONFIG.timeout });
         await sleep(2000);
         
+        if (!await login(page)) {
+            throw new Error(`Could not log in as ${TEST_CONFIG.username}`);
+        }
+        
         // Run tests
         await testAddInventoryModal(page);
         await testAddProjectModal(page);
@@ -14,7 +14,10 @@ const TEST_CONFIG = {
     baseUrl: 'http://localhost:3003',
     timeout: 30000,
     headless: true,
-    viewport: { width: 1280, height: 720 }
+    viewport: { width: 1280, height: 720 },
+    // Account used to log in; create it with the first-run setup or ADMIN_USERNAME/ADMIN_PASSWORD
+    username: process.env.TEST_USERNAME || 'admin',
+    password: process.env.TEST_PASSWORD || 'password2025'
 };
 
 // Test results tracking
@@ -59,6 +62,27 @@ async function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Log in through the API so the app and its data routes accept the session
+ */
+async function login(page) {
+    const loggedIn = await page.evaluate(async (username, password) => {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ username, password })
+        });
+        return response.ok;
+    }, TEST_CONFIG.username, TEST_CONFIG.password);
+    
+    if (loggedIn) {
+        await page.reload({ waitUntil: 'domcontentloaded', timeout: TEST_CONFIG.timeout });
+        await sleep(2000); // Wait for data to load after login
+    }
+    return loggedIn;
+}
+
 /**
  * Test 1: Basic page load
  */
@@ -214,11 +238,25 @@ async function testResponsiveDesign(page) {
 }
 
 /**
- * Test 6: Authentication system (should be disabled)
+ * Test 6: Authentication system (data requires a login)
  */
-async function testAuthenticationDisabled(page) {
+async function testAuthenticationRequired(page) {
     try {
-        // Try to access a protected action
+        // Data routes must refuse requests without a session
+        const anonymousStatus = await page.evaluate(async () => {
+            const response = await fetch('/api/inventory', { credentials: 'omit' });
+            return response.status;
+        });
+        logTest('Data API rejects anonymous requests', anonymousStatus === 401,
+            anonymousStatus === 401 ? null : `Expected 401, got ${anonymousStatus}`);
+        
+        const loggedIn = await login(page);
+        logTest('Login succeeds', loggedIn, loggedIn ? null : `Could not log in as ${TEST_CONFIG.username}`);
+        if (!loggedIn) {
+            return false;
+        }
+        
+        // Once logged in, protected actions must not prompt for credentials again
         await page.click('[data-tab="inventory"]');
         await sleep(500);
         
@@ -227,20 +265,19 @@ async function testAuthenticationDisabled(page) {
             await addButton.click();
             await sleep(500);
             
-            // Check if auth modal appears (it shouldn't)
             const authModal = await page.$('#authModal');
             const authModalVisible = authModal && await authModal.evaluate(el => 
                 window.getComputedStyle(el).display !== 'none'
             );
             
-            logTest('Authentication is disabled', !authModalVisible);
+            logTest('Logged-in user is not prompted to log in', !authModalVisible);
             return !authModalVisible;
         }
         
-        logTest('Authentication is disabled', false, 'Add button not found');
+        logTest('Logged-in user is not prompted to log in', false, 'Add button not found');
         return false;
     } catch (error) {
-        logTest('Authentication is disabled', false, error.message);
+        logTest('Authentication is required', false, error.message);
         return false;
     }
 }
@@ -268,11 +305,11 @@ async function runTests() {
         
         // Run tests
         await testPageLoad(page);
+        await testAuthenticationRequired(page);
         await testNavigation(page);
         await testAddItem(page);
         await testDataLoading(page);
         await testResponsiveDesign(page);
-        await testAuthenticationDisabled(page);
         
     } catch (error) {
         console.error('❌ Test suite failed:', error.message);
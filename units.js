@@ -0,0 +1,119 @@
+/**
+ * Joey Kaye Handmades - Units of measure
+ *
+ * Supplies are counted in a unit (skeins, grams, yards...) and projects can use
+ * them in another. Grams and ounces, and yards and meters, convert at fixed
+ * rates; skeins and spools depend on the product, so a supply lists what one of
+ * its skeins or spools weighs or measures in `packageSizes`:
+ *
+ *   { unit: 'skein', packageSizes: [{ quantity: 100, unit: 'g' }, { quantity: 210, unit: 'yd' }] }
+ *
+ * A supply without a unit is counted in items and only converts to itself.
+ * Loaded by the browser and by the data migrations.
+ */
+
+const Units = (() => {
+    // `size` is the amount in the dimension's base unit (grams, meters)
+    const UNITS = {
+        skein: { singular: 'skein', plural: 'skeins', dimension: 'package' },
+        spool: { singular: 'spool', plural: 'spools', dimension: 'package' },
+        g: { singular: 'g', plural: 'g', dimension: 'weight', size: 1 },
+        oz: { singular: 'oz', plural: 'oz', dimension: 'weight', size: 28.349523125 },
+        yd: { singular: 'yd', plural: 'yd', dimension: 'length', size: 0.9144 },
+        m: { singular: 'm', plural: 'm', dimension: 'length', size: 1 }
+    };
+    const UNIT_NAMES = Object.keys(UNITS);
+
+    // Spellings found in free text, for parseQuantities()
+    const ALIASES = {
+        skein: 'skein', skeins: 'skein', sk: 'skein', ball: 'skein', balls: 'skein', hank: 'skein', hanks: 'skein',
+        spool: 'spool', spools: 'spool',
+        g: 'g', gr: 'g', gram: 'g', grams: 'g',
+        oz: 'oz', ounce: 'oz', ounces: 'oz',
+        yd: 'yd', yds: 'yd', yard: 'yd', yards: 'yd',
+        m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm'
+    };
+
+    function dimensionOf(unit) {
+        return UNITS[unit] ? UNITS[unit].dimension : 'item';
+    }
+
+    // How much of `dimension` (in grams or meters) one skein or spool of the supply holds, or null
+    function packageSize(supply, dimension) {
+        const sizes = supply && Array.isArray(supply.packageSizes) ? supply.packageSizes : [];
+        const size = sizes.find(entry => entry && dimensionOf(entry.unit) === dimension && entry.quantity > 0);
+        return size ? size.quantity * UNITS[size.unit].size : null;
+    }
+
+    // Converts `quantity` from one unit to another for the given supply. Returns
+    // null when the supply doesn't say how (e.g. grams to skeins without a skein weight).
+    function convertQuantity(quantity, from, to, supply = null) {
+        from = from || '';
+        to = to || '';
+        const fromDimension = dimensionOf(from);
+        const toDimension = dimensionOf(to);
+        if (from === to || (fromDimension === 'package' && toDimension === 'package')) {
+            return quantity;
+        }
+        if (fromDimension === 'item' || toDimension === 'item') {
+            return null;
+        }
+        if (fromDimension === toDimension) {
+            return quantity * UNITS[from].size / UNITS[to].size;
+        }
+
+        let packages = quantity;
+        if (fromDimension !== 'package') {
+            const size = packageSize(supply, fromDimension);
+            if (!size) return null;
+            packages = quantity * UNITS[from].size / size;
+        }
+        if (toDimension === 'package') {
+            return packages;
+        }
+        const size = packageSize(supply, toDimension);
+        return size ? packages * size / UNITS[to].size : null;
+    }
+
+    // Units a quantity of the supply can be given in: its own first, then any it
+    // converts to (a supply counted in skeins isn't also offered in spools)
+    function unitsFor(supply) {
+        const own = (supply && supply.unit) || '';
+        return [own, ...UNIT_NAMES.filter(unit => unit !== own
+            && !(dimensionOf(own) === 'package' && dimensionOf(unit) === 'package')
+            && convertQuantity(1, unit, own, supply) !== null)];
+    }
+
+    function unitLabel(unit, quantity = 2) {
+        if (!UNITS[unit]) return '';
+        return quantity === 1 ? UNITS[unit].singular : UNITS[unit].plural;
+    }
+
+    // "3 skeins", "212.5 g"; a quantity without a unit is just the number
+    function formatQuantity(quantity, unit) {
+        const rounded = Math.round(quantity * 100) / 100;
+        const label = unitLabel(unit, rounded);
+        return label ? `${rounded} ${label}` : String(rounded);
+    }
+
+    // Every "<number> <unit>" in a piece of text, e.g. "3 skeins, 200g" ->
+    // [{ quantity: 3, unit: 'skein' }, { quantity: 200, unit: 'g' }]
+    function parseQuantities(text) {
+        const found = [];
+        const pattern = /(\d+(?:[.,]\d+)?)\s*([a-z]+)\b/gi;
+        let match;
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            const unit = ALIASES[match[2].toLowerCase()];
+            if (unit) {
+                found.push({ quantity: parseFloat(match[1].replace(',', '.')), unit });
+            }
+        }
+        return found;
+    }
+
+    return { UNITS, UNIT_NAMES, convertQuantity, unitsFor, unitLabel, formatQuantity, parseQuantities };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Units;
+}